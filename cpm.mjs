@@ -0,0 +1,513 @@
+#!/usr/bin/env node
+// cpm.mjs
+// CPM command line — run history, reports and batch runs around run-demo.mjs
+//
+// Usage:
+//   node cpm.mjs runs list [--mode <m>] [--limit <n>]   # newest first
+//   node cpm.mjs runs show <id>                         # metadata (any unique part of the id)
+//   node cpm.mjs runs logs <id> [--stderr|--prompt]     # full stdout (or stderr/prompt)
+//   node cpm.mjs runs rm <id...>                        # delete runs
+//   node cpm.mjs runs prune --older-than 7d             # delete old runs
+//   node cpm.mjs report <id...> [--format md|json|junit] [--out <file>]
+//   node cpm.mjs batch tasks.yaml [--mode <m,...>] [--concurrency 4|docker=4,...]
+//   node cpm.mjs enqueue [run-demo flags] | --batch tasks.yaml   # add jobs to the queue
+//   node cpm.mjs worker [--once] [--detach]                      # run queued jobs
+//   node cpm.mjs queue list|show|cancel|retry|rm
+//   node cpm.mjs watch [host[:dir]...] [--interval 5m] [--detach]  # keep remote tokens fresh
+//   node cpm.mjs watch status
+//
+// Runs are stored in ~/.cpm/runs, queued jobs in ~/.cpm/queue (override with CPM_HOME).
+
+import 'dotenv/config';
+import { writeFileSync, openSync, mkdirSync } from 'node:fs';
+import { join, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import {
+  listRuns, getRun, readRunFile, removeRun, pruneRuns, parseDuration, runsDir,
+} from './lib/store.mjs';
+import { buildReport, renderMarkdown, renderJUnit, parseReportArgs, writeReports } from './lib/report.mjs';
+import { detectRuntimes, parseOutputArgs, spawnCommand } from './lib/common.mjs';
+import { getRunner, listRunners, loadRunnerModules, parseRunnerArgs, handleInterrupts, interrupted } from './lib/runners.mjs';
+import { resolvePrompt } from './lib/prompt.mjs';
+import { parseAuthArgs } from './lib/credentials.mjs';
+import { parseEgressArgs, describeEgress } from './lib/egress.mjs';
+import { parseLimitArgs, describeLimits } from './lib/limits.mjs';
+import { installRedaction, redact } from './lib/redact.mjs';
+import { loadBatch, parseConcurrency, batchJobs, runBatch, buildMatrixReport, renderMatrix } from './lib/batch.mjs';
+import {
+  enqueueJob, listJobs, getJob, cancelJob, retryJob, removeJob, runWorker, workerStatus, queueDir,
+} from './lib/queue.mjs';
+import {
+  createWatcher, loadWatchConfig, defaultWatchConfig, parseHostSpec, readWatchStatus, renderWatchStatus, watchDir,
+} from './lib/watch.mjs';
+// Built-in runners register themselves on import
+import './mode-docker.mjs';
+import './mode-sandbox.mjs';
+import './mode-fly.mjs';
+import './mode-incus.mjs';
+
+function usage() {
+  console.log(`
+CPM — run history, reports and batch runs
+
+Usage:
+  node cpm.mjs runs list [--mode <m>] [--limit <n>]
+  node cpm.mjs runs show <id>
+  node cpm.mjs runs logs <id> [--stderr | --prompt]
+  node cpm.mjs runs rm <id...>
+  node cpm.mjs runs prune --older-than <duration>   (e.g. 12h, 7d, 2w)
+  node cpm.mjs report <id...> [--format md|json|junit] [--out <file>]
+  node cpm.mjs batch <tasks.yaml> [options]
+
+Batch options:
+  --mode <m,...>      Only run these modes (default: each task's modes)
+  --concurrency <n>   Parallel runs per mode: 4, or docker=4,sandbox=1 (default: from the file, else 1)
+  --runtime <rt>      docker | podman (Mode A)
+  --image <ref>       Mode A image (cpm-runner:fake = offline fake claude)
+  --token-sidecar     Mode A: keep the token fresh during long runs (also for enqueue)
+  --auth <a>          Mode A/C: auto (OAuth, else ANTHROPIC_API_KEY) | oauth | api-key (also for enqueue)
+  --max-budget-usd <n> API key runs: cc stops once it has spent this much (or CPM_MAX_BUDGET_USD)
+  --secret-delivery <m> Mode A: env-file | secret (podman) | stdin (default: env-file, podman: secret)
+  --egress <f>        Mode A/B: network policy — default, or a YAML file with allow:/deny: lists
+  --allow-host <h>    Mode A/B: add host[:port] to the allowlist (repeatable; implies --egress default)
+  --deny-host <h>     Mode A/B: add host[:port] to the denylist (repeatable)
+  --max-turns <n>     cc's turn limit (default 20; also for enqueue, like the limits below)
+  --timeout <d>       Stop a run after this long (e.g. 30m) and report it as timeout
+  --cpus <n> --memory <size> --pids <n> --disk <size>
+                      Resource limits, where the mode can enforce them (task limits: win)
+  --runner <module>   Load a third-party runner module (repeatable, or CPM_RUNNERS)
+  --output-format <f> text | stream-json (or --stream-json)
+  --no-store          Don't save the runs to the store
+  --keep-workspace    Keep the temp workspaces of runs cancelled with Ctrl-C
+  --report-md <f>     Write the task × mode matrix as Markdown (also --report-json, --report-junit)
+
+Queue (overnight runs that survive restarts):
+  node cpm.mjs enqueue [--mode <m,...>] [run-demo.mjs task flags] [--max-attempts <n>]
+  node cpm.mjs enqueue --batch <tasks.yaml> [--mode <m,...>]     one job per task × mode
+  node cpm.mjs worker [--once] [--poll <duration>] [--detach] [--allow-sleep]
+  node cpm.mjs queue list [--state <s>] | show <id> | cancel <id> | retry <id> | rm <id...>
+
+Token rotation to remote hosts (push-token.mjs, automatically):
+  node cpm.mjs watch [host[:dir]...] [--interval <duration>] [--once] [--detach] [--config <f>]
+  node cpm.mjs watch status          each host's token: fingerprint, age, expiry, failures
+  Hosts default to the list in ${defaultWatchConfig()} (format: lib/watch.mjs)
+
+Store: ${runsDir()}  Queue: ${queueDir()}  (set CPM_HOME to move them)
+`);
+}
+
+function flag(args, name) {
+  const i = args.indexOf(name);
+  return i !== -1 ? args[i + 1] : undefined;
+}
+
+function status(run) {
+  if (run.status) return run.status;
+  if (run.exitCode === 0) return run.verification?.passed === false ? '❌ verify' : '✅ ok';
+  return run.error ? '💥 error' : `❌ exit ${run.exitCode}`;
+}
+
+// ─────────────────────────────────────────────────────
+// runs
+// ─────────────────────────────────────────────────────
+
+function runsList(args) {
+  const mode = flag(args, '--mode');
+  const limit = Number(flag(args, '--limit') ?? 20);
+  const runs = listRuns().filter(r => !mode || r.mode === mode).slice(0, limit);
+
+  if (runs.length === 0) {
+    console.log(`No runs in ${runsDir()}`);
+    return;
+  }
+
+  console.log(`${'ID'.padEnd(34)} ${'MODE'.padEnd(8)} ${'STATUS'.padEnd(12)} ${'TIME'.padStart(7)}  CHANGES`);
+  for (const run of runs) {
+    const changes = run.git ? `${run.git.files?.length ?? 0} files` : '';
+    console.log(
+      `${run.id.padEnd(34)} ${String(run.mode).padEnd(8)} ${status(run).padEnd(12)} ` +
+      `${(run.elapsed ? `${run.elapsed}s` : '—').padStart(7)}  ${changes}`
+    );
+  }
+}
+
+function runsShow(args) {
+  if (!args[0]) throw new Error('Usage: cpm runs show <id>');
+  const run = getRun(args[0]);
+
+  console.log(`🆔 ${run.id}`);
+  console.log(`   Mode:      ${run.mode}${run.runtime ? ` (${run.runtime})` : ''}`);
+  if (run.task) console.log(`   Task:      ${run.task}`);
+  console.log(`   Status:    ${status(run)}${run.error ? ` — ${run.error}` : ''}`);
+  console.log(`   Started:   ${run.startedAt ?? '—'}`);
+  console.log(`   Finished:  ${run.finishedAt}`);
+  console.log(`   Duration:  ${run.elapsed ? `${run.elapsed}s` : '—'}`);
+  if (run.workspace) console.log(`   Workspace: ${run.workspace}`);
+  if (run.auth) {
+    console.log(`   Auth:      ${run.auth.method === 'api-key' ? 'API key (billed per token)' : 'OAuth'} from ${run.auth.source}` +
+      (run.auth.maxBudgetUsd ? `, cap $${run.auth.maxBudgetUsd}` : ''));
+  }
+  if (run.egress) {
+    const denied = run.egress.denied.reduce((n, d) => n + d.count, 0);
+    console.log(`   Egress:    ${describeEgress(run.egress)} — ${run.egress.allowed} request(s) allowed, ${denied} denied` +
+      (run.egress.denied.length ? ` (${run.egress.denied.map(d => `${d.host}:${d.port}`).join(', ')})` : ''));
+  }
+  if (run.network) {
+    const { policy, allow, block, pushed, stuck } = run.network;
+    console.log(`   Network:   ${policy} by default, ${allow.length} allowed, ${block.length} blocked` +
+      `${pushed ? ' (rules updated)' : ''}${stuck.length ? ` — still blocked: ${stuck.join(', ')}` : ''}`);
+  }
+  if (run.limits) {
+    console.log(`   Limits:    ${describeLimits(run.limits)}` +
+      (run.limits.ignored?.length ? ` (ignored: ${run.limits.ignored.join(', ')})` : ''));
+  }
+  if (run.tokenSidecar) {
+    const { renewals, updates, lastError } = run.tokenSidecar;
+    console.log(`   Sidecar:   ${renewals} renewal(s), ${updates} token(s) delivered${lastError ? ` — last error: ${lastError}` : ''}`);
+  }
+  if (run.stream) {
+    const { turns, usage, costUsd, toolCalls } = run.stream;
+    console.log(`   Turns:     ${turns ?? '—'}  Tokens: ${usage?.input_tokens ?? 0} in / ${usage?.output_tokens ?? 0} out` +
+      (costUsd != null ? `  Cost: $${costUsd.toFixed(4)}` : ''));
+    const tools = Object.entries(toolCalls ?? {}).map(([name, n]) => `${name}×${n}`).join(', ');
+    if (tools) console.log(`   Tools:     ${tools}`);
+  }
+  if (run.verification) {
+    const { assertions } = run.verification;
+    console.log(`   Verify:    ${assertions.filter(a => a.status === 'passed').length}/${assertions.length} passed`);
+    for (const a of assertions) {
+      console.log(`              ${a.status.padEnd(7)}  ${a.type} ${a.target}${a.detail ? ` — ${a.detail}` : ''}`);
+    }
+  }
+  if (run.git) {
+    console.log(`   Git:       ${run.git.baseCommit?.slice(0, 8)} → ${run.git.files.length} files changed` +
+      (run.git.branch ? ` on ${run.git.branch}` : ''));
+    for (const f of run.git.files) console.log(`              ${f.status}  ${f.path}`);
+    if (run.git.patch) console.log(`   Patch:     ${run.git.patch}`);
+  }
+  console.log(`   Stored in: ${run.dir}`);
+}
+
+function runsLogs(args) {
+  if (!args[0]) throw new Error('Usage: cpm runs logs <id> [--stderr | --prompt]');
+  const file = args.includes('--stderr') ? 'stderr.log'
+    : args.includes('--prompt') ? 'prompt.md'
+    : 'stdout.log';
+  process.stdout.write(readRunFile(args[0], file));
+}
+
+function runsRm(args) {
+  if (args.length === 0) throw new Error('Usage: cpm runs rm <id...>');
+  for (const query of args) {
+    console.log(`🗑️  Removed ${removeRun(query)}`);
+  }
+}
+
+function runsPrune(args) {
+  const olderThan = flag(args, '--older-than');
+  if (!olderThan) throw new Error('Usage: cpm runs prune --older-than <duration>');
+  const removed = pruneRuns(parseDuration(olderThan));
+  console.log(removed.length
+    ? `🗑️  Pruned ${removed.length} run(s) older than ${olderThan}`
+    : `Nothing older than ${olderThan}`);
+}
+
+const RUNS_COMMANDS = {
+  list: runsList,
+  ls: runsList,
+  show: runsShow,
+  logs: runsLogs,
+  rm: runsRm,
+  prune: runsPrune,
+};
+
+// ─────────────────────────────────────────────────────
+// report — comparison report from stored runs
+// ─────────────────────────────────────────────────────
+
+const REPORT_FORMATS = {
+  md: renderMarkdown,
+  json: (report) => JSON.stringify(report, null, 2) + '\n',
+  junit: renderJUnit,
+};
+
+function report(args) {
+  const format = flag(args, '--format') ?? 'md';
+  const out = flag(args, '--out');
+  const ids = args.filter((arg, i) => !arg.startsWith('--') && !['--format', '--out'].includes(args[i - 1]));
+  if (ids.length === 0) throw new Error('Usage: cpm report <id...> [--format md|json|junit] [--out <file>]');
+
+  const render = REPORT_FORMATS[format];
+  if (!render) throw new Error(`Unknown format "${format}" (use ${Object.keys(REPORT_FORMATS).join(' | ')})`);
+
+  const text = render(buildReport(ids.map(getRun)));
+  if (out) {
+    writeFileSync(out, redact(text));
+    console.log(`📊 Report written: ${out}`);
+  } else {
+    process.stdout.write(text);
+  }
+}
+
+// ─────────────────────────────────────────────────────
+// batch — many tasks × modes in parallel (lib/batch.mjs)
+// ─────────────────────────────────────────────────────
+
+// Third-party runners from --runner <module> (repeatable) and CPM_RUNNERS
+function loadRunners(args) {
+  const modules = (process.env.CPM_RUNNERS || '').split(',').filter(Boolean);
+  args.forEach((arg, i) => { if (arg === '--runner' && args[i + 1]) modules.push(args[i + 1]); });
+  return loadRunnerModules(modules);
+}
+
+async function batch(args) {
+  const { reports, rest: afterReports } = parseReportArgs(args);
+  const { outputFormat, rest: afterOutput } = parseOutputArgs(afterReports);
+  const { auth, rest: afterAuth } = parseAuthArgs(afterOutput);
+  // Checked now; applied per task, on top of its egress:/limits: (runBatch flags)
+  const { rest: afterEgress } = parseEgressArgs(afterAuth);
+  const { rest } = parseLimitArgs(afterEgress);
+  const valueFlags = ['--mode', '--concurrency', '--runtime', '--image', '--runner'];
+  const file = rest.find((arg, i) => !arg.startsWith('--') && !valueFlags.includes(rest[i - 1]));
+  if (!file) throw new Error('Usage: cpm batch <tasks.yaml> [--mode <m,...>] [--concurrency <n>]');
+
+  await loadRunners(rest);
+
+  const spec = loadBatch(file);
+  const concurrency = flag(rest, '--concurrency');
+  const runtimes = detectRuntimes(listRunners());
+  const runnerOptions = {
+    runtime: flag(rest, '--runtime'),
+    image: flag(rest, '--image'),
+    tokenSidecar: rest.includes('--token-sidecar'),
+    keepWorkspace: rest.includes('--keep-workspace'),
+    runtimes,
+    outputFormat,
+    auth,
+    store: !rest.includes('--no-store'),
+  };
+
+  console.log(`📦 Batch ${spec.name}: ${spec.tasks.length} task(s)`);
+  handleInterrupts();
+  const results = await runBatch(spec, {
+    modes: flag(rest, '--mode')?.split(',') ?? null,
+    concurrency: concurrency ? parseConcurrency(concurrency) : spec.concurrency,
+    runtimes,
+    runnerOptions,
+    flags: afterAuth,
+  });
+
+  const report = buildMatrixReport(spec, results);
+  console.log('');
+  console.log(renderMatrix(report));
+  for (const out of writeReports(report, reports, { markdown: renderMatrix })) {
+    console.log(`📊 Report written: ${out}`);
+  }
+
+  if (report.summary.failed > 0 && !interrupted()) process.exitCode = 1;
+}
+
+// ─────────────────────────────────────────────────────
+// enqueue / worker / queue — durable job queue (lib/queue.mjs)
+// ─────────────────────────────────────────────────────
+
+function checkMode(mode) {
+  if (!getRunner(mode)) throw new Error(`Unknown mode "${mode}". Registered: ${listRunners().map(r => r.name).join(', ')}`);
+  return mode;
+}
+
+async function enqueue(args) {
+  const { prompt, source, git, outputFormat, verify, auth, egress, limits, rest } = parseRunnerArgs(args);
+  await loadRunners(rest);
+  const maxAttempts = flag(rest, '--max-attempts') ? Math.max(1, Number(flag(rest, '--max-attempts')) || 1) : undefined;
+  const shared = {
+    runtime: flag(rest, '--runtime'),
+    image: flag(rest, '--image'),
+    ...(rest.includes('--token-sidecar') && { tokenSidecar: true }),
+    git,
+    outputFormat,
+    auth,
+    egress,
+    limits,
+  };
+
+  const jobs = [];
+  const batchFile = flag(rest, '--batch');
+  if (batchFile) {
+    const spec = loadBatch(batchFile);
+    const selected = batchJobs(spec, flag(rest, '--mode')?.split(',') ?? null);
+    for (const { mode } of selected) checkMode(mode);
+    for (const { task, mode } of selected) {
+      jobs.push(enqueueJob({
+        mode,
+        task: task.id,
+        maxAttempts,
+        options: {
+          ...shared, prompt: resolvePrompt(task.prompt), source: task.source, verify: task.verify ?? undefined,
+          // the flags win over the task's egress:/limits:, as in cpm batch
+          egress: parseEgressArgs(args, task.egress ?? null).egress,
+          limits: parseLimitArgs(args, task.limits ?? null).limits,
+        },
+      }));
+    }
+  } else {
+    // The prompt is resolved now (stdin, files) — the worker may run much later, elsewhere
+    const text = resolvePrompt(prompt);
+    for (const mode of (flag(rest, '--mode')?.split(',') ?? ['docker']).map(checkMode)) {
+      jobs.push(enqueueJob({ mode, maxAttempts, options: { ...shared, prompt: text, source, verify } }));
+    }
+  }
+
+  for (const job of jobs) console.log(`📥 Queued ${job.id}${job.task ? `  (task ${job.task})` : ''}`);
+  const worker = workerStatus();
+  console.log(worker
+    ? `👷 Worker ${worker.pid} will pick ${jobs.length === 1 ? 'it' : 'them'} up`
+    : '💤 No worker running — start one with: node cpm.mjs worker --detach');
+}
+
+// Same command without --detach, in its own session: survives closing the terminal
+function detach(command, args, log) {
+  mkdirSync(dirname(log), { recursive: true });
+  const out = openSync(log, 'a');
+  const child = spawnCommand(process.execPath, [fileURLToPath(import.meta.url), command, ...args.filter(a => a !== '--detach')], {
+    detached: true,
+    stdio: ['ignore', out, out],
+  });
+  child.unref();
+  return child.pid;
+}
+
+async function worker(args) {
+  if (args.includes('--detach')) {
+    const log = join(queueDir(), 'worker.log');
+    console.log(`👷 Worker started in the background (pid ${detach('worker', args, log)}), log: ${log}`);
+    return;
+  }
+
+  await loadRunners(args);
+
+  // macOS: keep the machine awake while the worker runs (caffeinate exits with us)
+  if (process.platform === 'darwin' && !args.includes('--allow-sleep')) {
+    spawnCommand('caffeinate', ['-i', '-w', String(process.pid)], { stdio: 'ignore' }).on('error', () => {}).unref();
+  }
+
+  await runWorker({
+    once: args.includes('--once'),
+    pollMs: parseDuration(flag(args, '--poll') ?? '5s'),
+    runnerOptions: { runtimes: detectRuntimes(listRunners()) },
+  });
+}
+
+const JOB_ICONS = { queued: '⏳', running: '🏃', succeeded: '✅', failed: '❌', cancelled: '🚫' };
+
+function queueList(args) {
+  const jobs = listJobs({ state: flag(args, '--state') });
+  const worker = workerStatus();
+  console.log(worker ? `👷 Worker ${worker.pid} running since ${worker.startedAt}` : '💤 No worker running');
+  if (jobs.length === 0) {
+    console.log(`No jobs in ${queueDir()}`);
+    return;
+  }
+  console.log(`${'JOB'.padEnd(38)} ${'STATE'.padEnd(12)} ${'TRIES'.padEnd(6)} ${'TASK'.padEnd(14)} LAST RUN`);
+  for (const job of jobs) {
+    console.log(
+      `${job.id.padEnd(38)} ${`${JOB_ICONS[job.state]} ${job.state}`.padEnd(12)} ` +
+      `${`${job.attempts}/${job.maxAttempts}`.padEnd(6)} ${String(job.task ?? '—').padEnd(14)} ${job.runIds.at(-1) ?? '—'}`
+    );
+  }
+}
+
+function queueShow(args) {
+  if (!args[0]) throw new Error('Usage: cpm queue show <id>');
+  const job = getJob(args[0]);
+  console.log(`🆔 ${job.id}`);
+  console.log(`   Mode:      ${job.mode}${job.task ? `  Task: ${job.task}` : ''}`);
+  console.log(`   State:     ${JOB_ICONS[job.state]} ${job.state}  (attempts ${job.attempts}/${job.maxAttempts})`);
+  console.log(`   Prompt:    ${String(job.options.prompt ?? '').split('\n')[0].slice(0, 70)}`);
+  if (job.runIds.length) console.log(`   Runs:      ${job.runIds.join(', ')}  (node cpm.mjs runs show <id>)`);
+  console.log('   History:');
+  for (const h of job.history) console.log(`              ${h.at}  ${h.state.padEnd(9)}  ${h.note ?? ''}`);
+}
+
+const QUEUE_COMMANDS = {
+  list: queueList,
+  ls: queueList,
+  show: queueShow,
+  cancel: (args) => args.forEach(id => console.log(`🚫 Cancelled ${cancelJob(id).id}`)),
+  retry: (args) => args.forEach(id => console.log(`⏳ Re-queued ${retryJob(id).id}`)),
+  rm: (args) => args.forEach(id => console.log(`🗑️  Removed ${removeJob(id)}`)),
+};
+
+// ─────────────────────────────────────────────────────
+// watch — keep remote hosts' tokens fresh (lib/watch.mjs)
+// ─────────────────────────────────────────────────────
+
+async function watch(args) {
+  if (args[0] === 'status') {
+    console.log(renderWatchStatus(readWatchStatus()));
+    return;
+  }
+
+  const config = loadWatchConfig(flag(args, '--config'));
+  const valueFlags = ['--interval', '--config'];
+  const specs = args.filter((arg, i) => !arg.startsWith('--') && !valueFlags.includes(args[i - 1]));
+  const hosts = specs.length ? specs.map(parseHostSpec) : config.hosts;
+  const intervalMs = flag(args, '--interval') ? parseDuration(flag(args, '--interval')) : config.intervalMs;
+  const watcher = createWatcher({ hosts });
+
+  if (args.includes('--detach')) {
+    const log = join(watchDir(), 'watch.log');
+    console.log(`👁️  Watcher started in the background (pid ${detach('watch', args, log)}), log: ${log}`);
+    return;
+  }
+
+  console.log(`👁️  Watching the local token for ${hosts.map(h => h.label).join(', ')}`);
+  if (args.includes('--once')) {
+    const state = watcher.tick();
+    if (state.local.lastError || Object.values(state.hosts).some(h => h.lastError)) process.exitCode = 1;
+    return;
+  }
+  console.log(`   Every ${intervalMs / 60000} min — Ctrl-C to stop, status: node cpm.mjs watch status`);
+  watcher.start(intervalMs);
+}
+
+// ─────────────────────────────────────────────────────
+// Main
+// ─────────────────────────────────────────────────────
+
+async function main() {
+  const [command, sub, ...args] = process.argv.slice(2);
+
+  if (command === 'runs') {
+    const handler = RUNS_COMMANDS[sub ?? 'list'];
+    if (!handler) {
+      usage();
+      process.exit(1);
+    }
+    return handler(args);
+  }
+
+  if (command === 'report') return report([sub, ...args].filter(Boolean));
+  if (command === 'batch') return batch([sub, ...args].filter(Boolean));
+  if (command === 'enqueue') return enqueue([sub, ...args].filter(Boolean));
+  if (command === 'worker') return worker([sub, ...args].filter(Boolean));
+  if (command === 'watch') return watch([sub, ...args].filter(Boolean));
+
+  if (command === 'queue') {
+    const handler = QUEUE_COMMANDS[sub ?? 'list'];
+    if (!handler) {
+      usage();
+      process.exit(1);
+    }
+    return handler(args);
+  }
+
+  usage();
+  process.exit(command && command !== '--help' && command !== '-h' ? 1 : 0);
+}
+
+installRedaction();
+main().catch(err => {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+});
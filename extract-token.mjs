@@ -3,54 +3,74 @@
 /**
  * extract-token.mjs
  * 
- * Extracts Claude Code OAuth token from macOS Keychain
+ * Extracts the Claude Code OAuth token from the host login (macOS Keychain,
+ * ~/.claude/.credentials.json, ... — see lib/credentials.mjs)
  * and writes it to .env file for Docker injection.
  * 
  * Usage:
  *   node extract-token.mjs              # Write to .env + show summary
  *   node extract-token.mjs --token-only  # Raw token to stdout (for piping)
+ *   node extract-token.mjs --export      # Shell export statement (eval it)
  *   node extract-token.mjs --json        # Full JSON output
  *   node extract-token.mjs --no-write    # Show only, don't touch .env
+ *   node extract-token.mjs --source pass # Read one source only
+ *   node extract-token.mjs --sources     # What each credential source holds
+ *   node extract-token.mjs --store vault # Copy the credentials into vault | secret-service | pass
+ *
+ * Output is redacted (lib/redact.mjs) except what --token-only, --export and --json are for.
  */
 
-import { execSync } from 'node:child_process';
 import { writeFileSync, readFileSync, existsSync } from 'node:fs';
+import {
+  readCredentials, credentialSources, getCredentialBackend, parseSecret, hoursLeft,
+} from './lib/credentials.mjs';
+import { installRedaction, writeUnredacted } from './lib/redact.mjs';
 
-const KEYCHAIN_SERVICE = 'Claude Code-credentials';
 const ENV_FILE = '.env';
 const ENV_KEY = 'CLAUDE_CODE_OAUTH_TOKEN';
 
+function flagValue(name) {
+  const i = process.argv.indexOf(name);
+  return i !== -1 ? process.argv[i + 1] : undefined;
+}
+
+// The stored login — CLAUDE_CODE_OAUTH_TOKEN is what this script produces, not a source
 function getOAuth() {
-  if (process.platform !== 'darwin') {
-    console.error('❌ Requires macOS (Keychain access)');
-    process.exit(1);
-  }
+  const only = flagValue('--source');
+  const cred = only
+    ? readCredentials({ sources: [getCredentialBackend(only)] })
+    : readCredentials({ env: false });
 
-  let raw;
-  try {
-    raw = execSync(
-      `security find-generic-password -s "${KEYCHAIN_SERVICE}" -w`,
-      { encoding: 'utf-8', timeout: 10000, stdio: ['pipe', 'pipe', 'pipe'] }
-    ).trim();
-  } catch {
-    console.error(`❌ Keychain entry "${KEYCHAIN_SERVICE}" not found`);
+  if (!cred) {
+    console.error(`❌ No credentials found${only ? ` in ${only}` : ''}`);
     console.error('   Run "claude" in terminal first to authenticate.');
     process.exit(1);
   }
 
-  const oauth = JSON.parse(raw)?.claudeAiOauth;
-  if (!oauth?.accessToken) {
-    console.error('❌ No accessToken in Keychain data');
+  const remaining = hoursLeft(cred);
+  if (remaining !== null && remaining <= 0) {
+    console.error(`❌ Token EXPIRED (${cred.label}) — run "claude" to refresh`);
     process.exit(1);
   }
 
-  const remainingMs = oauth.expiresAt - Date.now();
-  if (remainingMs <= 0) {
-    console.error('❌ Token EXPIRED — run "claude" to refresh');
-    process.exit(1);
-  }
+  return { ...cred, remainingHours: remaining === null ? null : remaining.toFixed(1) };
+}
 
-  return { ...oauth, remainingHours: (remainingMs / 3600000).toFixed(1) };
+function listSources() {
+  for (const backend of credentialSources()) {
+    let state;
+    try {
+      const cred = parseSecret(backend.read());
+      const remaining = hoursLeft(cred);
+      state = !cred ? '—'
+        : `${cred.json ? 'credentials' : 'bare token'}` +
+          `${remaining === null ? '' : remaining > 0 ? `, ${remaining.toFixed(1)}h left` : ', expired'}`;
+    } catch (err) {
+      state = `⚠️  ${err.message}`;
+    }
+    const traits = [backend.renewable && 'renewable', backend.write && 'writable'].filter(Boolean).join(', ');
+    console.log(`${backend.name.padEnd(15)} ${state.padEnd(28)} ${traits}`);
+  }
 }
 
 function writeEnvFile(token) {
@@ -75,21 +95,47 @@ function writeEnvFile(token) {
 }
 
 // ── Main ──
+installRedaction();
+
+if (process.argv.includes('--sources')) {
+  listSources();
+  process.exit(0);
+}
+
 const oauth = getOAuth();
 const mask = (t) => t.slice(0, 16) + '...' + t.slice(-6);
+const storeIn = flagValue('--store');
 
-if (process.argv.includes('--token-only')) {
-  process.stdout.write(oauth.accessToken);
+if (storeIn) {
+  const backend = getCredentialBackend(storeIn);
+  if (!backend.write) {
+    console.error(`❌ ${backend.label} is read-only`);
+    process.exit(1);
+  }
+  if (!oauth.json) {
+    console.error(`❌ ${oauth.label} holds a bare token — store the full credentials from the Keychain or credentials file`);
+    process.exit(1);
+  }
+  backend.write(oauth.json);
+  console.log(`✅ Credentials from ${oauth.label} stored in ${backend.label}`);
+
+} else if (process.argv.includes('--token-only')) {
+  writeUnredacted(oauth.accessToken);
+
+} else if (process.argv.includes('--export')) {
+  writeUnredacted(`export ${ENV_KEY}=${oauth.accessToken}\n`);
 
 } else if (process.argv.includes('--json')) {
-  console.log(JSON.stringify({
+  writeUnredacted(JSON.stringify({
+    source: oauth.source,
     accessToken: oauth.accessToken,
     refreshToken: oauth.refreshToken,
     expiresAt: oauth.expiresAt,
-    expiresIn: `${oauth.remainingHours}h`,
+    expiresIn: oauth.remainingHours === null ? null : `${oauth.remainingHours}h`,
     subscriptionType: oauth.subscriptionType,
     rateLimitTier: oauth.rateLimitTier,
-  }, null, 2));
+    scopes: oauth.scopes,
+  }, null, 2) + '\n');
 
 } else {
   // Default: write to .env + show summary
@@ -101,8 +147,11 @@ if (process.argv.includes('--token-only')) {
   }
 
   console.log(`🔑 Token:   ${mask(oauth.accessToken)}`);
-  console.log(`⏰ Expires: ${new Date(oauth.expiresAt).toLocaleString()} (${oauth.remainingHours}h)`);
-  console.log(`📋 Plan:    ${oauth.subscriptionType} (${oauth.rateLimitTier})`);
+  console.log(`📦 Source:  ${oauth.label}`);
+  if (oauth.expiresAt) {
+    console.log(`⏰ Expires: ${new Date(oauth.expiresAt).toLocaleString()} (${oauth.remainingHours}h)`);
+  }
+  if (oauth.subscriptionType) console.log(`📋 Plan:    ${oauth.subscriptionType} (${oauth.rateLimitTier})`);
 
   if (!noWrite) {
     console.log('');
@@ -0,0 +1,210 @@
+#!/usr/bin/env node
+// fake-claude/claude.mjs
+// Offline stand-in for the `claude` CLI — replays a scripted transcript
+//
+// Lets every mode, resolveToken() auto-renew, workspace handling and reporting
+// be exercised without a subscription or network: put this on PATH as `claude`
+// (or use the cpm-runner:fake image, see Dockerfile.fake).
+//
+// Scenario (FAKE_CLAUDE_SCENARIO): a bundled name (scenarios/<name>.json, default
+// "hello"), a path to a JSON file, or inline JSON:
+//
+//   {
+//     "steps": [
+//       { "text": "I'll create hello.mjs." },                assistant prose
+//       { "write": "hello.mjs", "content": "..." },          Write tool: creates the file in cwd
+//       { "bash": "node hello.mjs" },                        Bash tool: really runs it in cwd
+//       { "sleep": 500 },                                    pause (ms)
+//       { "text": "Output:\n{{output}}" }                    {{output}} = last bash output
+//     ],
+//     "stdout": "...", "stderr": "...",                      printed verbatim (errors)
+//     "exitCode": 0,
+//     "auth": true,        require a token (env or ~/.claude/.credentials.json)
+//     "refresh": true      refresh ~/.claude/.credentials.json when it expires within 6h
+//   }
+//
+// Output follows cc: text mode prints the final assistant text, --output-format
+// stream-json prints system/assistant/user/result events. FAKE_CLAUDE_LOG=<file>
+// appends one JSON line per invocation (argv, cwd, whether a token was present).
+
+import { readFileSync, writeFileSync, appendFileSync, existsSync, mkdirSync } from 'node:fs';
+import { dirname, join, resolve } from 'node:path';
+import { homedir } from 'node:os';
+import { fileURLToPath } from 'node:url';
+import { spawnSync } from 'node:child_process';
+import { randomUUID } from 'node:crypto';
+
+const VERSION = '0.0.0 (fake-claude)';
+const SCENARIO_DIR = join(dirname(fileURLToPath(import.meta.url)), 'scenarios');
+const REFRESH_WINDOW_MS = 6 * 3600 * 1000;
+const TOKEN_LIFETIME_MS = 8 * 3600 * 1000;
+
+// Flags that take a value; everything else starting with "-" is a switch
+const VALUE_FLAGS = new Set([
+  '--output-format', '--input-format', '--max-turns', '--model', '--allowedTools',
+  '--disallowedTools', '--append-system-prompt', '--permission-mode', '--resume', '--session-id',
+  '--max-budget-usd',
+]);
+
+function parseArgs(argv) {
+  const flags = {};
+  const positional = [];
+  for (let i = 0; i < argv.length; i++) {
+    if (VALUE_FLAGS.has(argv[i])) flags[argv[i]] = argv[++i];
+    else if (argv[i].startsWith('-')) flags[argv[i]] = true;
+    else positional.push(argv[i]);
+  }
+  return { flags, prompt: positional.join(' ') };
+}
+
+function loadScenario(spec = 'hello') {
+  if (spec.trim().startsWith('{')) return JSON.parse(spec);
+  const file = existsSync(spec) ? spec : join(SCENARIO_DIR, `${spec}.json`);
+  try {
+    return JSON.parse(readFileSync(file, 'utf-8'));
+  } catch (err) {
+    process.stderr.write(`fake-claude: cannot load scenario "${spec}": ${err.message}\n`);
+    process.exit(2);
+  }
+}
+
+// ─────────────────────────────────────────────────────
+// Credentials — mimics cc refreshing ~/.claude/.credentials.json ($CLAUDE_CONFIG_DIR if set) before the API call
+// ─────────────────────────────────────────────────────
+
+function credentialsPath() {
+  return join(process.env.CLAUDE_CONFIG_DIR || join(process.env.HOME || homedir(), '.claude'), '.credentials.json');
+}
+
+function readCredentials() {
+  try {
+    return JSON.parse(readFileSync(credentialsPath(), 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+function refreshCredentials(creds) {
+  const oauth = creds?.claudeAiOauth;
+  if (!oauth?.refreshToken || oauth.expiresAt - Date.now() > REFRESH_WINDOW_MS) return;
+  creds.claudeAiOauth = {
+    ...oauth,
+    accessToken: `sk-ant-oat01-fake-${randomUUID()}`,
+    expiresAt: Date.now() + TOKEN_LIFETIME_MS,
+  };
+  mkdirSync(dirname(credentialsPath()), { recursive: true });
+  writeFileSync(credentialsPath(), JSON.stringify(creds), { mode: 0o600 });
+}
+
+function hasToken(creds) {
+  if (process.env.CLAUDE_CODE_OAUTH_TOKEN || process.env.ANTHROPIC_API_KEY) return true;
+  return Boolean(creds?.claudeAiOauth?.accessToken && creds.claudeAiOauth.expiresAt > Date.now());
+}
+
+// ─────────────────────────────────────────────────────
+// Transcript replay
+// ─────────────────────────────────────────────────────
+
+function replay(scenario, { stream, sessionId }) {
+  const emit = (event) => stream && process.stdout.write(JSON.stringify({ ...event, session_id: sessionId }) + '\n');
+  const usage = { input_tokens: 0, output_tokens: 0 };
+  const assistant = (content) => {
+    const turnUsage = { input_tokens: 100, output_tokens: 20 };
+    usage.input_tokens += turnUsage.input_tokens;
+    usage.output_tokens += turnUsage.output_tokens;
+    emit({ type: 'assistant', message: { role: 'assistant', content, usage: turnUsage } });
+  };
+  const toolResult = (id, content, isError = false) =>
+    emit({ type: 'user', message: { role: 'user', content: [{ type: 'tool_result', tool_use_id: id, content, is_error: isError }] } });
+
+  let output = '';
+  let finalText = '';
+  let turns = 0;
+
+  for (const step of scenario.steps ?? []) {
+    const id = `toolu_${randomUUID().slice(0, 8)}`;
+    if (step.text !== undefined) {
+      finalText = step.text.replace(/\{\{output\}\}/g, output.trimEnd());
+      assistant([{ type: 'text', text: finalText }]);
+      turns++;
+    } else if (step.write) {
+      const file = resolve(step.write);
+      assistant([{ type: 'tool_use', id, name: 'Write', input: { file_path: file, content: step.content ?? '' } }]);
+      mkdirSync(dirname(file), { recursive: true });
+      writeFileSync(file, step.content ?? '');
+      toolResult(id, `File created successfully at: ${file}`);
+      turns++;
+    } else if (step.bash) {
+      assistant([{ type: 'tool_use', id, name: 'Bash', input: { command: step.bash } }]);
+      const r = spawnSync('sh', ['-c', step.bash], { encoding: 'utf-8' });
+      output = `${r.stdout ?? ''}${r.stderr ?? ''}`;
+      toolResult(id, output, r.status !== 0);
+      turns++;
+    } else if (step.sleep) {
+      Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, step.sleep);
+    }
+  }
+
+  return { finalText, turns, usage };
+}
+
+function main() {
+  const { flags, prompt } = parseArgs(process.argv.slice(2));
+
+  if (flags['--version'] || flags['-v']) {
+    console.log(VERSION);
+    return 0;
+  }
+
+  const scenario = loadScenario(process.env.FAKE_CLAUDE_SCENARIO);
+  const creds = readCredentials();
+  if (scenario.refresh !== false) refreshCredentials(creds);
+
+  if (process.env.FAKE_CLAUDE_LOG) {
+    appendFileSync(process.env.FAKE_CLAUDE_LOG, JSON.stringify({
+      argv: process.argv.slice(2), cwd: process.cwd(), prompt, token: hasToken(readCredentials()),
+    }) + '\n');
+  }
+
+  const stream = flags['--output-format'] === 'stream-json';
+  const sessionId = randomUUID();
+  const started = Date.now();
+
+  if (scenario.auth !== false && !hasToken(readCredentials())) {
+    console.log('Invalid API key · Please run /login');
+    return 1;
+  }
+
+  if (stream) {
+    process.stdout.write(JSON.stringify({
+      type: 'system', subtype: 'init', session_id: sessionId, model: 'fake-claude',
+      cwd: process.cwd(), tools: ['Bash', 'Write', 'Read'],
+    }) + '\n');
+  }
+
+  const { finalText, turns, usage } = replay(scenario, { stream, sessionId });
+  const exitCode = scenario.exitCode ?? 0;
+
+  if (scenario.stdout) process.stdout.write(scenario.stdout.endsWith('\n') ? scenario.stdout : `${scenario.stdout}\n`);
+  if (scenario.stderr) process.stderr.write(scenario.stderr.endsWith('\n') ? scenario.stderr : `${scenario.stderr}\n`);
+
+  if (stream) {
+    process.stdout.write(JSON.stringify({
+      type: 'result',
+      subtype: exitCode === 0 ? 'success' : 'error_during_execution',
+      is_error: exitCode !== 0,
+      result: finalText,
+      num_turns: turns,
+      duration_ms: Date.now() - started,
+      total_cost_usd: 0,
+      usage,
+      session_id: sessionId,
+    }) + '\n');
+  } else if (finalText) {
+    console.log(finalText);
+  }
+
+  return exitCode;
+}
+
+process.exitCode = main();
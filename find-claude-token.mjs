@@ -12,14 +12,22 @@
  *   3. ~/.claude/settings.json
  *   4. ~/.claude/settings.local.json
  *   5. All .json files in ~/.claude/ for token-like values
- *   6. macOS Keychain (security command)
+ *   6. Every credential backend (lib/credentials.mjs: Keychain, file, Secret Service,
+ *      pass, vault), plus other Keychain services an older client may have used
  *   7. Environment variables
+ *
+ * Values are shown masked; all output is redacted (lib/redact.mjs) — the Keychain dump included.
+ * To use a token, see extract-token.mjs.
  */
 
 import { readdir, readFile } from 'node:fs/promises';
 import { join } from 'node:path';
 import { homedir } from 'node:os';
-import { execSync } from 'node:child_process';
+import { runCommand, commandText } from './lib/common.mjs';
+import { credentialSources, parseSecret, describeCredential } from './lib/credentials.mjs';
+import { installRedaction } from './lib/redact.mjs';
+
+installRedaction();
 
 const CLAUDE_DIR = join(homedir(), '.claude');
 const FOUND = [];
@@ -27,7 +35,7 @@ const FOUND = [];
 // ── Helpers ──────────────────────────────────────────────
 
 function mask(token) {
-  if (!token || token.length < 20) return token;
+  if (!token || token.length < 20) return '***';
   return token.slice(0, 12) + '...' + token.slice(-6);
 }
 
@@ -182,59 +190,59 @@ try {
   console.log(`  ❌ Error: ${err.message}`);
 }
 
-// 5. macOS Keychain
-console.log('\n── 5. macOS Keychain ──');
+// 5. Credential backends — the same lookups the other scripts use (lib/credentials.mjs)
+console.log('\n── 5. Credential backends ──');
+for (const backend of credentialSources()) {
+  let cred = null;
+  try {
+    cred = parseSecret(backend.read());
+  } catch (err) {
+    console.log(`  ⚠️  ${backend.label}: ${err.message}`);
+    continue;
+  }
+  if (cred) {
+    const kind = cred.json ? 'credentials JSON' : 'bare token';
+    console.log(`  ✅ ${describeCredential({ ...cred, label: backend.label })} → ${mask(cred.accessToken)} (${kind})`);
+    FOUND.push({ source: backend.name, path: backend.label, value: cred.accessToken, length: cred.accessToken.length });
+  } else {
+    console.log(`  ❌ ${backend.label}: nothing`);
+  }
+}
+
+// Other Keychain services an older or different client may have used
 if (process.platform === 'darwin') {
   const keychainSearches = [
     'claude',
-    'claude-code', 
+    'claude-code',
     'anthropic',
     'claude.ai',
     'api.anthropic.com',
   ];
-  
+
   for (const service of keychainSearches) {
-    try {
-      const result = execSync(
-        `security find-generic-password -s "${service}" -w 2>/dev/null`,
-        { encoding: 'utf-8', timeout: 3000 }
-      ).trim();
+    for (const kind of ['generic', 'internet']) {
+      const result = commandText('security', [`find-${kind}-password`, '-s', service, '-w'], { timeout: 3000 });
       if (result) {
-        console.log(`  ✅ Keychain service="${service}" → ${mask(result)}`);
-        FOUND.push({ source: 'keychain', path: service, value: result });
+        console.log(`  ✅ Keychain ${kind}-password "${service}" → ${mask(result)}`);
+        FOUND.push({ source: 'keychain', path: service, value: result, length: result.length });
+        break;
       }
-    } catch {
-      // Not found, try internet passwords too
-      try {
-        const result = execSync(
-          `security find-internet-password -s "${service}" -w 2>/dev/null`,
-          { encoding: 'utf-8', timeout: 3000 }
-        ).trim();
-        if (result) {
-          console.log(`  ✅ Keychain internet-password "${service}" → ${mask(result)}`);
-          FOUND.push({ source: 'keychain', path: service, value: result });
-        }
-      } catch { /* not found */ }
     }
   }
-  
-  // Broader keychain dump search
-  try {
-    const dump = execSync(
-      'security dump-keychain 2>/dev/null | grep -i "claude\\|anthropic" | head -20',
-      { encoding: 'utf-8', timeout: 5000 }
-    ).trim();
-    if (dump) {
-      console.log('  🔑 Keychain entries containing "claude" or "anthropic":');
-      console.log(dump.split('\n').map(l => `     ${l.trim()}`).join('\n'));
-    } else {
-      console.log('  ❌ No claude/anthropic entries in keychain');
-    }
-  } catch {
+
+  // Broader search: entries mentioning claude or anthropic (attributes only, no secrets)
+  const dump = runCommand('security', ['dump-keychain'], { timeout: 5000 });
+  const matches = dump.stdout.split('\n').filter(line => /claude|anthropic/i.test(line)).slice(0, 20);
+  if (dump.status !== 0 && !dump.stdout) {
     console.log('  ❌ Could not search keychain dump');
+  } else if (matches.length) {
+    console.log('  🔑 Keychain entries containing "claude" or "anthropic":');
+    console.log(matches.map(l => `     ${l.trim()}`).join('\n'));
+  } else {
+    console.log('  ❌ No claude/anthropic entries in keychain');
   }
 } else {
-  console.log('  ⏭️  Not macOS, skipping keychain');
+  console.log('  ⏭️  Not macOS, skipping the other Keychain services');
 }
 
 // 6. Check ~/.config alternatives
@@ -278,7 +286,7 @@ if (FOUND.length > 0) {
   
   console.log(`💡 Best candidate for Docker injection:`);
   console.log(`   Source: ${best.source} → ${best.path}`);
-  console.log(`   Export: CLAUDE_CODE_OAUTH_TOKEN="${mask(best.value)}"`);
+  console.log(`   Export: eval "$(node extract-token.mjs --export)"`);
 } else {
   console.log('\n❌ No tokens found anywhere!\n');
   console.log('   Possible reasons:');
@@ -0,0 +1,308 @@
+// lib/batch.mjs
+// Batch runs — a suite of tasks across modes, in parallel, reported as a task × mode matrix
+//
+// `cpm batch tasks.yaml` reads a task file (YAML, or JSON):
+//
+//   name: nightly                      report title (default: the file name)
+//   modes: [docker, sandbox]           where tasks run unless they say otherwise (default: docker)
+//   concurrency:                       parallel runs per mode (default 1), or one number for all
+//     docker: 4
+//   tasks:
+//     - id: hello                      unique (default: task-<n>)
+//       prompt: Create hello.mjs ...   or promptFile: prompts/hello.md — neither: the smoke test
+//       workspace: ../my-app           or repo: <git-url>, with optional ref: main
+//       verify:                        assertions, as in a --task file (lib/verify.mjs)
+//         files: [hello.mjs]
+//       modes: [docker]                modes this task is allowed to run in
+//       egress:                        network policy (Modes A and B, lib/egress.mjs): a policy
+//         allow: [api.anthropic.com]   file, "default" or inline lists
+//       limits:                        max turns, timeout, cpus, memory, pids, disk
+//         timeout: 30m                 (lib/limits.mjs)
+//
+// --egress/--allow-host/--deny-host and --timeout etc. on the command line apply on top
+// of each task's egress:/limits:, and win over them, as they do over a single run's --task.
+//
+// Relative paths (promptFile, workspace, egress) are resolved from the task file's directory.
+//
+// Every task × mode pair is one executeRunner() call with its own workspace and
+// its own entry in the run history store. Runners declaring maxConcurrency (one
+// persistent sandbox/container) are never run more often in parallel than that.
+// cc's output isn't echoed while runs overlap — it's in `cpm runs logs <id>` — and
+// each line of a run's own output is prefixed with its task and mode.
+
+import { readFileSync } from 'node:fs';
+import { basename, dirname, extname, resolve } from 'node:path';
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { format } from 'node:util';
+import { parse as parseYaml } from 'yaml';
+import { executeRunner, getRunner, interrupted } from './runners.mjs';
+import { resolvePrompt } from './prompt.mjs';
+import { mergeVerify } from './verify.mjs';
+import { normalizeEgress, parseEgressArgs } from './egress.mjs';
+import { normalizeLimits, parseLimitArgs } from './limits.mjs';
+import { buildReport, resultStatus, modeLabel } from './report.mjs';
+
+const DEFAULT_MODES = ['docker'];
+
+function listOf(value) {
+  if (value === undefined || value === null) return null;
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(v => String(v).trim())
+    .filter(Boolean);
+}
+
+// ─────────────────────────────────────────────────────
+// Task file
+// ─────────────────────────────────────────────────────
+
+export function loadBatch(file) {
+  let raw;
+  try {
+    raw = parseYaml(readFileSync(file, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Cannot read batch file ${file}: ${err.message}`);
+  }
+  if (!Array.isArray(raw?.tasks) || raw.tasks.length === 0) {
+    throw new Error(`${file}: expected a non-empty "tasks" list`);
+  }
+
+  const dir = dirname(resolve(file));
+  const modes = listOf(raw.modes) ?? DEFAULT_MODES;
+  const ids = new Set();
+
+  const tasks = raw.tasks.map((task, i) => {
+    const id = String(task?.id ?? `task-${i + 1}`);
+    if (ids.has(id)) throw new Error(`${file}: duplicate task id "${id}"`);
+    ids.add(id);
+    if (task.workspace && task.repo) throw new Error(`${file}: task "${id}" has both workspace and repo`);
+
+    const prompt = task.prompt !== undefined ? { text: String(task.prompt) }
+      : task.promptFile ? { file: resolve(dir, task.promptFile) }
+      : {};
+    const source = task.workspace ? { path: resolve(dir, task.workspace) }
+      : task.repo ? { repo: String(task.repo) }
+      : {};
+    if (task.ref) source.ref = String(task.ref);
+
+    const egress = normalizeEgress(task.egress, dir);
+    const limits = normalizeLimits(task.limits, `${file}: task "${id}" limits`);
+    return {
+      id, prompt, source, verify: mergeVerify(task.verify), ...(egress && { egress }), ...(limits && { limits }),
+      modes: listOf(task.modes) ?? modes,
+    };
+  });
+
+  return {
+    name: raw.name ? String(raw.name) : basename(file, extname(file)),
+    modes,
+    concurrency: raw.concurrency ?? 1,
+    tasks,
+  };
+}
+
+// --concurrency 4  or  --concurrency docker=4,sandbox=1
+export function parseConcurrency(text) {
+  if (/^\d+$/.test(text)) return Number(text);
+  const limits = {};
+  for (const pair of text.split(',')) {
+    const [mode, n] = pair.split('=');
+    if (!mode || !/^\d+$/.test(n ?? '')) throw new Error(`Invalid --concurrency "${text}" (use 4 or docker=4,sandbox=1)`);
+    limits[mode.trim()] = Number(n);
+  }
+  return limits;
+}
+
+function limitFor(concurrency, mode) {
+  const n = typeof concurrency === 'object' ? concurrency[mode] ?? concurrency.default ?? 1 : concurrency;
+  return Math.max(1, Number(n) || 1);
+}
+
+// ─────────────────────────────────────────────────────
+// Scheduling
+// ─────────────────────────────────────────────────────
+
+// Which run a console line belongs to ("hello × docker"), for the runs' own output
+const runLabel = new AsyncLocalStorage();
+
+// console.log/warn/error prefix each line with the run's label while runs overlap
+// → restore()
+function prefixRunOutput() {
+  const originals = {};
+  for (const method of ['log', 'warn', 'error']) {
+    originals[method] = console[method];
+    console[method] = (...args) => {
+      const label = runLabel.getStore();
+      if (!label) return originals[method](...args);
+      return originals[method](format(...args).split('\n').map(line => (line ? `[${label}] ${line}` : line)).join('\n'));
+    };
+  }
+  return () => Object.assign(console, originals);
+}
+
+// Task × mode pairs, restricted to `modes` when given (--mode). Throws when that
+// leaves nothing to run, naming the modes each task allows.
+export function batchJobs(batch, modes = null) {
+  const jobs = batch.tasks.flatMap(task => task.modes
+    .filter(mode => !modes || modes.includes(mode))
+    .map(mode => ({ task, mode })));
+  if (!jobs.length) {
+    const allowed = batch.tasks.map(task => `${task.id} (${task.modes.join(', ')})`).join(', ');
+    throw new Error(`--mode ${modes.join(',')} matches none of the tasks' modes: ${allowed}`);
+  }
+  return jobs;
+}
+
+// One job per task × mode (restricted to `modes` when given). Each mode gets its
+// own pool of workers, so a slow remote mode doesn't hold up the local ones.
+// flags: the command line's egress and limit flags, applied on top of each task's.
+// Returns results in task order, then mode order.
+export async function runBatch(batch, {
+  modes = null,
+  concurrency = batch.concurrency,
+  runtimes = null,
+  runnerOptions = {},
+  flags = [],
+  resolveRunner = getRunner,
+} = {}) {
+  const jobs = batchJobs(batch, modes);
+  const results = new Array(jobs.length);
+  let finished = 0;
+
+  const done = (index, result) => {
+    results[index] = result;
+    finished++;
+    const { task, mode } = jobs[index];
+    const status = resultStatus(result);
+    const icon = { passed: '✅', failed: '❌', error: '💥', timeout: '⏱️ ', cancelled: '🛑', skipped: '⏭️ ' }[status] ?? '•';
+    const time = result.elapsed !== undefined ? ` (${result.elapsed}s)` : '';
+    console.log(`${icon} [${finished}/${jobs.length}] ${task.id} × ${mode}: ${status}${time}` +
+      `${result.error ? ` — ${result.error}` : ''}`);
+  };
+
+  const byMode = new Map();
+  jobs.forEach((job, index) => {
+    if (!byMode.has(job.mode)) byMode.set(job.mode, []);
+    byMode.get(job.mode).push(index);
+  });
+
+  const restoreConsole = prefixRunOutput();
+  try {
+    await Promise.all([...byMode].map(([mode, queue]) => {
+      const runner = resolveRunner(mode);
+      const unavailable = !runner ? `unknown mode "${mode}"`
+        : runtimes && runner.available && !runner.available(runtimes, runnerOptions) ? `${runner.label || mode} not available here`
+        : null;
+      if (unavailable) {
+        for (const index of queue) done(index, { mode, task: jobs[index].task.id, status: 'skipped', error: unavailable });
+        return null;
+      }
+
+      const limit = Math.min(limitFor(concurrency, mode), runner.maxConcurrency ?? Infinity);
+      console.log(`🧵 ${mode}: ${queue.length} run(s), ${limit} at a time`);
+
+      const worker = async () => {
+        while (queue.length) {
+          const index = queue.shift();
+          // After Ctrl-C (handleInterrupts) the runs in flight wind down, the rest don't start
+          done(index, interrupted()
+            ? { mode, task: jobs[index].task.id, status: 'cancelled', error: `Cancelled (${interrupted()})` }
+            : await runJob(runner, jobs[index], runnerOptions, flags));
+        }
+      };
+      return Promise.all(Array.from({ length: Math.min(limit, queue.length) }, worker));
+    }));
+  } finally {
+    restoreConsole();
+  }
+
+  return results;
+}
+
+async function runJob(runner, { task, mode }, runnerOptions, flags) {
+  try {
+    const { egress } = parseEgressArgs(flags, task.egress ?? null);
+    const { limits } = parseLimitArgs(flags, task.limits ?? null);
+    return await runLabel.run(`${task.id} × ${mode}`, () => executeRunner(runner, {
+      ...runnerOptions,
+      prompt: resolvePrompt(task.prompt),
+      source: task.source,
+      verify: task.verify ?? undefined,
+      ...(egress && { egress }),
+      ...(limits && { limits }),
+      task: task.id,
+      echo: false,
+    }));
+  } catch (err) {
+    return { mode: runner.name, task: task.id, exitCode: -1, error: err.message };
+  }
+}
+
+// ─────────────────────────────────────────────────────
+// Matrix report
+// ─────────────────────────────────────────────────────
+
+// buildReport() (one entry per run) plus matrix: { modes, tasks: [{ id, cells: { mode: i } }] },
+// i indexing report.modes — null where the task doesn't run in that mode
+export function buildMatrixReport(batch, results) {
+  const report = buildReport(results, { title: `CPM batch: ${batch.name}` });
+  const modes = [...new Set(batch.tasks.flatMap(t => t.modes))]
+    .filter(mode => report.modes.some(m => m.mode === mode));
+  const indexOf = (task, mode) => {
+    const i = report.modes.findIndex(m => m.task === task && m.mode === mode);
+    return i === -1 ? null : i;
+  };
+
+  report.matrix = {
+    modes,
+    tasks: batch.tasks.map(task => ({
+      id: task.id,
+      cells: Object.fromEntries(modes.map(mode => [mode, indexOf(task.id, mode)])),
+    })),
+  };
+  return report;
+}
+
+function cell(entry) {
+  if (!entry) return '—';
+  const time = entry.totalSeconds !== null ? ` ${entry.totalSeconds}s` : '';
+  const v = entry.verification;
+  switch (entry.status) {
+    case 'passed': return `✅${time}`;
+    case 'failed':
+      return entry.exitCode === 0 && v ? `❌ verify ${v.passed}/${v.passed + v.failed}${time}` : `❌ exit ${entry.exitCode}${time}`;
+    case 'timeout': return `⏱️ timeout${time}`;
+    case 'cancelled': return '🛑 cancelled';
+    case 'skipped': return '⏭️ skipped';
+    default: return `💥 ${entry.status}`;
+  }
+}
+
+export function renderMatrix(report) {
+  const { modes, tasks } = report.matrix;
+  const { summary } = report;
+  const problems = report.modes.filter(m => m.status !== 'passed');
+
+  return [
+    `## ${report.title}`,
+    '',
+    `Generated ${report.generatedAt} on ${report.host.hostname} (${report.host.platform} ${report.host.release}, Node ${report.host.node})`,
+    '',
+    `| Task | ${modes.map(modeLabel).join(' | ')} |`,
+    `|------|${modes.map(() => '--------').join('|')}|`,
+    ...tasks.map(t => `| ${t.id} | ${modes.map(mode => cell(report.modes[t.cells[mode]])).join(' | ')} |`),
+    '',
+    `**${summary.total} runs:** ${summary.passed} passed, ${summary.failed} failed` +
+      `${summary.skipped ? `, ${summary.skipped} skipped` : ''}`,
+    ...(problems.length ? [
+      '',
+      ...problems.map(m => {
+        const failed = m.verification?.assertions.filter(a => a.status === 'failed') ?? [];
+        const why = m.error ?? (failed.length
+          ? failed.map(a => `${a.type} ${a.target}: ${a.detail}`).join('; ')
+          : `exit code ${m.exitCode}`);
+        return `- ${m.label}: ${why}${m.runId ? ` (\`${m.runId}\`)` : ''}`;
+      }),
+    ] : []),
+    '',
+  ].join('\n');
+}
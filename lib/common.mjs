@@ -1,10 +1,14 @@
 // lib/common.mjs
-// Shared utilities for both Docker and Docker Sandbox modes
+// Shared utilities for all execution modes
 
-import { readFileSync, mkdtempSync, writeFileSync, realpathSync, chmodSync } from 'node:fs';
-import { join } from 'node:path';
-import { homedir, tmpdir } from 'node:os';
-import { execSync } from 'node:child_process';
+import {
+  readFileSync, mkdtempSync, writeFileSync, realpathSync, chmodSync,
+  cpSync, rmSync, mkdirSync, existsSync, readdirSync, statSync,
+} from 'node:fs';
+import { join, resolve, basename } from 'node:path';
+import { tmpdir } from 'node:os';
+import { spawn, spawnSync } from 'node:child_process';
+import { containsKnownSecret } from './redact.mjs';
 
 // ─────────────────────────────────────────────────────
 // Test prompt — cc will execute this inside the container
@@ -23,191 +27,208 @@ Show me the output.
 `.trim();
 
 // ─────────────────────────────────────────────────────
-// Token Resolution (for plain Docker mode)
-// Checks in order:
-//   1. CLAUDE_CODE_OAUTH_TOKEN env var / .env
-//   2. macOS Keychain ("Claude Code-credentials")
-//   3. Legacy ~/.claude/.credentials.json (older cc versions)
+// Command execution — the single seam for every CLI call
+// (docker, fly, incus, security, ssh, claude, git clone, ...)
+//
+//   runCommand(cmd, args, options)   → { status, stdout, stderr, error }, never throws for a
+//                                      failing command (spawnSync options: input, timeout, stdio, cwd, env)
+//   spawnCommand(cmd, args, options) → ChildProcess, for streamed output (cc, detached cpm)
+//   commandText(cmd, args, options)  → trimmed stdout, or null if the command failed
+//
+// setCommandExecutor({ run, spawn }) swaps the implementation — tests replay recorded
+// CLI output through it. Returns a function that restores the previous executor.
+//
+// Both throw, before anything runs, when an argument holds a secret (lib/redact.mjs):
+// argv is visible to every user on the host. Secrets go on stdin or into a 0600 file
+// (lib/secret-delivery.mjs).
 // ─────────────────────────────────────────────────────
 
-const KEYCHAIN_SERVICE = 'Claude Code-credentials';
-const AUTO_RENEW_THRESHOLD_HOURS = 2;
+const defaultExecutor = {
+  run: (command, args, options) =>
+    spawnSync(command, args, { encoding: 'utf-8', maxBuffer: 64 * 1024 * 1024, ...options }),
+  spawn: (command, args, options) => spawn(command, args, options),
+};
 
-function checkExpiry(expiresAt, source) {
-  const hoursLeft = ((expiresAt - Date.now()) / 3600000).toFixed(1);
-  if (hoursLeft <= 0) {
-    console.error(`❌ OAuth token expired (from ${source}). Run "claude" to refresh.`);
-    process.exit(1);
-  }
-  return hoursLeft;
-}
+let executor = defaultExecutor;
 
-// Read current token expiry from Keychain (macOS) or .credentials.json (Linux/fallback)
-function getTokenExpiry() {
-  if (process.platform === 'darwin') {
-    try {
-      const raw = execSync(
-        `security find-generic-password -s "${KEYCHAIN_SERVICE}" -w`,
-        { encoding: 'utf-8', timeout: 10000, stdio: ['pipe', 'pipe', 'pipe'] }
-      ).trim();
-      const expiresAt = JSON.parse(raw)?.claudeAiOauth?.expiresAt;
-      if (expiresAt) return expiresAt;
-    } catch { /* fall through */ }
-  }
-  try {
-    const raw = readFileSync(join(homedir(), '.claude', '.credentials.json'), 'utf-8');
-    const expiresAt = JSON.parse(raw)?.claudeAiOauth?.expiresAt;
-    if (expiresAt) return expiresAt;
-  } catch { /* fall through */ }
-  return null;
+export function setCommandExecutor(overrides) {
+  const previous = executor;
+  executor = { ...defaultExecutor, ...overrides };
+  return () => { executor = previous; };
 }
 
-// Auto-renew by running `claude -p "hi"` — CC refreshes OAuth token before the API call
-// and persists the new token to Keychain (macOS) or .credentials.json (Linux).
-// Skipped when using CLAUDE_CODE_OAUTH_TOKEN env var (externally managed token).
-function findClaudeBinary() {
-  const candidates = [
-    'claude',                          // already in PATH
-    `${homedir()}/.local/bin/claude`,  // npm global on Linux (NodeSource install)
-    '/usr/local/bin/claude',           // npm global (root install)
-    `${homedir()}/.npm-global/bin/claude`,
-  ];
-  for (const bin of candidates) {
-    try {
-      execSync(`"${bin}" --version`, { stdio: 'pipe', timeout: 5000 });
-      return bin;
-    } catch { /* try next */ }
+function checkCommandLine(command, args) {
+  if (args.some(arg => containsKnownSecret(String(arg)))) {
+    throw new Error(`Refusing to run ${command}: a secret would be visible in its command line`);
   }
-  return null;
 }
 
-function autoRenewIfNeeded() {
-  if (process.env.CLAUDE_CODE_OAUTH_TOKEN) return;
+export function runCommand(command, args = [], options = {}) {
+  checkCommandLine(command, args);
+  const r = executor.run(command, args, options);
+  return { status: r.status ?? null, stdout: r.stdout ?? '', stderr: r.stderr ?? '', error: r.error ?? null };
+}
 
-  const expiresAt = getTokenExpiry();
-  if (!expiresAt) return;
+export function spawnCommand(command, args = [], options = {}) {
+  checkCommandLine(command, args);
+  return executor.spawn(command, args, options);
+}
 
-  const hoursLeft = (expiresAt - Date.now()) / 3600000;
-  if (hoursLeft > AUTO_RENEW_THRESHOLD_HOURS) return;
+export function commandText(command, args = [], options = {}) {
+  const r = runCommand(command, args, options);
+  return r.status === 0 ? r.stdout.trim() || null : null;
+}
 
-  const status = hoursLeft <= 0 ? 'expired' : `${hoursLeft.toFixed(1)}h remaining`;
-  console.log(`🔄 Token ${status} — auto-renewing via claude...`);
+// ─────────────────────────────────────────────────────
+// Workspace Setup
+// ─────────────────────────────────────────────────────
 
-  const claude = findClaudeBinary();
-  if (!claude) {
-    if (hoursLeft <= 0) {
-      console.error('❌ claude binary not found and token is expired. Run "claude" manually.');
-      process.exit(1);
-    }
-    console.warn(`⚠️  claude binary not found — ${hoursLeft.toFixed(1)}h remaining, proceeding`);
-    return;
+// Where the workspace comes from (all optional, parsed from the CLI):
+//   { path: '../my-app' }                      copy an existing project
+//   { repo: 'https://…/x.git', ref: 'main' }  clone a git repository
+//   {}                                         empty project (smoke test)
+// The original is never touched — cc always works on an isolated copy.
+export function parseWorkspaceArgs(args) {
+  const source = {};
+  const rest = [];
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--workspace' && args[i + 1]) source.path = resolve(args[++i]);
+    else if (args[i] === '--repo' && args[i + 1]) source.repo = args[++i];
+    else if (args[i] === '--ref' && args[i + 1]) source.ref = args[++i];
+    else rest.push(args[i]);
   }
 
-  try {
-    execSync(`"${claude}" -p "hi" --output-format text --max-turns 1`, {
-      timeout: 30000,
-      stdio: 'pipe',
-    });
-    console.log('✅ Token renewed');
-  } catch {
-    if (hoursLeft <= 0) {
-      console.error('❌ Auto-renewal failed and token is expired. Run "claude" manually.');
-      process.exit(1);
-    }
-    console.warn(`⚠️  Auto-renewal failed — ${hoursLeft.toFixed(1)}h remaining, proceeding`);
-  }
+  if (source.path && source.repo) throw new Error('Use either --workspace or --repo, not both');
+  return { source, rest };
 }
 
-export function resolveToken() {
-  // Auto-renew if expired or expiring within threshold (skipped for env var tokens)
-  autoRenewIfNeeded();
-  // Priority 1: Environment variable (from .env or export)
-  if (process.env.CLAUDE_CODE_OAUTH_TOKEN) {
-    console.log('🔑 Token source: environment variable');
-    return process.env.CLAUDE_CODE_OAUTH_TOKEN;
-  }
+export function describeSource(source = {}) {
+  if (source.repo) return `${source.repo}${source.ref ? ` @ ${source.ref}` : ''}`;
+  if (source.path) return `${source.path}${source.ref ? ` @ ${source.ref}` : ''} (copy)`;
+  return 'empty project';
+}
 
-  // Priority 2: macOS Keychain (Claude Code 2025+)
-  if (process.platform === 'darwin') {
-    try {
-      const raw = execSync(
-        `security find-generic-password -s "${KEYCHAIN_SERVICE}" -w`,
-        { encoding: 'utf-8', timeout: 10000, stdio: ['pipe', 'pipe', 'pipe'] }
-      ).trim();
-
-      const creds = JSON.parse(raw);
-      const oauth = creds?.claudeAiOauth;
-
-      if (oauth?.accessToken) {
-        const hoursLeft = checkExpiry(oauth.expiresAt, 'Keychain');
-        console.log(`🔑 Token source: macOS Keychain (${hoursLeft}h remaining, ${oauth.subscriptionType})`);
-        return oauth.accessToken;
-      }
-    } catch {
-      // Keychain entry not found or not parseable — fall through
-    }
-  }
+// Progress/errors go straight to the terminal; throws on a non-zero exit
+function mustRun(command, args) {
+  const r = runCommand(command, args, { stdio: ['ignore', 'inherit', 'inherit'] });
+  if (r.status !== 0) throw new Error(`${[command, ...args].join(' ')} failed${r.error ? `: ${r.error.message}` : ''}`);
+}
 
-  // Priority 3: Legacy credentials file (older cc versions)
-  const credPath = join(homedir(), '.claude', '.credentials.json');
-  try {
-    const creds = JSON.parse(readFileSync(credPath, 'utf-8'));
-    const oauth = creds?.claudeAiOauth;
+// A ref git would take for an option (--ref --upload-pack=…) is refused; the repo
+// goes after `--` for the same reason
+export function checkGitRef(ref) {
+  if (String(ref).startsWith('-')) throw new Error(`Invalid git ref "${ref}": refs can't start with "-"`);
+}
 
-    if (oauth?.accessToken) {
-      const hoursLeft = checkExpiry(oauth.expiresAt, '.credentials.json');
-      console.log(`🔑 Token source: ~/.claude/.credentials.json (${hoursLeft}h remaining)`);
-      return oauth.accessToken;
-    }
-  } catch {
-    // File not found or not parseable — fall through
+function populateWorkspace(dir, source) {
+  if (source.repo) {
+    console.log(`📥 Cloning ${source.repo}...`);
+    mustRun('git', ['clone', '--quiet', '--', source.repo, dir]);
+  } else if (source.path) {
+    if (!existsSync(source.path)) throw new Error(`Workspace not found: ${source.path}`);
+    console.log(`📋 Copying ${source.path}...`);
+    // node_modules is skipped: cc runs on another OS/arch, native deps would be wrong anyway
+    cpSync(source.path, dir, {
+      recursive: true,
+      filter: (src) => basename(src) !== 'node_modules',
+    });
+  } else {
+    writeFileSync(join(dir, 'package.json'), JSON.stringify({
+      name: 'docker-test-project',
+      version: '1.0.0',
+      type: 'module'
+    }, null, 2));
+    return;
   }
 
-  // Nothing found
-  console.error('❌ No OAuth token found. Options:');
-  console.error('   1. Run "claude" in terminal to authenticate (stores in Keychain)');
-  console.error('   2. Set CLAUDE_CODE_OAUTH_TOKEN in .env');
-  console.error('   3. Run "node extract-token.mjs --export" and eval the output');
-  process.exit(1);
+  if (source.ref) {
+    mustRun('git', ['-C', dir, 'checkout', '--quiet', source.ref]);
+  }
 }
 
-// ─────────────────────────────────────────────────────
-// Workspace Setup
-// ─────────────────────────────────────────────────────
+const WORKSPACE_PREFIX = 'cc-docker-demo-';
+
+// options.dir: populate a fixed directory instead of a fresh temp dir
+// (Mode B's persistent sandbox is bound to one path). It is emptied first.
+export function createWorkspace(source = {}, options = {}) {
+  if (source.ref) checkGitRef(source.ref);
+  let dir = options.dir;
+  if (dir) {
+    rmSync(dir, { recursive: true, force: true });
+    mkdirSync(dir, { recursive: true });
+  } else {
+    // On macOS, os.tmpdir() returns /var/folders/... which Docker Sandbox cannot
+    // sync into the microVM (not in Docker Desktop's file sharing config).
+    // /tmp on macOS resolves to /private/tmp, which IS accessible in Docker.
+    const base = process.platform === 'darwin' ? realpathSync('/tmp') : tmpdir();
+    dir = mkdtempSync(join(base, WORKSPACE_PREFIX));
+  }
 
-export function createWorkspace() {
-  // On macOS, os.tmpdir() returns /var/folders/... which Docker Sandbox cannot
-  // sync into the microVM (not in Docker Desktop's file sharing config).
-  // /tmp on macOS resolves to /private/tmp, which IS accessible in Docker.
-  const base = process.platform === 'darwin' ? realpathSync('/tmp') : tmpdir();
-  const dir = mkdtempSync(join(base, 'cc-docker-demo-'));
-  // On Linux, mkdtempSync creates with 0700. Docker's agent user can't write
-  // to a directory owned by the host user. Make it world-writable.
-  if (process.platform !== 'darwin') chmodSync(dir, 0o777);
+  populateWorkspace(dir, source);
 
-  writeFileSync(join(dir, 'package.json'), JSON.stringify({
-    name: 'docker-test-project',
-    version: '1.0.0',
-    type: 'module'
-  }, null, 2));
+  // On Linux, mkdtempSync creates with 0700. Docker's agent user can't write
+  // to a directory owned by the host user. Make it world-writable — including
+  // copied/cloned files, which keep the host user's ownership.
+  if (process.platform !== 'darwin') {
+    chmodSync(dir, 0o777);
+    if (source.path || source.repo) mustRun('chmod', ['-R', 'a+rwX', dir]);
+  }
 
   console.log(`📁 Workspace: ${dir}`);
+  if (source.path || source.repo) console.log(`   Source:    ${describeSource(source)}`);
   return dir;
 }
 
+// Remove a temp workspace createWorkspace() made (cancelled runs). Fixed options.dir
+// workspaces are left alone — they're emptied by the next run. → removed?
+export function removeWorkspace(dir) {
+  if (!basename(dir).startsWith(WORKSPACE_PREFIX)) return false;
+  rmSync(dir, { recursive: true, force: true });
+  return true;
+}
+
 // ─────────────────────────────────────────────────────
 // Post-run: show workspace contents
 // ─────────────────────────────────────────────────────
 
+// path → "mtime:size" for every file in the workspace (skips .git, node_modules)
+export function snapshotFiles(dir) {
+  const files = new Map();
+  const walk = (rel) => {
+    let entries;
+    try {
+      entries = readdirSync(join(dir, rel), { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries) {
+      if (entry.name === '.git' || entry.name === 'node_modules') continue;
+      const path = rel ? `${rel}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) walk(path);
+      else if (entry.isFile()) {
+        const st = statSync(join(dir, path));
+        files.set(path, `${st.mtimeMs}:${st.size}`);
+      }
+    }
+  };
+  walk('');
+  return files;
+}
+
+// What cc produced: files added/modified/deleted between two snapshots
+export function diffSnapshots(before, after) {
+  const added = [...after.keys()].filter(p => !before.has(p));
+  const modified = [...after.keys()].filter(p => before.has(p) && before.get(p) !== after.get(p));
+  const deleted = [...before.keys()].filter(p => !after.has(p));
+  return { added, modified, deleted };
+}
+
 export function showWorkspaceResults(workspace) {
   console.log('');
   console.log('📁 Files in workspace after cc execution:');
-  try {
-    const files = execSync(`ls -la ${workspace}`).toString();
-    console.log(files);
-  } catch {
-    console.log('   (could not list files)');
-  }
+  const files = commandText('ls', ['-la', workspace]);
+  console.log(files ?? '   (could not list files)');
 
   // Show the generated file if it exists
   try {
@@ -222,53 +243,315 @@ export function showWorkspaceResults(workspace) {
 }
 
 // ─────────────────────────────────────────────────────
-// Runtime detection
+// Runner helpers — shared by every mode (see lib/runners.mjs)
 // ─────────────────────────────────────────────────────
 
-export function detectRuntimes() {
-  const runtimes = {};
+// True if the command ("docker sandbox version") exits 0 — used by runners' availability probes
+export function probe(command) {
+  const [cmd, ...args] = command.split(' ');
+  return runCommand(cmd, args, { stdio: 'pipe', timeout: 30000 }).status === 0;
+}
+
+export function printModeBanner(lines) {
+  console.log('');
+  console.log('╔══════════════════════════════════════════════════╗');
+  for (const line of lines) console.log(`║  ${line.padEnd(48)}║`);
+  console.log('╚══════════════════════════════════════════════════╝');
+  console.log('');
+}
 
-  // Check plain Docker
+export function printSection(title) {
+  console.log('─'.repeat(60));
+  console.log(`  ${title}`);
+  console.log('─'.repeat(60));
+  console.log('');
+}
+
+// Sortable, unique-enough id per run: 20261019-230501-docker-k3f9
+export function makeRunId(mode) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  return `${stamp}-${mode}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+// Signal 0 only checks: EPERM means it exists but belongs to someone else
+export function isProcessAlive(pid) {
   try {
-    execSync('docker --version 2>/dev/null', { stdio: 'pipe' });
-    runtimes.docker = true;
-  } catch {
-    runtimes.docker = false;
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
   }
+}
 
-  // Check Docker Sandbox support (Docker Desktop 4.58+)
-  try {
-    execSync('docker sandbox version 2>/dev/null', { stdio: 'pipe' });
-    runtimes.sandbox = true;
-  } catch {
-    runtimes.sandbox = false;
+export function elapsedSince(startTime) {
+  return ((Date.now() - startTime) / 1000).toFixed(1);
+}
+
+// Spawn a process and stream its stdout live while buffering both streams.
+// onStdout(text) replaces the default echo (e.g. a stream-json parser);
+// formatStderr(text) decides what (if anything) of stderr is echoed;
+// input is written to the process's stdin, which is closed after it;
+// signal (an AbortSignal) kills the process when it aborts.
+const KILL_GRACE_MS = 5000;
+
+export function spawnAndStream(command, args, {
+  onStdout = (text) => process.stdout.write(text),
+  formatStderr = (text) => text,
+  input = null,
+  signal = null,
+} = {}) {
+  return new Promise((resolve, reject) => {
+    let stdout = '';
+    let stderr = '';
+    let killTimer = null;
+
+    const proc = spawnCommand(command, args, { stdio: [input === null ? 'ignore' : 'pipe', 'pipe', 'pipe'] });
+    if (input !== null) proc.stdin.end(input);
+
+    // Aborted (--timeout): SIGTERM, then SIGKILL if it doesn't go within KILL_GRACE_MS
+    const abort = () => {
+      proc.kill('SIGTERM');
+      killTimer = setTimeout(() => proc.kill('SIGKILL'), KILL_GRACE_MS);
+      killTimer.unref?.();
+    };
+    if (signal?.aborted) abort();
+    else signal?.addEventListener('abort', abort, { once: true });
+
+    proc.stdout.on('data', (chunk) => {
+      const text = chunk.toString();
+      stdout += text;
+      onStdout(text);
+    });
+
+    proc.stderr.on('data', (chunk) => {
+      const text = chunk.toString();
+      stderr += text;
+      const shown = formatStderr(text);
+      if (shown) process.stderr.write(shown);
+    });
+
+    proc.on('close', (code) => {
+      clearTimeout(killTimer);
+      signal?.removeEventListener('abort', abort);
+      resolve({ code, stdout, stderr });
+    });
+    proc.on('error', (err) => reject(new Error(`Failed to spawn ${command}: ${err.message}`)));
+  });
+}
+
+// Run a process to completion without echoing → { code, stdout, stderr }
+// (verification commands inside a runner's isolation)
+export function spawnCapture(command, args, { timeout } = {}) {
+  const r = runCommand(command, args, { timeout });
+  if (r.error) {
+    const reason = r.error.code === 'ETIMEDOUT' ? `timed out after ${timeout / 1000}s` : r.error.message;
+    return { code: -1, stdout: r.stdout ?? '', stderr: reason };
   }
+  return { code: r.status ?? -1, stdout: r.stdout, stderr: r.stderr };
+}
 
-  // Check Podman
-  try {
-    execSync('podman --version 2>/dev/null', { stdio: 'pipe' });
-    runtimes.podman = true;
-  } catch {
-    runtimes.podman = false;
+// ─────────────────────────────────────────────────────
+// cc output formats — text (echoed as-is) or stream-json (parsed events)
+// ─────────────────────────────────────────────────────
+
+export const OUTPUT_FORMATS = ['text', 'stream-json'];
+
+// --output-format <text|stream-json>, --stream-json as shorthand
+export function parseOutputArgs(args) {
+  let outputFormat = 'text';
+  const rest = [];
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--output-format' && args[i + 1]) outputFormat = args[++i];
+    else if (args[i] === '--stream-json') outputFormat = 'stream-json';
+    else rest.push(args[i]);
   }
 
-  // Check fly CLI (fly.io remote execution)
-  try {
-    execSync('fly version 2>/dev/null', { stdio: 'pipe' });
-    runtimes.fly = true;
-  } catch {
-    runtimes.fly = false;
+  if (!OUTPUT_FORMATS.includes(outputFormat)) {
+    throw new Error(`Unknown --output-format "${outputFormat}" (use ${OUTPUT_FORMATS.join(' | ')})`);
   }
+  return { outputFormat, rest };
+}
+
+// cc flags for the chosen format (-p with stream-json requires --verbose)
+export function ccOutputArgs(outputFormat = 'text') {
+  return outputFormat === 'stream-json'
+    ? ['--output-format', 'stream-json', '--verbose']
+    : ['--output-format', 'text'];
+}
 
-  // Check code-on-incus (koi) — Mode D: Incus system container isolation
-  // Open-source alternative to Docker Sandbox; persistent state, UID mapping
-  // On macOS: requires K Lima → Incus → koi (inception-style nesting)
-  // https://github.com/code-on-incus/koi
+// Event model — each stream-json line becomes zero or more of:
+//   { kind: 'init',        sessionId, model, cwd, tools }
+//   { kind: 'text',        text }                           assistant prose
+//   { kind: 'tool_use',    id, name, input }
+//   { kind: 'tool_result', toolUseId, isError, content }    content flattened to text
+//   { kind: 'usage',       usage }                          per assistant message
+//   { kind: 'result',      subtype, isError, text, turns, durationMs, costUsd, usage, sessionId }
+//   { kind: 'raw',         line }                           anything that isn't an event
+export function parseStreamLine(line) {
+  const start = line.indexOf('{');   // tolerate log prefixes (e.g. machine log lines)
+  if (start === -1) return line.trim() ? [{ kind: 'raw', line }] : [];
+
+  let msg;
   try {
-    execSync('koi --version 2>/dev/null', { stdio: 'pipe' });
-    runtimes.incus = true;
+    msg = JSON.parse(line.slice(start));
   } catch {
-    runtimes.incus = false;
+    return [{ kind: 'raw', line }];
+  }
+
+  switch (msg.type) {
+    case 'system':
+      return msg.subtype === 'init'
+        ? [{ kind: 'init', sessionId: msg.session_id, model: msg.model, cwd: msg.cwd, tools: msg.tools ?? [] }]
+        : [];
+
+    case 'assistant': {
+      const events = [];
+      for (const block of msg.message?.content ?? []) {
+        if (block.type === 'text') events.push({ kind: 'text', text: block.text });
+        if (block.type === 'tool_use') events.push({ kind: 'tool_use', id: block.id, name: block.name, input: block.input ?? {} });
+      }
+      if (msg.message?.usage) events.push({ kind: 'usage', usage: msg.message.usage });
+      return events;
+    }
+
+    case 'user':
+      return (Array.isArray(msg.message?.content) ? msg.message.content : [])
+        .filter(block => block.type === 'tool_result')
+        .map(block => ({
+          kind: 'tool_result',
+          toolUseId: block.tool_use_id,
+          isError: Boolean(block.is_error),
+          content: Array.isArray(block.content)
+            ? block.content.map(c => c.text ?? '').join('\n')
+            : String(block.content ?? ''),
+        }));
+
+    case 'result':
+      return [{
+        kind: 'result',
+        subtype: msg.subtype,
+        isError: Boolean(msg.is_error),
+        text: msg.result ?? '',
+        turns: msg.num_turns ?? null,
+        durationMs: msg.duration_ms ?? null,
+        costUsd: msg.total_cost_usd ?? msg.cost_usd ?? null,
+        usage: msg.usage ?? null,
+        sessionId: msg.session_id,
+      }];
+
+    default:
+      return [];
+  }
+}
+
+// Line-buffered parser: push() stdout chunks, every event goes to onEvent
+export function createStreamParser(onEvent) {
+  const events = [];
+  let buffer = '';
+
+  const emit = (line) => {
+    for (const event of parseStreamLine(line)) {
+      events.push(event);
+      onEvent?.(event);
+    }
+  };
+
+  return {
+    events,
+    push(chunk) {
+      buffer += chunk;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(emit);
+    },
+    end() {
+      if (buffer) emit(buffer);
+      buffer = '';
+      return events;
+    },
+  };
+}
+
+function summarizeToolInput(input) {
+  const value = input.command ?? input.file_path ?? input.path ?? input.pattern ?? input.url ?? JSON.stringify(input);
+  return String(value).split('\n')[0].slice(0, 80);
+}
+
+// Console renderer for parsed events
+export function renderStreamEvent(event) {
+  switch (event.kind) {
+    case 'init':
+      console.log(`⚙️  Session ${event.sessionId ?? '?'} (${event.model ?? 'model?'}, ${event.tools.length} tools)`);
+      break;
+    case 'text':
+      console.log(event.text);
+      break;
+    case 'tool_use':
+      console.log(`🔧 ${event.name}: ${summarizeToolInput(event.input)}`);
+      break;
+    case 'tool_result': {
+      const first = event.content.trim().split('\n')[0]?.slice(0, 100) ?? '';
+      console.log(`   ${event.isError ? '↳ ❌' : '↳'} ${first}`);
+      break;
+    }
+    case 'result':
+      console.log('');
+      console.log(`📊 ${event.subtype ?? 'result'}: ${event.turns ?? '?'} turns` +
+        (event.usage ? ` · ${event.usage.input_tokens ?? 0} in / ${event.usage.output_tokens ?? 0} out tokens` : '') +
+        (event.costUsd != null ? ` · $${event.costUsd.toFixed(4)}` : ''));
+      break;
+    case 'raw':
+      console.log(event.line);
+      break;
+  }
+}
+
+// Totals across a run — what reports and the run history store
+export function summarizeStream(events) {
+  const result = events.findLast(e => e.kind === 'result');
+  const toolCalls = {};
+  for (const e of events) {
+    if (e.kind === 'tool_use') toolCalls[e.name] = (toolCalls[e.name] ?? 0) + 1;
+  }
+
+  // Prefer the final result's totals; fall back to summing per-message usage
+  const usage = result?.usage ?? events
+    .filter(e => e.kind === 'usage')
+    .reduce((sum, { usage }) => ({
+      input_tokens: sum.input_tokens + (usage.input_tokens ?? 0),
+      output_tokens: sum.output_tokens + (usage.output_tokens ?? 0),
+    }), { input_tokens: 0, output_tokens: 0 });
+
+  return {
+    sessionId: result?.sessionId ?? events.find(e => e.kind === 'init')?.sessionId ?? null,
+    subtype: result?.subtype ?? null,
+    isError: result?.isError ?? null,
+    turns: result?.turns ?? events.filter(e => e.kind === 'usage').length,
+    toolCalls,
+    toolErrors: events.filter(e => e.kind === 'tool_result' && e.isError).length,
+    usage,
+    costUsd: result?.costUsd ?? null,
+    resultText: result?.text ?? null,
+  };
+}
+
+// ─────────────────────────────────────────────────────
+// Runtime detection
+// ─────────────────────────────────────────────────────
+
+// Merge every registered runner's own availability probe into one map,
+// e.g. { docker: true, podman: false, sandbox: true, fly: false }
+export function detectRuntimes(runners = []) {
+  const runtimes = {};
+
+  for (const runner of runners) {
+    if (typeof runner.detect !== 'function') continue;
+    try {
+      Object.assign(runtimes, runner.detect());
+    } catch {
+      runtimes[runner.name] = false;
+    }
   }
 
   return runtimes;
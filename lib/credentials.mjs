@@ -0,0 +1,392 @@
+// lib/credentials.mjs
+// Credential provider — where the Claude login comes from, for every script
+//
+// Backends, tried in this order (CPM_CREDENTIAL_SOURCES=keychain,file picks and
+// orders them; registerCredentialBackend() adds more):
+//
+//   env             CLAUDE_CODE_OAUTH_TOKEN (from .env or export) — a bare token, externally managed
+//   keychain        macOS Keychain "Claude Code-credentials" — where cc keeps its login
+//   file            ~/.claude/.credentials.json — cc on Linux, older cc on macOS
+//   secret-service  Linux Secret Service (GNOME Keyring, KWallet) via secret-tool
+//   pass            the `pass` password store, entry $CPM_PASS_ENTRY (only when set)
+//   vault           $CPM_HOME/credentials.vault, AES-256-GCM with a key derived from
+//                   $CPM_VAULT_PASSPHRASE (only when both exist)
+//
+// A backend holds either cc's credentials JSON ({ claudeAiOauth: {...} }) or a bare
+// access token. Either way readCredentials() returns the same shape:
+//
+//   { source, label, renewable, accessToken, refreshToken, expiresAt, subscriptionType,
+//     rateLimitTier, scopes, json }
+//
+// json is the credentials JSON (null for bare tokens) — what Mode B/D inject into a
+// VM. renewable: `claude -p "hi"` on this machine refreshes it in place (keychain,
+// file). Backends with write() (secret-service, pass, vault) can be filled from
+// another source: node extract-token.mjs --store <backend>.
+
+import { readFileSync, writeFileSync, mkdirSync, existsSync } from 'node:fs';
+import { join, dirname } from 'node:path';
+import { homedir } from 'node:os';
+import { randomBytes, scryptSync, createCipheriv, createDecipheriv } from 'node:crypto';
+import { runCommand, commandText } from './common.mjs';
+import { registerSecret } from './redact.mjs';
+import { DELIVERY_METHODS } from './secret-delivery.mjs';
+
+const KEYCHAIN_SERVICE = 'Claude Code-credentials';
+const AUTO_RENEW_THRESHOLD_HOURS = 2;
+export const AUTO_RENEW_THRESHOLD_MS = AUTO_RENEW_THRESHOLD_HOURS * 3600 * 1000;
+
+// ─────────────────────────────────────────────────────
+// Backends
+// ─────────────────────────────────────────────────────
+
+// cc's credentials JSON or a bare token → the common shape (null if it holds neither)
+export function parseSecret(text) {
+  const trimmed = text?.trim();
+  if (!trimmed) return null;
+  if (!trimmed.startsWith('{')) {
+    const token = trimmed.split('\n')[0].trim();   // pass convention: the secret is line one
+    return { accessToken: token, refreshToken: null, expiresAt: null, json: null };
+  }
+  try {
+    const oauth = JSON.parse(trimmed)?.claudeAiOauth;
+    if (!oauth?.accessToken) return null;
+    return {
+      accessToken: oauth.accessToken,
+      refreshToken: oauth.refreshToken ?? null,
+      expiresAt: oauth.expiresAt ?? null,
+      subscriptionType: oauth.subscriptionType ?? null,
+      rateLimitTier: oauth.rateLimitTier ?? null,
+      scopes: oauth.scopes ?? null,
+      json: trimmed,
+    };
+  } catch {
+    return null;   // not parseable — fall through to the next backend
+  }
+}
+
+function credentialsFile() {
+  return join(homedir(), '.claude', '.credentials.json');
+}
+
+function vaultFile() {
+  return process.env.CPM_VAULT_FILE || join(process.env.CPM_HOME || join(homedir(), '.cpm'), 'credentials.vault');
+}
+
+// Vault: { v, kdf, salt, iv, tag, data } — all base64, AES-256-GCM, key = scrypt(passphrase, salt)
+function vaultKey(salt) {
+  const passphrase = process.env.CPM_VAULT_PASSPHRASE;
+  if (!passphrase) throw new Error('CPM_VAULT_PASSPHRASE is not set');
+  return scryptSync(passphrase, salt, 32, { N: 2 ** 14, r: 8, p: 1 });
+}
+
+export function sealVault(plaintext) {
+  const salt = randomBytes(16);
+  const iv = randomBytes(12);
+  const cipher = createCipheriv('aes-256-gcm', vaultKey(salt), iv);
+  const data = Buffer.concat([cipher.update(plaintext, 'utf-8'), cipher.final()]);
+  const b64 = (buf) => buf.toString('base64');
+  return JSON.stringify({ v: 1, kdf: 'scrypt', salt: b64(salt), iv: b64(iv), tag: b64(cipher.getAuthTag()), data: b64(data) });
+}
+
+export function openVault(sealed) {
+  const vault = JSON.parse(sealed);
+  const buf = (b64) => Buffer.from(b64, 'base64');
+  const decipher = createDecipheriv('aes-256-gcm', vaultKey(buf(vault.salt)), buf(vault.iv));
+  decipher.setAuthTag(buf(vault.tag));
+  try {
+    return Buffer.concat([decipher.update(buf(vault.data)), decipher.final()]).toString('utf-8');
+  } catch {
+    throw new Error(`Cannot decrypt ${vaultFile()} — wrong CPM_VAULT_PASSPHRASE?`);
+  }
+}
+
+const backends = new Map();
+
+// { name, label, renewable, read() → secret text or null, write?(text) }
+export function registerCredentialBackend(backend) {
+  if (!backend?.name || typeof backend.read !== 'function') {
+    throw new Error('Credential backend needs a name and a read() function');
+  }
+  backends.set(backend.name, backend);
+  return backend;
+}
+
+registerCredentialBackend({
+  name: 'env',
+  label: 'environment variable',
+  read: () => process.env.CLAUDE_CODE_OAUTH_TOKEN || null,
+});
+
+registerCredentialBackend({
+  name: 'keychain',
+  label: 'macOS Keychain',
+  renewable: true,
+  read() {
+    if (process.platform !== 'darwin') return null;
+    return commandText('security', ['find-generic-password', '-s', KEYCHAIN_SERVICE, '-w'], { timeout: 10000 });
+  },
+});
+
+registerCredentialBackend({
+  name: 'file',
+  label: '~/.claude/.credentials.json',
+  renewable: true,
+  read() {
+    try {
+      return readFileSync(credentialsFile(), 'utf-8');
+    } catch {
+      return null;
+    }
+  },
+});
+
+registerCredentialBackend({
+  name: 'secret-service',
+  label: 'Secret Service',
+  read() {
+    if (process.platform !== 'linux') return null;
+    return commandText('secret-tool', ['lookup', 'service', KEYCHAIN_SERVICE], { timeout: 10000 });
+  },
+  write(text) {
+    const r = runCommand('secret-tool', ['store', '--label', 'Claude Code credentials', 'service', KEYCHAIN_SERVICE], {
+      input: text, timeout: 30000,
+    });
+    if (r.status !== 0) throw new Error(`secret-tool store failed: ${r.stderr.trim() || r.error?.message}`);
+  },
+});
+
+registerCredentialBackend({
+  name: 'pass',
+  label: 'pass',
+  read() {
+    const entry = process.env.CPM_PASS_ENTRY;
+    return entry ? commandText('pass', ['show', entry], { timeout: 30000 }) : null;
+  },
+  write(text) {
+    const entry = process.env.CPM_PASS_ENTRY;
+    if (!entry) throw new Error('Set CPM_PASS_ENTRY to the pass entry to use (e.g. claude/credentials)');
+    const r = runCommand('pass', ['insert', '--multiline', '--force', entry], { input: text, timeout: 30000 });
+    if (r.status !== 0) throw new Error(`pass insert failed: ${r.stderr.trim() || r.error?.message}`);
+  },
+});
+
+registerCredentialBackend({
+  name: 'vault',
+  label: 'encrypted vault',
+  read() {
+    if (!process.env.CPM_VAULT_PASSPHRASE || !existsSync(vaultFile())) return null;
+    return openVault(readFileSync(vaultFile(), 'utf-8'));
+  },
+  write(text) {
+    mkdirSync(dirname(vaultFile()), { recursive: true });
+    writeFileSync(vaultFile(), sealVault(text), { mode: 0o600 });
+  },
+});
+
+export function getCredentialBackend(name) {
+  const backend = backends.get(name);
+  if (!backend) throw new Error(`Unknown credential source "${name}". Known: ${[...backends.keys()].join(', ')}`);
+  return backend;
+}
+
+// Backends in lookup order: CPM_CREDENTIAL_SOURCES, else all of them as registered
+export function credentialSources() {
+  const names = (process.env.CPM_CREDENTIAL_SOURCES || '').split(',').map(s => s.trim()).filter(Boolean);
+  return names.length ? names.map(getCredentialBackend) : [...backends.values()];
+}
+
+// ─────────────────────────────────────────────────────
+// Lookup
+// ─────────────────────────────────────────────────────
+
+// First credential found, or null. env: false skips CLAUDE_CODE_OAUTH_TOKEN (a
+// .env left behind by extract-token shouldn't shadow the live login); json: true
+// only accepts full credentials (for injection into a VM or container). A backend
+// that fails to read (e.g. the vault with a wrong passphrase) is skipped with a warning.
+export function readCredentials({ env = true, json = false, sources = credentialSources() } = {}) {
+  for (const backend of sources) {
+    if (!env && backend.name === 'env') continue;
+    let text;
+    try {
+      text = backend.read();
+    } catch (err) {
+      console.warn(`⚠️  ${backend.label} skipped: ${err.message}`);
+      continue;
+    }
+    const cred = parseSecret(text);
+    if (!cred || (json && !cred.json)) continue;
+    registerSecret(cred.accessToken);
+    registerSecret(cred.refreshToken);
+    return { source: backend.name, label: backend.label, renewable: Boolean(backend.renewable), ...cred };
+  }
+  return null;
+}
+
+export function hoursLeft(cred, now = Date.now()) {
+  return cred?.expiresAt ? (cred.expiresAt - now) / 3600000 : null;
+}
+
+// "macOS Keychain (12.3h remaining, max)"
+export function describeCredential(cred) {
+  const hours = hoursLeft(cred);
+  const details = [hours !== null && `${hours.toFixed(1)}h remaining`, cred.subscriptionType].filter(Boolean);
+  return `${cred.label}${details.length ? ` (${details.join(', ')})` : ''}`;
+}
+
+// ─────────────────────────────────────────────────────
+// Renewal — `claude -p "hi"` makes cc refresh its OAuth token before the API call
+// and persist it to the Keychain (macOS) or .credentials.json (Linux)
+// ─────────────────────────────────────────────────────
+
+function findClaudeBinary() {
+  const candidates = [
+    'claude',                          // already in PATH
+    `${homedir()}/.local/bin/claude`,  // npm global on Linux (NodeSource install)
+    '/usr/local/bin/claude',           // npm global (root install)
+    `${homedir()}/.npm-global/bin/claude`,
+  ];
+  return candidates.find(bin => runCommand(bin, ['--version'], { timeout: 5000 }).status === 0) ?? null;
+}
+
+// One renewal attempt → 'renewed' | 'failed' | 'no-claude'
+export function renewToken() {
+  const claude = findClaudeBinary();
+  if (!claude) return 'no-claude';
+  const renew = runCommand(claude, ['-p', 'hi', '--output-format', 'text', '--max-turns', '1'], { timeout: 30000 });
+  return renew.status === 0 ? 'renewed' : 'failed';
+}
+
+// The credential, renewed first when it's renewable and expires within
+// renewWithinMs → { cred, renewal: null | 'renewed' | 'failed' | 'no-claude' }.
+// current: the credential the caller has already read (not read again)
+export function freshCredentials({ now = Date.now(), renewWithinMs = AUTO_RENEW_THRESHOLD_MS, current, ...options } = {}) {
+  const cred = current !== undefined ? current : readCredentials(options);
+  if (!cred?.renewable || !cred.expiresAt || cred.expiresAt - now > renewWithinMs) return { cred, renewal: null };
+  const renewal = renewToken();
+  return { cred: renewal === 'renewed' ? readCredentials(options) ?? cred : cred, renewal };
+}
+
+// ─────────────────────────────────────────────────────
+// Auth for Mode A/C — the OAuth login first, ANTHROPIC_API_KEY as the fallback
+// ─────────────────────────────────────────────────────
+
+export const AUTH_MODES = ['auto', 'oauth', 'api-key'];
+
+// --auth <auto|oauth|api-key>, --max-budget-usd <n> (default $CPM_MAX_BUDGET_USD) and
+// --secret-delivery <env-file|secret|stdin> (Mode A, lib/secret-delivery.mjs; default per runtime)
+export function parseAuthArgs(args) {
+  let mode = 'auto';
+  let maxBudgetUsd = process.env.CPM_MAX_BUDGET_USD || null;
+  let delivery = null;
+  const rest = [];
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--auth' && args[i + 1]) mode = args[++i];
+    else if (args[i] === '--max-budget-usd' && args[i + 1]) maxBudgetUsd = args[++i];
+    else if (args[i] === '--secret-delivery' && args[i + 1]) delivery = args[++i];
+    else rest.push(args[i]);
+  }
+
+  if (!AUTH_MODES.includes(mode)) throw new Error(`Unknown --auth "${mode}" (use ${AUTH_MODES.join(' | ')})`);
+  if (delivery && !DELIVERY_METHODS.includes(delivery)) {
+    throw new Error(`Unknown --secret-delivery "${delivery}" (use ${DELIVERY_METHODS.join(' | ')})`);
+  }
+  if (maxBudgetUsd !== null) {
+    maxBudgetUsd = Number(maxBudgetUsd);
+    if (!(maxBudgetUsd > 0)) throw new Error('--max-budget-usd needs a positive amount in USD');
+  }
+  return { auth: { mode, maxBudgetUsd, delivery }, rest };
+}
+
+// The OAuth login, renewed when due → { cred, renewal, problem: null | 'missing' | 'expired' }
+function oauthLogin() {
+  const current = readCredentials();
+  const hours = hoursLeft(current);
+  if (current?.renewable && hours !== null && hours <= AUTO_RENEW_THRESHOLD_HOURS) {
+    console.log(`🔄 Token ${hours <= 0 ? 'expired' : `${hours.toFixed(1)}h remaining`} — auto-renewing via claude...`);
+  }
+
+  const { cred, renewal } = freshCredentials({ current });
+  if (renewal === 'renewed') console.log('✅ Token renewed');
+  else if (renewal && hoursLeft(cred) > 0) {
+    console.warn(`⚠️  ${renewal === 'no-claude' ? 'claude binary not found' : 'Auto-renewal failed'} — ${hoursLeft(cred).toFixed(1)}h remaining, proceeding`);
+  }
+
+  if (!cred) return { cred, renewal, problem: 'missing' };
+  if (hoursLeft(cred) !== null && hoursLeft(cred) <= 0) return { cred, renewal, problem: 'expired' };
+  return { cred, renewal, problem: null };
+}
+
+// Prints what to do about it → the Error to throw. Never exits: resolveAuth() runs in
+// runner.prepare(), inside processes that handle many runs (cpm batch, cpm worker)
+function loginError({ cred, renewal, problem }, { apiKeyHint }) {
+  if (problem === 'missing') {
+    console.error('❌ No OAuth token found. Options:');
+    console.error('   1. Run "claude" in terminal to authenticate (stores in Keychain)');
+    console.error('   2. Set CLAUDE_CODE_OAUTH_TOKEN in .env');
+    console.error('   3. Run "node extract-token.mjs --export" and eval the output');
+    if (apiKeyHint) console.error('   4. Set ANTHROPIC_API_KEY to use the API instead (billed per token)');
+    return new Error('No OAuth token found');
+  }
+  const message = renewal === 'no-claude' ? 'claude binary not found and token is expired. Run "claude" manually.'
+    : renewal ? 'Auto-renewal failed and token is expired. Run "claude" manually.'
+    : `OAuth token expired (from ${cred.label}). Run "claude" to refresh.`;
+  console.error(`❌ ${message}`);
+  if (apiKeyHint) console.error('   Or set ANTHROPIC_API_KEY to fall back to the API (billed per token)');
+  return new Error(message);
+}
+
+function warnApiKeyCost(maxBudgetUsd) {
+  console.warn('💸 Using ANTHROPIC_API_KEY — this run is billed per token to the API account,');
+  console.warn('   not covered by a Pro/Max subscription');
+  console.warn(maxBudgetUsd
+    ? `   Spend cap: $${maxBudgetUsd} (cc stops at --max-budget-usd)`
+    : '   No spend cap — pass --max-budget-usd <n> or set CPM_MAX_BUDGET_USD to set one');
+}
+
+// How cc authenticates in the container/VM → { method: 'oauth' | 'api-key', source,
+// env: { CLAUDE_CODE_OAUTH_TOKEN | ANTHROPIC_API_KEY: value }, maxBudgetUsd }.
+// mode 'auto' falls back to ANTHROPIC_API_KEY when there is no usable login;
+// throws when neither works. maxBudgetUsd only applies to API key runs.
+export function resolveAuth({ mode = 'auto', maxBudgetUsd = null } = {}) {
+  const apiKey = process.env.ANTHROPIC_API_KEY;
+
+  if (mode !== 'api-key') {
+    const login = oauthLogin();
+    if (!login.problem) {
+      console.log(`🔑 Token source: ${describeCredential(login.cred)}`);
+      return { method: 'oauth', source: login.cred.label, env: { CLAUDE_CODE_OAUTH_TOKEN: login.cred.accessToken }, maxBudgetUsd: null };
+    }
+    if (mode === 'oauth' || !apiKey) throw loginError(login, { apiKeyHint: mode === 'auto' });
+    console.warn(`↪️  ${login.problem === 'missing' ? 'No OAuth token' : 'OAuth token expired'} — falling back to ANTHROPIC_API_KEY`);
+  } else if (!apiKey) {
+    throw new Error('--auth api-key: ANTHROPIC_API_KEY is not set');
+  }
+
+  warnApiKeyCost(maxBudgetUsd);
+  return { method: 'api-key', source: 'ANTHROPIC_API_KEY', env: { ANTHROPIC_API_KEY: registerSecret(apiKey) }, maxBudgetUsd };
+}
+
+// OAuth token only (no API key fallback) — throws when there is none
+export function resolveToken() {
+  return resolveAuth({ mode: 'oauth' }).env.CLAUDE_CODE_OAUTH_TOKEN;
+}
+
+// cc flags for an auth from resolveAuth()
+export function ccAuthArgs(auth) {
+  return auth?.maxBudgetUsd ? ['--max-budget-usd', String(auth.maxBudgetUsd)] : [];
+}
+
+// What a run result records: never the secret itself
+export function authSummary(auth) {
+  return { method: auth.method, source: auth.source, ...(auth.maxBudgetUsd && { maxBudgetUsd: auth.maxBudgetUsd }) };
+}
+
+// Full credentials JSON (access + refresh token) for runners that inject
+// ~/.claude/.credentials.json into a VM/container (Mode B, Mode D)
+export function readHostCredentials({ quiet = false } = {}) {
+  const cred = readCredentials({ json: true });
+  if (!cred) throw new Error('No Claude credentials found. Run "claude" to authenticate first.');
+  if (!quiet) console.log(`🔑 Credentials: ${describeCredential(cred)}`);
+  return cred.json;
+}
@@ -0,0 +1,136 @@
+// lib/egress-proxy.mjs
+// Filtering HTTP(S) proxy that enforces a Mode A egress allowlist (see lib/egress.mjs)
+//
+// Self-contained — node: built-ins only — so it runs from this one file mounted into
+// a node container:
+//
+//   CPM_EGRESS_ALLOW=api.anthropic.com,*.github.com,example.com:8443 CPM_EGRESS_DENY=gist.github.com \
+//   CPM_EGRESS_LOG=/logs/egress.jsonl CPM_EGRESS_PORT=3128 node egress-proxy.mjs
+//
+// HTTPS goes through CONNECT host:port, plain HTTP as absolute-form requests
+// (GET http://host/path). Both are checked by host name, before any DNS lookup, then
+// tunnelled or forwarded; everything else gets a 403. A host on the denylist is refused
+// even when the allowlist matches it. Entries (both lists):
+//
+//   example.com        that host, any port
+//   *.example.com      its subdomains (not example.com itself)
+//   example.com:8443   that host, that port only
+//   *                  any host
+//
+// Every decision is one JSON line in the log:
+//   {"time":"…","action":"deny","method":"CONNECT","host":"pastebin.com","port":443}
+
+import { createServer, request as httpRequest } from 'node:http';
+import { connect } from 'node:net';
+import { appendFileSync } from 'node:fs';
+
+const DEFAULT_PORT = 3128;
+
+// "a.com, *.b.com,c.com:8443" (or an array of entries) → [{ host, port }]
+export function parseAllowList(list) {
+  const entries = Array.isArray(list) ? list : String(list ?? '').split(',');
+  return entries.map(entry => String(entry).trim().toLowerCase()).filter(Boolean).map(entry => {
+    const m = entry.match(/^(.+?)(?::(\d+))?$/);
+    return { host: m[1].replace(/\.$/, ''), port: m[2] ? Number(m[2]) : null };
+  });
+}
+
+export function isAllowed(allow, host, port) {
+  const name = String(host).toLowerCase().replace(/\.$/, '');
+  return allow.some(entry => {
+    if (entry.port !== null && entry.port !== Number(port)) return false;
+    if (entry.host === '*') return true;
+    return entry.host.startsWith('*.') ? name.endsWith(entry.host.slice(1)) : name === entry.host;
+  });
+}
+
+// "host:port" / "[::1]:443" → { host, port }
+function splitAuthority(authority, defaultPort) {
+  const m = authority.match(/^\[([^\]]+)\](?::(\d+))?$/) ?? authority.match(/^([^:]+)(?::(\d+))?$/);
+  return m ? { host: m[1], port: Number(m[2] ?? defaultPort) } : null;
+}
+
+export function createEgressProxy({ allow, deny = [], log = () => {} }) {
+  const decide = (method, host, port) => {
+    const action = host && isAllowed(allow, host, port) && !isAllowed(deny, host, port) ? 'allow' : 'deny';
+    log({ time: new Date().toISOString(), action, method, host: host ?? null, port: port ?? null });
+    return action === 'allow';
+  };
+
+  const refuse = (res, host) => {
+    res.writeHead(403, { 'content-type': 'text/plain' });
+    res.end(`Blocked by cpm egress policy: ${host ?? 'malformed request'}\n`);
+  };
+
+  // Plain HTTP: absolute-form request URLs
+  const server = createServer((req, res) => {
+    let url;
+    try {
+      url = new URL(req.url);
+    } catch {
+      return refuse(res, null);
+    }
+    if (url.protocol !== 'http:') return refuse(res, url.hostname);
+    const port = Number(url.port || 80);
+    if (!decide(req.method, url.hostname, port)) return refuse(res, url.hostname);
+
+    const headers = { ...req.headers };
+    delete headers['proxy-connection'];
+    delete headers['proxy-authorization'];
+    const upstream = httpRequest({
+      host: url.hostname, port, method: req.method, path: `${url.pathname}${url.search}`, headers,
+    }, (upstreamRes) => {
+      res.writeHead(upstreamRes.statusCode, upstreamRes.headers);
+      upstreamRes.pipe(res);
+    });
+    upstream.on('error', (err) => {
+      if (!res.headersSent) res.writeHead(502, { 'content-type': 'text/plain' });
+      res.end(`Upstream error: ${err.message}\n`);
+    });
+    req.pipe(upstream);
+  });
+
+  // HTTPS (and anything else tunnelled): CONNECT host:port
+  server.on('connect', (req, client, head) => {
+    const target = splitAuthority(req.url, 443);
+    if (!decide('CONNECT', target?.host, target?.port)) {
+      client.end('HTTP/1.1 403 Forbidden\r\ncontent-type: text/plain\r\n\r\nBlocked by cpm egress policy\n');
+      return;
+    }
+
+    let established = false;
+    const upstream = connect(target.port, target.host, () => {
+      established = true;
+      client.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+      if (head.length) upstream.write(head);
+      upstream.pipe(client);
+      client.pipe(upstream);
+    });
+    upstream.on('error', () => (established ? client.destroy() : client.end('HTTP/1.1 502 Bad Gateway\r\n\r\n')));
+    client.on('error', () => upstream.destroy());
+  });
+
+  return server;
+}
+
+// ─────────────────────────────────────────────────────
+// In the proxy container
+// ─────────────────────────────────────────────────────
+
+if (process.argv[1]?.endsWith('egress-proxy.mjs')) {
+  const allow = parseAllowList(process.env.CPM_EGRESS_ALLOW);
+  const deny = parseAllowList(process.env.CPM_EGRESS_DENY);
+  const logFile = process.env.CPM_EGRESS_LOG;
+  const port = Number(process.env.CPM_EGRESS_PORT || DEFAULT_PORT);
+
+  const server = createEgressProxy({
+    allow,
+    deny,
+    log: (entry) => {
+      if (logFile) appendFileSync(logFile, `${JSON.stringify(entry)}\n`);
+      if (entry.action === 'deny') console.log(`deny ${entry.method} ${entry.host}:${entry.port}`);
+    },
+  });
+  server.listen(port, () => console.log(`egress proxy listening on :${port} (${allow.length} allowed, ${deny.length} denied)`));
+  process.on('SIGTERM', () => server.close(() => process.exit(0)));
+}
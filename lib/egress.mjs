@@ -0,0 +1,314 @@
+// lib/egress.mjs
+// Network egress policy — one declarative allow/deny list, enforced per mode
+//
+//   --egress default              the hosts cc itself needs (DEFAULT_EGRESS_ALLOW)
+//   --egress policy.yaml          allow: [api.anthropic.com, registry.npmjs.org, github.com]
+//                                 deny:  [gist.github.com]
+//   --allow-host host[:port]      add to the allowlist (repeatable; on top of the task's
+//                                 policy, else of --egress default)
+//   --deny-host host[:port]       add to the denylist (repeatable)
+//
+// A task can carry the same policy (--task JSON or a batch task's egress:), as a file
+// name, "default" or inline { allow, deny }. A policy without allow: lets everything
+// through but the denylist (allow: ['*']); deny always wins over allow.
+//
+// Mode A — startEgressProxy() creates, per run:
+//   cpm-egress-<run-id>   an --internal network: no route out of the host
+//   cpm-proxy-<run-id>    lib/egress-proxy.mjs in a node container, on the default
+//                         network and cpm-egress-<run-id> — the only way out
+// The agent container joins cpm-egress-<run-id> with HTTP(S)_PROXY pointing at the
+// proxy, so anything that ignores the proxy variables has no network at all.
+// Every allow/deny decision lands in egress.jsonl, copied into the run's artifacts
+// before teardown; stop() then removes the proxy, the network and the log's temp dir.
+//
+// Mode B — applySandboxRules() pushes the policy into Docker Sandbox's own proxy
+// (docker sandbox network proxy) before each run; see the section below.
+
+import { mkdtempSync, chmodSync, readFileSync, writeFileSync, mkdirSync, existsSync, rmSync } from 'node:fs';
+import { join, dirname, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { tmpdir } from 'node:os';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { parse as parseYaml } from 'yaml';
+import { runCommand } from './common.mjs';
+import { cpmHome } from './store.mjs';
+
+export const DEFAULT_EGRESS_ALLOW = [
+  'api.anthropic.com',
+  'statsig.anthropic.com',
+  'sentry.io',
+  'registry.npmjs.org',
+  'github.com',
+  '*.github.com',
+  '*.githubusercontent.com',
+];
+
+const PROXY_SCRIPT = fileURLToPath(new URL('./egress-proxy.mjs', import.meta.url));
+const PROXY_PORT = 3128;
+const READY_TIMEOUT_MS = 15000;
+
+function hostList(value, label) {
+  if (value === undefined || value === null) return null;
+  if (!Array.isArray(value)) throw new Error(`${label} must be a list of hosts`);
+  return value.map(String);
+}
+
+const union = (...lists) => [...new Set(lists.flat())];
+
+// { allow?, deny? } → { allow, deny }
+function policyFrom(raw, label) {
+  const allow = hostList(raw?.allow, `${label}: allow`);
+  const deny = hostList(raw?.deny, `${label}: deny`);
+  if (!allow && !deny) throw new Error(`${label} needs an allow: and/or deny: list of hosts`);
+  return { allow: allow ?? ['*'], deny: deny ?? [] };
+}
+
+// 'default' or a YAML file with allow:/deny: lists → { allow, deny }
+export function loadEgressPolicy(spec) {
+  if (spec === 'default') return { allow: [...DEFAULT_EGRESS_ALLOW], deny: [] };
+  let raw;
+  try {
+    raw = parseYaml(readFileSync(spec, 'utf-8')) ?? {};
+  } catch (err) {
+    throw new Error(`Cannot read egress policy ${spec}: ${err.message}`);
+  }
+  return policyFrom(raw, `Egress policy ${spec}`);
+}
+
+// A task's egress: — "default", a policy file (relative to the task's directory) or
+// inline { allow, deny }
+export function normalizeEgress(value, dir = '.') {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'string') return loadEgressPolicy(value === 'default' ? value : resolve(dir, value));
+  return policyFrom(value, 'Task egress');
+}
+
+// --egress <file|default>, --allow-host / --deny-host host[:port] on top of `base`
+// (the task's policy) → { egress: null | { allow, deny }, rest }
+export function parseEgressArgs(args, base = null) {
+  let spec = null;
+  const allowHosts = [];
+  const denyHosts = [];
+  const rest = [];
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--egress' && args[i + 1]) spec = args[++i];
+    else if (args[i] === '--allow-host' && args[i + 1]) allowHosts.push(args[++i]);
+    else if (args[i] === '--deny-host' && args[i + 1]) denyHosts.push(args[++i]);
+    else rest.push(args[i]);
+  }
+
+  let policy = spec ? loadEgressPolicy(spec) : base;
+  if (allowHosts.length) policy ??= loadEgressPolicy('default');
+  if (denyHosts.length) policy ??= { allow: ['*'], deny: [] };
+  if (!policy) return { egress: null, rest };
+  return { egress: { allow: union(policy.allow, allowHosts), deny: union(policy.deny, denyHosts) }, rest };
+}
+
+// For banners and status lines: "7 allowed hosts, 1 denied" / "all but 2 denied hosts"
+export function describeEgress({ allow, deny = [] }) {
+  const denied = `${deny.length} denied`;
+  if (allow.includes('*')) return `all but ${denied} host${deny.length === 1 ? '' : 's'}`;
+  return `${allow.length} allowed host${allow.length === 1 ? '' : 's'}${deny.length ? `, ${denied}` : ''}`;
+}
+
+// ─────────────────────────────────────────────────────
+// Mode A — proxy container
+// ─────────────────────────────────────────────────────
+
+function mustRun(runtime, args) {
+  const r = runCommand(runtime, args, { timeout: 60000 });
+  if (r.status !== 0) throw new Error(`${runtime} ${args.slice(0, 2).join(' ')} failed: ${r.stderr.trim() || `exit ${r.status}`}`);
+  return r;
+}
+
+// → { network, proxy, logFile, runArgs (for the agent's `run`), stop() (log included) }
+export async function startEgressProxy(runtime, { runId, image, allow, deny = [], readyTimeoutMs = READY_TIMEOUT_MS, pollMs = 250 }) {
+  const network = `cpm-egress-${runId}`;
+  const proxy = `cpm-proxy-${runId}`;
+  const logDir = mkdtempSync(join(tmpdir(), 'cpm-egress-'));
+  chmodSync(logDir, 0o777);   // written by the image's (non-root) user
+  const logFile = join(logDir, 'egress.jsonl');
+
+  const created = [];
+  const stop = () => {
+    for (const [kind, name] of created.reverse()) {
+      runCommand(runtime, kind === 'container' ? ['rm', '-f', name] : ['network', 'rm', name], { timeout: 60000 });
+    }
+    created.length = 0;
+    rmSync(logDir, { recursive: true, force: true });
+  };
+
+  try {
+    mustRun(runtime, ['network', 'create', '--internal', network]);
+    created.push(['network', network]);
+
+    // Recorded first: a failed `run -d` can still leave the container created
+    // but not started, and rm -f of one that doesn't exist is harmless
+    created.push(['container', proxy]);
+    mustRun(runtime, [
+      'run', '-d',
+      '--name', proxy,
+      '-v', `${PROXY_SCRIPT}:/cpm/egress-proxy.mjs:ro`,
+      '-v', `${logDir}:/logs`,
+      '-e', `CPM_EGRESS_ALLOW=${allow.join(',')}`,
+      '-e', `CPM_EGRESS_DENY=${deny.join(',')}`,
+      '-e', 'CPM_EGRESS_LOG=/logs/egress.jsonl',
+      '-e', `CPM_EGRESS_PORT=${PROXY_PORT}`,
+      '--entrypoint', 'node',
+      image,
+      '/cpm/egress-proxy.mjs',
+    ]);
+    mustRun(runtime, ['network', 'connect', network, proxy]);
+
+    const deadline = Date.now() + readyTimeoutMs;
+    while (!runCommand(runtime, ['logs', proxy], { timeout: 30000 }).stdout.includes('listening')) {
+      if (Date.now() > deadline) throw new Error(`Egress proxy ${proxy} did not start within ${readyTimeoutMs / 1000}s`);
+      await sleep(pollMs);
+    }
+  } catch (err) {
+    stop();
+    throw err;
+  }
+
+  const url = `http://${proxy}:${PROXY_PORT}`;
+  return {
+    network,
+    proxy,
+    logFile,
+    runArgs: [
+      '--network', network,
+      ...['HTTPS_PROXY', 'HTTP_PROXY', 'https_proxy', 'http_proxy'].flatMap(name => ['-e', `${name}=${url}`]),
+      '-e', 'NO_PROXY=localhost,127.0.0.1',
+    ],
+    stop,
+  };
+}
+
+// egress.jsonl → { allowed, denied: [{ host, port, count }] }, most denied first
+export function summarizeEgress(logFile) {
+  const lines = existsSync(logFile) ? readFileSync(logFile, 'utf-8').split('\n').filter(Boolean) : [];
+  let allowed = 0;
+  const denied = new Map();
+  for (const line of lines) {
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      continue;
+    }
+    if (entry.action === 'allow') allowed++;
+    else {
+      const key = `${entry.host}:${entry.port}`;
+      const seen = denied.get(key) ?? { host: entry.host, port: entry.port, count: 0 };
+      seen.count++;
+      denied.set(key, seen);
+    }
+  }
+  return { allowed, denied: [...denied.values()].sort((a, b) => b.count - a.count) };
+}
+
+// ─────────────────────────────────────────────────────
+// Mode B — Docker Sandbox network proxy rules
+// ─────────────────────────────────────────────────────
+//
+// The sandbox's proxy has a default policy (allow | deny) plus --allow-host and
+// --block-host rules, set with `docker sandbox network proxy <sandbox>`. Rules are
+// only ever added, so cpm records what it pushed to each sandbox in
+// $CPM_HOME/sandbox-network.json (dropped when the sandbox is created) and pushes
+// only the difference:
+//   - new allow/deny hosts, and the policy when it changed
+//   - a host taken off the allowlist is blocked (under a deny policy)
+//   - a blocked host that should be reachable again can't be unblocked by adding a
+//     rule: it is reported as stuck until the sandbox is recreated (docker sandbox rm)
+// A run without a policy puts the sandbox back to its own default (policy allow,
+// resetSandboxRules) rather than inheriting the last run's rules; hosts blocked by
+// earlier runs stay blocked and are reported as stuck.
+
+const NO_RULES = { policy: null, allow: [], block: [] };
+
+function sandboxRecordFile() {
+  return join(cpmHome(), 'sandbox-network.json');
+}
+
+function readSandboxRecords() {
+  try {
+    return JSON.parse(readFileSync(sandboxRecordFile(), 'utf-8'));
+  } catch {
+    return {};
+  }
+}
+
+// The rules cpm pushed to the sandbox so far → { policy, allow, block } or null
+export function sandboxRecord(name) {
+  return readSandboxRecords()[name] ?? null;
+}
+
+function writeSandboxRecord(name, rules) {
+  const records = readSandboxRecords();
+  records[name] = { ...rules, appliedAt: new Date().toISOString() };
+  mkdirSync(dirname(sandboxRecordFile()), { recursive: true });
+  writeFileSync(sandboxRecordFile(), `${JSON.stringify(records, null, 2)}\n`);
+}
+
+// { allow, deny } → { policy, allow, block } as the sandbox proxy expresses it
+export function sandboxRules({ allow, deny = [] }) {
+  const open = allow.includes('*');
+  return { policy: open ? 'allow' : 'deny', allow: open ? [] : [...allow], block: [...deny] };
+}
+
+// → { policy (null = unchanged), allow, block (to push), stuck }
+export function diffSandboxRules(current, desired) {
+  const reachable = host => !desired.block.includes(host) && (desired.policy === 'allow' || desired.allow.includes(host));
+  const revoked = desired.policy === 'deny' ? current.allow.filter(h => !desired.allow.includes(h)) : [];
+  return {
+    policy: desired.policy === current.policy ? null : desired.policy,
+    allow: desired.allow.filter(h => !current.allow.includes(h) && !current.block.includes(h)),
+    block: union(desired.block, revoked).filter(h => !current.block.includes(h)),
+    stuck: current.block.filter(reachable),
+  };
+}
+
+export function sandboxProxyArgs(name, diff) {
+  return [
+    'sandbox', 'network', 'proxy', name,
+    ...(diff.policy ? ['--policy', diff.policy] : []),
+    ...diff.allow.flatMap(host => ['--allow-host', host]),
+    ...diff.block.flatMap(host => ['--block-host', host]),
+  ];
+}
+
+// Brings the sandbox's rules in line with the policy → { policy, allow, block, pushed, stuck }
+// (pushed: the rules sent this time, null when nothing changed). created: the sandbox
+// was just created, so it has no rules from earlier runs.
+export function applySandboxRules(name, policy, { created = false } = {}) {
+  const current = (!created && readSandboxRecords()[name]) || NO_RULES;
+  const desired = sandboxRules(policy);
+  const diff = diffSandboxRules(current, desired);
+  const changed = diff.policy || diff.allow.length || diff.block.length;
+
+  if (changed) {
+    const r = runCommand('docker', sandboxProxyArgs(name, diff), { timeout: 60000 });
+    if (r.status !== 0) throw new Error(`docker sandbox network proxy failed: ${r.stderr.trim() || `exit ${r.status}`}`);
+    writeSandboxRecord(name, {
+      policy: desired.policy,
+      allow: union(current.allow, diff.allow),
+      block: union(current.block, diff.block),
+    });
+  }
+
+  return {
+    ...desired,
+    pushed: changed ? { policy: diff.policy, allow: diff.allow, block: diff.block } : null,
+    stuck: diff.stuck,
+  };
+}
+
+// No policy for this run: back to the sandbox's default (policy allow), as far as adding
+// rules can get there → like applySandboxRules, null when the sandbox has no rules
+// from cpm that would still apply
+export function resetSandboxRules(name, { created = false } = {}) {
+  const record = !created && sandboxRecord(name);
+  if (!record || (record.policy === 'allow' && !record.block.length)) return null;
+  return applySandboxRules(name, { allow: ['*'], deny: [] });
+}
@@ -0,0 +1,179 @@
+// lib/fly-api.mjs
+// Fly.io Machines REST API client for Mode C. It creates a machine, waits for it to
+// stop, reads its exit code, follows its logs and destroys it. This replaces scraping
+// `fly machine run` and `fly logs`.
+//
+//   Machines API  https://api.machines.dev/v1 (FLY_MACHINES_URL)
+//     POST   /apps/<app>/machines                          create (and start)
+//     GET    /apps/<app>/machines/<id>                     state, events (exit code)
+//     GET    /apps/<app>/machines/<id>/wait?state=stopped  long poll, 408 after timeout=
+//     DELETE /apps/<app>/machines/<id>?force=true          destroy
+//   Logs          https://api.fly.io (FLY_API_URL)
+//     GET    /api/v1/apps/<app>/logs?instance=<id>&next_token=…   this machine's lines only
+//
+// Token: FLY_API_TOKEN, else `fly auth token`. Tokens from `fly tokens create`
+// ("FlyV1 fm2_…") are sent as they are, anything else as a Bearer token. Both URLs
+// can point at a local server (tests, or FLY_MACHINES_URL=http://_api.internal:4280
+// from inside Fly's network).
+
+import { setTimeout as sleep } from 'node:timers/promises';
+import { runCommand } from './common.mjs';
+import { registerSecret } from './redact.mjs';
+
+export const MACHINES_URL = 'https://api.machines.dev/v1';
+export const API_URL = 'https://api.fly.io';
+
+const WAIT_TIMEOUT_S = 60;     // the API's maximum for one /wait call
+const LOG_POLL_MS = 2000;
+const LOG_SETTLE_MS = 2000;    // log lines trail the machine's exit by a moment
+const LOG_DRAIN_PAGES = 50;    // at most this many pages after the exit
+const DESTROY_ATTEMPTS = 3;
+const DESTROY_RETRY_MS = 2000;
+
+export function resolveFlyToken() {
+  const fromEnv = process.env.FLY_API_TOKEN?.trim();
+  const token = fromEnv || (() => {
+    const r = runCommand('fly', ['auth', 'token'], { timeout: 30000 });
+    return r.status === 0 ? r.stdout.trim().split('\n').at(-1).trim() : '';
+  })();
+  if (!token) throw new Error('No Fly.io API token: set FLY_API_TOKEN or run fly auth login');
+  registerSecret(token);
+  return token;
+}
+
+// A machine's exit code, from its most recent exit event (null: hasn't exited)
+export function machineExitCode(machine) {
+  const exit = (machine?.events ?? [])
+    .filter(event => event.type === 'exit')
+    .sort((a, b) => (b.timestamp ?? 0) - (a.timestamp ?? 0))[0];
+  return exit?.request?.exit_event?.exit_code ?? null;
+}
+
+export function createFlyClient({
+  app,
+  token,
+  machinesUrl = process.env.FLY_MACHINES_URL || MACHINES_URL,
+  apiUrl = process.env.FLY_API_URL || API_URL,
+  retryMs = DESTROY_RETRY_MS,
+}) {
+  const authorization = token.startsWith('FlyV1 ') ? token : `Bearer ${token}`;
+  const machinePath = (id = '') => `/apps/${encodeURIComponent(app)}/machines${id ? `/${id}` : ''}`;
+
+  // → parsed JSON body (null when empty); statuses in `accept` come back as { status }
+  async function request(method, base, path, { body, accept = [], signal } = {}) {
+    const res = await fetch(`${base}${path}`, {
+      method,
+      headers: { authorization, ...(body && { 'content-type': 'application/json' }) },
+      body: body && JSON.stringify(body),
+      signal,
+    });
+    if (accept.includes(res.status)) return { status: res.status };
+    const text = await res.text();
+    let json = null;
+    try { json = text ? JSON.parse(text) : null; } catch { /* not JSON */ }
+    if (!res.ok) {
+      const err = new Error(`Fly API ${method} ${path.split('?')[0]} failed (${res.status}): ${json?.error ?? text.trim()}`);
+      err.status = res.status;
+      throw err;
+    }
+    return json;
+  }
+
+  const client = {
+    app,
+
+    // { region, config: { image, env, files, init, guest, restart } } → machine ({ id, state, ... })
+    createMachine(spec) {
+      return request('POST', machinesUrl, machinePath(), { body: spec });
+    },
+
+    getMachine(id) {
+      return request('GET', machinesUrl, machinePath(id));
+    },
+
+    // One long poll → true once the machine is in `state`, false if timeoutS passed first
+    async waitForState(id, state, { timeoutS = WAIT_TIMEOUT_S, signal } = {}) {
+      const r = await request('GET', machinesUrl, `${machinePath(id)}/wait?state=${state}&timeout=${timeoutS}`,
+        { accept: [408], signal });
+      return r?.status !== 408;
+    },
+
+    // Long polls until the machine has stopped → true, or signal aborts → false
+    async waitForStop(id, { signal, timeoutS } = {}) {
+      while (!signal?.aborted) {
+        try {
+          if (await client.waitForState(id, 'stopped', { signal, timeoutS })) return true;
+        } catch (err) {
+          if (signal?.aborted) break;
+          throw err;
+        }
+      }
+      return false;
+    },
+
+    // → { lines: [message...], nextToken }, the lines since nextToken
+    async fetchLogs(id, { nextToken } = {}) {
+      const query = new URLSearchParams({ instance: id, ...(nextToken && { next_token: nextToken }) });
+      const page = await request('GET', apiUrl, `/api/v1/apps/${encodeURIComponent(app)}/logs?${query}`);
+      return {
+        lines: (page?.data ?? []).map(entry => entry.attributes?.message ?? ''),
+        nextToken: page?.meta?.next_token || nextToken || null,
+      };
+    },
+
+    // Polls the machine's logs every intervalMs, passing new text to onText. done()
+    // waits settleMs for the last lines, fetches them (until a page is empty, the
+    // next_token stops moving or drainPages pages) and returns all the text.
+    followLogs(id, { onText = () => {}, intervalMs = LOG_POLL_MS, settleMs = LOG_SETTLE_MS, drainPages = LOG_DRAIN_PAGES } = {}) {
+      let text = '';
+      let nextToken = null;
+      let stopped = false;
+      let timer = null;
+
+      const poll = async () => {
+        const page = await client.fetchLogs(id, { nextToken });
+        nextToken = page.nextToken;
+        const chunk = page.lines.map(line => `${line}\n`).join('');
+        if (chunk) {
+          text += chunk;
+          onText(chunk);
+        }
+        return page.lines.length;
+      };
+      const loop = async () => {
+        await poll().catch(() => {});   // a failed poll is retried on the next one
+        if (!stopped) timer = setTimeout(() => { polling = loop(); }, intervalMs);
+      };
+      let polling = loop();
+
+      return {
+        async done() {
+          stopped = true;
+          clearTimeout(timer);
+          await polling;
+          await sleep(settleMs);
+          for (let page = 0; page < drainPages; page++) {
+            const before = nextToken;
+            if (!await poll().catch(() => 0) || nextToken === before) break;
+          }
+          return text;
+        },
+      };
+    },
+
+    // Gone already counts as destroyed. Network errors and 5xx are retried, up to
+    // `attempts` calls in all
+    async destroyMachine(id, { attempts = DESTROY_ATTEMPTS } = {}) {
+      for (let attempt = 1; ; attempt++) {
+        try {
+          await request('DELETE', machinesUrl, `${machinePath(id)}?force=true`, { accept: [404] });
+          return;
+        } catch (err) {
+          if (attempt >= attempts || err.status < 500) throw err;
+          await sleep(retryMs);
+        }
+      }
+    },
+  };
+  return client;
+}
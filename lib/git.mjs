@@ -0,0 +1,125 @@
+// lib/git.mjs
+// Git-aware result capture — turns a run on a git workspace into a reviewable change
+//
+//   baseline  before cc starts: record HEAD commit + branch
+//   capture   after cc exits: stage everything, diff against the baseline
+//             (covers both commits cc made and uncommitted edits), list
+//             added/modified/deleted files, export <run-id>.patch and
+//             optionally commit onto branch cpm/<run-id>
+//
+// Only applies to workspaces that are git repositories (--repo, or a --workspace
+// copy of a repo). The workspace is always an isolated copy, so staging and
+// committing in it never touches the original project.
+
+import { mkdirSync, writeFileSync } from 'node:fs';
+import { join, resolve } from 'node:path';
+import { runCommand, checkGitRef } from './common.mjs';
+
+const DEFAULT_PATCH_DIR = 'patches';
+
+// Fallback identity for the run commit when the workspace has no git user
+const COMMIT_IDENTITY = ['-c', 'user.name=cpm', '-c', 'user.email=cpm@localhost'];
+
+function git(workspace, args) {
+  const r = runCommand('git', ['-C', workspace, ...args], { stdio: ['ignore', 'pipe', 'pipe'] });
+  if (r.status !== 0) throw new Error(`git ${args[0]} failed: ${(r.stderr || r.error?.message || '').trim()}`);
+  return r.stdout;
+}
+
+// --commit           commit the changes onto cpm/<run-id>
+// --branch <name>    same, with a custom branch name (not starting with "-", which
+//                    git checkout -b would read as an option)
+// --patch-dir <dir>  where <run-id>.patch is written (default: ./patches)
+export function parseGitArgs(args) {
+  const options = {};
+  const rest = [];
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--commit') options.commit = true;
+    else if (args[i] === '--branch' && args[i + 1]) { options.commit = true; options.branch = args[++i]; checkGitRef(options.branch); }
+    else if (args[i] === '--patch-dir' && args[i + 1]) options.patchDir = resolve(args[++i]);
+    else rest.push(args[i]);
+  }
+
+  return { git: options, rest };
+}
+
+// Returns null when the workspace is not a git repository
+export function captureGitBaseline(workspace) {
+  try {
+    if (git(workspace, ['rev-parse', '--is-inside-work-tree']).trim() !== 'true') return null;
+    const commit = git(workspace, ['rev-parse', 'HEAD']).trim();
+    const branch = git(workspace, ['rev-parse', '--abbrev-ref', 'HEAD']).trim();
+    return { commit, branch };
+  } catch {
+    return null;
+  }
+}
+
+function parseNameStatus(output) {
+  return output.split('\n').filter(Boolean).map(line => {
+    const [status, ...paths] = line.split('\t');
+    // Renames/copies: R100\told\tnew
+    return { status: status[0], path: paths[paths.length - 1], ...(paths.length > 1 ? { from: paths[0] } : {}) };
+  });
+}
+
+export function captureGitChanges(workspace, baseline, { runId, commit = false, branch, patchDir } = {}) {
+  // Stage everything so new files show up in the diff
+  git(workspace, ['add', '--all']);
+
+  const files = parseNameStatus(git(workspace, ['diff', '--cached', '--name-status', '-M', baseline.commit]));
+  const changes = {
+    baseCommit: baseline.commit,
+    baseBranch: baseline.branch,
+    headCommit: git(workspace, ['rev-parse', 'HEAD']).trim(),
+    files,
+    added: files.filter(f => f.status === 'A').map(f => f.path),
+    modified: files.filter(f => f.status === 'M' || f.status === 'R' || f.status === 'T').map(f => f.path),
+    deleted: files.filter(f => f.status === 'D').map(f => f.path),
+    patch: null,
+    branch: null,
+  };
+
+  if (files.length === 0) return changes;
+
+  changes.diffStat = git(workspace, ['diff', '--cached', '--stat', baseline.commit]).trimEnd();
+
+  // Unified diff of everything since the baseline → <run-id>.patch
+  const diff = git(workspace, ['diff', '--cached', '--binary', '-M', baseline.commit]);
+  const dir = patchDir ?? resolve(DEFAULT_PATCH_DIR);
+  mkdirSync(dir, { recursive: true });
+  changes.patch = join(dir, `${runId}.patch`);
+  writeFileSync(changes.patch, diff);
+
+  if (commit) {
+    changes.branch = branch ?? `cpm/${runId}`;
+    git(workspace, ['checkout', '--quiet', '-b', changes.branch]);
+    let hasIdentity = false;
+    try { hasIdentity = Boolean(git(workspace, ['config', 'user.email']).trim()); }
+    catch { /* not configured */ }
+    git(workspace, [
+      ...(hasIdentity ? [] : COMMIT_IDENTITY),
+      'commit', '--quiet', '--no-verify', '-m', `cpm run ${runId}`,
+    ]);
+    changes.headCommit = git(workspace, ['rev-parse', 'HEAD']).trim();
+  }
+
+  return changes;
+}
+
+export function printGitChanges(changes) {
+  console.log('');
+  if (changes.files.length === 0) {
+    console.log(`🔀 Git: no changes since ${changes.baseCommit.slice(0, 8)}`);
+    return;
+  }
+
+  console.log(`🔀 Git changes since ${changes.baseCommit.slice(0, 8)} (${changes.baseBranch}):`);
+  for (const f of changes.files) {
+    console.log(`   ${f.status}  ${f.from ? `${f.from} → ` : ''}${f.path}`);
+  }
+  if (changes.diffStat) console.log(changes.diffStat.split('\n').pop());
+  console.log(`📝 Patch:  ${changes.patch}`);
+  if (changes.branch) console.log(`🌿 Branch: ${changes.branch} (${changes.headCommit.slice(0, 8)})`);
+}
@@ -0,0 +1,102 @@
+// lib/limits.mjs
+// Resource limits and the wall-clock timeout for a run — one set of settings, mapped
+// by each runner to its own flags
+//
+//   --max-turns <n>     cc's --max-turns (default 20)
+//   --timeout <d>       wall-clock limit for cc, e.g. 90s, 30m, 2h: the run is stopped
+//                       and reported as "timeout"
+//   --cpus <n>          CPUs (fractions allowed where the mode supports them)
+//   --memory <size>     e.g. 512m, 4g (a bare number is MB)
+//   --pids <n>          max processes
+//   --disk <size>       writable disk
+//
+// A task can carry the same settings as limits: (--task JSON, or per task in a batch
+// file): { maxTurns: 40, timeout: 30m, cpus: 2, memory: 4g, pids: 512, disk: 10g }.
+// Flags override the task's values.
+//
+// Runners list the limits they enforce in runner.limits; the others are reported as
+// ignored (result.limits.ignored) rather than silently dropped:
+//
+//   Mode A  --cpus --memory --pids-limit --storage-opt size=   (docker/podman run)
+//   Mode B  max turns and timeout only (Docker Sandbox sizes its microVM itself)
+//   Mode C  guest.cpus guest.memory_mb                         (machine config, Machines API)
+//   Mode D  limits.cpu limits.memory limits.processes          (incus config, per run)
+
+import { parseDuration } from './store.mjs';
+
+export const DEFAULT_MAX_TURNS = 20;
+
+// How limits are named on the command line, for messages
+export const LIMIT_FLAGS = {
+  maxTurns: '--max-turns', timeoutMs: '--timeout', cpus: '--cpus', memoryMb: '--memory', pids: '--pids', diskMb: '--disk',
+};
+
+// "4g", "512m", "1.5GiB", 2048 (MB) → MB
+export function parseSize(text) {
+  const m = String(text).trim().match(/^(\d+(?:\.\d+)?)\s*(?:([kmgt])i?b?)?$/i);
+  if (!m) throw new Error(`Invalid size "${text}" (use e.g. 512m, 4g)`);
+  const factor = { k: 1 / 1024, m: 1, g: 1024, t: 1024 * 1024 }[(m[2] ?? 'm').toLowerCase()];
+  return Math.ceil(Number(m[1]) * factor);
+}
+
+function positive(value, name, { integer = false } = {}) {
+  const n = Number(value);
+  if (!(n > 0) || (integer && !Number.isInteger(n))) {
+    throw new Error(`${name} needs a positive ${integer ? 'whole number' : 'number'}, got "${value}"`);
+  }
+  return n;
+}
+
+// Task file form ({ maxTurns, timeout, cpus, memory, pids, disk }) → limits.
+// nameOf(key) names a setting in error messages (default: label.key)
+export function normalizeLimits(raw, label = 'limits', nameOf = key => `${label}.${key}`) {
+  if (raw === undefined || raw === null) return null;
+  if (typeof raw !== 'object') throw new Error(`${label} must be a mapping (maxTurns, timeout, cpus, memory, pids, disk)`);
+  const limits = {};
+  if (raw.maxTurns !== undefined) limits.maxTurns = positive(raw.maxTurns, nameOf('maxTurns'), { integer: true });
+  if (raw.timeout !== undefined) limits.timeoutMs = typeof raw.timeout === 'number' ? raw.timeout * 1000 : parseDuration(raw.timeout);
+  if (raw.cpus !== undefined) limits.cpus = positive(raw.cpus, nameOf('cpus'));
+  if (raw.memory !== undefined) limits.memoryMb = parseSize(raw.memory);
+  if (raw.pids !== undefined) limits.pids = positive(raw.pids, nameOf('pids'), { integer: true });
+  if (raw.disk !== undefined) limits.diskMb = parseSize(raw.disk);
+  return limits;
+}
+
+// --max-turns, --timeout, --cpus, --memory, --pids, --disk on top of `base` (the
+// task's limits) → { limits: null | {...}, rest }
+export function parseLimitArgs(args, base = null) {
+  const raw = {};
+  const rest = [];
+  const names = { '--max-turns': 'maxTurns', '--timeout': 'timeout', '--cpus': 'cpus', '--memory': 'memory', '--pids': 'pids', '--disk': 'disk' };
+
+  for (let i = 0; i < args.length; i++) {
+    if (names[args[i]] && args[i + 1]) raw[names[args[i]]] = args[++i];
+    else rest.push(args[i]);
+  }
+
+  const flags = Object.keys(raw).length ? normalizeLimits(raw, 'Limit flags', key => LIMIT_FLAGS[key]) : null;
+  return { limits: base || flags ? { ...base, ...flags } : null, rest };
+}
+
+// What applies to a run: defaults filled in, the ones the runner can't enforce split off
+// → { limits, ignored: ['memoryMb', ...] }
+export function resolveLimits(limits, runner) {
+  const supported = runner.limits ?? ['maxTurns', 'timeoutMs'];
+  const given = { maxTurns: DEFAULT_MAX_TURNS, ...runner.defaultLimits, ...limits };
+  const ignored = Object.keys(given).filter(key => given[key] !== undefined && !supported.includes(key));
+  for (const key of ignored) delete given[key];
+  return { limits: given, ignored };
+}
+
+// For status lines: "20 turns, 30m, 2 CPUs, 4096 MB"
+export function describeLimits(limits) {
+  const minutes = limits.timeoutMs ? limits.timeoutMs / 60000 : null;
+  return [
+    `${limits.maxTurns} turns`,
+    minutes && (minutes >= 1 && Number.isInteger(minutes) ? `${minutes}m timeout` : `${limits.timeoutMs / 1000}s timeout`),
+    limits.cpus && `${limits.cpus} CPU${limits.cpus === 1 ? '' : 's'}`,
+    limits.memoryMb && `${limits.memoryMb} MB memory`,
+    limits.pids && `${limits.pids} pids`,
+    limits.diskMb && `${limits.diskMb} MB disk`,
+  ].filter(Boolean).join(', ');
+}
@@ -0,0 +1,64 @@
+// lib/prompt.mjs
+// Task prompt resolution — replaces the fixed TEST_PROMPT when the user supplies one
+//
+// Sources (first match wins):
+//   --prompt "<text>"        inline text
+//   --prompt -               read from stdin
+//   --prompt-file path.md    read from a file (--prompt-file - reads stdin too)
+//   (none)                   TEST_PROMPT from lib/common.mjs
+//
+// Template variables, expanded per mode right before cc is spawned:
+//   {{workspace}}  path of the workspace as cc sees it (e.g. /workspace in Mode A)
+//   {{mode}}       runner name (docker, sandbox, fly, incus, ...)
+//   {{date}}       ISO date of the run (YYYY-MM-DD)
+// Unknown {{variables}} are left as-is.
+
+import { readFileSync } from 'node:fs';
+import { TEST_PROMPT } from './common.mjs';
+
+// Split prompt flags out of an argv list; `rest` keeps everything else in order
+export function parsePromptArgs(args) {
+  const prompt = {};
+  const rest = [];
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--prompt' && args[i + 1] !== undefined) prompt.text = args[++i];
+    else if (args[i] === '--prompt-file' && args[i + 1] !== undefined) prompt.file = args[++i];
+    else rest.push(args[i]);
+  }
+
+  return { prompt, rest };
+}
+
+function readStdin() {
+  if (process.stdin.isTTY) {
+    throw new Error('Prompt from stdin requested, but stdin is a terminal. Pipe the prompt in.');
+  }
+  return readFileSync(0, 'utf-8');
+}
+
+// Returns the raw (unexpanded) prompt template
+export function resolvePrompt({ text, file } = {}) {
+  let prompt;
+  if (text === '-' || file === '-') prompt = readStdin();
+  else if (text !== undefined) prompt = text;
+  else if (file !== undefined) {
+    try {
+      prompt = readFileSync(file, 'utf-8');
+    } catch (err) {
+      throw new Error(`Cannot read prompt file ${file}: ${err.message}`);
+    }
+  } else {
+    return TEST_PROMPT;
+  }
+
+  prompt = prompt.trim();
+  if (!prompt) throw new Error('Prompt is empty');
+  return prompt;
+}
+
+export function expandPrompt(template, vars) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+    vars[name] !== undefined && vars[name] !== null ? String(vars[name]) : match
+  );
+}
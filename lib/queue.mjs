@@ -0,0 +1,293 @@
+// lib/queue.mjs
+// Durable job queue — `cpm enqueue` adds jobs, `cpm worker` runs them and survives restarts
+//
+// One JSON file per job in $CPM_HOME/queue/jobs/<job-id>.json (default ~/.cpm/queue),
+// rewritten atomically (temp file + rename) on every state change:
+//
+//   queued → running → succeeded | failed
+//               └──→ queued   interrupted (worker killed, terminal closed, machine
+//                             rebooted) — retried until maxAttempts, then failed
+//   queued → cancelled        cpm queue cancel
+//
+// A job: { id, seq (FIFO position), mode, options (runner options: prompt text, source,
+//          verify, git, ...), state, attempts, maxAttempts, runIds, worker,
+//          history: [{ state, at, note }] }
+//
+// One worker at a time (queue/worker.pid). A starting worker treats jobs still
+// "running" as interrupted — whoever ran them is gone. Each attempt is a normal
+// run in the run history store (lib/store.mjs); job.runIds links to them.
+
+import {
+  mkdirSync, writeFileSync, readFileSync, readdirSync, renameSync, rmSync,
+} from 'node:fs';
+import { join } from 'node:path';
+import { hostname } from 'node:os';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { cpmHome } from './store.mjs';
+import { makeRunId, isProcessAlive } from './common.mjs';
+import { executeRunner, getRunner, handleInterrupts, interrupted } from './runners.mjs';
+import { resultStatus } from './report.mjs';
+import { redact } from './redact.mjs';
+
+export const JOB_STATES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+const DEFAULT_MAX_ATTEMPTS = 3;
+
+export function queueDir() {
+  return join(cpmHome(), 'queue');
+}
+
+function jobsDir() {
+  return join(queueDir(), 'jobs');
+}
+
+function jobFile(id) {
+  return join(jobsDir(), `${id}.json`);
+}
+
+// job.options is what the worker runs, so it is stored as given — a prompt may quote a
+// key-shaped example on purpose. The rest (notes, errors) is redacted; the file is 0600.
+function writeJob(job) {
+  mkdirSync(jobsDir(), { recursive: true });
+  const tmp = `${jobFile(job.id)}.${process.pid}.tmp`;
+  const stored = { ...JSON.parse(redact(JSON.stringify({ ...job, options: null }))), options: job.options };
+  writeFileSync(tmp, JSON.stringify(stored, null, 2), { mode: 0o600 });
+  renameSync(tmp, jobFile(job.id));
+  return job;
+}
+
+function readJob(id) {
+  try {
+    return JSON.parse(readFileSync(jobFile(id), 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+// Records a state transition; `fields` are merged into the job first
+export function transition(job, state, note = null, fields = {}) {
+  if (!JOB_STATES.includes(state)) throw new Error(`Unknown job state "${state}"`);
+  return writeJob({
+    ...job,
+    ...fields,
+    state,
+    updatedAt: new Date().toISOString(),
+    history: [...job.history, { state, at: new Date().toISOString(), ...(note && { note }) }],
+  });
+}
+
+// ─────────────────────────────────────────────────────
+// Jobs
+// ─────────────────────────────────────────────────────
+
+// options: runner options as passed to executeRunner — the prompt must already be
+// resolved text and paths absolute, since the worker may run from anywhere, later
+export function enqueueJob({ mode, options = {}, task = null, maxAttempts = DEFAULT_MAX_ATTEMPTS }) {
+  const id = makeRunId(`job-${mode}`);
+  const now = new Date().toISOString();
+  return writeJob({
+    id,
+    seq: Math.max(0, ...listJobs().map(j => j.seq ?? 0)) + 1,
+    mode,
+    task,
+    options,
+    state: 'queued',
+    attempts: 0,
+    maxAttempts,
+    runIds: [],
+    worker: null,
+    createdAt: now,
+    updatedAt: now,
+    history: [{ state: 'queued', at: now }],
+  });
+}
+
+// Oldest first — FIFO for the worker
+export function listJobs({ state } = {}) {
+  let files;
+  try {
+    files = readdirSync(jobsDir()).filter(f => f.endsWith('.json'));
+  } catch {
+    return [];
+  }
+  return files
+    .map(f => readJob(f.slice(0, -'.json'.length)))
+    .filter(job => job && (!state || job.state === state))
+    .sort((a, b) => (a.seq ?? 0) - (b.seq ?? 0));
+}
+
+// Accepts a full id or any unique part of one
+export function getJob(query) {
+  const jobs = listJobs();
+  const exact = jobs.find(j => j.id === query);
+  if (exact) return exact;
+  const matches = jobs.filter(j => j.id.includes(query));
+  if (matches.length === 1) return matches[0];
+  if (matches.length === 0) throw new Error(`No job matches "${query}"`);
+  throw new Error(`"${query}" is ambiguous: ${matches.slice(0, 5).map(j => j.id).join(', ')}${matches.length > 5 ? ', ...' : ''}`);
+}
+
+export function cancelJob(query) {
+  const job = getJob(query);
+  if (job.state !== 'queued') throw new Error(`Job ${job.id} is ${job.state} — only queued jobs can be cancelled`);
+  return transition(job, 'cancelled', 'cancelled by user');
+}
+
+// Failed or cancelled → queued again, with a fresh set of attempts
+export function retryJob(query) {
+  const job = getJob(query);
+  if (job.state !== 'failed' && job.state !== 'cancelled') {
+    throw new Error(`Job ${job.id} is ${job.state} — only failed or cancelled jobs can be retried`);
+  }
+  return transition(job, 'queued', 'retry requested', { attempts: 0 });
+}
+
+export function removeJob(query) {
+  const job = getJob(query);
+  if (job.state === 'running') throw new Error(`Job ${job.id} is running`);
+  rmSync(jobFile(job.id), { force: true });
+  return job.id;
+}
+
+// An interrupted attempt goes back to the queue while attempts remain
+export function interruptJob(job, reason) {
+  if (job.attempts < job.maxAttempts) {
+    return transition(job, 'queued', `interrupted (${reason}) — will retry (${job.attempts}/${job.maxAttempts} attempts used)`, { worker: null });
+  }
+  return transition(job, 'failed', `interrupted (${reason}) — no attempts left (${job.maxAttempts})`, { worker: null });
+}
+
+// ─────────────────────────────────────────────────────
+// Worker lock — queue/worker.pid, stale when its process is gone
+// ─────────────────────────────────────────────────────
+
+function workerLockFile() {
+  return join(queueDir(), 'worker.pid');
+}
+
+// { pid, host, startedAt } of the running worker, or null
+export function workerStatus() {
+  try {
+    const lock = JSON.parse(readFileSync(workerLockFile(), 'utf-8'));
+    return lock.host === hostname() && isProcessAlive(lock.pid) ? lock : null;
+  } catch {
+    return null;
+  }
+}
+
+// Returns a release function; throws when another worker is running
+export function acquireWorkerLock() {
+  mkdirSync(queueDir(), { recursive: true });
+  const lock = { pid: process.pid, host: hostname(), startedAt: new Date().toISOString() };
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      writeFileSync(workerLockFile(), JSON.stringify(lock), { flag: 'wx' });
+      return () => {
+        if (workerStatus()?.pid === process.pid) rmSync(workerLockFile(), { force: true });
+      };
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+      const running = workerStatus();
+      if (running) throw new Error(`A worker is already running (pid ${running.pid}, since ${running.startedAt})`);
+      rmSync(workerLockFile(), { force: true });   // stale: its process is gone
+    }
+  }
+  throw new Error(`Could not acquire ${workerLockFile()}`);
+}
+
+// ─────────────────────────────────────────────────────
+// Worker
+// ─────────────────────────────────────────────────────
+
+// Jobs left "running" when no worker holds the lock were interrupted
+export function recoverInterrupted() {
+  return listJobs({ state: 'running' }).map(job => interruptJob(job, `worker ${job.worker?.pid ?? '?'} stopped`));
+}
+
+async function runJob(job, { resolveRunner, runnerOptions }) {
+  const runner = resolveRunner(job.mode);
+  if (!runner) return transition(job, 'failed', `unknown mode "${job.mode}"`);
+
+  const runId = makeRunId(job.mode);
+  let current = transition(job, 'running', `attempt ${job.attempts + 1}/${job.maxAttempts}, run ${runId}`, {
+    attempts: job.attempts + 1,
+    runIds: [...job.runIds, runId],
+    worker: { pid: process.pid, host: hostname() },
+  });
+
+  let result = null;
+  let error = null;
+  try {
+    result = await executeRunner(runner, { ...runnerOptions, ...current.options, task: job.task ?? undefined, runId });
+  } catch (err) {
+    error = err;
+  }
+
+  // The worker was stopped: the run was cancelled and cleaned up, the job is retried later
+  if (interrupted()) return interruptJob(current, `${interrupted()}, run ${runId} cancelled`);
+  if (error) return transition(current, 'failed', `run ${runId}: ${error.message}`, { worker: null, status: 'error' });
+  const status = resultStatus(result);
+  return transition(current, status === 'passed' ? 'succeeded' : 'failed',
+    `run ${runId}: ${status}${result.error ? ` — ${result.error}` : ''}`, { worker: null, status });
+}
+
+// Runs queued jobs oldest first, one at a time. once: stop when the queue is empty
+// (otherwise poll every pollMs). SIGINT/SIGTERM/SIGHUP cancel the current run the
+// way Ctrl-C does (lib/runners.mjs handleInterrupts: cc stopped, teardown, workspace
+// removed), put its job back in the queue and return once it has wound down; when
+// idle, or on a second signal, the worker exits at once. Returns the jobs this
+// worker finished.
+export async function runWorker({
+  once = false,
+  pollMs = 5000,
+  resolveRunner = getRunner,
+  runnerOptions = {},
+} = {}) {
+  const release = acquireWorkerLock();
+  const finished = [];
+  let current = null;
+
+  const uninstall = handleInterrupts({
+    signals: ['SIGINT', 'SIGTERM', 'SIGHUP'],
+    beforeExit: (signal) => {
+      const job = current && readJob(current.id);
+      if (job?.state === 'running') interruptJob(job, signal);
+      release();
+      console.log(`\n🛑 Worker stopped (${signal})`);
+    },
+  });
+
+  try {
+    for (const job of recoverInterrupted()) {
+      console.log(`♻️  ${job.id}: ${job.history.at(-1).note}`);
+    }
+    console.log(`👷 Worker ${process.pid} watching ${jobsDir()}`);
+
+    for (;;) {
+      const next = listJobs({ state: 'queued' })[0];
+      if (!next) {
+        if (once) break;
+        await sleep(pollMs);
+        continue;
+      }
+
+      console.log('');
+      console.log(`▶️  Job ${next.id} (${next.mode}${next.task ? `, task ${next.task}` : ''})`);
+      current = next;
+      const done = await runJob(next, { resolveRunner, runnerOptions });
+      current = null;
+      if (interrupted()) {
+        console.log(`↩️  Job ${done.id}: ${done.history.at(-1).note}`);
+        console.log(`🛑 Worker stopped (${interrupted()})`);
+        break;
+      }
+      finished.push(done);
+      console.log(`${done.state === 'succeeded' ? '✅' : '❌'} Job ${done.id}: ${done.state}`);
+    }
+  } finally {
+    uninstall();
+    release();
+  }
+
+  return finished;
+}
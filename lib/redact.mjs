@@ -0,0 +1,128 @@
+// lib/redact.mjs
+// Secret redaction — console output, echoed cc output, stored runs and reports all pass through here
+//
+//   registerSecret(value)   a known secret (resolved token, refresh token, API key),
+//                           masked wherever it appears from then on
+//   redact(text)            known secrets and secret-shaped strings → masked
+//   installRedaction()      called by the entry scripts (run-demo, cpm, the mode scripts,
+//                           push-token, extract-token, find-claude-token): every write to
+//                           stdout/stderr — console.* included — is redacted
+//   writeUnredacted(text)   stdout as is, for output whose purpose is the secret
+//                           (extract-token --token-only / --export / --json)
+//
+// Secret-shaped: sk-ant-<kind>-... (OAuth access and refresh tokens, API keys) and JWTs.
+// Masks keep the kind, so logs still tell which secret was there: sk-ant-oat01-[REDACTED].
+// The values of SECRET_ENV are known secrets too, without registering them.
+//
+// Live output arrives in chunks: the tail of a write that could be the start of a
+// secret is held back until the next write (or 50ms, or exit). Children run with
+// stdio 'inherit' (docker build, fly auth docker) write to the terminal directly.
+
+const SECRET_ENV = ['CLAUDE_CODE_OAUTH_TOKEN', 'ANTHROPIC_API_KEY', 'CPM_VAULT_PASSPHRASE', 'FLY_API_TOKEN'];
+const MIN_SECRET_LENGTH = 8;   // shorter values (CLAUDE_CODE_OAUTH_TOKEN=fake) would mask ordinary words
+const HOLD_MS = 50;
+
+const TOKEN_PATTERN = /sk-ant-[a-z]+\d*-[A-Za-z0-9_-]{8,}/g;
+const JWT_PATTERN = /eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g;
+// A write ending in what may be the first part of a secret-shaped string: at least
+// "sk" of sk-ant-, so output ending in a plain "s" isn't held back
+const PARTIAL_PATTERN = /(?:sk(?:-(?:a(?:n(?:t(?:-[A-Za-z0-9_-]*)?)?)?)?)?|eyJ[A-Za-z0-9_.-]*)$/;
+
+const registered = new Set();
+
+function addSecret(set, value) {
+  if (typeof value === 'string' && value.length >= MIN_SECRET_LENGTH) set.add(value);
+}
+
+export function registerSecret(value) {
+  addSecret(registered, value);
+  return value;
+}
+
+function knownSecrets() {
+  const secrets = new Set(registered);
+  for (const name of SECRET_ENV) addSecret(secrets, process.env[name]);
+  // Longest first, so a secret containing another is masked whole
+  return [...secrets].sort((a, b) => b.length - a.length);
+}
+
+export function maskSecret(value) {
+  const kind = value.match(/^sk-ant-[a-z]+\d*-/)?.[0];
+  if (kind) return `${kind}[REDACTED]`;
+  return value.startsWith('eyJ') ? '[REDACTED JWT]' : '[REDACTED]';
+}
+
+export function redact(text) {
+  if (typeof text !== 'string' || text === '') return text;
+  let out = text;
+  for (const secret of knownSecrets()) {
+    if (out.includes(secret)) out = out.split(secret).join(maskSecret(secret));
+  }
+  return out.replace(TOKEN_PATTERN, maskSecret).replace(JWT_PATTERN, maskSecret);
+}
+
+// Does it carry a known secret (registered, or a SECRET_ENV value)? runCommand and
+// spawnCommand refuse such command lines. Secret-shaped text alone doesn't count: a
+// prompt may quote an example key, and the real ones are all known by then.
+export function containsKnownSecret(text) {
+  return knownSecrets().some(secret => text.includes(secret));
+}
+
+// How much of the end of text to hold back: a possible start of a secret-shaped
+// string, or of a known secret
+function heldTail(text) {
+  let hold = text.match(PARTIAL_PATTERN)?.[0].length ?? 0;
+  for (const secret of knownSecrets()) {
+    for (let n = Math.min(secret.length - 1, text.length); n > hold; n--) {
+      if (text.endsWith(secret.slice(0, n))) { hold = n; break; }
+    }
+  }
+  return hold;
+}
+
+// ─────────────────────────────────────────────────────
+// stdout/stderr
+// ─────────────────────────────────────────────────────
+
+const originalWrites = new Map();
+
+// Wraps stream.write → flush() writes whatever is held back
+function redactStream(stream) {
+  const write = stream.write.bind(stream);
+  originalWrites.set(stream, write);
+  let pending = '';
+  let timer = null;
+
+  const flush = () => {
+    clearTimeout(timer);
+    timer = null;
+    if (pending) write(redact(pending));
+    pending = '';
+  };
+
+  stream.write = (chunk, encoding, callback) => {
+    if (typeof encoding === 'function') [callback, encoding] = [encoding, undefined];
+    if (typeof chunk !== 'string') {
+      if (!Buffer.isBuffer(chunk) && !(chunk instanceof Uint8Array)) return write(chunk, encoding, callback);
+      chunk = Buffer.from(chunk).toString(typeof encoding === 'string' && encoding !== 'buffer' ? encoding : 'utf-8');
+    }
+
+    const text = pending + chunk;
+    const hold = heldTail(text);
+    pending = text.slice(text.length - hold);
+    clearTimeout(timer);
+    timer = pending ? setTimeout(flush, HOLD_MS).unref() : null;
+    return write(redact(text.slice(0, text.length - hold)), callback);
+  };
+  return flush;
+}
+
+export function installRedaction() {
+  if (originalWrites.size) return;
+  const flushes = [redactStream(process.stdout), redactStream(process.stderr)];
+  process.on('exit', () => flushes.forEach(flush => flush()));
+}
+
+export function writeUnredacted(text) {
+  return (originalWrites.get(process.stdout) ?? process.stdout.write.bind(process.stdout))(text);
+}
@@ -0,0 +1,215 @@
+// lib/report.mjs
+// Comparison report for any number of mode results
+//
+//   buildReport(results)   → plain object (the JSON format)
+//   renderMarkdown(report) → table for RESULTS.md / PR comments
+//   renderJUnit(report)    → JUnit XML, one <testcase> per mode, so CI shows pass/fail
+//
+// All values are measured per run (see lib/runners.mjs): prepareSeconds (setup
+// before cc starts), startupSeconds (spawn → first output), totalSeconds (cc run),
+// exit code, files produced in the workspace, tokens used (stream-json only), how cc
+// authenticated (OAuth or a billed API key, see resolveAuth in lib/credentials.mjs) and
+// task verification (lib/verify.mjs) — a failed assertion fails the mode.
+// Batch results (cpm batch, lib/batch.mjs) carry a task id: one entry per task × mode.
+
+import { writeFileSync, mkdirSync } from 'node:fs';
+import { dirname } from 'node:path';
+import { hostname, platform, release } from 'node:os';
+import { redact } from './redact.mjs';
+
+const MODE_LABELS = {
+  docker: 'Mode A: Docker',
+  sandbox: 'Mode B: Sandbox',
+  fly: 'Mode C: Fly.io',
+  incus: 'Mode D: Incus',
+};
+
+export function modeLabel(mode) {
+  return MODE_LABELS[mode] ?? mode;
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+export function resultStatus(result) {
+  if (result.status) return result.status;
+  if (result.error && result.exitCode === -1) return 'error';
+  if (result.verification && !result.verification.passed) return 'failed';
+  return result.exitCode === 0 ? 'passed' : 'failed';
+}
+
+export function buildReport(results, { title = 'CPM mode comparison' } = {}) {
+  const modes = results.map(r => {
+    const files = r.files ?? (r.git ? { added: r.git.added, modified: r.git.modified, deleted: r.git.deleted } : null);
+    const usage = r.stream?.usage;
+    const assertions = r.verification?.assertions;
+    const label = modeLabel(r.mode);
+    return {
+      mode: r.mode,
+      task: r.task ?? null,
+      label: r.task ? `${r.task} · ${label}` : label,
+      runId: r.runId ?? null,
+      runtime: r.runtime ?? null,
+      auth: r.auth?.method ?? null,
+      status: resultStatus(r),
+      exitCode: r.exitCode ?? null,
+      prepareSeconds: toNumber(r.prepareSeconds),
+      startupSeconds: toNumber(r.startupSeconds),
+      totalSeconds: toNumber(r.elapsed),
+      filesProduced: files ? files.added.length + files.modified.length : null,
+      files,
+      turns: r.stream?.turns ?? null,
+      tokens: usage ? { input: usage.input_tokens ?? 0, output: usage.output_tokens ?? 0 } : null,
+      costUsd: r.stream?.costUsd ?? null,
+      verification: assertions ? {
+        passed: assertions.filter(a => a.status === 'passed').length,
+        failed: assertions.filter(a => a.status === 'failed').length,
+        skipped: assertions.filter(a => a.status === 'skipped').length,
+        assertions,
+      } : null,
+      error: r.error ?? null,
+    };
+  });
+
+  return {
+    title,
+    generatedAt: new Date().toISOString(),
+    host: { hostname: hostname(), platform: platform(), release: release(), node: process.version },
+    summary: {
+      total: modes.length,
+      passed: modes.filter(m => m.status === 'passed').length,
+      failed: modes.filter(m => m.status !== 'passed' && m.status !== 'skipped').length,
+      skipped: modes.filter(m => m.status === 'skipped').length,
+    },
+    modes,
+  };
+}
+
+// ─────────────────────────────────────────────────────
+// Renderers
+// ─────────────────────────────────────────────────────
+
+const fmt = {
+  seconds: (v) => v === null ? '—' : `${v}s`,
+  tokens: (t) => t ? `${t.input} in / ${t.output} out` : '—',
+  cost: (v) => v === null ? '—' : `$${v.toFixed(4)}`,
+  auth: (a) => ({ oauth: 'OAuth', 'api-key': '💸 API key' }[a] ?? '—'),
+  status: (s) => ({ passed: '✅ passed', failed: '❌ failed', error: '💥 error', timeout: '⏱️ timeout', cancelled: '🛑 cancelled', skipped: '⏭️ skipped' }[s] ?? s),
+  verification: (v) => v
+    ? `${v.failed ? '❌' : '✅'} ${v.passed}/${v.passed + v.failed}${v.skipped ? ` (${v.skipped} skipped)` : ''}`
+    : '—',
+};
+
+export function renderMarkdown(report) {
+  const { modes } = report;
+  const header = `| Metric | ${modes.map(m => m.label).join(' | ')} |`;
+  const divider = `|--------|${modes.map(() => '--------').join('|')}|`;
+  const row = (label, pick) => `| ${label} | ${modes.map(m => String(pick(m)).replace(/\|/g, '\\|')).join(' | ')} |`;
+
+  return [
+    `## ${report.title}`,
+    '',
+    `Generated ${report.generatedAt} on ${report.host.hostname} (${report.host.platform} ${report.host.release}, Node ${report.host.node})`,
+    '',
+    header,
+    divider,
+    row('Status', m => fmt.status(m.status)),
+    row('Exit code', m => m.exitCode ?? '—'),
+    row('Setup time', m => fmt.seconds(m.prepareSeconds)),
+    row('Startup time', m => fmt.seconds(m.startupSeconds)),
+    row('Execution time', m => fmt.seconds(m.totalSeconds)),
+    row('Verification', m => fmt.verification(m.verification)),
+    row('Files produced', m => m.filesProduced ?? '—'),
+    row('Turns', m => m.turns ?? '—'),
+    row('Tokens', m => fmt.tokens(m.tokens)),
+    row('Auth', m => fmt.auth(m.auth)),
+    row('Cost', m => fmt.cost(m.costUsd)),
+    row('Run id', m => m.runId ? `\`${m.runId}\`` : '—'),
+    '',
+  ].join('\n');
+}
+
+function xml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+export function renderJUnit(report) {
+  const { modes, summary } = report;
+  const time = modes.reduce((sum, m) => sum + (m.totalSeconds ?? 0), 0);
+  const errors = modes.filter(m => m.status === 'error').length;
+  const failures = modes.filter(m => m.status === 'failed' || m.status === 'timeout').length;
+  const skipped = modes.filter(m => m.status === 'skipped' || m.status === 'cancelled').length;
+
+  const failureMessage = (m) => {
+    const failed = m.verification?.assertions.filter(a => a.status === 'failed') ?? [];
+    if (m.exitCode === 0 && failed.length) {
+      return [`${failed.length} verification assertion(s) failed`,
+        failed.map(a => `${a.type} ${a.target}: ${a.detail}`).join('\n')];
+    }
+    return [`exit code ${m.exitCode}`, m.error ?? `cc exited with code ${m.exitCode}`];
+  };
+
+  const cases = modes.map(m => {
+    const open = `    <testcase classname="cpm.${xml(m.mode)}" name="${xml(m.label)}" time="${m.totalSeconds ?? 0}">`;
+    const details = [
+      m.status === 'skipped' || m.status === 'cancelled' ? `      <skipped message="${xml(m.error ?? 'skipped')}"/>` : null,
+      m.status === 'failed' ? `      <failure message="${xml(failureMessage(m)[0])}">${xml(failureMessage(m)[1])}</failure>` : null,
+      m.status === 'timeout' ? `      <failure message="${xml(m.error ?? 'timeout')}" type="timeout"/>` : null,
+      m.status === 'error' ? `      <error message="${xml(m.error ?? 'error')}"/>` : null,
+      `      <system-out>${xml(JSON.stringify({
+        runId: m.runId, startupSeconds: m.startupSeconds, filesProduced: m.filesProduced, tokens: m.tokens,
+      }))}</system-out>`,
+    ].filter(Boolean);
+    return [open, ...details, '    </testcase>'].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${xml(report.title)}" tests="${summary.total}" failures="${failures}" errors="${errors}" skipped="${skipped}" time="${time.toFixed(1)}">`,
+    `  <testsuite name="cpm" tests="${summary.total}" failures="${failures}" errors="${errors}" skipped="${skipped}" time="${time.toFixed(1)}" timestamp="${report.generatedAt}">`,
+    ...cases,
+    '  </testsuite>',
+    '</testsuites>',
+    '',
+  ].join('\n');
+}
+
+// targets: { json, markdown, junit } → file paths (each optional);
+// markdown renders with renderMarkdown unless another renderer is given. Redacted (lib/redact.mjs)
+export function writeReports(report, targets = {}, { markdown = renderMarkdown } = {}) {
+  const outputs = [
+    [targets.json, () => JSON.stringify(report, null, 2) + '\n'],
+    [targets.markdown, () => markdown(report)],
+    [targets.junit, () => renderJUnit(report)],
+  ];
+  const written = [];
+  for (const [file, render] of outputs) {
+    if (!file) continue;
+    mkdirSync(dirname(file), { recursive: true });
+    writeFileSync(file, redact(render()));
+    written.push(file);
+  }
+  return written;
+}
+
+// --report-json <f>, --report-md <f>, --report-junit <f>
+export function parseReportArgs(args) {
+  const targets = {};
+  const rest = [];
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--report-json' && args[i + 1]) targets.json = args[++i];
+    else if (args[i] === '--report-md' && args[i + 1]) targets.markdown = args[++i];
+    else if (args[i] === '--report-junit' && args[i + 1]) targets.junit = args[++i];
+    else rest.push(args[i]);
+  }
+
+  return { reports: targets, rest };
+}
@@ -0,0 +1,231 @@
+// lib/results-doc.mjs
+// Automatic RESULTS.md filler — turns a benchmark run into a completed checklist
+//
+// Used by `node run-demo.mjs --fill-results`: every selected mode runs the
+// hello.mjs smoke test once (first run — cold if the image/sandbox had to be
+// built) plus --warm-runs more times, then each checklist item from RESULTS.md
+// is evaluated from the measured results, workspace and cc output.
+//
+// Check outcomes: true (✅ [x]), false (❌ [ ]), null (not checkable here, with a note).
+
+import { existsSync } from 'node:fs';
+import { join } from 'node:path';
+import { platform, release } from 'node:os';
+import { commandText } from './common.mjs';
+
+const AUTH_ERROR = /invalid api key|not logged in|oauth token (has )?expired|authentication_error|401 unauthorized|please run \/login/i;
+const PERMISSION_PROMPT = /requires approval|permission to use|do you want to proceed/i;
+const HELLO_OUTPUT = /Hello from Claude Code/;
+
+const output = (r) => `${r.output?.stdout ?? ''}\n${r.output?.stderr ?? ''}`;
+const exitedCleanly = (r) => r.exitCode === 0;
+const helloOnHost = (r) => r.workspace ? existsSync(join(r.workspace, 'hello.mjs')) : null;
+
+// ─────────────────────────────────────────────────────
+// Checklists — wording matches RESULTS.md
+// ─────────────────────────────────────────────────────
+
+function commonChecks(what) {
+  return [
+    ['cc executes prompt without permission prompts', (r) => exitedCleanly(r) && !PERMISSION_PROMPT.test(output(r))],
+    ['cc creates hello.mjs in workspace', (r) =>
+      r.files ? r.files.added.includes('hello.mjs') || r.files.modified.includes('hello.mjs') : helloOnHost(r)],
+    ['hello.mjs runs and produces output', (r) => HELLO_OUTPUT.test(r.output?.stdout ?? '')],
+    [`Files visible on host after ${what} exits`, (r) =>
+      r.workspace ? helloOnHost(r) : { pass: null, note: 'files stay on the remote machine' }],
+  ];
+}
+
+const CHECKLISTS = {
+  docker: {
+    title: 'Mode A: Plain Docker Container',
+    checks: [
+      ['Image builds successfully', (r) => r.elapsed !== undefined],
+      ['CLAUDE_CODE_OAUTH_TOKEN accepted', (r) => exitedCleanly(r) && !AUTH_ERROR.test(output(r))],
+      ...commonChecks('container'),
+      ['Container exits cleanly (code 0)', exitedCleanly],
+    ],
+    auth: 'OAuth token via env file / podman secret / stdin',
+    cleanup: 'Automatic (--rm)',
+  },
+  sandbox: {
+    title: 'Mode B: Docker Sandbox (microVM)',
+    checks: [
+      ['`docker sandbox version` works', (r, versions) => Boolean(versions['Docker Sandbox'])],
+      ['Sandbox creates successfully', (r) => !r.error],
+      ['`-p` headless mode works through sandbox', (r) => exitedCleanly(r) && Boolean(r.output?.stdout.trim())],
+      ['cc authenticates automatically (credential injection)', (r) => exitedCleanly(r) && !AUTH_ERROR.test(output(r))],
+      ...commonChecks('sandbox completes'),
+      ['Process exits cleanly (code 0)', exitedCleanly],
+      ['Sandbox cleanup works (`docker sandbox rm`)', () =>
+        ({ pass: null, note: 'not run — would delete the persistent sandbox' })],
+    ],
+    auth: 'Automatic (Keychain injection)',
+    cleanup: 'Manual (persistent sandbox)',
+  },
+  fly: {
+    title: 'Mode C: Fly.io Ephemeral Machine',
+    checks: [
+      ['Machine launches successfully', (r) => !r.error && r.elapsed !== undefined],
+      ['CLAUDE_CODE_OAUTH_TOKEN accepted', (r) => exitedCleanly(r) && !AUTH_ERROR.test(output(r))],
+      ...commonChecks('machine'),
+      ['Machine exits cleanly (code 0)', exitedCleanly],
+    ],
+    auth: 'OAuth token via env file in the machine config',
+    cleanup: 'Automatic (destroyed through the Machines API)',
+  },
+  incus: {
+    title: 'Mode D: Incus System Container',
+    checks: [
+      ['Container provisions successfully', (r) => !r.error],
+      ['cc authenticates (credential injection)', (r) => exitedCleanly(r) && !AUTH_ERROR.test(output(r))],
+      ...commonChecks('run'),
+      ['Process exits cleanly (code 0)', exitedCleanly],
+    ],
+    auth: 'Automatic (exec injection)',
+    cleanup: 'Manual (persistent container)',
+  },
+};
+
+function checklistFor(mode, label = mode) {
+  return CHECKLISTS[mode] ?? {
+    title: label,
+    checks: [['Environment ready', (r) => !r.error], ...commonChecks('run'), ['Exits cleanly (code 0)', exitedCleanly]],
+    auth: '—',
+    cleanup: '—',
+  };
+}
+
+export function evaluateChecks(mode, result, versions = {}) {
+  return checklistFor(mode).checks.map(([label, check]) => {
+    let outcome;
+    try {
+      outcome = check(result, versions);
+    } catch (err) {
+      outcome = { pass: false, note: err.message };
+    }
+    if (outcome === null || typeof outcome === 'boolean') outcome = { pass: outcome };
+    return { label, ...outcome };
+  });
+}
+
+// ─────────────────────────────────────────────────────
+// Environment
+// ─────────────────────────────────────────────────────
+
+export function osVersion() {
+  const macos = platform() === 'darwin' ? commandText('sw_vers', ['-productVersion']) : null;
+  return macos ? `macOS ${macos}` : `${platform()} ${release()}`;
+}
+
+// ─────────────────────────────────────────────────────
+// Rendering
+// ─────────────────────────────────────────────────────
+
+const seconds = (v) => v === null || v === undefined ? '_____' : String(v);
+const answer = (text) => text ?? '___________';
+
+function checkLine({ label, pass, note }) {
+  if (pass === true) return `- [x] ${label}`;
+  if (pass === false) return `- [ ] ${label} ❌${note ? ` (${note})` : ''}`;
+  return `- [ ] ${label} _(not checked${note ? `: ${note}` : ''})_`;
+}
+
+const titleOf = (s) => checklistFor(s.mode, s.label).title;
+const shortTitle = (s) => titleOf(s).split(':')[0];
+
+function modeSection(section) {
+  const { first, warm, checks } = section;
+  const title = titleOf(section);
+  const warmStartups = warm.map(r => r.startupSeconds).filter(v => v !== null && v !== undefined);
+  const warmStartup = warmStartups.length
+    ? (warmStartups.reduce((a, b) => a + b, 0) / warmStartups.length).toFixed(1)
+    : null;
+
+  return [
+    `## ${title}`,
+    '',
+    ...checks.map(checkLine),
+    '',
+    `**Startup time (first run${first.coldStart ? ', cold — environment built' : ''}):** ${seconds(first.startupSeconds)} seconds (setup ${seconds(first.prepareSeconds)} s)`,
+    `**Startup time (subsequent runs):** ${seconds(warmStartup)} seconds${warm.length ? ` (avg of ${warm.length})` : ''}`,
+    `**Total execution time:** ${seconds(first.elapsed)} seconds`,
+    `**Notes:** runs ${[first, ...warm].map(r => `\`${r.runId}\``).join(', ')}` +
+      `${first.error ? ` — error: ${first.error}` : ''}`,
+    '',
+    '---',
+    '',
+  ];
+}
+
+function passed(section, label) {
+  return section?.checks.find(c => c.label.startsWith(label))?.pass ?? null;
+}
+
+const yesNo = (value, yes, no) => value === null ? null : (value ? yes : no);
+
+export function renderResultsDoc({ date = new Date(), versions = {}, sections }) {
+  const claudeVersion = sections.map(s => s.versions?.['Claude Code']).find(Boolean);
+  const a = sections.find(s => s.mode === 'docker');
+  const b = sections.find(s => s.mode === 'sandbox');
+
+  const overhead = a && b && a.first.startupSeconds != null && b.first.startupSeconds != null
+    ? `microVM ${b.first.startupSeconds}s vs container ${a.first.startupSeconds}s to first output ` +
+      `(setup ${b.first.prepareSeconds}s vs ${a.first.prepareSeconds}s)`
+    : null;
+  const fileSync = sections
+    .map(s => [s, passed(s, 'Files visible on host')])
+    .filter(([, v]) => v !== null);
+
+  const column = (pick) => sections.map(s => pick(s) ?? '—').join(' | ');
+
+  return [
+    '# Test Results — cc-docker-demo v2',
+    '',
+    `**Date:** ${date.toISOString().slice(0, 10)}`,
+    `**Docker Desktop version:** ${answer(versions['Docker Desktop'])}`,
+    `**Docker Sandbox version:** ${answer(versions['Docker Sandbox'])}`,
+    `**${platform() === 'darwin' ? 'macOS' : 'OS'} version:** ${osVersion()}`,
+    `**Claude Code version:** ${answer(claudeVersion)}`,
+    '',
+    ...sections.flatMap(modeSection),
+    '## Comparison',
+    '',
+    `| Metric | ${sections.map(shortTitle).join(' | ')} |`,
+    `|--------|${sections.map(() => '--------').join('|')}|`,
+    `| Build/setup time | ${column(s => `${s.first.prepareSeconds}s${s.first.coldStart ? ' (cold)' : ''}`)} |`,
+    `| Execution time | ${column(s => s.first.elapsed && `${s.first.elapsed}s`)} |`,
+    `| Auth complexity | ${column(s => checklistFor(s.mode).auth)} |`,
+    `| File sync | ${column(s => yesNo(passed(s, 'Files visible on host'), '✅ files on host', '❌ missing'))} |`,
+    `| Cleanup | ${column(s => checklistFor(s.mode).cleanup)} |`,
+    '',
+    '---',
+    '',
+    '## Key Findings',
+    '',
+    '### Does `-p` headless work in Docker Sandbox?',
+    `Answer: ${answer(yesNo(passed(b, '`-p` headless'), 'Yes', 'No — see Mode B notes'))}`,
+    '',
+    '### Does host proxy handle Max plan auth automatically?',
+    `Answer: ${answer(yesNo(passed(b, 'cc authenticates'), 'Yes (credentials injected from the host before each run)', 'No — authentication failed'))}`,
+    '',
+    '### Startup overhead: microVM vs container?',
+    `Answer: ${answer(overhead)}`,
+    '',
+    '### Any issues with workspace file sync?',
+    `Answer: ${answer(fileSync.length
+      ? fileSync.map(([s, ok]) => `${shortTitle(s)}: ${ok ? 'no issues' : 'files missing on host'}`).join('; ')
+      : null)}`,
+    '',
+    '---',
+    '',
+    '## Implications for CPM v4 Addendum',
+    '',
+    'Based on these results, the following changes to v4-cpm-autonomous-runner-plan-add-1.md are recommended:',
+    '',
+    '1. ___________',
+    '2. ___________',
+    '3. ___________',
+    '',
+  ].join('\n');
+}
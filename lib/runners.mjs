@@ -0,0 +1,369 @@
+// lib/runners.mjs
+// Runner registry — one contract for every execution mode
+//
+// A runner is a plain object:
+//   name          'docker' | 'sandbox' | 'fly' | ... (used by --mode)
+//   label         'Mode A' etc. (used in status lines)
+//   description   one-line summary for --help
+//   auto          false to exclude from --mode auto (default: included)
+//   detect()      → { <runtime>: boolean } availability probes (feeds detectRuntimes)
+//   available(runtimes, options) → boolean, can this runner run here?
+//   banner(options)              → lines for the mode banner
+//   prepare(ctx)  resolve auth, image, workspace; return a result object to abort
+//   run(ctx)      spawn cc → { code, stdout, stderr }
+//   collect(ctx, run)            → extra result fields (workspace listing etc.)
+//   exec(ctx, command, { timeout }) → { code, stdout, stderr }, run a shell command in the
+//                 workspace inside the same isolation (task verification, lib/verify.mjs)
+//   stop(ctx)     stop a running cc for good (--timeout, Ctrl-C): kill the container,
+//                 destroy the machine, ...; run() must then return. The process
+//                 spawnAndStream() started is killed anyway when ctx.signal aborts
+//   teardown(ctx) always called, even when prepare/run throws; if it throws itself, the
+//                 run keeps its result and records result.teardownError
+//   versions(options)            → { 'Claude Code': '2.1.0', ... } for results documents
+//   maxConcurrency  cap on parallel runs (cpm batch), for runners sharing one
+//                 sandbox/container/log stream; unset = as many as asked for
+//   limits        the resource limits it enforces, keys of lib/limits.mjs (default:
+//                 maxTurns and timeoutMs); defaultLimits fills in unset ones
+//
+// Every execution is saved to the run history store (~/.cpm/runs, lib/store.mjs).
+//
+// ctx carries state between steps: ctx.runId, ctx.options (incl. options.source,
+// the workspace source — see createWorkspace — options.git, options.verify and options.auth,
+// see resolveAuth in lib/credentials.mjs, and options.egress, options.limits), ctx.limits
+// (resolved: what the runner maps to its flags), ctx.signal (aborted on timeout or
+// Ctrl-C — pass it to spawnAndStream), ctx.result (merged into the
+// returned result), ctx.workdir (workspace path as cc sees it, set by prepare)
+// ctx.prompt (options.prompt with template variables expanded), ctx.outputFormat
+// and ctx.onStdout (pass to spawnAndStream — echoes text, parses stream-json and
+// times startup; options.echo === false keeps cc's output off the console, as
+// cpm batch does for parallel runs). options.task tags the result with a batch task id.
+//
+// A run stopped by --timeout has status 'timeout' (lib/report.mjs resultStatus).
+// Entry points call handleInterrupts(): Ctrl-C then cancels the runs in flight — cc
+// stopped, teardown, temp workspace removed unless options.keepWorkspace — and they
+// are saved with status 'cancelled'.
+// Measured result fields: prepareSeconds (setup before cc is spawned),
+// startupSeconds (spawn → first output), elapsed (cc run), files (produced).
+// Runners set coldStart: true when prepare had to build/create their environment.
+//
+// Third-party runners: put a module on --runner <path> (or CPM_RUNNERS=a.mjs,b.mjs)
+// that either calls registerRunner() itself or default-exports a runner object.
+
+import { resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { constants as osConstants } from 'node:os';
+import {
+  printModeBanner, printSection, elapsedSince, makeRunId, parseWorkspaceArgs, parseOutputArgs,
+  snapshotFiles, diffSnapshots, removeWorkspace,
+  createStreamParser, renderStreamEvent, summarizeStream, TEST_PROMPT,
+} from './common.mjs';
+import { parsePromptArgs, expandPrompt } from './prompt.mjs';
+import { parseGitArgs, captureGitBaseline, captureGitChanges, printGitChanges } from './git.mjs';
+import { parseVerifyArgs, runVerification, printVerification, SMOKE_TEST_VERIFY } from './verify.mjs';
+import { saveRun, storeArtifacts } from './store.mjs';
+import { parseAuthArgs } from './credentials.mjs';
+import { parseEgressArgs } from './egress.mjs';
+import { parseLimitArgs, resolveLimits, describeLimits, LIMIT_FLAGS } from './limits.mjs';
+
+const registry = new Map();
+
+export function registerRunner(runner) {
+  if (!runner?.name || typeof runner.run !== 'function') {
+    throw new Error('A runner needs at least a name and a run(ctx) function');
+  }
+  registry.set(runner.name, runner);
+  return runner;
+}
+
+export function getRunner(name) {
+  return registry.get(name) ?? null;
+}
+
+export function listRunners() {
+  return [...registry.values()];
+}
+
+export async function loadRunnerModules(specs = []) {
+  for (const spec of specs) {
+    const url = spec.startsWith('.') || spec.startsWith('/')
+      ? pathToFileURL(resolve(spec)).href
+      : spec;
+    const mod = await import(url);
+    if (mod.default?.name && !registry.has(mod.default.name)) registerRunner(mod.default);
+  }
+}
+
+// Flags shared by run-demo.mjs and the standalone mode scripts:
+// --task and verification flags, --prompt/--prompt-file, --workspace/--repo/--ref,
+// --commit/--branch/--patch-dir, --output-format/--stream-json, --auth/--max-budget-usd
+// --egress/--allow-host/--deny-host (Modes A and B, on top of the task's egress policy)
+// and the limits (--max-turns, --timeout, --cpus, --memory, --pids, --disk; over the task's).
+// `rest` is everything else.
+// A task's prompt applies unless --prompt/--prompt-file is given too.
+export function parseRunnerArgs(args) {
+  const { task, verify, rest: afterVerify } = parseVerifyArgs(args);
+  const { prompt: promptFlags, rest: afterPrompt } = parsePromptArgs(afterVerify);
+  const { source, rest: afterSource } = parseWorkspaceArgs(afterPrompt);
+  const { git, rest: afterGit } = parseGitArgs(afterSource);
+  const { outputFormat, rest: afterOutput } = parseOutputArgs(afterGit);
+  const { auth, rest: afterAuth } = parseAuthArgs(afterOutput);
+  const { egress, rest: afterEgress } = parseEgressArgs(afterAuth, task?.egress ?? null);
+  const { limits, rest } = parseLimitArgs(afterEgress, task?.limits ?? null);
+  const hasPromptFlag = promptFlags.text !== undefined || promptFlags.file !== undefined;
+  const prompt = hasPromptFlag || !task ? promptFlags : task.prompt;
+  return { prompt, source, git, outputFormat, verify, auth, egress, limits, rest };
+}
+
+// ─────────────────────────────────────────────────────
+// Ctrl-C — cancel the runs in flight, then let the caller wind down
+// ─────────────────────────────────────────────────────
+
+const inFlight = new Set();   // cancel(signal) of every executeRunner() in progress
+let interruptedBy = null;
+
+// SIGINT/SIGTERM (or `signals`) cancel every run in flight; executeRunner() then
+// cleans up and returns a 'cancelled' result, and callers check interrupted() before
+// starting more; the process exits 128 + the signal number (Ctrl-C: 130) once
+// they're done. With nothing in flight, or on a second Ctrl-C, it exits at once,
+// after beforeExit(signal).
+// Returns a function that removes the handlers.
+export function handleInterrupts({ signals = ['SIGINT', 'SIGTERM'], beforeExit = () => {} } = {}) {
+  const onSignal = (signal) => {
+    const exitCode = 128 + (osConstants.signals[signal] ?? 2);
+    if (interruptedBy || inFlight.size === 0) {
+      if (interruptedBy) console.log('\n🛑 Exiting without cleanup');
+      beforeExit(signal);
+      process.exit(exitCode);
+    }
+    interruptedBy = signal;
+    process.exitCode = exitCode;
+    console.log('');
+    console.log(`🛑 ${signal}: cancelling ${inFlight.size} run(s) and cleaning up (Ctrl-C again to exit at once)...`);
+    for (const cancel of inFlight) cancel(signal);
+  };
+  for (const signal of signals) process.on(signal, onSignal);
+  return () => {
+    for (const signal of signals) process.off(signal, onSignal);
+    interruptedBy = null;
+  };
+}
+
+// The signal that cancelled this process's runs (null: not interrupted)
+export function interrupted() {
+  return interruptedBy;
+}
+
+// ─────────────────────────────────────────────────────
+// Lifecycle
+// ─────────────────────────────────────────────────────
+
+// Runs the full lifecycle and persists the result to the run history store
+// (lib/store.mjs) unless options.store === false.
+export async function executeRunner(runner, options = {}) {
+  const runId = options.runId ?? makeRunId(runner.name);
+  const startedAt = new Date();
+  const ctx = { mode: runner.name, runId, options, startedAt, result: { runId, ...(options.task && { task: options.task }) } };
+  const controller = new AbortController();
+  ctx.signal = controller.signal;
+  const cancel = (signal) => {
+    ctx.cancelled = signal;
+    stopRun(runner, ctx, controller);
+  };
+  inFlight.add(cancel);
+  if (interruptedBy) cancel(interruptedBy);
+
+  if (runner.banner) printModeBanner(runner.banner(options));
+
+  let result;
+  try {
+    result = await runLifecycle(runner, ctx, controller);
+    return result;
+  } catch (err) {
+    result = { mode: runner.name, ...ctx.result, exitCode: -1, error: err.message };
+    throw err;
+  } finally {
+    inFlight.delete(cancel);
+    if (result && options.store !== false) {
+      try {
+        storeArtifacts(result);
+      } catch (err) {
+        console.error(`⚠️  Could not store artifacts of run ${ctx.runId}: ${err.message}`);
+      }
+    }
+    // 6. Teardown — a failure there is reported, but never replaces the run's own
+    // result or error, and the run is still saved
+    try {
+      await runner.teardown?.(ctx);
+    } catch (err) {
+      console.error(`⚠️  ${runner.label || runner.name} teardown failed: ${err.message}`);
+      if (result) result.teardownError = err.message;
+    }
+    if (ctx.cancelled && ctx.result.workspace) cleanUpWorkspace(ctx);
+    if (options.store !== false) persistRun(ctx, result, startedAt);
+  }
+}
+
+// A cancelled run's temp workspace goes, unless it's kept for inspection
+function cleanUpWorkspace(ctx) {
+  const { workspace } = ctx.result;
+  if (ctx.options.keepWorkspace) {
+    console.log(`📁 Workspace kept for inspection: ${workspace}`);
+    return;
+  }
+  try {
+    if (removeWorkspace(workspace)) console.log(`🧹 Workspace removed: ${workspace} (--keep-workspace keeps it)`);
+  } catch (err) {
+    console.error(`⚠️  Could not remove workspace ${workspace}: ${err.message}`);
+  }
+}
+
+// Timeout or Ctrl-C: ctx.signal aborts (spawnAndStream kills its process) and, while
+// cc is running, runner.stop(ctx) ends it wherever it runs
+function stopRun(runner, ctx, controller) {
+  controller.abort();
+  if (!ctx.running) return;
+  Promise.resolve()
+    .then(() => runner.stop?.(ctx))
+    .catch(err => console.error(`⚠️  Could not stop ${runner.label || runner.name}: ${err.message}`));
+}
+
+function persistRun(ctx, result, startedAt) {
+  try {
+    saveRun(result, {
+      prompt: ctx.prompt ?? '',
+      stdout: ctx.run?.stdout ?? '',
+      stderr: ctx.run?.stderr ?? '',
+      startedAt,
+    });
+    console.log(`💾 Run saved: ${ctx.runId}  (node cpm.mjs runs show ${ctx.runId})`);
+  } catch (err) {
+    console.error(`⚠️  Could not save run ${ctx.runId}: ${err.message}`);
+  }
+}
+
+async function runLifecycle(runner, ctx, controller) {
+  const { options, runId } = ctx;
+  const label = runner.label || runner.name;
+
+  const { limits, ignored } = resolveLimits(options.limits, runner);
+  ctx.limits = limits;
+  ctx.result.limits = { ...limits, ...(ignored.length && { ignored }) };
+  if (ignored.length) console.warn(`⚠️  ${label} can't enforce ${ignored.map(key => LIMIT_FLAGS[key]).join(', ')} — ignored`);
+
+  // 1. Prepare — a returned object means "stop here, this is the result"
+  const aborted = !ctx.cancelled && await runner.prepare?.(ctx);
+  if (aborted) return { mode: runner.name, ...ctx.result, ...aborted };
+  if (ctx.cancelled) return { mode: runner.name, ...ctx.result, ...cancelledResult(ctx), exitCode: null };
+
+  ctx.prompt = expandPrompt(options.prompt ?? TEST_PROMPT, {
+    workspace: ctx.workdir ?? ctx.result.workspace,
+    mode: runner.name,
+    date: new Date().toISOString().slice(0, 10),
+  });
+  console.log(`   Prompt:     ${ctx.prompt.split('\n')[0].slice(0, 60)}`);
+  console.log(`   Limits:     ${describeLimits(limits)}`);
+
+  // Remember where a git workspace started so the run becomes a reviewable diff,
+  // and which files existed so we can tell what cc produced
+  const { workspace } = ctx.result;
+  const baseline = workspace ? captureGitBaseline(workspace) : null;
+  const filesBefore = workspace ? snapshotFiles(workspace) : null;
+
+  // stream-json: parse cc's events and render them instead of echoing raw JSON.
+  // The first stdout byte marks startup (with stream-json: cc's init event).
+  ctx.outputFormat = options.outputFormat ?? 'text';
+  const echo = options.echo !== false;
+  if (ctx.outputFormat === 'stream-json') ctx.stream = createStreamParser(echo ? renderStreamEvent : () => {});
+  let firstOutputAt = null;
+  ctx.onStdout = (text) => {
+    firstOutputAt ??= Date.now();
+    if (ctx.stream) ctx.stream.push(text);
+    else if (echo) process.stdout.write(text);
+  };
+
+  // 2. Run
+  console.log('');
+  printSection(runner.outputTitle || 'CC OUTPUT');
+
+  const startTime = Date.now();
+  ctx.result.prepareSeconds = Number(((startTime - ctx.startedAt) / 1000).toFixed(1));
+  const run = ctx.run = await runWithTimeout(runner, ctx, controller);
+  const elapsed = elapsedSince(startTime);
+  ctx.result.startupSeconds = firstOutputAt ? Number(((firstOutputAt - startTime) / 1000).toFixed(1)) : null;
+  if (ctx.stream) ctx.result.stream = summarizeStream(ctx.stream.end());
+
+  // 3. Report
+  console.log('');
+  console.log('─'.repeat(60));
+  console.log('');
+  if (ctx.cancelled) {
+    Object.assign(ctx.result, cancelledResult(ctx));
+    console.log(`🛑 ${label} cancelled after ${elapsed}s`);
+  } else if (ctx.timedOut) {
+    ctx.result.status = 'timeout';
+    ctx.result.error = `Timed out after ${limits.timeoutMs / 1000}s`;
+    console.log(`⏱️  ${label} timed out after ${limits.timeoutMs / 1000}s — stopped`);
+  } else {
+    console.log(run.code === 0
+      ? `✅ ${label} completed successfully (${elapsed}s)`
+      : `❌ ${label} exited with code ${run.code} (${elapsed}s)`
+    );
+  }
+
+  if (run.code !== 0 && !ctx.timedOut && !ctx.cancelled && run.stderr) {
+    console.log('');
+    console.log('Stderr output:');
+    console.log(run.stderr.slice(0, 1000));
+  }
+
+  // 4. Collect artifacts
+  const extra = await runner.collect?.(ctx, run);
+
+  if (filesBefore) ctx.result.files = diffSnapshots(filesBefore, snapshotFiles(workspace));
+
+  if (baseline) {
+    try {
+      ctx.result.git = captureGitChanges(workspace, baseline, { runId, ...options.git });
+      printGitChanges(ctx.result.git);
+    } catch (err) {
+      console.error(`⚠️  Git capture failed: ${err.message}`);
+    }
+  }
+
+  // 5. Verify — after capture so verification commands don't end up in the diff
+  // (not after a timeout or Ctrl-C: the work is unfinished by definition)
+  const verify = options.verify ?? ((options.prompt ?? TEST_PROMPT) === TEST_PROMPT ? SMOKE_TEST_VERIFY : null);
+  if (verify && !ctx.timedOut && !ctx.cancelled) {
+    ctx.result.verification = await runVerification(runner, ctx, verify);
+    printVerification(ctx.result.verification);
+  }
+
+  const result = { mode: runner.name, ...ctx.result, exitCode: run.code, elapsed, ...extra };
+  // Full output for in-process consumers (e.g. --fill-results checks) — non-enumerable
+  // so it stays out of meta.json and reports; the store keeps it in *.log files
+  Object.defineProperty(result, 'output', { value: { stdout: run.stdout, stderr: run.stderr } });
+  return result;
+}
+
+function cancelledResult(ctx) {
+  return { status: 'cancelled', error: `Cancelled (${ctx.cancelled})` };
+}
+
+// runner.run(ctx), stopped after limits.timeoutMs (or on Ctrl-C, see handleInterrupts)
+async function runWithTimeout(runner, ctx, controller) {
+  const { timeoutMs } = ctx.limits;
+  const timer = timeoutMs && setTimeout(() => {
+    ctx.timedOut = true;
+    console.log('');
+    console.log(`⏱️  Timeout (${timeoutMs / 1000}s) — stopping cc...`);
+    stopRun(runner, ctx, controller);
+  }, timeoutMs);
+
+  ctx.running = true;
+  try {
+    return await runner.run(ctx);
+  } finally {
+    ctx.running = false;
+    clearTimeout(timer);
+  }
+}
@@ -0,0 +1,136 @@
+// lib/secret-delivery.mjs
+// Getting auth env vars (resolveAuth) into a container or machine without putting them
+// on a command line — argv is readable by every user on the host (ps, /proc/*/cmdline)
+//
+// Mode A, per runtime (--secret-delivery picks one):
+//   env-file  run --env-file <file>: a 0600 file in a private temp dir, overwritten with
+//             zeros and removed in teardown (default for docker)
+//   secret    podman secret create <name> - (value on stdin), run --secret <name>,type=env;
+//             removed in teardown (default for podman). `docker run` has no secrets —
+//             Docker only supports them for swarm services
+//   stdin     run -i with an sh entrypoint that reads NAME=value lines up to an empty
+//             line, then execs cc — nothing touches the disk, as with Mode B's injection
+//
+// Mode C: the env file goes into the machine config's files (raw_value, in the body of
+// the HTTPS request that creates the machine — lib/fly-api.mjs) and the machine's sh
+// entrypoint sources it before cc starts. Nothing is written locally, but the config
+// is stored by Fly: GET /apps/<app>/machines/<id> returns the value to any token for
+// the app until the machine is destroyed. mode-fly.mjs destroys it as soon as cc has
+// exited, retries, and fails the teardown loudly if the machine is still there.
+//
+// Whatever the method, runCommand()/spawnCommand() refuse a command line carrying a
+// known secret (lib/common.mjs), so a regression fails loudly instead of leaking.
+
+import { mkdtempSync, writeFileSync, statSync, openSync, writeSync, fsyncSync, closeSync, rmSync } from 'node:fs';
+import { join, dirname } from 'node:path';
+import { tmpdir } from 'node:os';
+import { runCommand } from './common.mjs';
+
+export const SECRET_DELIVERIES = {
+  docker: ['env-file', 'stdin'],
+  podman: ['secret', 'env-file', 'stdin'],
+};
+
+export const DELIVERY_METHODS = ['env-file', 'secret', 'stdin'];
+
+// What the image's ENTRYPOINT runs (Dockerfile, Dockerfile.fake)
+const CC_ENTRYPOINT = 'exec claude -p --dangerously-skip-permissions "$@"';
+
+// Reads NAME=value lines from stdin until an empty line or EOF
+const STDIN_ENTRYPOINT = `while IFS= read -r line && [ -n "$line" ]; do export "$line"; done
+${CC_ENTRYPOINT}`;
+
+export const MACHINE_ENV_FILE = '/run/cpm/auth.env';
+
+function envLines(env) {
+  return Object.entries(env).map(([name, value]) => {
+    if (/[\r\n]/.test(value)) throw new Error(`${name} contains a line break and can't be delivered as an env line`);
+    return `${name}=${value}\n`;
+  }).join('');
+}
+
+// A 0600 file in a fresh 0700 directory → its path
+export function writeSecretFile(content) {
+  const file = join(mkdtempSync(join(tmpdir(), 'cpm-secrets-')), 'auth.env');
+  writeFileSync(file, content, { mode: 0o600 });
+  return file;
+}
+
+// Overwrite with zeros before unlinking (and its directory with it)
+export function shredFile(file) {
+  try {
+    const fd = openSync(file, 'r+');
+    try {
+      writeSync(fd, Buffer.alloc(statSync(file).size));
+      fsyncSync(fd);
+    } finally {
+      closeSync(fd);
+    }
+  } catch { /* already gone */ }
+  rmSync(dirname(file), { recursive: true, force: true });
+}
+
+// ─────────────────────────────────────────────────────
+// Mode A — docker / podman run
+// ─────────────────────────────────────────────────────
+
+export function defaultDelivery(runtime) {
+  return SECRET_DELIVERIES[runtime]?.[0] ?? 'env-file';
+}
+
+// env → { runArgs (before the image), commandArgs (after it, before cc's args),
+// input (spawn stdin, or null), method, cleanup() }
+export function deliverContainerEnv(runtime, env, { method = defaultDelivery(runtime), runId = 'run' } = {}) {
+  const supported = SECRET_DELIVERIES[runtime] ?? DELIVERY_METHODS;
+  if (!supported.includes(method)) {
+    throw new Error(`--secret-delivery ${method} is not available with ${runtime} (use ${supported.join(' | ')})` +
+      (method === 'secret' ? ' — docker run only has secrets for swarm services' : ''));
+  }
+
+  if (method === 'env-file') {
+    const file = writeSecretFile(envLines(env));
+    return { method, runArgs: ['--env-file', file], commandArgs: [], input: null, cleanup: () => shredFile(file) };
+  }
+
+  if (method === 'stdin') {
+    return {
+      method,
+      runArgs: ['-i', '--entrypoint', 'sh'],
+      commandArgs: ['-c', STDIN_ENTRYPOINT, 'cpm'],
+      input: `${envLines(env)}\n`,
+      cleanup: () => {},
+    };
+  }
+
+  // podman secrets, one per variable, named after the run
+  const created = [];
+  const cleanup = () => {
+    for (const name of created) runCommand(runtime, ['secret', 'rm', name], { timeout: 30000 });
+  };
+  try {
+    for (const [variable, value] of Object.entries(env)) {
+      const name = `cpm-${runId}-${variable.toLowerCase().replace(/_/g, '-')}`;
+      const r = runCommand(runtime, ['secret', 'create', name, '-'], { input: value, timeout: 30000 });
+      if (r.status !== 0) throw new Error(`${runtime} secret create failed: ${r.stderr.trim() || `exit ${r.status}`}`);
+      created.push(name);
+    }
+  } catch (err) {
+    cleanup();
+    throw err;
+  }
+  const runArgs = Object.keys(env).flatMap((variable, i) => ['--secret', `${created[i]},type=env,target=${variable}`]);
+  return { method, runArgs, commandArgs: [], input: null, cleanup };
+}
+
+// ─────────────────────────────────────────────────────
+// Mode C — Fly Machines API
+// ─────────────────────────────────────────────────────
+
+// env → { files (machine config), prelude (sh lines for the entrypoint script), cleanup() }
+export function deliverMachineEnv(env) {
+  return {
+    files: [{ guest_path: MACHINE_ENV_FILE, raw_value: Buffer.from(envLines(env)).toString('base64') }],
+    prelude: `set -a; . ${MACHINE_ENV_FILE}; set +a`,
+    cleanup: () => {},
+  };
+}
@@ -0,0 +1,136 @@
+// lib/store.mjs
+// Run history store — every run persisted under ~/.cpm/runs/<run-id>/
+//
+//   meta.json     result (mode, exit code, timings, workspace, git + stream summaries)
+//   prompt.md     the expanded prompt cc received
+//   stdout.log    full cc stdout (raw stream-json when --stream-json)
+//   stderr.log    full stderr
+//   artifacts/    exported files, e.g. <run-id>.patch, egress.jsonl (--egress, lib/egress.mjs)
+//
+// Everything but the artifacts is written through redact() (lib/redact.mjs).
+//
+// Location: $CPM_HOME/runs (default ~/.cpm/runs). Run ids sort chronologically,
+// so listing is just a directory read.
+
+import {
+  mkdirSync, writeFileSync, readFileSync, readdirSync, rmSync, copyFileSync, existsSync,
+} from 'node:fs';
+import { join, basename } from 'node:path';
+import { homedir } from 'node:os';
+import { redact } from './redact.mjs';
+
+export function cpmHome() {
+  return process.env.CPM_HOME || join(homedir(), '.cpm');
+}
+
+export function runsDir() {
+  return join(cpmHome(), 'runs');
+}
+
+// Copies the patch (and egress log) into the run's artifacts so they survive temp
+// cleanup, and points the result at the copies. executeRunner() calls it before
+// teardown removes the temp dirs; saveRun() again for anything still outside.
+export function storeArtifacts(result) {
+  const dir = join(runsDir(), result.runId, 'artifacts');
+  const copy = (file, name) => {
+    const target = join(dir, name);
+    if (file !== target) {
+      mkdirSync(dir, { recursive: true });
+      copyFileSync(file, target);
+    }
+    return target;
+  };
+  if (result.git?.patch && existsSync(result.git.patch)) {
+    result.git = { ...result.git, patch: copy(result.git.patch, basename(result.git.patch)) };
+  }
+  if (result.egress?.log && existsSync(result.egress.log)) {
+    result.egress = { ...result.egress, log: copy(result.egress.log, 'egress.jsonl') };
+  }
+}
+
+export function saveRun(result, { prompt = '', stdout = '', stderr = '', startedAt, finishedAt = new Date() } = {}) {
+  const dir = join(runsDir(), result.runId);
+  mkdirSync(join(dir, 'artifacts'), { recursive: true });
+
+  const meta = {
+    ...result,
+    id: result.runId,
+    startedAt: startedAt?.toISOString() ?? null,
+    finishedAt: finishedAt.toISOString(),
+    cwd: process.cwd(),
+  };
+  storeArtifacts(meta);
+
+  writeFileSync(join(dir, 'prompt.md'), redact(prompt));
+  writeFileSync(join(dir, 'stdout.log'), redact(stdout));
+  writeFileSync(join(dir, 'stderr.log'), redact(stderr));
+  writeFileSync(join(dir, 'meta.json'), redact(JSON.stringify(meta, null, 2)));
+  return dir;
+}
+
+function readMeta(id) {
+  try {
+    return JSON.parse(readFileSync(join(runsDir(), id, 'meta.json'), 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+// Newest first
+export function listRuns() {
+  let ids;
+  try {
+    ids = readdirSync(runsDir());
+  } catch {
+    return [];
+  }
+  return ids.sort().reverse().map(readMeta).filter(Boolean);
+}
+
+// Accepts a full id or any unique part of one (e.g. the random tail "k3f9")
+export function resolveRunId(query) {
+  const ids = listRuns().map(r => r.id);
+  if (ids.includes(query)) return query;
+  const matches = ids.filter(id => id.includes(query));
+  if (matches.length === 1) return matches[0];
+  if (matches.length === 0) throw new Error(`No run matches "${query}"`);
+  throw new Error(`"${query}" is ambiguous: ${matches.slice(0, 5).join(', ')}${matches.length > 5 ? ', ...' : ''}`);
+}
+
+export function getRun(query) {
+  const id = resolveRunId(query);
+  return { ...readMeta(id), dir: join(runsDir(), id) };
+}
+
+export function readRunFile(query, file) {
+  const id = resolveRunId(query);
+  return readFileSync(join(runsDir(), id, file), 'utf-8');
+}
+
+export function removeRun(query) {
+  const id = resolveRunId(query);
+  rmSync(join(runsDir(), id), { recursive: true, force: true });
+  return id;
+}
+
+// Remove runs that finished before now - olderThanMs; returns the removed ids
+export function pruneRuns(olderThanMs) {
+  const cutoff = Date.now() - olderThanMs;
+  const removed = [];
+  for (const run of listRuns()) {
+    const finished = Date.parse(run.finishedAt ?? run.startedAt);
+    if (Number.isFinite(finished) && finished < cutoff) {
+      rmSync(join(runsDir(), run.id), { recursive: true, force: true });
+      removed.push(run.id);
+    }
+  }
+  return removed;
+}
+
+// "90m", "12h", "7d", "2w" → milliseconds
+export function parseDuration(text) {
+  const m = String(text).trim().match(/^(\d+(?:\.\d+)?)\s*(s|m|h|d|w)$/);
+  if (!m) throw new Error(`Invalid duration "${text}" (use e.g. 90m, 12h, 7d, 2w)`);
+  const unit = { s: 1e3, m: 60e3, h: 3600e3, d: 86400e3, w: 604800e3 }[m[2]];
+  return Number(m[1]) * unit;
+}
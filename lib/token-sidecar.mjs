@@ -0,0 +1,147 @@
+// lib/token-sidecar.mjs
+// Token refresh sidecar — keeps a long-running Mode A container's credentials fresh
+//
+// With -e CLAUDE_CODE_OAUTH_TOKEN the token is fixed at container start, so a job
+// that outlives it (~29h) dies with a 401. With --token-sidecar the container gets
+// no token in its environment. Instead a host directory is mounted as
+// /home/agent/.claude and the sidecar (a timer in the harness process) keeps
+// <dir>/.credentials.json current:
+//
+//   every checkMs     freshCredentials() — the host login (lib/credentials.mjs), renewed
+//                     with `claude -p "hi"` within 2h of expiry, as resolveToken() does
+//   token changed     rewrite <dir>/.credentials.json (temp file + rename)
+//
+// The host stays the only refresher: the copy has no refreshToken, so cc in the
+// container can't rotate the token out from under the host — it re-reads the file.
+// The directory is mounted, not the file: a file replaced by rename isn't visible
+// through a single-file bind mount.
+//
+// The directory (mkdtemp, 0700) and the file (0600) stay private to the host user;
+// nothing is ever opened up to other users. runArgs() makes cc in the container that
+// same user (--user <uid>:<gid>, Podman: --userns=keep-id) and the directory its
+// config dir (CLAUDE_CONFIG_DIR), so it can read the file and keep its session
+// state next to it. A root host can't do that (cc refuses to run as root), so
+// shareWith() hands the directory and file to the image's agent user instead.
+//
+// clock() is injectable so tests can fast-forward through a token's lifetime.
+
+import { mkdtempSync, writeFileSync, renameSync, rmSync, chownSync, existsSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { freshCredentials, AUTO_RENEW_THRESHOLD_MS } from './credentials.mjs';
+
+const CHECK_INTERVAL_MS = 5 * 60 * 1000;
+const CONTAINER_DIR = '/home/agent/.claude';
+
+// What the container sees: the access token and its metadata, never the refresh token
+export function containerCredentials(raw) {
+  const oauth = JSON.parse(raw)?.claudeAiOauth;
+  if (!oauth?.accessToken) throw new Error('Host credentials have no access token');
+  const { refreshToken, ...rest } = oauth;
+  return { claudeAiOauth: rest };
+}
+
+export function createTokenSidecar({
+  dir,
+  clock = Date.now,
+  checkMs = CHECK_INTERVAL_MS,
+  renewWithinMs = AUTO_RENEW_THRESHOLD_MS,
+  log = (line) => console.log(line),
+} = {}) {
+  const ownDir = !dir;
+  const credsDir = dir ?? mkdtempSync(join(tmpdir(), 'cpm-creds-'));
+  const file = join(credsDir, '.credentials.json');
+  const state = { accessToken: null, expiresAt: null, renewals: 0, updates: 0, lastError: null };
+  let timer = null;
+  let owner = null;   // { uid, gid } after shareWith()
+
+  // cc's config in CLAUDE_CONFIG_DIR, as the image has it in /home/agent/.claude.json
+  const config = join(credsDir, '.claude.json');
+  if (!existsSync(config)) writeFileSync(config, JSON.stringify({ hasCompletedOnboarding: true }), { mode: 0o600 });
+
+  const hoursLeft = (expiresAt) => ((expiresAt - clock()) / 3600000).toFixed(1);
+
+  // Copies the host's current token into the shared directory; true if it changed
+  function deliver(cred) {
+    const creds = containerCredentials(cred.json);
+    if (creds.claudeAiOauth.accessToken === state.accessToken) return false;
+
+    const tmp = `${file}.tmp`;
+    writeFileSync(tmp, JSON.stringify(creds), { mode: 0o600 });
+    if (owner) chownSync(tmp, owner.uid, owner.gid);
+    renameSync(tmp, file);
+    state.accessToken = creds.claudeAiOauth.accessToken;
+    state.expiresAt = creds.claudeAiOauth.expiresAt;
+    state.updates++;
+    return true;
+  }
+
+  // One check → 'ok' | 'updated' | 'renew-failed' | 'error'
+  function tick() {
+    try {
+      const { cred, renewal } = freshCredentials({ now: clock(), renewWithinMs, json: true });
+      if (!cred) throw new Error('No Claude credentials found. Run "claude" to authenticate first.');
+      if (renewal && renewal !== 'renewed') {
+        state.lastError = renewal === 'no-claude' ? 'claude binary not found' : 'claude -p failed';
+        log(`⚠️  Token sidecar: renewal failed (${state.lastError}), ${hoursLeft(cred.expiresAt)}h left — retrying in ${checkMs / 60000} min`);
+        deliver(cred);   // renewed elsewhere in the meantime?
+        return 'renew-failed';
+      }
+      if (renewal) state.renewals++;
+
+      state.lastError = null;
+      if (!deliver(cred)) return 'ok';
+      if (state.updates > 1) log(`🔄 Token sidecar: fresh credentials delivered (${hoursLeft(state.expiresAt)}h remaining)`);
+      return 'updated';
+    } catch (err) {
+      state.lastError = err.message;
+      log(`⚠️  Token sidecar: ${err.message}`);
+      return 'error';
+    }
+  }
+
+  const sidecar = {
+    dir: credsDir,
+    file,
+    state,
+    tick,
+
+    // First delivery happens right away (and fails loudly without host credentials)
+    start() {
+      tick();
+      if (!state.accessToken) throw new Error(`Token sidecar has no credentials to deliver: ${state.lastError}`);
+      timer = setInterval(tick, checkMs);
+      timer.unref();
+      return sidecar;
+    },
+
+    // docker/podman run flags: the directory as cc's config dir, read by cc running
+    // as the host user (unless shareWith() gave it to the image's user)
+    runArgs(runtime) {
+      const uid = process.getuid?.();
+      const user = owner || uid === undefined ? []
+        : runtime === 'podman' ? ['--userns=keep-id']
+        : ['--user', `${uid}:${process.getgid()}`];
+      return [...user, '-v', `${credsDir}:${CONTAINER_DIR}`, '-e', `CLAUDE_CONFIG_DIR=${CONTAINER_DIR}`, '-e', 'HOME=/home/agent'];
+    },
+
+    // Root host: the directory and its files belong to the container's user, still 0700/0600
+    shareWith(ids) {
+      owner = ids;
+      for (const path of [credsDir, config, ...(state.accessToken ? [file] : [])]) chownSync(path, ids.uid, ids.gid);
+      return sidecar;
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+
+    // stop() and delete the directory if the sidecar created it
+    remove() {
+      sidecar.stop();
+      if (ownDir) rmSync(credsDir, { recursive: true, force: true });
+    },
+  };
+  return sidecar;
+}
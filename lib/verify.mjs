@@ -0,0 +1,170 @@
+// lib/verify.mjs
+// Task verification — assertions checked after cc finishes, reported pass/fail each
+//
+// A task definition (--task task.json) carries the prompt and what "done" means:
+//
+//   {
+//     "prompt": "Create hello.mjs that ...",      (or "promptFile": "task.md", relative to the task)
+//     "verify": {
+//       "files":    ["hello.mjs"],                  must exist in the workspace
+//       "commands": ["node hello.mjs",              must exit 0, run inside the same
+//                    { "run": "npm test", "output": "passing" }]   isolation (runner.exec)
+//       "output":   ["Hello from Claude Code"]      regexes expected in cc's output
+//     },
+//     "egress": { "allow": ["api.anthropic.com"] }  network policy (lib/egress.mjs), optional
+//     "limits": { "maxTurns": 40, "timeout": "30m", "memory": "4g" }   (lib/limits.mjs), optional
+//   }
+//
+// The same assertions can be given (or added) on the command line with
+// --expect-file, --verify and --expect-output. Without a task or prompt the
+// built-in smoke test is verified with SMOKE_TEST_VERIFY. A failed assertion
+// makes the run "failed" even when cc exited 0.
+//
+// Commands need the runner's exec(ctx, command) hook; runners without one (or
+// runs without a host workspace for file checks) report those assertions as skipped.
+
+import { readFileSync, existsSync } from 'node:fs';
+import { dirname, join, resolve } from 'node:path';
+import { normalizeEgress } from './egress.mjs';
+import { normalizeLimits } from './limits.mjs';
+
+const COMMAND_TIMEOUT_MS = 5 * 60 * 1000;
+
+export const SMOKE_TEST_VERIFY = {
+  files: ['hello.mjs'],
+  commands: [{ run: 'node hello.mjs', output: 'Hello from Claude Code' }],
+  output: ['Hello from Claude Code'],
+};
+
+function emptySpec() {
+  return { files: [], commands: [], output: [] };
+}
+
+export function mergeVerify(...specs) {
+  const merged = emptySpec();
+  for (const spec of specs.filter(Boolean)) {
+    merged.files.push(...(spec.files ?? []));
+    merged.commands.push(...(spec.commands ?? []));
+    merged.output.push(...(spec.output ?? []));
+  }
+  return merged.files.length || merged.commands.length || merged.output.length ? merged : null;
+}
+
+export function loadTask(file) {
+  let task;
+  try {
+    task = JSON.parse(readFileSync(file, 'utf-8'));
+  } catch (err) {
+    throw new Error(`Cannot read task ${file}: ${err.message}`);
+  }
+
+  const prompt = {};
+  if (task.prompt !== undefined) prompt.text = task.prompt;
+  else if (task.promptFile) prompt.file = resolve(dirname(file), task.promptFile);
+
+  return {
+    prompt,
+    verify: mergeVerify(task.verify),
+    egress: normalizeEgress(task.egress, dirname(file)),
+    limits: normalizeLimits(task.limits, 'Task limits'),
+  };
+}
+
+// --task <file>, --expect-file <path>, --verify <cmd>, --expect-output <regex> (all repeatable
+// except --task). Flags add to the task's assertions; --no-verify turns verification off.
+export function parseVerifyArgs(args) {
+  const flags = emptySpec();
+  let task = null;
+  let disabled = false;
+  const rest = [];
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--task' && args[i + 1]) task = loadTask(args[++i]);
+    else if (args[i] === '--expect-file' && args[i + 1]) flags.files.push(args[++i]);
+    else if (args[i] === '--verify' && args[i + 1]) flags.commands.push(args[++i]);
+    else if (args[i] === '--expect-output' && args[i + 1]) flags.output.push(args[++i]);
+    else if (args[i] === '--no-verify') disabled = true;
+    else rest.push(args[i]);
+  }
+
+  return { task, verify: disabled ? false : mergeVerify(task?.verify, flags), rest };
+}
+
+// What cc "said": plain stdout, or with stream-json the text and tool results
+function ccOutput(ctx) {
+  if (!ctx.stream) return ctx.run?.stdout ?? '';
+  return ctx.stream.events
+    .filter(e => e.kind === 'text' || e.kind === 'tool_result' || e.kind === 'result')
+    .map(e => e.text ?? e.content ?? '')
+    .join('\n');
+}
+
+function tail(text, max = 500) {
+  const trimmed = (text ?? '').trim();
+  return trimmed.length > max ? `…${trimmed.slice(-max)}` : trimmed;
+}
+
+// Runs every assertion; returns { passed, assertions: [{ type, target, status, detail }] }
+// with status 'passed' | 'failed' | 'skipped'. Skipped assertions don't fail the run.
+export async function runVerification(runner, ctx, spec) {
+  const assertions = [];
+  const workspace = ctx.result.workspace;
+
+  for (const file of spec.files) {
+    if (!workspace) {
+      assertions.push({ type: 'file', target: file, status: 'skipped', detail: 'no host workspace' });
+      continue;
+    }
+    const found = existsSync(join(workspace, file));
+    assertions.push({ type: 'file', target: file, status: found ? 'passed' : 'failed', detail: found ? null : 'missing' });
+  }
+
+  for (const command of spec.commands) {
+    const { run, output } = typeof command === 'string' ? { run: command } : command;
+    if (!runner.exec) {
+      assertions.push({ type: 'command', target: run, status: 'skipped', detail: `${runner.name} has no exec()` });
+      continue;
+    }
+    try {
+      const r = await runner.exec(ctx, run, { timeout: COMMAND_TIMEOUT_MS });
+      const all = `${r.stdout ?? ''}\n${r.stderr ?? ''}`;
+      let detail = null;
+      if (r.code !== 0) detail = `exit ${r.code}${tail(all) ? `: ${tail(all, 200)}` : ''}`;
+      else if (output && !new RegExp(output).test(all)) detail = `output does not match /${output}/`;
+      assertions.push({ type: 'command', target: run, status: detail ? 'failed' : 'passed', detail, output: tail(all) });
+    } catch (err) {
+      assertions.push({ type: 'command', target: run, status: 'failed', detail: err.message });
+    }
+  }
+
+  const text = ccOutput(ctx);
+  for (const pattern of spec.output) {
+    let matched;
+    try {
+      matched = new RegExp(pattern).test(text);
+    } catch (err) {
+      assertions.push({ type: 'output', target: pattern, status: 'failed', detail: `invalid regex: ${err.message}` });
+      continue;
+    }
+    assertions.push({ type: 'output', target: pattern, status: matched ? 'passed' : 'failed', detail: matched ? null : 'not found in cc output' });
+  }
+
+  return {
+    passed: assertions.every(a => a.status !== 'failed'),
+    assertions,
+  };
+}
+
+const ICONS = { passed: '✅', failed: '❌', skipped: '⏭️ ' };
+
+export function printVerification(verification) {
+  const { assertions } = verification;
+  const count = (status) => assertions.filter(a => a.status === status).length;
+
+  console.log('');
+  console.log(`🔎 Verification: ${count('passed')}/${assertions.length} passed` +
+    `${count('skipped') ? `, ${count('skipped')} skipped` : ''}`);
+  for (const a of assertions) {
+    console.log(`   ${ICONS[a.status]} ${a.type.padEnd(7)} ${a.target}${a.detail ? `  — ${a.detail}` : ''}`);
+  }
+}
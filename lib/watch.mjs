@@ -0,0 +1,253 @@
+// lib/watch.mjs
+// cpm watch — keeps remote hosts supplied with a fresh token (push-token.mjs on a timer)
+//
+// Hosts come from the command line (host or host:dir) or $CPM_HOME/watch.yaml:
+//
+//   interval: 5m                       how often the local token is checked (default 5m)
+//   hosts:
+//     - host: ubuntu                   anything ssh accepts, including ~/.ssh/config aliases
+//     - host: gpu-box
+//       dir: /srv/cc-docker-demo       that host's CPM_REMOTE_DIR (default: $CPM_REMOTE_DIR,
+//                                      else $HOME/cc-docker-demo)
+//
+// Every check:
+//   local token within 2h of expiry   renewed with `claude -p "hi"`, as resolveToken() does
+//   a host lacks the current token    push it over ssh (sendToken, never prompting)
+//   the push failed                   that host waits 30s, 1m, 2m ... up to 30m before the
+//                                     next attempt — other hosts are unaffected
+//
+// State is written to $CPM_HOME/watch/status.json after every check, for
+// `cpm watch status` in another terminal. It holds token fingerprints, never tokens.
+
+import { mkdirSync, writeFileSync, readFileSync, renameSync, existsSync } from 'node:fs';
+import { join } from 'node:path';
+import { createHash } from 'node:crypto';
+import { parse as parseYaml } from 'yaml';
+import { cpmHome, parseDuration } from './store.mjs';
+import { isProcessAlive } from './common.mjs';
+import { freshCredentials, AUTO_RENEW_THRESHOLD_MS } from './credentials.mjs';
+import { sendToken, REMOTE_DIR } from '../push-token.mjs';
+
+const DEFAULT_INTERVAL = '5m';
+const BACKOFF_BASE_MS = 30 * 1000;
+const BACKOFF_MAX_MS = 30 * 60 * 1000;
+const SSH_TIMEOUT_MS = 60 * 1000;
+
+export function watchDir() {
+  return join(cpmHome(), 'watch');
+}
+
+function statusFile() {
+  return join(watchDir(), 'status.json');
+}
+
+// ─────────────────────────────────────────────────────
+// Hosts
+// ─────────────────────────────────────────────────────
+
+function target(host, dir) {
+  if (!host) throw new Error('Watch target without a host');
+  const remoteDir = dir || REMOTE_DIR;
+  return { host, dir: remoteDir, label: remoteDir === REMOTE_DIR ? host : `${host}:${remoteDir}` };
+}
+
+// "ubuntu" or "ubuntu:/srv/cc-docker-demo" (the dir is everything after the first colon)
+export function parseHostSpec(spec) {
+  const colon = spec.indexOf(':');
+  return colon === -1 ? target(spec) : target(spec.slice(0, colon), spec.slice(colon + 1));
+}
+
+export function defaultWatchConfig() {
+  return join(cpmHome(), 'watch.yaml');
+}
+
+// → { intervalMs, hosts: [{ host, dir, label }] }
+export function loadWatchConfig(file = defaultWatchConfig()) {
+  if (!existsSync(file)) return { intervalMs: parseDuration(DEFAULT_INTERVAL), hosts: [] };
+  let raw;
+  try {
+    raw = parseYaml(readFileSync(file, 'utf-8')) ?? {};
+  } catch (err) {
+    throw new Error(`Cannot read watch config ${file}: ${err.message}`);
+  }
+  const hosts = (raw.hosts ?? []).map(h => (typeof h === 'string' ? parseHostSpec(h) : target(h?.host, h?.dir)));
+  return { intervalMs: parseDuration(raw.interval ?? DEFAULT_INTERVAL), hosts };
+}
+
+// ─────────────────────────────────────────────────────
+// Watcher
+// ─────────────────────────────────────────────────────
+
+// Short, stable and safe to store or print
+export function fingerprint(token) {
+  return createHash('sha256').update(token).digest('hex').slice(0, 8);
+}
+
+export function createWatcher({
+  hosts,
+  clock = Date.now,
+  renewWithinMs = AUTO_RENEW_THRESHOLD_MS,
+  backoff = { baseMs: BACKOFF_BASE_MS, maxMs: BACKOFF_MAX_MS },
+  log = (line) => console.log(line),
+}) {
+  if (!hosts?.length) throw new Error(`No hosts to watch — pass host[:dir] arguments or list them in ${defaultWatchConfig()}`);
+
+  const state = {
+    pid: process.pid,
+    startedAt: clock(),
+    checkedAt: null,
+    local: { fingerprint: null, expiresAt: null, renewals: 0, lastError: null },
+    hosts: Object.fromEntries(hosts.map(h => [h.label, {
+      host: h.host, dir: h.dir, fingerprint: null, expiresAt: null, pushedAt: null,
+      action: null, failures: 0, nextAttemptAt: null, lastError: null,
+    }])),
+  };
+  let timer = null;
+
+  function save() {
+    mkdirSync(watchDir(), { recursive: true });
+    const tmp = `${statusFile()}.${process.pid}.tmp`;
+    writeFileSync(tmp, JSON.stringify(state, null, 2));
+    renameSync(tmp, statusFile());
+  }
+
+  // The host login after renewing it if needed → { accessToken, expiresAt } or null.
+  // CLAUDE_CODE_OAUTH_TOKEN is skipped: cpm loads .env, and a token left there would
+  // be pushed long after the login moved on.
+  function localToken(now) {
+    const { cred: oauth, renewal } = freshCredentials({ now, renewWithinMs, env: false });
+    if (!oauth) throw new Error('No Claude credentials found. Run "claude" to authenticate first.');
+    if (renewal === 'renewed') {
+      state.local.renewals++;
+    } else if (renewal) {
+      state.local.lastError = renewal === 'no-claude' ? 'claude binary not found' : 'claude -p failed';
+      log(`⚠️  Local token: renewal failed (${state.local.lastError}), ${remaining(oauth.expiresAt, now)}`);
+    }
+
+    if (oauth.expiresAt && oauth.expiresAt <= now) {
+      state.local.lastError = 'token expired — run "claude" on this machine';
+      log(`❌ Local token expired — run "claude" to log in again; nothing pushed`);
+      return null;
+    }
+    return oauth;
+  }
+
+  function push(label, oauth, print, now) {
+    const host = state.hosts[label];
+    const result = sendToken(host.host, oauth.accessToken, host.dir, { unattended: true, timeout: SSH_TIMEOUT_MS });
+    if (result.ok) {
+      Object.assign(host, {
+        fingerprint: print, expiresAt: oauth.expiresAt, pushedAt: now, action: result.action,
+        failures: 0, nextAttemptAt: null, lastError: null,
+      });
+      log(`✅ ${label}: token ${result.action} (${remaining(oauth.expiresAt, now)})`);
+      return;
+    }
+    host.failures++;
+    const delay = Math.min(backoff.baseMs * 2 ** (host.failures - 1), backoff.maxMs);
+    Object.assign(host, { nextAttemptAt: now + delay, lastError: result.error });
+    log(`❌ ${label}: ${result.error} — retrying in ${duration(delay)} (failure ${host.failures})`);
+  }
+
+  // One check → the state (also written to status.json)
+  function tick() {
+    const now = clock();
+    state.checkedAt = now;
+    state.local.lastError = null;
+    try {
+      const oauth = localToken(now);
+      if (oauth) {
+        const print = fingerprint(oauth.accessToken);
+        if (print !== state.local.fingerprint) {
+          if (state.local.fingerprint) log(`🔄 Local token changed (${print}, ${remaining(oauth.expiresAt, now)})`);
+          state.local.fingerprint = print;
+        }
+        state.local.expiresAt = oauth.expiresAt;
+
+        for (const [label, host] of Object.entries(state.hosts)) {
+          if (host.fingerprint === print) continue;
+          if (host.nextAttemptAt && now < host.nextAttemptAt) continue;
+          push(label, oauth, print, now);
+        }
+      }
+    } catch (err) {
+      state.local.lastError = err.message;
+      log(`⚠️  ${err.message}`);
+    }
+    save();
+    return state;
+  }
+
+  return {
+    state,
+    tick,
+
+    // First check right away, then every intervalMs — keeps the process alive until stop()
+    start(intervalMs) {
+      tick();
+      timer = setInterval(tick, intervalMs);
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+  };
+}
+
+// ─────────────────────────────────────────────────────
+// Status
+// ─────────────────────────────────────────────────────
+
+function hours(ms) {
+  return `${(ms / 3600000).toFixed(1)}h`;
+}
+
+// Bare tokens (pass, Secret Service) carry no expiry
+function remaining(expiresAt, now) {
+  return expiresAt ? `${hours(expiresAt - now)} left` : 'expiry unknown';
+}
+
+function duration(ms) {
+  if (ms < 60 * 1000) return `${Math.round(ms / 1000)}s`;
+  if (ms < 3600 * 1000) return `${Math.round(ms / 60000)}m`;
+  if (ms < 48 * 3600 * 1000) return hours(ms);
+  return `${(ms / 86400000).toFixed(1)}d`;
+}
+
+// Last state written by a watcher, or null
+export function readWatchStatus() {
+  try {
+    return JSON.parse(readFileSync(statusFile(), 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+export function renderWatchStatus(status, now = Date.now()) {
+  if (!status) return `💤 No watcher has run yet (${statusFile()})`;
+
+  const running = isProcessAlive(status.pid);
+  const { local } = status;
+  const lines = [
+    running
+      ? `👁️  Watcher ${status.pid} running since ${new Date(status.startedAt).toISOString()}`
+      : `💤 No watcher running (pid ${status.pid} stopped)`,
+    `   Last check: ${status.checkedAt ? `${duration(now - status.checkedAt)} ago` : '—'}`,
+    `🔑 Local: ${local.fingerprint ?? '—'}` +
+      (local.expiresAt ? `, ${local.expiresAt > now ? `expires in ${hours(local.expiresAt - now)}` : 'expired'}` : '') +
+      `, ${local.renewals} renewal(s)${local.lastError ? ` — ${local.lastError}` : ''}`,
+    '',
+    `${'HOST'.padEnd(28)} ${'TOKEN'.padEnd(9)} ${'PUSHED'.padEnd(11)} ${'EXPIRES'.padEnd(10)} STATUS`,
+  ];
+
+  for (const [label, host] of Object.entries(status.hosts)) {
+    const pushed = host.pushedAt ? `${duration(now - host.pushedAt)} ago` : 'never';
+    const expires = !host.expiresAt ? '—' : host.expiresAt > now ? `in ${hours(host.expiresAt - now)}` : 'expired';
+    const state = host.fingerprint && host.fingerprint === local.fingerprint ? '✅ current'
+      : host.failures ? `❌ ${host.failures} failure(s), next try ${host.nextAttemptAt > now ? `in ${duration(host.nextAttemptAt - now)}` : 'at next check'} — ${host.lastError}`
+      : '⏳ pending';
+    lines.push(`${label.padEnd(28)} ${(host.fingerprint ?? '—').padEnd(9)} ${pushed.padEnd(11)} ${expires.padEnd(10)} ${state}`);
+  }
+  return lines.join('\n');
+}
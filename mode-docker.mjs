@@ -1,122 +1,271 @@
 // mode-docker.mjs
 // Mode A: Run cc inside a plain Docker container
-// Uses: Dockerfile + CLAUDE_CODE_OAUTH_TOKEN + --dangerously-skip-permissions
+// Uses: Dockerfile + CLAUDE_CODE_OAUTH_TOKEN (or ANTHROPIC_API_KEY) + --dangerously-skip-permissions
 // Works with: Docker Engine, Docker Desktop, Podman
+//
+// --token-sidecar: for runs that may outlive the token, mount a credentials
+// directory the host keeps fresh instead of passing a fixed token (lib/token-sidecar.mjs)
+//
+// Without a usable login, ANTHROPIC_API_KEY is passed instead (--auth, resolveAuth).
+// Either way the secret never appears in the docker/podman command line: it goes in
+// through an --env-file, a podman secret or stdin (--secret-delivery, lib/secret-delivery.mjs)
+//
+// --egress / --allow-host / --deny-host: the container gets no network of its own, only
+// a filtering proxy container in front of an allow/deny list (lib/egress.mjs)
+//
+// --cpus / --memory / --pids / --disk map to docker/podman run --cpus, --memory,
+// --pids-limit and --storage-opt size= (lib/limits.mjs; --disk needs a storage driver
+// with quota support, e.g. overlay2 on xfs). --timeout kills the named container.
 
-import { spawn, execSync } from 'node:child_process';
-import { resolveToken, createWorkspace, showWorkspaceResults, TEST_PROMPT } from './lib/common.mjs';
+import {
+  createWorkspace, showWorkspaceResults,
+  probe, spawnAndStream, spawnCapture, ccOutputArgs, runCommand, commandText,
+} from './lib/common.mjs';
+import { registerRunner, executeRunner, parseRunnerArgs, handleInterrupts } from './lib/runners.mjs';
+import { resolvePrompt } from './lib/prompt.mjs';
+import { resolveAuth, ccAuthArgs, authSummary } from './lib/credentials.mjs';
+import { createTokenSidecar } from './lib/token-sidecar.mjs';
+import { deliverContainerEnv } from './lib/secret-delivery.mjs';
+import { startEgressProxy, summarizeEgress, describeEgress } from './lib/egress.mjs';
+import { installRedaction } from './lib/redact.mjs';
 
 const DOCKER_IMAGE = 'cpm-runner:demo';
-const MAX_TURNS = 20;
-
-function ensureImage(runtime) {
-  try {
-    execSync(`${runtime} image inspect ${DOCKER_IMAGE} > /dev/null 2>&1`);
-    console.log(`🐳 Image ${DOCKER_IMAGE} already exists`);
-  } catch {
-    console.log(`🔨 Building ${DOCKER_IMAGE} with ${runtime}...`);
-    execSync(`${runtime} build -t ${DOCKER_IMAGE} .`, { stdio: 'inherit' });
-    console.log(`✅ Image built`);
+
+// Images this repo knows how to build (--image picks one; others must exist already)
+const IMAGE_DOCKERFILES = {
+  'cpm-runner:demo': 'Dockerfile',
+  'cpm-runner:fake': 'Dockerfile.fake',   // offline fake claude (fake-claude/)
+};
+
+// Passed through to the container when set (fake claude scenario selection)
+const PASSTHROUGH_ENV = ['FAKE_CLAUDE_SCENARIO'];
+
+// Returns true if the image had to be built (cold start)
+function ensureImage(runtime, image) {
+  if (runCommand(runtime, ['image', 'inspect', image], { stdio: 'ignore' }).status === 0) {
+    console.log(`🐳 Image ${image} already exists`);
+    return false;
   }
+
+  const dockerfile = IMAGE_DOCKERFILES[image];
+  if (!dockerfile) throw new Error(`Image ${image} not found and no Dockerfile known for it`);
+  console.log(`🔨 Building ${image} with ${runtime}...`);
+  const build = runCommand(runtime, ['build', '-f', dockerfile, '-t', image, '.'], { stdio: 'inherit' });
+  if (build.status !== 0) throw new Error(`${runtime} build failed`);
+  console.log(`✅ Image built`);
+  return true;
 }
 
-export async function runModeDocker(options = {}) {
-  const runtime = options.runtime || 'docker'; // 'docker' or 'podman'
-
-  console.log('');
-  console.log('╔══════════════════════════════════════════════════╗');
-  console.log(`║  Mode A: Plain ${runtime.padEnd(7)} container                ║`);
-  console.log('║  Isolation: Container (shared kernel)            ║');
-  console.log('║  Auth: CLAUDE_CODE_OAUTH_TOKEN env var           ║');
-  console.log('║  Permissions: --dangerously-skip-permissions     ║');
-  console.log('╚══════════════════════════════════════════════════╝');
-  console.log('');
-
-  // 1. Resolve OAuth token
-  const token = resolveToken();
-
-  // 2. Ensure Docker image exists
-  ensureImage(runtime);
-
-  // 3. Create temp workspace
-  const workspace = createWorkspace();
-
-  // 4. Build run args
-  const args = [
-    'run',
-    '--rm',
-    '-w', '/workspace',
-    '-v', `${workspace}:/workspace`,
-    '-e', `CLAUDE_CODE_OAUTH_TOKEN=${token}`,
-    '-e', 'CLAUDE_CODE_ENABLE_TASKS=1',
-    DOCKER_IMAGE,
-    '--max-turns', String(MAX_TURNS),
-    '--output-format', 'text',
-    TEST_PROMPT,
+// uid/gid cc runs as in the image (its USER) — a root host hands the token sidecar's
+// files to it (lib/token-sidecar.mjs)
+function imageUser(runtime, image) {
+  const r = runCommand(runtime, ['run', '--rm', '--entrypoint', 'id', image], { timeout: 60000 });
+  const m = r.stdout.match(/uid=(\d+)\S* gid=(\d+)/);
+  if (r.status !== 0 || !m) throw new Error(`Cannot look up the user of ${image}: ${r.stderr.trim() || r.error?.message}`);
+  return { uid: Number(m[1]), gid: Number(m[2]) };
+}
+
+// Resource limits → docker/podman run flags (the verification containers get them too)
+function resourceArgs(limits) {
+  return [
+    ...(limits.cpus ? ['--cpus', String(limits.cpus)] : []),
+    ...(limits.memoryMb ? ['--memory', `${limits.memoryMb}m`] : []),
+    ...(limits.pids ? ['--pids-limit', String(limits.pids)] : []),
+    ...(limits.diskMb ? ['--storage-opt', `size=${limits.diskMb}m`] : []),
   ];
+}
 
-  console.log(`🚀 Spawning cc in ${runtime} container...`);
-  console.log(`   Image:      ${DOCKER_IMAGE}`);
-  console.log(`   Max turns:  ${MAX_TURNS}`);
-  console.log('');
-  console.log('─'.repeat(60));
-  console.log('  CC OUTPUT');
-  console.log('─'.repeat(60));
-  console.log('');
+// Explicit --runtime wins; otherwise fall back to Podman when Docker is missing
+function pickRuntime(options) {
+  if (options.runtime) return options.runtime;
+  const { runtimes } = options;
+  if (runtimes && !runtimes.docker && runtimes.podman) return 'podman';
+  return 'docker';
+}
 
-  // 5. Spawn and stream
-  const startTime = Date.now();
+export const dockerRunner = registerRunner({
+  name: 'docker',
+  label: 'Mode A',
+  description: 'Plain Docker/Podman container (shared kernel)',
+  outputTitle: 'CC OUTPUT',
+  limits: ['maxTurns', 'timeoutMs', 'cpus', 'memoryMb', 'pids', 'diskMb'],
 
-  const result = await new Promise((resolve, reject) => {
-    let stdout = '';
-    let stderr = '';
+  detect() {
+    return {
+      docker: probe('docker --version'),
+      podman: probe('podman --version'),
+    };
+  },
 
-    const proc = spawn(runtime, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+  available(runtimes, options = {}) {
+    if (options.runtime === 'podman') return runtimes.podman;
+    if (options.runtime === 'docker') return runtimes.docker;
+    return runtimes.docker || runtimes.podman;
+  },
 
-    proc.stdout.on('data', (chunk) => {
-      const text = chunk.toString();
-      stdout += text;
-      process.stdout.write(text);
-    });
+  banner(options) {
+    return [
+      `Mode A: Plain ${pickRuntime(options).padEnd(7)} container`,
+      'Isolation: Container (shared kernel)',
+      `Auth: ${options.auth?.mode === 'api-key' ? 'ANTHROPIC_API_KEY' : 'CLAUDE_CODE_OAUTH_TOKEN'} env var`,
+      'Permissions: --dangerously-skip-permissions',
+      `Network: ${options.egress ? `Proxy, ${describeEgress(options.egress)}` : 'Unrestricted'}`,
+    ];
+  },
 
-    proc.stderr.on('data', (chunk) => {
-      const text = chunk.toString();
-      stderr += text;
-      if (text.includes('Error') || text.includes('error')) {
-        process.stderr.write(`⚠️  ${text}`);
+  async prepare(ctx) {
+    const runtime = pickRuntime(ctx.options);
+    if (!ctx.options.runtime && runtime === 'podman') {
+      console.log('ℹ️  Docker not found, falling back to Podman');
+    }
+    ctx.result.runtime = runtime;
+
+    // 1. Resolve OAuth token or API key — or start the sidecar that keeps a token fresh
+    if (ctx.options.tokenSidecar) {
+      if (ctx.options.auth?.mode === 'api-key') throw new Error('--token-sidecar delivers the OAuth login and cannot be combined with --auth api-key');
+      if (process.env.CLAUDE_CODE_OAUTH_TOKEN) {
+        console.log('ℹ️  Token sidecar ignores CLAUDE_CODE_OAUTH_TOKEN — it delivers the host login (Keychain/credentials file)');
       }
+      ctx.sidecar = createTokenSidecar().start();
+      console.log(`🔁 Token sidecar: ${ctx.sidecar.dir} → /home/agent/.claude (private to you, checked every 5 min)`);
+      ctx.result.auth = { method: 'oauth', source: 'token sidecar' };
+    } else {
+      ctx.auth = resolveAuth(ctx.options.auth);
+      ctx.delivery = deliverContainerEnv(runtime, ctx.auth.env, { method: ctx.options.auth?.delivery ?? undefined, runId: ctx.runId });
+      ctx.result.auth = { ...authSummary(ctx.auth), delivery: ctx.delivery.method };
+      console.log(`🔒 Secret delivery: ${ctx.delivery.method}`);
+    }
+
+    // 2. Ensure Docker image exists
+    ctx.image = ctx.options.image ?? DOCKER_IMAGE;
+    ctx.result.coldStart = ensureImage(runtime, ctx.image);
+    if (ctx.sidecar && process.getuid?.() === 0) ctx.sidecar.shareWith(imageUser(runtime, ctx.image));
+
+    // 2b. Egress allowlist: isolated network + filtering proxy (same image, it has node)
+    if (ctx.options.egress) {
+      const { allow, deny = [] } = ctx.options.egress;
+      ctx.egress = await startEgressProxy(runtime, { runId: ctx.runId, image: ctx.image, allow, deny });
+      console.log(`🛡️  Egress: ${describeEgress(ctx.options.egress)} via ${ctx.egress.proxy}`);
+    }
+
+    // 3. Create temp workspace (empty, or a copy/clone of --workspace/--repo)
+    ctx.result.workspace = createWorkspace(ctx.options.source);
+    ctx.workdir = '/workspace';
+
+    console.log(`🚀 Spawning cc in ${runtime} container...`);
+    console.log(`   Image:      ${ctx.image}`);
+  },
+
+  run(ctx) {
+    const { runtime, workspace } = ctx.result;
+    ctx.container = `cpm-${ctx.runId}`;
+    const args = [
+      'run',
+      '--rm',
+      '--name', ctx.container,
+      ...resourceArgs(ctx.limits),
+      '-w', '/workspace',
+      '-v', `${workspace}:/workspace`,
+      ...(ctx.sidecar ? ctx.sidecar.runArgs(runtime) : ctx.delivery.runArgs),
+      ...(ctx.egress?.runArgs ?? []),
+      '-e', 'CLAUDE_CODE_ENABLE_TASKS=1',
+      ...PASSTHROUGH_ENV.filter(name => process.env[name]).flatMap(name => ['-e', name]),
+      ctx.image,
+      ...(ctx.delivery?.commandArgs ?? []),
+      '--max-turns', String(ctx.limits.maxTurns),
+      ...ccAuthArgs(ctx.auth),
+      ...ccOutputArgs(ctx.outputFormat),
+      ctx.prompt,
+    ];
+
+    return spawnAndStream(runtime, args, {
+      input: ctx.delivery?.input ?? null,
+      onStdout: ctx.onStdout,
+      signal: ctx.signal,
+      formatStderr: (text) => (text.includes('Error') || text.includes('error')) ? `⚠️  ${text}` : null,
     });
+  },
 
-    proc.on('close', (code) => resolve({ code, stdout, stderr }));
-    proc.on('error', (err) => reject(new Error(`Failed to spawn ${runtime}: ${err.message}`)));
-  });
+  // --timeout: killing the docker/podman client alone would leave the container running
+  stop(ctx) {
+    const r = runCommand(ctx.result.runtime, ['kill', ctx.container], { timeout: 30000 });
+    if (r.status !== 0) throw new Error(`${ctx.result.runtime} kill failed: ${(r.stderr || '').trim()}`);
+  },
 
-  const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+  collect(ctx) {
+    showWorkspaceResults(ctx.result.workspace);
+    console.log(`🧹 Workspace: ${ctx.result.workspace}`);
+    if (ctx.sidecar) {
+      const { renewals, updates, lastError } = ctx.sidecar.state;
+      ctx.result.tokenSidecar = { renewals, updates, lastError };
+    }
+    if (ctx.egress) {
+      const summary = summarizeEgress(ctx.egress.logFile);
+      const { allow, deny = [] } = ctx.options.egress;
+      ctx.result.egress = { allow, deny, ...summary, log: ctx.egress.logFile };
+      console.log(`🛡️  Egress: ${summary.allowed} allowed, ${summary.denied.reduce((n, d) => n + d.count, 0)} denied`);
+      for (const { host, port, count } of summary.denied) console.log(`   🚫 ${host}:${port} ×${count}`);
+    }
+  },
 
-  // 6. Report
-  console.log('');
-  console.log('─'.repeat(60));
-  console.log('');
-  console.log(result.code === 0
-    ? `✅ Mode A completed successfully (${elapsed}s)`
-    : `❌ Mode A exited with code ${result.code} (${elapsed}s)`
-  );
+  // Verification commands run in a fresh container from the same image and workspace
+  exec(ctx, command, { timeout } = {}) {
+    const { runtime, workspace } = ctx.result;
+    return spawnCapture(runtime, [
+      'run', '--rm',
+      '-w', '/workspace',
+      '-v', `${workspace}:/workspace`,
+      ...resourceArgs(ctx.limits),
+      ...(ctx.egress?.runArgs ?? []),
+      '--entrypoint', 'sh',
+      ctx.image,
+      '-c', command,
+    ], { timeout });
+  },
 
-  if (result.code !== 0 && result.stderr) {
-    console.log('Stderr:', result.stderr.slice(0, 500));
-  }
+  teardown(ctx) {
+    ctx.sidecar?.remove();
+    ctx.delivery?.cleanup();
+    ctx.egress?.stop();
+  },
 
-  showWorkspaceResults(workspace);
-  console.log(`🧹 Workspace: ${workspace}`);
+  versions(options) {
+    const runtime = pickRuntime(options);
+    const image = options.image ?? DOCKER_IMAGE;
+    return {
+      [runtime === 'podman' ? 'Podman' : 'Docker']: commandText(runtime, ['--version'], { timeout: 60000 }),
+      'Docker Desktop': runtime === 'docker'
+        ? commandText('docker', ['version', '--format', '{{.Server.Platform.Name}}'], { timeout: 60000 })
+        : null,
+      'Claude Code': commandText(runtime, ['run', '--rm', '--entrypoint', 'claude', image, '--version'], { timeout: 60000 }),
+    };
+  },
+});
 
-  return { mode: 'docker', runtime, exitCode: result.code, elapsed, workspace };
+export function runModeDocker(options = {}) {
+  return executeRunner(dockerRunner, options);
 }
 
 // Allow standalone execution
 if (process.argv[1]?.endsWith('mode-docker.mjs')) {
-  const runtime = process.argv[2] || 'docker';
-  runModeDocker({ runtime }).catch(err => {
-    console.error('💥 Fatal:', err.message);
-    process.exit(1);
-  });
+  installRedaction();
+  handleInterrupts();
+  Promise.resolve()
+    .then(() => {
+      const { prompt, source, git, outputFormat, verify, auth, egress, limits, rest } = parseRunnerArgs(process.argv.slice(2));
+      const imageAt = rest.indexOf('--image');
+      const image = imageAt !== -1 ? rest.splice(imageAt, 2)[1] : undefined;
+      const sidecarAt = rest.indexOf('--token-sidecar');
+      if (sidecarAt !== -1) rest.splice(sidecarAt, 1);
+      const runtime = rest[0] || 'docker';
+      return runModeDocker({
+        runtime, image, source, git, outputFormat, verify, auth, egress, limits,
+        tokenSidecar: sidecarAt !== -1,
+        prompt: resolvePrompt(prompt),
+      });
+    })
+    .catch(err => {
+      console.error('💥 Fatal:', err.message);
+      process.exit(1);
+    });
 }
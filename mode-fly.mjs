@@ -1,27 +1,42 @@
 // mode-fly.mjs
 // Mode C: Run cc on a Fly.io ephemeral machine
 //
-// Auth: token passed via --env to fly machine run (sent over HTTPS to Fly API,
-//       not visible in logs). fly secrets cannot be used for apps with no
+// Auth: token sent as an env file in the machine config (over HTTPS to the Machines
+//       API, not in logs or on any command line) and sourced by the machine's
+//       entrypoint script. The config — token included — can be read back with
+//       GET /machines/<id> by anyone holding a token for the app until the machine
+//       is destroyed, so the destroy is retried and a failure is reported with the
+//       command to finish it. fly secrets cannot be used for apps with no
 //       persistent machines — secrets get staged but never deployed.
+//       Without a usable login, ANTHROPIC_API_KEY goes the same way (--auth, resolveAuth).
 //
 // Build: docker build --platform linux/amd64 + docker push to registry.fly.io
 //        fly auth docker is run automatically before push.
 //        Image ref is saved to .fly-image-ref after each build.
 //
-// Run:   fly machine run <image-ref> --rm  (auto-deleted after cc exits)
-//        Container output streamed via fly logs (fly machine run doesn't pipe stdio)
+// Run:   through the Fly Machines REST API (lib/fly-api.mjs, token: FLY_API_TOKEN or
+//        `fly auth token`): create the machine, follow that machine's logs, wait for
+//        it to stop, read cc's exit code from its exit event, destroy it (again in
+//        teardown if that failed)
+//
+// Limits: --cpus and --memory become the machine's guest cpus (whole CPUs) and
+//        memory_mb (2048 MB unless set); --timeout and Ctrl-C destroy the machine. --pids/--disk are reported as ignored.
 //
 // Usage:
 //   npm run fly:build    ← build + push image (one-time, repeat when Dockerfile changes)
 //   npm run fly          ← run cc on Fly.io
 
-import { spawn, spawnSync } from 'node:child_process';
 import { readFileSync, writeFileSync } from 'node:fs';
-import { resolveToken, TEST_PROMPT } from './lib/common.mjs';
+import { describeSource, probe, ccOutputArgs, runCommand, checkGitRef } from './lib/common.mjs';
+import { registerRunner, executeRunner, parseRunnerArgs, handleInterrupts } from './lib/runners.mjs';
+import { resolvePrompt } from './lib/prompt.mjs';
+import { resolveAuth, ccAuthArgs, authSummary } from './lib/credentials.mjs';
+import { deliverMachineEnv } from './lib/secret-delivery.mjs';
+import { createFlyClient, resolveFlyToken, machineExitCode } from './lib/fly-api.mjs';
+import { installRedaction } from './lib/redact.mjs';
 import 'dotenv/config';
 
-const MAX_TURNS = 20;
+const REPO_DIR = '/home/agent/src';
 const IMAGE_REF_FILE = new URL('./.fly-image-ref', import.meta.url);
 
 // ─────────────────────────────────────────────────────
@@ -55,6 +70,21 @@ function getSavedImageRef() {
   catch { return null; }
 }
 
+// The machine runs `sh -c <script> cpm <cc args...>` (entrypoint /bin/sh): load the
+// auth env file, with --repo clone the repository, then exec cc
+export function machineScript({ prelude, repo = false }) {
+  return [
+    'set -e',
+    prelude,
+    ...(repo ? [
+      `git clone --quiet -- "$CPM_REPO" ${REPO_DIR}`,
+      `cd ${REPO_DIR}`,
+      'if [ -n "$CPM_REF" ]; then git checkout --quiet "$CPM_REF"; fi',
+    ] : []),
+    'exec claude -p --dangerously-skip-permissions "$@"',
+  ].join('\n');
+}
+
 // ─────────────────────────────────────────────────────
 // Build
 // ─────────────────────────────────────────────────────
@@ -64,15 +94,15 @@ export async function buildFlyImage(appName) {
   const cwd = new URL('.', import.meta.url).pathname;
 
   console.log(`🔨 Building image ${imageRef} (linux/amd64)...`);
-  const build = spawnSync('docker', ['build', '--platform', 'linux/amd64', '-t', imageRef, '.'], { stdio: 'inherit', cwd });
+  const build = runCommand('docker', ['build', '--platform', 'linux/amd64', '-t', imageRef, '.'], { stdio: 'inherit', cwd });
   if (build.status !== 0) throw new Error('docker build failed');
 
   console.log(`\n🔐 Authenticating with Fly registry...`);
-  const auth = spawnSync('fly', ['auth', 'docker'], { stdio: 'inherit' });
+  const auth = runCommand('fly', ['auth', 'docker'], { stdio: 'inherit' });
   if (auth.status !== 0) throw new Error('fly auth docker failed');
 
   console.log(`\n📤 Pushing ${imageRef} to Fly.io registry...`);
-  const push = spawnSync('docker', ['push', imageRef], { stdio: 'inherit' });
+  const push = runCommand('docker', ['push', imageRef], { stdio: 'inherit' });
   if (push.status !== 0) throw new Error('docker push failed');
 
   writeFileSync(IMAGE_REF_FILE, imageRef);
@@ -84,118 +114,164 @@ export async function buildFlyImage(appName) {
 // Run
 // ─────────────────────────────────────────────────────
 
-export async function runModeFly(options = {}) {
-  const { app, org, region } = getFlyConfig();
-
-  console.log('');
-  console.log('╔══════════════════════════════════════════════════╗');
-  console.log('║  Mode C: Fly.io Ephemeral Machine               ║');
-  console.log('║  Isolation: Firecracker microVM (Fly.io)         ║');
-  console.log('║  Auth: --env (HTTPS to Fly API, not in logs)     ║');
-  console.log('║  Lifecycle: Ephemeral (auto-deleted after run)   ║');
-  console.log('╚══════════════════════════════════════════════════╝');
-  console.log('');
-
-  // 1. Validate config
-  if (!app) {
-    console.error('❌ App name not set. Update fly.toml or set FLY_APP in .env');
-    return { mode: 'fly', exitCode: 1 };
-  }
-  console.log(`📡 App: ${app}  Org: ${org ?? 'personal'}  Region: ${region}`);
+export const flyRunner = registerRunner({
+  name: 'fly',
+  label: 'Mode C',
+  description: 'Fly.io ephemeral Firecracker machine (remote)',
+  outputTitle: 'CC OUTPUT (from Fly.io)',
+  auto: false,   // remote + billed: only when asked for explicitly
+  limits: ['maxTurns', 'timeoutMs', 'cpus', 'memoryMb'],
+  defaultLimits: { memoryMb: 2048 },
+
+  detect() {
+    return { fly: probe('fly version') };
+  },
+
+  available(runtimes) {
+    return runtimes.fly;
+  },
+
+  banner() {
+    return [
+      'Mode C: Fly.io Ephemeral Machine',
+      'Isolation: Firecracker microVM (Fly.io)',
+      'Auth: env file in the machine config (HTTPS to Fly API, not in logs or argv)',
+      'Lifecycle: Ephemeral (auto-deleted after run)',
+    ];
+  },
+
+  async prepare(ctx) {
+    const { app, org, region } = getFlyConfig();
+    ctx.fly = { app, org, region };
+
+    // 1. Validate config
+    if (!app) {
+      console.error('❌ App name not set. Update fly.toml or set FLY_APP in .env');
+      return { exitCode: 1 };
+    }
+    console.log(`📡 App: ${app}  Org: ${org ?? 'personal'}  Region: ${region}`);
+    try {
+      if (ctx.options.source?.ref) checkGitRef(ctx.options.source.ref);   // the machine script checks it out as is
+    } catch (err) {
+      console.error(`❌ ${err.message}`);
+      return { exitCode: 1, error: err.message };
+    }
 
-  // 2. Build if requested
-  if (options.build) {
-    await buildFlyImage(app);
-  }
+    // 2. Build if requested
+    if (ctx.options.build) {
+      await buildFlyImage(app);
+    }
 
-  // 3. Get image ref
-  const image = getSavedImageRef();
-  if (!image) {
-    console.error('❌ No image ref found. Run: npm run fly:build');
-    return { mode: 'fly', exitCode: 1 };
-  }
-  console.log(`🐳 Image: ${image}`);
-
-  // 4. Resolve token (injected via --env, not fly secrets)
-  const token = resolveToken();
-  console.log('🔑 Token ready (will be passed via --env to Fly API over HTTPS)');
-
-  // 5. Launch machine
-  console.log('');
-  console.log(`🚀 Launching machine on Fly.io (${region})...`);
-  console.log(`   Max turns: ${MAX_TURNS}`);
-  console.log('');
-  console.log('─'.repeat(60));
-  console.log('  CC OUTPUT (from Fly.io)');
-  console.log('─'.repeat(60));
-  console.log('');
-
-  const args = [
-    'machine', 'run', image,
-    '--app', app,
-    '--env', `CLAUDE_CODE_OAUTH_TOKEN=${token}`,
-    '--env', 'CLAUDE_CODE_ENABLE_TASKS=1',
-    '--region', region,
-    '--vm-memory', '2048',
-    '--rm',
-    ...(org ? ['--org', org] : []),
-    '--',
-    '--max-turns', String(MAX_TURNS),
-    '--output-format', 'text',
-    TEST_PROMPT,
-  ];
-
-  // fly machine run --rm returns when the machine STARTS, not when it exits.
-  // We stream fly logs and watch for the exit signal from the specific machine.
-  let machineId = null;
-  let resolveExit;
-  const machineExited = new Promise(resolve => { resolveExit = resolve; });
-
-  const logProc = spawn('fly', ['logs', '--app', app], { stdio: ['ignore', 'pipe', 'pipe'] });
-  logProc.stdout.on('data', chunk => {
-    process.stdout.write(chunk);
-    // Detect machine exit: "machine restart policy set to 'no', not restarting"
-    if (machineId && chunk.toString().includes(`runner[${machineId}]`) &&
-        chunk.toString().includes('machine restart policy')) {
-      resolveExit();
+    // 3. Get image ref
+    ctx.fly.image = getSavedImageRef();
+    if (!ctx.fly.image) {
+      console.error('❌ No image ref found. Run: npm run fly:build');
+      return { exitCode: 1 };
     }
-  });
+    console.log(`🐳 Image: ${ctx.fly.image}`);
+
+    // Files stay on the VM — a local --workspace can't follow, a --repo can
+    const source = ctx.options.source ?? {};
+    if (source.path) {
+      console.error('❌ Mode C runs remotely: use --repo <git-url> instead of --workspace');
+      return { exitCode: 1, error: '--workspace is not supported in Mode C' };
+    }
+    ctx.fly.source = source;
+    ctx.workdir = source.repo ? REPO_DIR : '/workspace';   // else WORKDIR in the Dockerfile
+    if (source.repo) console.log(`📥 Repo: ${describeSource(source)} (cloned on the machine)`);
 
-  // Give fly logs a moment to connect
-  await new Promise(r => setTimeout(r, 1500));
+    // 4. Resolve token or API key (uploaded as a file, not fly secrets)
+    ctx.auth = resolveAuth(ctx.options.auth);
+    ctx.delivery = deliverMachineEnv(ctx.auth.env);
+    ctx.result.auth = { ...authSummary(ctx.auth), delivery: 'file' };
+    console.log(`🔑 ${ctx.auth.method === 'oauth' ? 'Token' : 'API key'} ready (sent in the machine config to Fly API over HTTPS)`);
 
-  const startTime = Date.now();
+    // 5. Machines API client
+    try {
+      ctx.fly.client = createFlyClient({ app, token: resolveFlyToken() });
+    } catch (err) {
+      console.error(`❌ ${err.message}`);
+      return { exitCode: 1, error: err.message };
+    }
 
-  // Launch machine (returns when machine starts, not exits)
-  const result = await new Promise((resolve, reject) => {
-    const proc = spawn('fly', args, { stdio: ['ignore', 'pipe', 'pipe'] });
-    // Machine ID is in stdout — parse it so we can detect exit in the log stream
-    proc.stdout.on('data', chunk => {
-      const m = chunk.toString().match(/Machine ID:\s*([a-z0-9]+)/);
-      if (m?.[1]) machineId = m[1];
+    console.log('');
+    console.log(`🚀 Launching machine on Fly.io (${region})...`);
+  },
+
+  async run(ctx) {
+    const { client, region, image, source } = ctx.fly;
+    const ccArgs = [
+      '--max-turns', String(ctx.limits.maxTurns),
+      ...ccAuthArgs(ctx.auth),
+      ...ccOutputArgs(ctx.outputFormat),
+      ctx.prompt,
+    ];
+
+    const machine = await client.createMachine({
+      region,
+      config: {
+        image,
+        env: {
+          CLAUDE_CODE_ENABLE_TASKS: '1',
+          ...(source.repo && { CPM_REPO: source.repo }),
+          ...(source.repo && source.ref && { CPM_REF: source.ref }),
+        },
+        files: ctx.delivery.files,
+        init: {
+          entrypoint: ['/bin/sh'],
+          cmd: ['-c', machineScript({ prelude: ctx.delivery.prelude, repo: Boolean(source.repo) }), 'cpm', ...ccArgs],
+        },
+        guest: { cpu_kind: 'shared', cpus: Math.ceil(ctx.limits.cpus ?? 1), memory_mb: ctx.limits.memoryMb },
+        restart: { policy: 'no' },
+      },
     });
-    proc.stderr.on('data', chunk => process.stderr.write(`   [fly] ${chunk}`));
-    proc.on('close', code => resolve({ code }));
-    proc.on('error', err => reject(new Error(`fly spawn failed: ${err.message}`)));
+    ctx.fly.machineId = machine.id;
+    console.log(`🖥️  Machine ${machine.id} created (${machine.region ?? region})`);
+
+    // Only this machine's log lines, until it has stopped (or --timeout/Ctrl-C)
+    const logs = client.followLogs(machine.id, { onText: ctx.onStdout ?? (text => process.stdout.write(text)) });
+    const stopped = await client.waitForStop(machine.id, { signal: ctx.signal });
+    const stdout = await logs.done();
+    if (!stopped) return { code: null, stdout, stderr: '' };
+
+    const code = machineExitCode(await client.getMachine(machine.id));
+    await destroyMachine(ctx).catch(err => console.error(`⚠️  ${err.message} — trying again in teardown`));
+    return { code, stdout, stderr: code === null ? 'Machine stopped without an exit event' : '' };
+  },
+
+  // --timeout / Ctrl-C
+  async stop(ctx) {
+    if (!ctx.fly.machineId) throw new Error(`machine not created yet — check fly machine list --app ${ctx.fly.app}`);
+    await destroyMachine(ctx);
+  },
+
+  // A machine left behind still holds the credential in its config: reported as the
+  // run's teardownError (executeRunner) rather than only logged
+  async teardown(ctx) {
+    ctx.delivery?.cleanup();
+    if (ctx.fly?.machineId) {
+      await destroyMachine(ctx).catch((err) => {
+        throw new Error(`machine ${ctx.fly.machineId} was not destroyed (${err.message}) and its config still holds the ${ctx.auth.method === 'oauth' ? 'OAuth token' : 'API key'} — remove it with fly machine destroy --force ${ctx.fly.machineId}`);
+      });
+    }
+  },
+});
+
+// Once per machine, however many of run/stop/teardown ask for it — unless it
+// failed, then the next caller tries again
+function destroyMachine(ctx) {
+  ctx.fly.destroyed ??= (async () => {
+    console.log(`🗑️  Destroying machine ${ctx.fly.machineId}...`);
+    await ctx.fly.client.destroyMachine(ctx.fly.machineId);
+  })().catch((err) => {
+    ctx.fly.destroyed = null;
+    throw err;
   });
+  return ctx.fly.destroyed;
+}
 
-  // Wait for machine exit signal in logs (max 5 minutes)
-  await Promise.race([machineExited, new Promise(r => setTimeout(r, 5 * 60 * 1000))]);
-
-  // Flush remaining log lines
-  await new Promise(r => setTimeout(r, 2000));
-  logProc.kill();
-
-  const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
-  console.log('');
-  console.log('─'.repeat(60));
-  console.log('');
-  console.log(result.code === 0
-    ? `✅ Mode C completed (${elapsed}s)`
-    : `❌ Mode C exited with code ${result.code} (${elapsed}s)`
-  );
-
-  return { mode: 'fly', exitCode: result.code, elapsed };
+export function runModeFly(options = {}) {
+  return executeRunner(flyRunner, options);
 }
 
 // ─────────────────────────────────────────────────────
@@ -203,6 +279,7 @@ export async function runModeFly(options = {}) {
 // ─────────────────────────────────────────────────────
 
 if (process.argv[1]?.endsWith('mode-fly.mjs')) {
+  installRedaction();
   const { app } = getFlyConfig();
 
   if (process.argv.includes('--build-only')) {
@@ -211,6 +288,12 @@ if (process.argv[1]?.endsWith('mode-fly.mjs')) {
 
   } else {
     const build = process.argv.includes('--build');
-    runModeFly({ build }).catch(err => { console.error('💥', err.message); process.exit(1); });
+    handleInterrupts();
+    Promise.resolve()
+      .then(() => {
+        const { prompt, source, git, outputFormat, verify, auth, limits } = parseRunnerArgs(process.argv.slice(2));
+        return runModeFly({ build, source, git, outputFormat, verify, auth, limits, prompt: resolvePrompt(prompt) });
+      })
+      .catch(err => { console.error('💥', err.message); process.exit(1); });
   }
 }
@@ -0,0 +1,347 @@
+// mode-incus.mjs
+// Mode D: Run cc inside a persistent Incus system container (the code-on-incus setup)
+// Uses: incus launch / incus exec + credentials injection (same as Mode B). The incus
+// client is driven directly — code-on-incus's koi CLI is neither needed nor used.
+// Requires: Incus (Linux) — on macOS: Lima → Incus, with the incus client on the host
+//
+// Key differences from Mode A/B:
+//   - System container (full init, persistent state like a small VM)
+//   - Workspace mounted as an Incus disk device with shift=true (UID mapping),
+//     cc runs as an "agent" user with the host user's UID so files stay yours.
+//     Not as root: uid 0 would make the agent root in the container too
+//   - If the mount fails (remote Incus, e.g. inside Lima), the workspace is
+//     pushed with incus file push before the run, pulled back afterwards and
+//     removed from the container in teardown
+//
+// Limits: --cpus/--memory/--pids are set on the container before each run as
+// limits.cpu (whole CPUs), limits.memory and limits.processes — and unset when not
+// given, so one run's limits don't stick to the next. --disk is reported as ignored.
+// A timeout (or Ctrl-C) kills cc's process group inside the container: cc starts in
+// its own session (setsid) and records its pid in /tmp/cpm-cc-<run-id>.pid, so nothing
+// else in the container — init included — is touched.
+//
+// Persistence: the container (cpm-demo-incus) is provisioned once (Node.js +
+// Claude Code) and reused. Credentials are re-injected before every run.
+//
+// Useful lifecycle commands:
+//   incus list                                   — list containers
+//   incus exec cpm-demo-incus -- bash            — debug shell inside container
+//   incus delete --force cpm-demo-incus          — delete (forces re-provisioning)
+//
+// https://github.com/code-on-incus/koi (the setup this mode follows)
+
+import { basename, dirname } from 'node:path';
+import {
+  createWorkspace, showWorkspaceResults,
+  probe, spawnAndStream, spawnCapture, ccOutputArgs, runCommand,
+} from './lib/common.mjs';
+import { registerRunner, executeRunner, parseRunnerArgs, handleInterrupts } from './lib/runners.mjs';
+import { resolvePrompt } from './lib/prompt.mjs';
+import { readHostCredentials } from './lib/credentials.mjs';
+import { installRedaction } from './lib/redact.mjs';
+
+const CONTAINER_NAME = 'cpm-demo-incus';
+const CONTAINER_IMAGE = 'images:ubuntu/24.04';
+const AGENT_HOME = '/home/agent';
+const MOUNT_PATH = '/workspace';
+const DEVICE_NAME = 'cpm-workspace';
+
+// Host UID/GID — the agent user inside the container gets the same IDs
+const HOST_UID = process.getuid?.() ?? 1000;
+const HOST_GID = process.getgid?.() ?? 1000;
+
+function incus(args, options = {}) {
+  return runCommand('incus', args, { stdio: 'pipe', ...options });
+}
+
+// Run a command inside the container as the agent user
+function agentExecArgs(cwd) {
+  return [
+    'exec', CONTAINER_NAME,
+    '--user', String(HOST_UID),
+    '--group', String(HOST_GID),
+    '--env', `HOME=${AGENT_HOME}`,
+    ...(cwd ? ['--cwd', cwd] : []),
+    '--',
+  ];
+}
+
+function checkIncusAvailable() {
+  const r = incus(['version']);
+  if (r.status === 0) {
+    console.log(`🏗️  Incus: ${r.stdout.trim().split('\n').join(', ')}`);
+    return true;
+  }
+  console.error('❌ Incus not available.');
+  console.error('   Install: https://linuxcontainers.org/incus/docs/main/installing/');
+  console.error('   macOS: run Incus inside Lima and point the incus client at it.');
+  return false;
+}
+
+function containerExists() {
+  const r = incus(['list', '--format', 'csv', '--columns', 'n']);
+  if (r.status !== 0) return false;
+  return r.stdout.split('\n').some(line => line.trim() === CONTAINER_NAME);
+}
+
+function provisionContainer() {
+  console.log(`🆕 Creating persistent container: ${CONTAINER_NAME} (${CONTAINER_IMAGE})`);
+  const launch = incus(['launch', CONTAINER_IMAGE, CONTAINER_NAME]);
+  if (launch.status !== 0) {
+    throw new Error(`Failed to launch container: ${launch.stderr}`);
+  }
+
+  // Install Node.js 22 + Claude Code, create agent user with the host UID/GID
+  console.log('   Provisioning Node.js + Claude Code (one-time, takes a few minutes)...');
+  const script = `
+    set -e
+    cloud-init status --wait >/dev/null 2>&1 || sleep 5
+    apt-get update
+    apt-get install -y --no-install-recommends ca-certificates curl git
+    curl -fsSL https://deb.nodesource.com/setup_22.x | bash -
+    apt-get install -y nodejs
+    npm install -g @anthropic-ai/claude-code
+    getent group ${HOST_GID} >/dev/null || groupadd -g ${HOST_GID} agent
+    id agent >/dev/null 2>&1 || useradd -m -o -u ${HOST_UID} -g ${HOST_GID} -d ${AGENT_HOME} -s /bin/bash agent
+    mkdir -p ${MOUNT_PATH} && chown ${HOST_UID}:${HOST_GID} ${MOUNT_PATH}
+  `;
+  const provision = incus(['exec', CONTAINER_NAME, '--', 'bash', '-s'], {
+    input: script, stdio: ['pipe', 'inherit', 'inherit'],
+  });
+  if (provision.status !== 0) {
+    throw new Error('Failed to provision container (see output above)');
+  }
+  console.log('   Container provisioned.');
+}
+
+// Returns true if the container had to be provisioned (cold start)
+function ensureContainerReady() {
+  const created = !containerExists();
+  if (!created) {
+    console.log(`♻️  Reusing persistent container: ${CONTAINER_NAME}`);
+    // Persistent containers may have been stopped (e.g. after host reboot)
+    incus(['start', CONTAINER_NAME]);
+  } else {
+    provisionContainer();
+  }
+
+  injectCredentials();
+  return created;
+}
+
+function injectCredentials() {
+  const credsJson = readHostCredentials();
+  const claudeJson = JSON.stringify({ hasCompletedOnboarding: true });
+
+  // Same approach as Mode B: pipe credentials over stdin, never via argv
+  const r1 = incus([
+    ...agentExecArgs(), 'bash', '-c', 'mkdir -p ~/.claude && umask 077 && cat > ~/.claude/.credentials.json'
+  ], { input: credsJson });
+  if (r1.status !== 0) {
+    throw new Error(`Failed to inject credentials: ${r1.stderr}`);
+  }
+
+  const r2 = incus([...agentExecArgs(), 'bash', '-c', 'cat > ~/.claude.json'], { input: claudeJson });
+  if (r2.status !== 0) {
+    throw new Error(`Failed to write ~/.claude.json: ${r2.stderr}`);
+  }
+
+  console.log('   Credentials injected into container.');
+}
+
+// Resource limits → incus config keys, set (or unset) before every run
+function applyResourceLimits(limits) {
+  const config = {
+    'limits.cpu': limits.cpus && String(Math.ceil(limits.cpus)),
+    'limits.memory': limits.memoryMb && `${limits.memoryMb}MiB`,
+    'limits.processes': limits.pids && String(limits.pids),
+  };
+  for (const [key, value] of Object.entries(config)) {
+    const r = value ? incus(['config', 'set', CONTAINER_NAME, `${key}=${value}`]) : incus(['config', 'unset', CONTAINER_NAME, key]);
+    if (value && r.status !== 0) throw new Error(`Failed to set ${key}: ${r.stderr}`);
+  }
+}
+
+// Mount the host workspace with UID shifting; fall back to push/pull sync
+function attachWorkspace(workspace) {
+  incus(['config', 'device', 'remove', CONTAINER_NAME, DEVICE_NAME]);
+  const add = incus([
+    'config', 'device', 'add', CONTAINER_NAME, DEVICE_NAME, 'disk',
+    `source=${workspace}`, `path=${MOUNT_PATH}`, 'shift=true',
+  ]);
+  if (add.status === 0) {
+    console.log(`🔗 Workspace mounted at ${MOUNT_PATH} (shift=true)`);
+    return { sync: false, workdir: MOUNT_PATH };
+  }
+
+  console.log(`ℹ️  Mount failed (${add.stderr.trim() || 'unknown error'}) — syncing workspace instead`);
+  const workdir = `${AGENT_HOME}/${basename(workspace)}`;
+  const push = incus([
+    'file', 'push', '--recursive', '--create-dirs',
+    '--uid', String(HOST_UID), '--gid', String(HOST_GID),
+    workspace, `${CONTAINER_NAME}${AGENT_HOME}/`,
+  ]);
+  if (push.status !== 0) {
+    removeSyncedWorkspace(workdir);
+    throw new Error(`Failed to push workspace: ${push.stderr}`);
+  }
+  console.log(`📤 Workspace synced to ${workdir}`);
+  return { sync: true, workdir };
+}
+
+// The pushed copy goes once it has been pulled back, so runs don't pile up in the
+// persistent container
+function removeSyncedWorkspace(workdir) {
+  const r = incus([...agentExecArgs(), 'rm', '-rf', '--', workdir], { timeout: 60000 });
+  if (r.status !== 0) throw new Error(`Failed to remove ${workdir} from ${CONTAINER_NAME}: ${r.stderr.trim()}`);
+}
+
+function pullWorkspace(workspace, workdir) {
+  const pull = incus(['file', 'pull', '--recursive', `${CONTAINER_NAME}${workdir}`, dirname(workspace)]);
+  if (pull.status !== 0) {
+    console.error(`⚠️  Failed to pull workspace back: ${pull.stderr}`);
+    return;
+  }
+  console.log(`📥 Workspace synced back to ${workspace}`);
+}
+
+export const incusRunner = registerRunner({
+  name: 'incus',
+  label: 'Mode D',
+  maxConcurrency: 1,   // one persistent container with one workspace device
+  description: 'Incus system container (persistent)',
+  outputTitle: 'CC OUTPUT (from Incus container)',
+  limits: ['maxTurns', 'timeoutMs', 'cpus', 'memoryMb', 'pids'],
+
+  detect() {
+    return { incus: probe('incus version') };
+  },
+
+  available(runtimes) {
+    return runtimes.incus;
+  },
+
+  banner() {
+    return [
+      'Mode D: Incus system container',
+      'Isolation: System container (UID-mapped)',
+      'Auth: Keychain → incus exec injection',
+      'State: Persistent container',
+    ];
+  },
+
+  async prepare(ctx) {
+    // 1. Check Incus available, and that the agent user won't be root
+    if (!checkIncusAvailable()) {
+      return { exitCode: 1, error: 'Incus not available' };
+    }
+    if (HOST_UID === 0) {
+      const error = 'Mode D runs cc as a user with your UID, and as root that is root in the container — run it as a regular user';
+      console.error(`❌ ${error}`);
+      return { exitCode: 1, error };
+    }
+
+    // 2. Ensure container exists, credentials are fresh and the limits are this run's
+    try {
+      ctx.result.coldStart = ensureContainerReady();
+      applyResourceLimits(ctx.limits);
+    } catch (err) {
+      console.error(`❌ ${err.message}`);
+      return { exitCode: 1, error: err.message };
+    }
+
+    // 3. Create workspace and attach it to the container
+    ctx.result.workspace = createWorkspace(ctx.options.source);
+    ctx.attached = attachWorkspace(ctx.result.workspace);
+    ctx.workdir = ctx.attached.workdir;
+
+    console.log('');
+    console.log(`🚀 Running cc in Incus container...`);
+    console.log(`   Container:  ${CONTAINER_NAME} (persistent)`);
+    console.log(`   Workdir:    ${ctx.attached.workdir}`);
+  },
+
+  run(ctx) {
+    ctx.pidFile = `/tmp/cpm-cc-${ctx.runId}.pid`;
+    const args = [
+      ...agentExecArgs(ctx.attached.workdir),
+      'setsid', '-w', 'sh', '-c', 'echo $$ > "$0" && exec "$@"', ctx.pidFile,
+      'claude',
+      '-p',                                // Headless prompt mode
+      '--dangerously-skip-permissions',    // YOLO mode
+      '--max-turns', String(ctx.limits.maxTurns),
+      ...ccOutputArgs(ctx.outputFormat),
+      ctx.prompt,
+    ];
+
+    return spawnAndStream('incus', args, {
+      onStdout: ctx.onStdout,
+      signal: ctx.signal,
+      formatStderr: (text) => text.trim() ? `   [incus] ${text}` : null,
+    });
+  },
+
+  // --timeout: the killed incus client doesn't take cc with it — kill cc's process
+  // group (as the agent user, so nothing of root's can be hit either)
+  stop(ctx) {
+    const r = incus([
+      ...agentExecArgs(), 'sh', '-c',
+      '[ -s "$0" ] || { echo "cc has not recorded its pid yet" >&2; exit 1; }; kill -KILL -- "-$(cat "$0")"',
+      ctx.pidFile,
+    ], { timeout: 30000 });
+    if (r.status !== 0) throw new Error(`Failed to stop cc in ${CONTAINER_NAME}: ${r.stderr.trim()}`);
+  },
+
+  collect(ctx) {
+    if (ctx.attached.sync) pullWorkspace(ctx.result.workspace, ctx.attached.workdir);
+
+    showWorkspaceResults(ctx.result.workspace);
+
+    console.log('');
+    console.log(`📦 Container preserved: ${CONTAINER_NAME}`);
+    console.log(`   To inspect: incus exec ${CONTAINER_NAME} -- bash`);
+    console.log(`   To reset:   incus delete --force ${CONTAINER_NAME}`);
+  },
+
+  exec(ctx, command, { timeout } = {}) {
+    return spawnCapture('incus', [...agentExecArgs(ctx.attached.workdir), 'sh', '-c', command], { timeout });
+  },
+
+  versions() {
+    const version = (args) => {
+      const r = incus(args, { timeout: 60000 });
+      return r.status === 0 ? r.stdout.trim().split('\n').join(', ') || null : null;
+    };
+    return {
+      Incus: version(['version']),
+      'Claude Code': containerExists() ? version([...agentExecArgs(), 'claude', '--version']) : null,
+    };
+  },
+
+  teardown(ctx) {
+    if (ctx.pidFile) incus([...agentExecArgs(), 'rm', '-f', '--', ctx.pidFile], { timeout: 30000 });
+    // Detach (or delete the pushed copy of) the per-run workspace so the persistent
+    // container doesn't keep it
+    if (ctx.attached?.sync) removeSyncedWorkspace(ctx.attached.workdir);
+    else if (ctx.attached) incus(['config', 'device', 'remove', CONTAINER_NAME, DEVICE_NAME]);
+  },
+});
+
+export function runModeIncus(options = {}) {
+  return executeRunner(incusRunner, options);
+}
+
+// Allow standalone execution
+if (process.argv[1]?.endsWith('mode-incus.mjs')) {
+  installRedaction();
+  handleInterrupts();
+  Promise.resolve()
+    .then(() => {
+      const { prompt, source, git, outputFormat, verify, limits } = parseRunnerArgs(process.argv.slice(2));
+      return runModeIncus({ source, git, outputFormat, verify, limits, prompt: resolvePrompt(prompt) });
+    })
+    .catch(err => {
+      console.error('💥 Fatal:', err.message);
+      process.exit(1);
+    });
+}
@@ -6,13 +6,16 @@
 // Key differences from Mode A:
 //   - microVM isolation (separate kernel, not shared)
 //   - Credentials injected via docker sandbox exec → ~/.claude/.credentials.json
-//   - Built-in network allow/deny lists
+//   - Built-in network allow/deny lists — --egress / --allow-host / --deny-host (or a task's
+//     egress:) are pushed to the sandbox proxy before each run, changes only; without
+//     them, rules left by earlier runs are reset to the default policy (lib/egress.mjs)
 //   - No custom Dockerfile needed — Docker provides the agent template
 //   - Workspace syncs at same absolute path (not volume mount)
 //
 // Persistence: uses a fixed sandbox name (cpm-demo-persistent) so credentials
-// survive between runs. Credentials are re-injected from macOS Keychain before
-// each run, so the 29h token rotation is handled automatically.
+// survive between runs. Credentials are re-injected from the host login (macOS
+// Keychain, or another lib/credentials.mjs source) before each run, so the 29h
+// token rotation is handled automatically.
 //
 // Useful lifecycle commands:
 //   docker sandbox ls                             — list all sandboxes (NOT in docker ps)
@@ -21,69 +24,44 @@
 //
 // Docker-in-Docker: add --mount-docker to give the agent access to the host Docker daemon.
 // This is equivalent to root access — only use when you fully trust the agent's actions.
+//
+// Limits: --max-turns and --timeout only — Docker Sandbox sizes its microVM itself, so
+// --cpus/--memory/--pids/--disk are reported as ignored. A timeout stops the sandbox
+// (docker sandbox stop); the next run starts it again.
+
+import { mkdirSync } from 'node:fs';
+import {
+  createWorkspace, showWorkspaceResults, probe, spawnAndStream, spawnCapture,
+  ccOutputArgs, runCommand, commandText,
+} from './lib/common.mjs';
+import { registerRunner, executeRunner, parseRunnerArgs, handleInterrupts } from './lib/runners.mjs';
+import { resolvePrompt } from './lib/prompt.mjs';
+import { readHostCredentials } from './lib/credentials.mjs';
+import { applySandboxRules, resetSandboxRules, sandboxRecord, describeEgress } from './lib/egress.mjs';
+import { installRedaction } from './lib/redact.mjs';
 
-import { spawn, spawnSync, execSync } from 'node:child_process';
-import { mkdirSync, writeFileSync, readFileSync } from 'node:fs';
-import { join } from 'node:path';
-import { homedir } from 'node:os';
-import { showWorkspaceResults, TEST_PROMPT } from './lib/common.mjs';
-
-const MAX_TURNS = 20;
 const SANDBOX_NAME = 'cpm-demo-persistent';
 const SANDBOX_WORKSPACE = '/private/tmp/cpm-sandbox-workspace';
-const KEYCHAIN_SERVICE = 'Claude Code-credentials';
 
 function checkSandboxAvailable() {
-  try {
-    const version = execSync('docker sandbox version 2>&1', { encoding: 'utf-8' }).trim();
+  const version = commandText('docker', ['sandbox', 'version']);
+  if (version) {
     console.log(`🏗️  Docker Sandbox: ${version}`);
     return true;
-  } catch {
-    console.error('❌ Docker Sandbox not available.');
-    console.error('   Requires Docker Desktop 4.58+ (macOS or Windows).');
-    console.error('   Install/upgrade: https://www.docker.com/products/docker-desktop/');
-    return false;
   }
+  console.error('❌ Docker Sandbox not available.');
+  console.error('   Requires Docker Desktop 4.58+ (macOS or Windows).');
+  console.error('   Install/upgrade: https://www.docker.com/products/docker-desktop/');
+  return false;
 }
 
-function sandboxExists() {
-  try {
-    const output = execSync('docker sandbox ls 2>/dev/null', { encoding: 'utf-8' });
-    return output.split('\n').some(line => line.includes(SANDBOX_NAME));
-  } catch {
-    return false;
-  }
-}
-
-function readHostCredentials() {
-  // Priority 1: macOS Keychain (Claude Code 2025+)
-  if (process.platform === 'darwin') {
-    try {
-      const raw = execSync(
-        `security find-generic-password -s "${KEYCHAIN_SERVICE}" -w`,
-        { encoding: 'utf-8', timeout: 10000, stdio: ['pipe', 'pipe', 'pipe'] }
-      ).trim();
-      const creds = JSON.parse(raw);
-      if (creds?.claudeAiOauth?.accessToken) {
-        const hoursLeft = ((creds.claudeAiOauth.expiresAt - Date.now()) / 3600000).toFixed(1);
-        console.log(`🔑 Credentials: macOS Keychain (${hoursLeft}h remaining)`);
-        return raw;
-      }
-    } catch { /* fall through */ }
-  }
-
-  // Priority 2: legacy credentials file
-  const credPath = join(homedir(), '.claude', '.credentials.json');
-  try {
-    const raw = readFileSync(credPath, 'utf-8');
-    const creds = JSON.parse(raw);
-    if (creds?.claudeAiOauth?.accessToken) {
-      console.log('🔑 Credentials: ~/.claude/.credentials.json');
-      return raw;
-    }
-  } catch { /* fall through */ }
-
-  throw new Error('No Claude credentials found. Run "claude" to authenticate first.');
+// `docker sandbox ls` prints a table — match the name as a whole column value,
+// so e.g. "cpm-demo-persistent-old" doesn't count
+export function sandboxExists(name = SANDBOX_NAME) {
+  const r = runCommand('docker', ['sandbox', 'ls']);
+  if (r.status !== 0) return false;
+  // First line is the column header (SANDBOX ID  TEMPLATE  NAME ...)
+  return r.stdout.split('\n').slice(1).some(line => line.trim().split(/\s+/).includes(name));
 }
 
 function injectCredentials() {
@@ -91,20 +69,20 @@ function injectCredentials() {
   const claudeJson = JSON.stringify({ hasCompletedOnboarding: true });
 
   // Write credentials.json into sandbox via stdin pipe (-i = keep stdin open)
-  const r1 = spawnSync('docker', [
+  const r1 = runCommand('docker', [
     'sandbox', 'exec', '-i', SANDBOX_NAME,
     'bash', '-c', 'mkdir -p ~/.claude && cat > ~/.claude/.credentials.json'
-  ], { input: credsJson, encoding: 'utf-8' });
+  ], { input: credsJson });
 
   if (r1.status !== 0) {
     throw new Error(`Failed to inject credentials: ${r1.stderr}`);
   }
 
   // Write ~/.claude.json (skip onboarding prompt)
-  const r2 = spawnSync('docker', [
+  const r2 = runCommand('docker', [
     'sandbox', 'exec', '-i', SANDBOX_NAME,
     'bash', '-c', 'cat > ~/.claude.json'
-  ], { input: claudeJson, encoding: 'utf-8' });
+  ], { input: claudeJson });
 
   if (r2.status !== 0) {
     throw new Error(`Failed to write ~/.claude.json: ${r2.stderr}`);
@@ -113,8 +91,10 @@ function injectCredentials() {
   console.log('   Credentials injected into sandbox.');
 }
 
+// Returns true if the sandbox had to be created (cold start)
 function ensureSandboxReady() {
-  if (sandboxExists()) {
+  const created = !sandboxExists();
+  if (!created) {
     console.log(`♻️  Reusing persistent sandbox: ${SANDBOX_NAME}`);
   } else {
     console.log(`🆕 Creating persistent sandbox: ${SANDBOX_NAME}`);
@@ -123,11 +103,11 @@ function ensureSandboxReady() {
     mkdirSync(SANDBOX_WORKSPACE, { recursive: true });
 
     // Create sandbox by running --version (no auth needed, exits cleanly)
-    const create = spawnSync('docker', [
+    const create = runCommand('docker', [
       'sandbox', 'run', '--name', SANDBOX_NAME,
       'claude', SANDBOX_WORKSPACE,
       '--', '--version'
-    ], { stdio: 'pipe', encoding: 'utf-8' });
+    ]);
 
     if (create.status !== 0) {
       throw new Error(`Failed to create sandbox: ${create.stderr}`);
@@ -135,127 +115,158 @@ function ensureSandboxReady() {
     console.log('   Sandbox created.');
   }
 
-  // Inject fresh credentials from host Keychain (handles token rotation automatically)
+  // Inject fresh credentials from the host login (handles token rotation automatically)
   injectCredentials();
+  return created;
 }
 
-function prepareWorkspace() {
-  mkdirSync(SANDBOX_WORKSPACE, { recursive: true });
-  writeFileSync(join(SANDBOX_WORKSPACE, 'package.json'), JSON.stringify({
-    name: 'docker-test-project',
-    version: '1.0.0',
-    type: 'module'
-  }, null, 2));
-  return SANDBOX_WORKSPACE;
-}
-
-export async function runModeSandbox() {
-  console.log('');
-  console.log('╔══════════════════════════════════════════════════╗');
-  console.log('║  Mode B: Docker Sandbox (microVM)               ║');
-  console.log('║  Isolation: microVM (dedicated kernel)           ║');
-  console.log('║  Auth: Keychain → sandbox exec injection         ║');
-  console.log('║  Network: Built-in allow/deny lists              ║');
-  console.log('╚══════════════════════════════════════════════════╝');
-  console.log('');
-
-  // 1. Check sandbox available
-  if (!checkSandboxAvailable()) {
-    return { mode: 'sandbox', exitCode: 1, error: 'Docker Sandbox not available' };
-  }
-
-  // 2. Ensure sandbox exists and credentials are fresh
-  try {
-    ensureSandboxReady();
-  } catch (err) {
-    console.error(`❌ ${err.message}`);
-    return { mode: 'sandbox', exitCode: 1, error: err.message };
+// No egress: earlier runs' rules are reset (undefined when there are none)
+function applyNetworkPolicy(egress, created) {
+  const network = egress
+    ? applySandboxRules(SANDBOX_NAME, egress, { created })
+    : resetSandboxRules(SANDBOX_NAME, { created });
+  if (!network) return undefined;
+  if (!egress) console.log('🛡️  No egress policy: resetting the rules earlier runs pushed to the sandbox');
+  const { pushed } = network;
+  console.log(`🛡️  Network: ${network.policy} by default, ${network.allow.length} allowed, ${network.block.length} blocked`);
+  console.log(pushed
+    ? `   Pushed: ${[pushed.policy && `--policy ${pushed.policy}`, ...pushed.allow.map(h => `+${h}`), ...pushed.block.map(h => `-${h}`)].filter(Boolean).join(' ')}`
+    : '   Rules unchanged since the last run');
+  if (network.stuck.length) {
+    console.warn(`⚠️  Still blocked in the sandbox: ${network.stuck.join(', ')} (docker sandbox rm ${SANDBOX_NAME} resets its rules)`);
   }
+  return network;
+}
 
-  // 3. Prepare workspace
-  const workspace = prepareWorkspace();
-
-  // 4. Build run command (reconnect to existing sandbox)
-  const args = [
-    'sandbox', 'run',
-    SANDBOX_NAME,
-    '--',
-    '-p',                                // Headless prompt mode
-    '--dangerously-skip-permissions',    // YOLO mode
-    '--max-turns', String(MAX_TURNS),
-    '--output-format', 'text',
-    TEST_PROMPT,
-  ];
-
-  console.log('');
-  console.log(`🚀 Running cc in Docker Sandbox microVM...`);
-  console.log(`   Sandbox:    ${SANDBOX_NAME} (persistent)`);
-  console.log(`   Max turns:  ${MAX_TURNS}`);
-  console.log(`   Workspace:  ${workspace}`);
-  console.log('');
-  console.log('─'.repeat(60));
-  console.log('  CC OUTPUT (from microVM)');
-  console.log('─'.repeat(60));
-  console.log('');
-
-  // 5. Spawn and stream
-  const startTime = Date.now();
-
-  const result = await new Promise((resolve, reject) => {
-    let stdout = '';
-    let stderr = '';
-
-    const proc = spawn('docker', args, { stdio: ['ignore', 'pipe', 'pipe'] });
-
-    proc.stdout.on('data', (chunk) => {
-      const text = chunk.toString();
-      stdout += text;
-      process.stdout.write(text);
-    });
+// For the banner of a run without --egress
+function defaultNetwork() {
+  const blocked = sandboxRecord(SANDBOX_NAME)?.block ?? [];
+  return blocked.length
+    ? `Built-in allow/deny lists, plus ${blocked.length} host(s) blocked by earlier runs (${blocked.join(', ')})`
+    : 'Built-in allow/deny lists';
+}
 
-    proc.stderr.on('data', (chunk) => {
-      const text = chunk.toString();
-      stderr += text;
-      if (text.trim()) {
-        process.stderr.write(`   [sandbox] ${text}`);
-      }
-    });
+// The persistent sandbox is bound to SANDBOX_WORKSPACE, so --workspace/--repo
+// sources are copied/cloned into that fixed path (emptied before each run)
+function prepareWorkspace(source) {
+  return createWorkspace(source, { dir: SANDBOX_WORKSPACE });
+}
 
-    proc.on('close', (code) => resolve({ code, stdout, stderr }));
-    proc.on('error', (err) => reject(new Error(`Failed to spawn docker sandbox: ${err.message}`)));
-  });
+export const sandboxRunner = registerRunner({
+  name: 'sandbox',
+  label: 'Mode B',
+  maxConcurrency: 1,   // one persistent sandbox bound to one workspace
+  description: 'Docker Sandbox microVM (dedicated kernel)',
+  outputTitle: 'CC OUTPUT (from microVM)',
+
+  detect() {
+    return { sandbox: probe('docker sandbox version') };
+  },
+
+  available(runtimes) {
+    return runtimes.sandbox;
+  },
+
+  banner(options = {}) {
+    return [
+      'Mode B: Docker Sandbox (microVM)',
+      'Isolation: microVM (dedicated kernel)',
+      'Auth: Keychain → sandbox exec injection',
+      `Network: ${options.egress ? `Sandbox proxy, ${describeEgress(options.egress)}` : defaultNetwork()}`,
+    ];
+  },
+
+  async prepare(ctx) {
+    // 1. Check sandbox available
+    if (!checkSandboxAvailable()) {
+      return { exitCode: 1, error: 'Docker Sandbox not available' };
+    }
 
-  const elapsed = ((Date.now() - startTime) / 1000).toFixed(1)
+    // 2. Ensure sandbox exists, credentials are fresh and the network rules match the policy
+    try {
+      ctx.result.coldStart = ensureSandboxReady();
+      const network = applyNetworkPolicy(ctx.options.egress, ctx.result.coldStart);
+      if (network) ctx.result.network = network;
+    } catch (err) {
+      console.error(`❌ ${err.message}`);
+      return { exitCode: 1, error: err.message };
+    }
 
-  // 6. Report
-  console.log('');
-  console.log('─'.repeat(60));
-  console.log('');
-  console.log(result.code === 0
-    ? `✅ Mode B completed successfully (${elapsed}s)`
-    : `❌ Mode B exited with code ${result.code} (${elapsed}s)`
-  );
+    // 3. Prepare workspace
+    ctx.result.workspace = prepareWorkspace(ctx.options.source);
+    ctx.workdir = ctx.result.workspace;   // synced at the same absolute path
 
-  if (result.code !== 0 && result.stderr) {
     console.log('');
-    console.log('Stderr output:');
-    console.log(result.stderr.slice(0, 1000));
-  }
+    console.log(`🚀 Running cc in Docker Sandbox microVM...`);
+    console.log(`   Sandbox:    ${SANDBOX_NAME} (persistent)`);
+    console.log(`   Workspace:  ${ctx.result.workspace}`);
+  },
+
+  run(ctx) {
+    // Reconnect to the existing sandbox
+    const args = [
+      'sandbox', 'run',
+      SANDBOX_NAME,
+      '--',
+      '-p',                                // Headless prompt mode
+      '--dangerously-skip-permissions',    // YOLO mode
+      '--max-turns', String(ctx.limits.maxTurns),
+      ...ccOutputArgs(ctx.outputFormat),
+      ctx.prompt,
+    ];
+
+    return spawnAndStream('docker', args, {
+      onStdout: ctx.onStdout,
+      signal: ctx.signal,
+      formatStderr: (text) => text.trim() ? `   [sandbox] ${text}` : null,
+    });
+  },
 
-  showWorkspaceResults(workspace);
+  // --timeout: cc runs inside the microVM, out of reach of the docker CLI we spawned
+  stop() {
+    const r = runCommand('docker', ['sandbox', 'stop', SANDBOX_NAME], { timeout: 60000 });
+    if (r.status !== 0) throw new Error(`docker sandbox stop failed: ${(r.stderr || '').trim()}`);
+  },
 
-  console.log('');
-  console.log(`📦 Sandbox preserved: ${SANDBOX_NAME}`);
-  console.log(`   To inspect: docker sandbox exec -it ${SANDBOX_NAME} bash`);
-  console.log(`   To reset:   docker sandbox rm ${SANDBOX_NAME}`);
+  collect(ctx) {
+    showWorkspaceResults(ctx.result.workspace);
 
-  return { mode: 'sandbox', exitCode: result.code, elapsed, workspace };
+    console.log('');
+    console.log(`📦 Sandbox preserved: ${SANDBOX_NAME}`);
+    console.log(`   To inspect: docker sandbox exec -it ${SANDBOX_NAME} bash`);
+    console.log(`   To reset:   docker sandbox rm ${SANDBOX_NAME}`);
+  },
+
+  exec(ctx, command, { timeout } = {}) {
+    return spawnCapture('docker', [
+      'sandbox', 'exec', SANDBOX_NAME, 'sh', '-c', `cd '${ctx.workdir}' && ${command}`,
+    ], { timeout });
+  },
+
+  versions() {
+    const run = (args) => commandText('docker', args, { timeout: 60000 });
+    return {
+      'Docker Sandbox': run(['sandbox', 'version']),
+      'Claude Code': sandboxExists() ? run(['sandbox', 'exec', SANDBOX_NAME, 'claude', '--version']) : null,
+    };
+  },
+});
+
+export function runModeSandbox(options = {}) {
+  return executeRunner(sandboxRunner, options);
 }
 
 // Allow standalone execution
 if (process.argv[1]?.endsWith('mode-sandbox.mjs')) {
-  runModeSandbox().catch(err => {
-    console.error('💥 Fatal:', err.message);
-    process.exit(1);
-  });
+  installRedaction();
+  handleInterrupts();
+  Promise.resolve()
+    .then(() => {
+      const { prompt, source, git, outputFormat, verify, egress, limits } = parseRunnerArgs(process.argv.slice(2));
+      return runModeSandbox({ source, git, outputFormat, verify, egress, limits, prompt: resolvePrompt(prompt) });
+    })
+    .catch(err => {
+      console.error('💥 Fatal:', err.message);
+      process.exit(1);
+    });
 }
@@ -1,5 +1,5 @@
 // push-token.mjs
-// Push Claude OAuth token from macOS Keychain to a remote machine via SSH.
+// Push Claude OAuth token from the host login (macOS Keychain, ...) to a remote machine via SSH.
 //
 // Usage:
 //   node push-token.mjs [ssh-host]          # default host: ubuntu
@@ -7,86 +7,66 @@
 //   npm run push-token -- myserver          # custom host
 //
 // What it does:
-//   1. Reads CLAUDE_CODE_OAUTH_TOKEN from macOS Keychain (same as Mode A/C)
+//   1. Reads the token from the host login — macOS Keychain or another
+//      lib/credentials.mjs source (CLAUDE_CODE_OAUTH_TOKEN as a fallback)
 //   2. SSHes into the remote host
 //   3. Writes the token to ~/cc-docker-demo/.env
 //   4. Remote machine can then run: npm run docker
 //
 // Token lasts ~29h. Re-run this script when it expires.
-// For automatic rotation, see: cpm watch (planned feature)
+// For automatic rotation: node cpm.mjs watch (lib/watch.mjs)
+//
+// Importable: resolvePushToken(), buildRemoteScript(), remoteCommand(), sendToken() and
+// pushToRemote() are exported; the push only runs when this file is executed directly.
 
-import { execSync, spawnSync } from 'node:child_process';
-import { readFileSync } from 'node:fs';
-import { join } from 'node:path';
-import { homedir } from 'node:os';
+import { runCommand } from './lib/common.mjs';
+import { readCredentials, getCredentialBackend, hoursLeft } from './lib/credentials.mjs';
+import { installRedaction } from './lib/redact.mjs';
 
-const KEYCHAIN_SERVICE = 'Claude Code-credentials';
 const DEFAULT_HOST = process.env.CPM_REMOTE_HOST || 'ubuntu';
-const REMOTE_DIR = process.env.CPM_REMOTE_DIR || '$HOME/cc-docker-demo';
-
-const host = process.argv[2] || DEFAULT_HOST;
+export const REMOTE_DIR = process.env.CPM_REMOTE_DIR || '$HOME/cc-docker-demo';
 
 // ─────────────────────────────────────────────────────
-// 1. Resolve token from macOS Keychain
+// 1. Resolve token — the stored login first (Keychain, credentials file, ...),
+//    CLAUDE_CODE_OAUTH_TOKEN only as a fallback
 // ─────────────────────────────────────────────────────
 
-function resolveToken() {
-  if (process.platform !== 'darwin') {
-    // On non-macOS, fall back to env var
-    const token = process.env.CLAUDE_CODE_OAUTH_TOKEN;
-    if (token) return { token, hoursLeft: null, source: 'env var' };
-    console.error('❌ push-token.mjs must run on macOS (reads from Keychain)');
+export function resolvePushToken() {
+  const cred = readCredentials({ env: false }) ?? readCredentials({ sources: [getCredentialBackend('env')] });
+  if (!cred) {
+    console.error('❌ No token found. Run "claude" to authenticate.');
     process.exit(1);
   }
 
-  try {
-    const raw = execSync(
-      `security find-generic-password -s "${KEYCHAIN_SERVICE}" -w`,
-      { encoding: 'utf-8', timeout: 10000, stdio: ['pipe', 'pipe', 'pipe'] }
-    ).trim();
-
-    const creds = JSON.parse(raw);
-    const oauth = creds?.claudeAiOauth;
-
-    if (oauth?.accessToken) {
-      const hoursLeft = ((oauth.expiresAt - Date.now()) / 3600000).toFixed(1);
-      if (hoursLeft <= 0) {
-        console.error('❌ Token expired. Run "claude" to refresh.');
-        process.exit(1);
-      }
-      return { token: oauth.accessToken, hoursLeft, source: 'macOS Keychain' };
-    }
-  } catch { /* fall through */ }
-
-  // Fallback: legacy credentials file
-  const credPath = join(homedir(), '.claude', '.credentials.json');
-  try {
-    const creds = JSON.parse(readFileSync(credPath, 'utf-8'));
-    const oauth = creds?.claudeAiOauth;
-    if (oauth?.accessToken) {
-      const hoursLeft = ((oauth.expiresAt - Date.now()) / 3600000).toFixed(1);
-      return { token: oauth.accessToken, hoursLeft, source: '.credentials.json' };
-    }
-  } catch { /* fall through */ }
-
-  console.error('❌ No token found. Run "claude" to authenticate.');
-  process.exit(1);
+  const hours = hoursLeft(cred);
+  if (hours !== null && hours <= 0) {
+    console.error(`❌ Token expired (${cred.label}). Run "claude" to refresh.`);
+    process.exit(1);
+  }
+  return { token: cred.accessToken, hoursLeft: hours === null ? null : hours.toFixed(1), source: cred.label };
 }
 
 // ─────────────────────────────────────────────────────
 // 2. Write .env on remote via SSH
 // ─────────────────────────────────────────────────────
 
-function pushToRemote(host, token, hoursLeft) {
-  console.log(`📡 Target:  ${host}:${REMOTE_DIR}/.env`);
-  console.log(`⏰ Expires: in ${hoursLeft}h`);
-  console.log('');
+// bash script (run via `ssh host bash -s -- <remoteDir>`) that writes the token into
+// <remoteDir>/.env — preserves existing vars, updates the token line. Prints created |
+// updated | appended. The directory arrives as $1, never as script text; a leading ~ or
+// $HOME is expanded on the remote side.
+export function buildRemoteScript(token) {
+  // The token is interpolated into the script: refuse anything that isn't token-shaped
+  if (!/^[\w.-]+$/.test(token)) throw new Error('Refusing to push a token with unexpected characters');
 
-  // Write .env file on remote — preserves existing vars, updates token line
-  const script = `
+  return `
     set -e
-    mkdir -p ${REMOTE_DIR}
-    ENV_FILE="${REMOTE_DIR}/.env"
+    REMOTE_DIR="$1"
+    case "$REMOTE_DIR" in
+      "~" | '$HOME') REMOTE_DIR="$HOME" ;;
+      "~/"* | '$HOME/'*) REMOTE_DIR="$HOME/\${REMOTE_DIR#*/}" ;;
+    esac
+    mkdir -p -- "$REMOTE_DIR"
+    ENV_FILE="$REMOTE_DIR/.env"
     TOKEN_LINE="CLAUDE_CODE_OAUTH_TOKEN=${token}"
 
     if [ -f "$ENV_FILE" ]; then
@@ -104,34 +84,63 @@ function pushToRemote(host, token, hoursLeft) {
       echo "created"
     fi
   `;
+}
 
-  const result = spawnSync('ssh', [host, 'bash', '-s'], {
-    input: script,
-    encoding: 'utf-8',
-  });
+// ssh joins its command arguments into one line for the remote shell: the directory
+// goes in single quotes, so spaces and metacharacters in it stay part of the path
+export function remoteCommand(remoteDir = REMOTE_DIR) {
+  return ['bash', '-s', '--', `'${remoteDir.replaceAll("'", "'\\''")}'`];
+}
 
+// One push → { ok, action } or { ok: false, error }. unattended: never prompt for a
+// password or host key, and give up on unreachable hosts (cpm watch)
+export function sendToken(host, token, remoteDir = REMOTE_DIR, { unattended = false, timeout } = {}) {
+  const sshOptions = unattended ? ['-o', 'BatchMode=yes', '-o', 'ConnectTimeout=20'] : [];
+  const result = runCommand('ssh', [...sshOptions, host, ...remoteCommand(remoteDir)], {
+    input: buildRemoteScript(token),
+    timeout,
+  });
   if (result.status !== 0) {
-    console.error(`❌ SSH failed: ${result.stderr || result.error?.message}`);
+    const error = result.stderr?.trim() || result.error?.message || `ssh exited with ${result.status}`;
+    return { ok: false, error: error.split('\n').at(-1) };
+  }
+  return { ok: true, action: result.stdout.trim() };
+}
+
+export function pushToRemote(host, token, hoursLeft, remoteDir = REMOTE_DIR) {
+  console.log(`📡 Target:  ${host}:${remoteDir}/.env`);
+  console.log(`⏰ Expires: ${hoursLeft === null ? 'unknown' : `in ${hoursLeft}h`}`);
+  console.log('');
+
+  const { ok, action, error } = sendToken(host, token, remoteDir);
+
+  if (!ok) {
+    console.error(`❌ SSH failed: ${error}`);
     process.exit(1);
   }
 
-  const action = result.stdout.trim();
   console.log(`✅ Token ${action} on ${host}`);
-  console.log(`   File: ${REMOTE_DIR}/.env`);
+  console.log(`   File: ${remoteDir}/.env`);
   console.log('');
   console.log('Remote is ready. On the Ubuntu box:');
-  console.log(`   cd ${REMOTE_DIR} && npm run docker`);
+  console.log(`   cd ${remoteDir} && npm run docker`);
+  return action;
 }
 
 // ─────────────────────────────────────────────────────
 // Main
 // ─────────────────────────────────────────────────────
 
-console.log('');
-console.log('🔑 Pushing Claude token to remote host...');
-console.log('');
+if (process.argv[1]?.endsWith('push-token.mjs')) {
+  installRedaction();
+  const host = process.argv[2] || DEFAULT_HOST;
 
-const { token, hoursLeft, source } = resolveToken();
-console.log(`🔑 Source:  ${source}`);
+  console.log('');
+  console.log('🔑 Pushing Claude token to remote host...');
+  console.log('');
 
-pushToRemote(host, token, hoursLeft);
+  const { token, hoursLeft, source } = resolvePushToken();
+  console.log(`🔑 Source:  ${source}`);
+
+  pushToRemote(host, token, hoursLeft);
+}
@@ -6,54 +6,146 @@
 //   node run-demo.mjs --mode docker     # Mode A only (plain Docker/Podman)
 //   node run-demo.mjs --mode sandbox    # Mode B only (Docker Sandbox microVM)
 //   node run-demo.mjs --mode both       # Run both and compare
+//   node run-demo.mjs --mode fly        # Mode C only (Fly.io machine)
+//   node run-demo.mjs --mode incus      # Mode D only (Incus system container)
 //   node run-demo.mjs --mode docker --runtime podman  # Use Podman instead
+//   node run-demo.mjs --runner ./my-runner.mjs --mode mine  # Third-party runner
+//   node run-demo.mjs --prompt-file task.md            # Custom task instead of the smoke test
+//   node run-demo.mjs --task task.json                 # Task with verification assertions
+//   node run-demo.mjs --repo <git-url> --ref main      # Work on a clone of a real project
+//   node run-demo.mjs --mode both --fill-results       # Benchmark → RESULTS-YYYY-MM-DD.md
 
 import 'dotenv/config';
+import { writeFileSync } from 'node:fs';
 import { detectRuntimes } from './lib/common.mjs';
-import { runModeDocker } from './mode-docker.mjs';
-import { runModeSandbox } from './mode-sandbox.mjs';
+import { installRedaction, redact } from './lib/redact.mjs';
+import {
+  getRunner, listRunners, loadRunnerModules, executeRunner, parseRunnerArgs, handleInterrupts, interrupted,
+} from './lib/runners.mjs';
+import { resolvePrompt } from './lib/prompt.mjs';
+import { buildReport, renderMarkdown, writeReports, parseReportArgs, resultStatus } from './lib/report.mjs';
+import { evaluateChecks, renderResultsDoc } from './lib/results-doc.mjs';
+// Built-in runners register themselves on import
+import './mode-docker.mjs';
+import './mode-sandbox.mjs';
+import './mode-fly.mjs';
+import './mode-incus.mjs';
+
+// Aliases for --mode that expand to several runners
+const MODE_ALIASES = { both: ['docker', 'sandbox'] };
 
 // ─────────────────────────────────────────────────────
 // Parse CLI args
 // ─────────────────────────────────────────────────────
 
 function parseArgs() {
-  const args = process.argv.slice(2);
-  const opts = { mode: 'auto', runtime: 'docker' };
+  const { prompt, source, git, outputFormat, verify, auth, egress, limits, rest } = parseRunnerArgs(process.argv.slice(2));
+  const { reports, rest: args } = parseReportArgs(rest);
+  const opts = {
+    prompt,
+    source,
+    git,
+    outputFormat,
+    verify,
+    auth,
+    egress,
+    limits,
+    reports,
+    mode: 'auto',
+    runtime: undefined,
+    image: undefined,
+    tokenSidecar: false,
+    keepWorkspace: false,
+    runners: (process.env.CPM_RUNNERS || '').split(',').filter(Boolean),
+    store: true,
+    fillResults: false,
+    resultsFile: undefined,
+    warmRuns: 1,
+    help: false,
+  };
 
   for (let i = 0; i < args.length; i++) {
     if (args[i] === '--mode' && args[i + 1]) opts.mode = args[++i];
     if (args[i] === '--runtime' && args[i + 1]) opts.runtime = args[++i];
-    if (args[i] === '--help' || args[i] === '-h') {
-      console.log(`
+    if (args[i] === '--image' && args[i + 1]) opts.image = args[++i];
+    if (args[i] === '--runner' && args[i + 1]) opts.runners.push(args[++i]);
+    if (args[i] === '--token-sidecar') opts.tokenSidecar = true;
+    if (args[i] === '--keep-workspace') opts.keepWorkspace = true;
+    if (args[i] === '--no-store') opts.store = false;
+    if (args[i] === '--fill-results') opts.fillResults = true;
+    if (args[i] === '--results-file' && args[i + 1]) { opts.fillResults = true; opts.resultsFile = args[++i]; }
+    if (args[i] === '--warm-runs' && args[i + 1]) opts.warmRuns = Math.max(0, Number(args[++i]) || 0);
+    if (args[i] === '--help' || args[i] === '-h') opts.help = true;
+  }
+
+  return opts;
+}
+
+function printHelp() {
+  const runnerLines = listRunners()
+    .map(r => `  ${r.name.padEnd(9)} ${r.label ? `${r.label}: ` : ''}${r.description ?? ''}`)
+    .join('\n');
+
+  console.log(`
 CPM Docker Demo — Test cc execution modes
 
 Usage:
   node run-demo.mjs [options]
 
 Options:
-  --mode <mode>       docker | sandbox | both | auto (default: auto)
+  --mode <mode>       Runner name(s), comma-separated, or both | auto (default: auto)
   --runtime <rt>      docker | podman (default: docker, Mode A only)
+  --image <ref>       Mode A image (default: cpm-runner:demo; cpm-runner:fake = offline fake claude)
+  --token-sidecar     Mode A: keep the token fresh during long runs (mounted credentials, no env token)
+  --auth <a>          Mode A/C: auto (OAuth, else ANTHROPIC_API_KEY) | oauth | api-key (default: auto)
+  --max-budget-usd <n> API key runs: cc stops once it has spent this much (or CPM_MAX_BUDGET_USD)
+  --secret-delivery <m> Mode A: env-file | secret (podman) | stdin (default: env-file, podman: secret)
+  --egress <f>        Mode A/B: network policy — default, or a YAML file with allow:/deny: lists
+  --allow-host <h>    Mode A/B: add host[:port] to the allowlist (repeatable; implies --egress default)
+  --deny-host <h>     Mode A/B: add host[:port] to the denylist (repeatable)
+  --max-turns <n>     cc's turn limit (default 20)
+  --timeout <d>       Stop cc after this long (e.g. 90s, 30m) and report the run as timeout
+  --cpus <n>          Mode A/C/D: CPU limit
+  --memory <size>     Mode A/C/D: memory limit, e.g. 512m, 4g
+  --pids <n>          Mode A/D: process limit
+  --disk <size>       Mode A: writable disk limit (storage driver with quotas)
+  --runner <module>   Load a third-party runner module (repeatable, or CPM_RUNNERS)
+  --prompt <text>     Task prompt for cc ("-" reads stdin; default: hello.mjs smoke test)
+  --prompt-file <f>   Read the task prompt from a file ("-" reads stdin)
+  --task <file.json>  Task definition: prompt + verify { files, commands, output }
+  --expect-file <p>   Verify: file must exist in the workspace after the run (repeatable)
+  --verify <cmd>      Verify: shell command must pass inside the same isolation (repeatable)
+  --expect-output <r> Verify: regex expected in cc's output (repeatable)
+  --no-verify         Skip verification (the smoke test is verified by default)
+  --workspace <path>  Run on a copy of an existing project (original untouched)
+  --repo <git-url>    Run on a fresh clone of a git repository
+  --ref <branch>      Branch, tag or commit to check out (with --repo/--workspace)
+  --keep-workspace    Keep the temp workspace of a run cancelled with Ctrl-C (default: removed)
+  --commit            Git workspaces: commit cc's changes onto branch cpm/<run-id>
+  --branch <name>     Same as --commit, with a custom branch name
+  --patch-dir <dir>   Where <run-id>.patch is exported (default: ./patches)
+  --output-format <f> text | stream-json (parsed: tool calls, turns, tokens, cost)
+  --stream-json       Shorthand for --output-format stream-json
+  --no-store          Don't save the run to ~/.cpm/runs (see: node cpm.mjs runs)
+  --report-json <f>   Write the comparison report as JSON
+  --report-md <f>     Write the comparison report as a Markdown table
+  --report-junit <f>  Write JUnit XML (one test case per mode) for CI
+  --fill-results      Run the smoke test (first + warm runs) and write a filled-in
+                      RESULTS-YYYY-MM-DD.md checklist with versions and timings
+  --results-file <f>  Where --fill-results writes (implies --fill-results)
+  --warm-runs <n>     Extra runs per mode for subsequent-run timings (default: 1)
   --help, -h          Show this help
 
-Modes:
-  docker    Mode A: Plain Docker/Podman container (shared kernel)
-            Requires: Docker Engine or Podman + Dockerfile build
-            Auth: CLAUDE_CODE_OAUTH_TOKEN env var
+Prompt template variables:
+  {{workspace}}  workspace path as cc sees it   {{mode}}  runner name   {{date}}  YYYY-MM-DD
 
-  sandbox   Mode B: Docker Sandbox microVM (dedicated kernel)
-            Requires: Docker Desktop 4.58+ (macOS/Windows)
-            Auth: Docker Desktop host-side proxy (automatic)
+Runners:
+${runnerLines}
 
-  both      Run both modes sequentially and compare results
+  both      Run docker and sandbox sequentially and compare results
 
   auto      Detect available runtimes and run what's possible
 `);
-      process.exit(0);
-    }
-  }
-
-  return opts;
 }
 
 // ─────────────────────────────────────────────────────
@@ -72,7 +164,7 @@ function printBanner(runtimes) {
   console.log(`║  Docker Sandbox:   ${runtimes.sandbox ? '✅ Available' : '⬜ Not found (needs Docker Desktop 4.58+)'}  ║`);
   console.log(`║  Podman:           ${runtimes.podman  ? '✅ Available' : '⬜ Not found'}                             ║`);
   console.log(`║  Fly.io CLI:       ${runtimes.fly     ? '✅ Available' : '⬜ Not found (brew install flyctl)'}                  ║`);
-  console.log(`║  Incus/koi:        ${runtimes.incus   ? '✅ Available' : '⬜ Not found (see docs/sandbox-tool-claude-code-incus.txt)'}  ║`);
+  console.log(`║  Incus:            ${runtimes.incus   ? '✅ Available' : '⬜ Not found (see docs/sandbox-tool-claude-code-incus.txt)'}  ║`);
   console.log('╚══════════════════════════════════════════════════════════════╝');
   console.log('');
 }
@@ -81,38 +173,13 @@ function printBanner(runtimes) {
 // Comparison Report
 // ─────────────────────────────────────────────────────
 
-function printComparison(results) {
+function printComparison(report) {
   console.log('');
   console.log('═'.repeat(60));
   console.log('  COMPARISON REPORT');
   console.log('═'.repeat(60));
   console.log('');
-  console.log('┌────────────────────┬──────────────────┬──────────────────┐');
-  console.log('│ Property           │ Mode A: Docker   │ Mode B: Sandbox  │');
-  console.log('├────────────────────┼──────────────────┼──────────────────┤');
-
-  const a = results.find(r => r.mode === 'docker');
-  const b = results.find(r => r.mode === 'sandbox');
-
-  const row = (label, valA, valB) => {
-    const l = label.padEnd(18);
-    const va = (valA || '—').toString().padEnd(16);
-    const vb = (valB || '—').toString().padEnd(16);
-    console.log(`│ ${l} │ ${va} │ ${vb} │`);
-  };
-
-  row('Isolation',       'Container',          'microVM');
-  row('Kernel',          'Shared w/ host',     'Dedicated');
-  row('Exit code',       a?.exitCode,          b?.exitCode);
-  row('Duration',        a ? `${a.elapsed}s` : null,  b ? `${b.elapsed}s` : null);
-  row('Auth method',     'OAuth env var',      'Host proxy');
-  row('Network control', 'Manual',             'Built-in allow/deny');
-  row('Docker-in-Docker', 'No',               'Yes (private daemon)');
-  row('Custom image',    'Yes (Dockerfile)',   'Optional (--template)');
-  row('Requires',        'Docker/Podman',      'Docker Desktop 4.58+');
-
-  console.log('└────────────────────┴──────────────────┴──────────────────┘');
-  console.log('');
+  console.log(renderMarkdown(report));
 
   // CPM v4 implications
   console.log('┌──────────────────────────────────────────────────────────┐');
@@ -124,107 +191,179 @@ function printComparison(results) {
   console.log('│    macOS/Windows (strongest isolation, auto-auth)       │');
   console.log('│  • Token Refresh Sidecar only needed for Mode A        │');
   console.log('│    (Mode B proxy handles credentials automatically)    │');
-  console.log('│  • Network allowlist built-in for Mode B, manual for A │');
+  console.log('│  • Network allowlist built-in for Mode B; for Mode A   │');
+  console.log('│    via --egress (filtering proxy container)            │');
   console.log('└──────────────────────────────────────────────────────────┘');
   console.log('');
 }
 
 // ─────────────────────────────────────────────────────
-// Main
+// Results document (--fill-results)
 // ─────────────────────────────────────────────────────
 
-async function main() {
-  const opts = parseArgs();
-  const runtimes = detectRuntimes();
+function collectVersions(runners, opts) {
+  const versions = {};
+  for (const runner of runners) {
+    try {
+      for (const [name, value] of Object.entries(runner.versions?.(opts) ?? {})) {
+        versions[name] ??= value;
+      }
+    } catch { /* versions are best-effort */ }
+  }
+  return versions;
+}
 
-  printBanner(runtimes);
+async function fillResults(runners, runnerOptions, opts) {
+  const sections = [];
+
+  for (const runner of runners) {
+    if (interrupted()) break;
+    const label = runner.label || runner.name;
+    const runs = [];
 
-  // Determine which modes to run
-  let runDocker = false;
-  let runSandbox = false;
-
-  switch (opts.mode) {
-    case 'docker':
-      runDocker = true;
-      break;
-    case 'sandbox':
-      runSandbox = true;
-      break;
-    case 'both':
-      runDocker = true;
-      runSandbox = true;
-      break;
-    case 'auto':
-    default:
-      // Auto-detect: run whatever is available
-      if (runtimes.sandbox) runSandbox = true;
-      if (runtimes.docker || runtimes.podman) runDocker = true;
-      if (!runDocker && !runSandbox) {
-        console.error('❌ No container runtime found. Install Docker or Podman.');
-        process.exit(1);
+    for (let n = 0; n <= opts.warmRuns; n++) {
+      console.log('');
+      console.log('═'.repeat(60));
+      console.log(`  ${label} — ${n === 0 ? 'first run' : `warm run ${n}/${opts.warmRuns}`}`);
+      console.log('═'.repeat(60));
+      try {
+        runs.push(await executeRunner(runner, runnerOptions));
+      } catch (err) {
+        console.error(`💥 ${label} failed: ${err.message}`);
+        runs.push({ mode: runner.name, exitCode: -1, error: err.message });
       }
-      break;
+      if (runs[0].error || interrupted()) break; // nothing to time if the environment never came up
+    }
+
+    const [first, ...warm] = runs;
+    const versions = collectVersions([runner], opts);
+    sections.push({ mode: runner.name, label, first, warm, versions, checks: evaluateChecks(runner.name, first, versions) });
   }
 
-  // Validate runtime
-  if (runDocker && opts.runtime === 'podman' && !runtimes.podman) {
-    console.error('❌ Podman requested but not found.');
-    process.exit(1);
+  if (interrupted()) {
+    console.log('⚠️  Interrupted — no results document written');
+    return sections.map(s => s.first);
   }
-  if (runDocker && opts.runtime === 'docker' && !runtimes.docker && runtimes.podman) {
-    console.log('ℹ️  Docker not found, falling back to Podman');
-    opts.runtime = 'podman';
+
+  const file = opts.resultsFile ?? `RESULTS-${new Date().toISOString().slice(0, 10)}.md`;
+  writeFileSync(file, redact(renderResultsDoc({ versions: collectVersions(runners, opts), sections })));
+  console.log('');
+  console.log(`📋 Results written: ${file}`);
+
+  return sections.map(s => s.first);
+}
+
+// ─────────────────────────────────────────────────────
+// Main
+// ─────────────────────────────────────────────────────
+
+function selectRunners(mode, runtimes, opts) {
+  if (mode === 'auto') {
+    const runners = listRunners().filter(r => r.auto !== false && r.available?.(runtimes, opts));
+    if (runners.length === 0) {
+      console.error('❌ No container runtime found. Install Docker or Podman.');
+      process.exit(1);
+    }
+    return runners;
   }
-  if (runSandbox && !runtimes.sandbox) {
-    console.error('❌ Docker Sandbox requested but not available.');
-    console.error('   Requires Docker Desktop 4.58+ (macOS or Windows).');
-    if (runDocker) {
-      console.log('   Continuing with Mode A (Docker) only...');
-      runSandbox = false;
-    } else {
+
+  const names = mode.split(',').flatMap(name => MODE_ALIASES[name] ?? [name]);
+  const runners = names.map(name => {
+    const runner = getRunner(name);
+    if (!runner) {
+      console.error(`❌ Unknown mode "${name}". Registered: ${listRunners().map(r => r.name).join(', ')}`);
       process.exit(1);
     }
+    return runner;
+  });
+
+  // Drop runners that can't run here — but fail if nothing is left
+  const usable = runners.filter(runner => {
+    if (!runner.available || runner.available(runtimes, opts)) return true;
+    console.error(`❌ ${runner.label || runner.name} (${runner.name}) requested but not available.`);
+    return false;
+  });
+  if (usable.length === 0) process.exit(1);
+  if (usable.length < runners.length) {
+    console.log(`   Continuing with: ${usable.map(r => r.name).join(', ')}`);
   }
+  return usable;
+}
+
+async function main() {
+  const opts = parseArgs();
+  await loadRunnerModules(opts.runners);
 
-  const results = [];
+  if (opts.help) {
+    printHelp();
+    process.exit(0);
+  }
 
-  // Run Mode A
-  if (runDocker) {
-    try {
-      const result = await runModeDocker({ runtime: opts.runtime });
-      results.push(result);
-    } catch (err) {
-      console.error(`💥 Mode A failed: ${err.message}`);
-      results.push({ mode: 'docker', exitCode: -1, error: err.message });
-    }
+  if (opts.fillResults && (opts.prompt.text !== undefined || opts.prompt.file !== undefined)) {
+    console.log('⚠️  --fill-results checks the hello.mjs smoke test — ignoring the custom prompt');
+    opts.prompt = {};
+    opts.verify = undefined;
   }
+  const prompt = resolvePrompt(opts.prompt);
+  const runtimes = detectRuntimes(listRunners());
+
+  printBanner(runtimes);
+
+  const runners = selectRunners(opts.mode, runtimes, opts);
+  const runnerOptions = {
+    runtime: opts.runtime,
+    image: opts.image,
+    tokenSidecar: opts.tokenSidecar,
+    runtimes,
+    prompt,
+    source: opts.source,
+    git: opts.git,
+    outputFormat: opts.outputFormat,
+    verify: opts.verify,
+    auth: opts.auth,
+    egress: opts.egress,
+    limits: opts.limits,
+    keepWorkspace: opts.keepWorkspace,
+    store: opts.store,
+  };
+  const results = opts.fillResults ? await fillResults(runners, runnerOptions, opts) : [];
+
+  for (const runner of opts.fillResults ? [] : runners) {
+    if (interrupted()) break;
+    const label = runner.label || runner.name;
 
-  // Run Mode B
-  if (runSandbox) {
     if (results.length > 0) {
       console.log('');
       console.log('═'.repeat(60));
-      console.log('  Switching to Mode B...');
+      console.log(`  Switching to ${label}...`);
       console.log('═'.repeat(60));
     }
 
     try {
-      const result = await runModeSandbox();
+      const result = await executeRunner(runner, runnerOptions);
       results.push(result);
     } catch (err) {
-      console.error(`💥 Mode B failed: ${err.message}`);
-      results.push({ mode: 'sandbox', exitCode: -1, error: err.message });
+      console.error(`💥 ${label} failed: ${err.message}`);
+      results.push({ mode: runner.name, exitCode: -1, error: err.message });
     }
   }
 
-  // Print comparison if both ran
+  // Print comparison if several ran, write report files if requested
+  const report = buildReport(results);
   if (results.length > 1) {
-    printComparison(results);
+    printComparison(report);
+  }
+  for (const file of writeReports(report, opts.reports)) {
+    console.log(`📊 Report written: ${file}`);
   }
 
   // Summary
   console.log('');
-  const allPassed = results.every(r => r.exitCode === 0);
+  if (interrupted()) {
+    console.log(`🛑 Interrupted (${interrupted()}) — cleaned up, runs saved as cancelled`);
+    return;
+  }
+  const allPassed = results.every(r => resultStatus(r) === 'passed');
   if (allPassed) {
     console.log('🎉 All modes completed successfully!');
   } else {
@@ -232,6 +371,8 @@ async function main() {
   }
 }
 
+installRedaction();
+handleInterrupts();
 main().catch(err => {
   console.error('💥 Fatal error:', err.message);
   process.exit(1);
@@ -0,0 +1,250 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFileSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { loadBatch, parseConcurrency, runBatch, buildMatrixReport, renderMatrix } from '../lib/batch.mjs';
+import { renderJUnit } from '../lib/report.mjs';
+import { handleInterrupts } from '../lib/runners.mjs';
+import { resolveAuth } from '../lib/credentials.mjs';
+import { hostRunner, inProcess, tempDir } from './helpers.mjs';
+
+const saved = {};
+const ENV = ['CPM_HOME', 'CLAUDE_CODE_OAUTH_TOKEN', 'FAKE_CLAUDE_SCENARIO', 'ANTHROPIC_API_KEY'];
+
+beforeEach((t) => {
+  for (const name of ENV) saved[name] = process.env[name];
+  process.env.CPM_HOME = tempDir(t, 'cpm-home-');
+  process.env.CLAUDE_CODE_OAUTH_TOKEN = 'fake';
+  delete process.env.FAKE_CLAUDE_SCENARIO;
+  delete process.env.ANTHROPIC_API_KEY;
+});
+
+afterEach(() => {
+  for (const name of ENV) {
+    if (saved[name] === undefined) delete process.env[name];
+    else process.env[name] = saved[name];
+  }
+});
+
+function writeBatch(t, yaml) {
+  const dir = tempDir(t);
+  const file = join(dir, 'tasks.yaml');
+  writeFileSync(file, yaml);
+  return { dir, file };
+}
+
+test('loads a task file: defaults, per-task modes, paths relative to the file', (t) => {
+  const { dir, file } = writeBatch(t, `
+modes: [docker, sandbox]
+concurrency: { docker: 4 }
+tasks:
+  - id: one
+    prompt: do one thing
+    workspace: ./app
+    verify: { files: [a.txt], commands: [npm test] }
+  - promptFile: prompts/two.md
+    repo: https://example.com/x.git
+    ref: main
+    modes: docker
+`);
+  const batch = loadBatch(file);
+
+  assert.equal(batch.name, 'tasks');
+  assert.deepEqual(batch.concurrency, { docker: 4 });
+  assert.deepEqual(batch.tasks[0], {
+    id: 'one',
+    prompt: { text: 'do one thing' },
+    source: { path: join(dir, 'app') },
+    verify: { files: ['a.txt'], commands: ['npm test'], output: [] },
+    modes: ['docker', 'sandbox'],
+  });
+  assert.deepEqual(batch.tasks[1], {
+    id: 'task-2',
+    prompt: { file: join(dir, 'prompts', 'two.md') },
+    source: { repo: 'https://example.com/x.git', ref: 'main' },
+    verify: null,
+    modes: ['docker'],
+  });
+});
+
+test('rejects task files without tasks, duplicate ids and two sources', (t) => {
+  assert.throws(() => loadBatch(writeBatch(t, 'modes: [docker]\n').file), /non-empty "tasks" list/);
+  assert.throws(() => loadBatch(writeBatch(t, 'tasks: [{ id: a }, { id: a }]\n').file), /duplicate task id "a"/);
+  assert.throws(() => loadBatch(writeBatch(t, 'tasks: [{ workspace: ., repo: x }]\n').file), /both workspace and repo/);
+});
+
+test('parses --concurrency', () => {
+  assert.equal(parseConcurrency('4'), 4);
+  assert.deepEqual(parseConcurrency('docker=4,sandbox=1'), { docker: 4, sandbox: 1 });
+  assert.throws(() => parseConcurrency('docker'), /Invalid --concurrency/);
+});
+
+// Records how many runs overlap; each run takes ~50ms
+function countingRunner(name, extra = {}) {
+  const runner = {
+    name,
+    active: 0,
+    peak: 0,
+    async run() {
+      runner.peak = Math.max(runner.peak, ++runner.active);
+      await sleep(50);
+      runner.active--;
+      return { code: 0, stdout: 'Hello from Claude Code\n', stderr: '' };
+    },
+    ...extra,
+  };
+  return runner;
+}
+
+function tasks(n, modes) {
+  return { name: 'load', concurrency: 1, tasks: Array.from({ length: n }, (_, i) => ({ id: `t${i}`, prompt: {}, source: {}, verify: null, modes })) };
+}
+
+test('runs each mode with its own concurrency limit, capped by maxConcurrency', async (t) => {
+  inProcess(t);
+  const fast = countingRunner('fast');
+  const shared = countingRunner('shared', { maxConcurrency: 1 });
+  const runners = { fast, shared };
+
+  const results = await runBatch(tasks(6, ['fast', 'shared']), {
+    concurrency: { fast: 3, shared: 4 },
+    runnerOptions: { store: false },
+    resolveRunner: name => runners[name],
+  });
+
+  assert.equal(results.length, 12);
+  assert.ok(results.every(r => r.exitCode === 0));
+  assert.deepEqual(results.slice(0, 2).map(r => [r.task, r.mode]), [['t0', 'fast'], ['t0', 'shared']]);
+  assert.equal(fast.peak, 3);
+  assert.equal(shared.peak, 1);
+});
+
+test('unknown and unavailable modes are skipped, not failed', async (t) => {
+  inProcess(t);
+  const offline = countingRunner('offline', { available: () => false });
+
+  const results = await runBatch(tasks(2, ['offline', 'nope']), {
+    runtimes: {},
+    runnerOptions: { store: false },
+    resolveRunner: name => ({ offline })[name],
+  });
+  const report = buildMatrixReport(tasks(2, ['offline', 'nope']), results);
+
+  assert.deepEqual(results.map(r => r.status), ['skipped', 'skipped', 'skipped', 'skipped']);
+  assert.equal(offline.peak, 0);
+  assert.deepEqual(report.summary, { total: 4, passed: 0, failed: 0, skipped: 4 });
+  assert.match(renderJUnit(report), /<skipped message="unknown mode &quot;nope&quot;"\/>/);
+});
+
+test('a --mode no task allows is an error, not an empty matrix', async (t) => {
+  inProcess(t);
+  const batch = tasks(2, ['docker']);
+  batch.tasks[1].modes = ['docker', 'sandbox'];
+
+  await assert.rejects(runBatch(batch, { modes: ['host'], runnerOptions: { store: false } }),
+    /--mode host matches none of the tasks' modes: t0 \(docker\), t1 \(docker, sandbox\)/);
+});
+
+test('command-line flags win over a task\'s limits and egress, and each run\'s lines are prefixed', async (t) => {
+  inProcess(t);
+  const seen = [];
+  const fast = countingRunner('fast', {
+    prepare: (ctx) => {
+      seen.push([ctx.options.task, ctx.options.limits, ctx.options.egress]);
+      console.log('📁 Workspace: somewhere\n   Source:    a copy');
+    },
+  });
+  const batch = tasks(2, ['fast']);
+  Object.assign(batch.tasks[0], { limits: { maxTurns: 40, cpus: 2 }, egress: { allow: ['api.anthropic.com'], deny: [] } });
+
+  await runBatch(batch, {
+    concurrency: 2,
+    runnerOptions: { store: false },
+    flags: ['--max-turns', '5', '--deny-host', 'pastebin.com'],
+    resolveRunner: () => fast,
+  });
+
+  assert.deepEqual(seen, [
+    ['t0', { maxTurns: 5, cpus: 2 }, { allow: ['api.anthropic.com'], deny: ['pastebin.com'] }],
+    ['t1', { maxTurns: 5 }, { allow: ['*'], deny: ['pastebin.com'] }],
+  ]);
+  const lines = console.log.mock.calls.map(call => call.arguments.join(' '));
+  assert.ok(lines.includes('[t0 × fast] 📁 Workspace: somewhere\n[t0 × fast]    Source:    a copy'));
+  assert.ok(lines.includes('[t1 × fast] 📁 Workspace: somewhere\n[t1 × fast]    Source:    a copy'));
+  assert.ok(lines.some(line => /^✅ \[2\/2\] t\d × fast: passed/.test(line)));   // the batch's own lines aren't
+});
+
+test('a run without a login fails on its own, the others carry on', async (t) => {
+  inProcess(t, { env: { CLAUDE_CODE_OAUTH_TOKEN: undefined, CPM_CREDENTIAL_SOURCES: 'env' } });
+  const fast = countingRunner('fast');
+  const needsLogin = countingRunner('needs-login', { prepare: (ctx) => { ctx.auth = resolveAuth({ mode: 'oauth' }); } });
+  const runners = { fast, 'needs-login': needsLogin };
+
+  const results = await runBatch(tasks(2, ['needs-login', 'fast']), {
+    concurrency: 2,
+    runnerOptions: { store: false },
+    resolveRunner: name => runners[name],
+  });
+
+  assert.deepEqual(results.map(r => [r.mode, r.exitCode, r.error]), [
+    ['needs-login', -1, 'No OAuth token found'],
+    ['fast', 0, undefined],
+    ['needs-login', -1, 'No OAuth token found'],
+    ['fast', 0, undefined],
+  ]);
+});
+
+test('Ctrl-C cancels the run in flight and doesn\'t start the rest', async (t) => {
+  inProcess(t);
+  const uninstall = handleInterrupts();
+  t.after(() => {
+    uninstall();
+    process.exitCode = 0;
+  });
+  const fast = countingRunner('fast');
+
+  setTimeout(() => process.emit('SIGINT', 'SIGINT'), 75);   // during the second run
+  const results = await runBatch(tasks(4, ['fast']), { runnerOptions: { store: false }, resolveRunner: () => fast });
+
+  assert.deepEqual(results.map(r => r.status ?? 'passed'), ['passed', 'cancelled', 'cancelled', 'cancelled']);
+  assert.match(renderMatrix(buildMatrixReport(tasks(4, ['fast']), results)), /\| t3 \| 🛑 cancelled \|/);
+});
+
+test('end-to-end with the fake claude: isolated workspaces and a task × mode matrix', async (t) => {
+  inProcess(t);
+  const { file } = writeBatch(t, `
+name: e2e
+modes: [host]
+concurrency: 2
+tasks:
+  - id: smoke
+  - id: wrong-file
+    prompt: create hello.mjs
+    verify: { files: [missing.txt] }
+  - id: elsewhere
+    modes: [other]
+`);
+  const batch = loadBatch(file);
+  const results = await runBatch(batch, { runnerOptions: {}, resolveRunner: name => ({ host: hostRunner })[name] });
+  t.after(() => results.forEach(r => r.workspace && rmSync(r.workspace, { recursive: true, force: true })));
+
+  const [smoke, wrong] = results;
+  assert.notEqual(smoke.workspace, wrong.workspace);
+  assert.equal(smoke.task, 'smoke');
+
+  const report = buildMatrixReport(batch, results);
+  assert.deepEqual(report.matrix.modes, ['host', 'other']);
+  assert.deepEqual(report.matrix.tasks.map(row => row.cells), [
+    { host: 0, other: null },
+    { host: 1, other: null },
+    { host: null, other: 2 },
+  ]);
+
+  const markdown = renderMatrix(report);
+  assert.match(markdown, /\| smoke \| ✅ [\d.]+s \| — \|/);
+  assert.match(markdown, /\| wrong-file \| ❌ verify 0\/1 [\d.]+s \| — \|/);
+  assert.match(markdown, /\| elsewhere \| — \| ⏭️ skipped \|/);
+  assert.match(markdown, /wrong-file · host: file missing.txt: missing/);
+  assert.deepEqual(report.summary, { total: 3, passed: 1, failed: 1, skipped: 1 });
+});
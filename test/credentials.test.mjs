@@ -0,0 +1,161 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, statSync } from 'node:fs';
+import { join } from 'node:path';
+import {
+  readCredentials, credentialSources, getCredentialBackend, registerCredentialBackend,
+  describeCredential, freshCredentials, readHostCredentials, sealVault, openVault,
+} from '../lib/credentials.mjs';
+import { inProcess, stubCommands, tempDir, writeCredentials } from './helpers.mjs';
+
+const HOUR = 3600 * 1000;
+const SECRET_TOOL = 'secret-tool lookup service Claude Code-credentials';
+
+const credentialsJson = (accessToken, expiresInHours = 10) => JSON.stringify({
+  claudeAiOauth: {
+    accessToken, refreshToken: 'sk-ant-ort01-x', expiresAt: Date.now() + expiresInHours * HOUR,
+    subscriptionType: 'max', rateLimitTier: 'default_claude_max_20x',
+  },
+});
+
+// A clean slate: empty HOME and CPM_HOME, none of the opt-in sources configured
+function setup(t, { platform = 'linux', env = {} } = {}) {
+  const home = tempDir(t);
+  inProcess(t, {
+    platform,
+    env: {
+      HOME: home, CPM_HOME: join(home, '.cpm'), CLAUDE_CODE_OAUTH_TOKEN: undefined,
+      CPM_CREDENTIAL_SOURCES: undefined, CPM_PASS_ENTRY: undefined,
+      CPM_VAULT_PASSPHRASE: undefined, CPM_VAULT_FILE: undefined,
+      ...env,
+    },
+  });
+  return home;
+}
+
+test('every source yields the same shape, with expiry and plan metadata', (t) => {
+  const home = setup(t, { env: { CLAUDE_CODE_OAUTH_TOKEN: 'sk-ant-oat01-env' } });
+  writeCredentials(home, { expiresInHours: 5 });
+  stubCommands(t, {});
+
+  const env = readCredentials();
+  assert.deepEqual(
+    [env.source, env.accessToken, env.expiresAt, env.json, env.renewable],
+    ['env', 'sk-ant-oat01-env', null, null, false],
+  );
+  assert.equal(describeCredential(env), 'environment variable');
+
+  const file = readCredentials({ env: false });
+  assert.equal(file.source, 'file');
+  assert.equal(file.renewable, true);
+  assert.equal(file.subscriptionType, 'max');
+  assert.equal(file.refreshToken, 'sk-ant-ort01-fake');
+  assert.match(describeCredential(file), /^~\/\.claude\/\.credentials\.json \(\d\.\dh remaining, max\)$/);
+
+  // json: true — only full credentials, e.g. for Mode B/D injection
+  assert.equal(readCredentials({ json: true }).source, 'file');
+  assert.equal(JSON.parse(readHostCredentials({ quiet: true })).claudeAiOauth.accessToken, 'sk-ant-oat01-fake-original');
+});
+
+test('CPM_CREDENTIAL_SOURCES picks and orders the backends', (t) => {
+  const home = setup(t, { env: { CPM_CREDENTIAL_SOURCES: 'secret-service, file', CLAUDE_CODE_OAUTH_TOKEN: 'ignored' } });
+  writeCredentials(home, { expiresInHours: 5 });
+  const calls = stubCommands(t, { [SECRET_TOOL]: { stdout: `${credentialsJson('sk-ant-oat01-keyring')}\n` } });
+
+  assert.deepEqual(credentialSources().map(b => b.name), ['secret-service', 'file']);
+  const cred = readCredentials();
+  assert.equal(cred.source, 'secret-service');
+  assert.equal(cred.accessToken, 'sk-ant-oat01-keyring');
+  assert.equal(cred.renewable, false);   // cc doesn't write there
+  assert.equal(calls.length, 1);
+
+  process.env.CPM_CREDENTIAL_SOURCES = 'keychain,nope';
+  assert.throws(() => credentialSources(), /Unknown credential source "nope"/);
+});
+
+test('pass holds either credentials JSON or a bare token, and only when configured', (t) => {
+  setup(t, { env: { CPM_CREDENTIAL_SOURCES: 'pass' } });
+  let entry = 'sk-ant-oat01-from-pass\nurl: claude.ai\n';
+  const calls = stubCommands(t, { 'pass show claude/token': () => ({ stdout: entry }) });
+
+  assert.equal(readCredentials(), null);
+  assert.equal(calls.length, 0);
+
+  process.env.CPM_PASS_ENTRY = 'claude/token';
+  const bare = readCredentials();
+  assert.deepEqual([bare.accessToken, bare.expiresAt, bare.json], ['sk-ant-oat01-from-pass', null, null]);
+  assert.equal(readCredentials({ json: true }), null);
+
+  entry = credentialsJson('sk-ant-oat01-pass-json', 3);
+  assert.equal(readCredentials({ json: true }).accessToken, 'sk-ant-oat01-pass-json');
+});
+
+test('the vault round-trips credentials, and a wrong passphrase skips it', (t) => {
+  const home = setup(t, { env: { CPM_CREDENTIAL_SOURCES: 'vault', CPM_VAULT_PASSPHRASE: 'correct horse' } });
+  const vault = getCredentialBackend('vault');
+  const json = credentialsJson('sk-ant-oat01-vaulted');
+
+  vault.write(json);
+  const file = join(home, '.cpm', 'credentials.vault');
+  assert.equal(statSync(file).mode & 0o777, 0o600);
+  assert.doesNotMatch(readFileSync(file, 'utf-8'), /sk-ant/);
+  assert.equal(readCredentials().accessToken, 'sk-ant-oat01-vaulted');
+  assert.equal(openVault(sealVault('x')), 'x');
+
+  process.env.CPM_VAULT_PASSPHRASE = 'wrong';
+  assert.throws(() => openVault(readFileSync(file, 'utf-8')), /wrong CPM_VAULT_PASSPHRASE/);
+  process.env.CPM_CREDENTIAL_SOURCES = 'vault,file';
+  writeCredentials(home, { expiresInHours: 5 });
+  assert.equal(readCredentials().source, 'file');
+  assert.match(console.warn.mock.calls.at(-1).arguments[0], /encrypted vault skipped: .*wrong CPM_VAULT_PASSPHRASE/);
+
+  process.env.CPM_CREDENTIAL_SOURCES = 'vault';
+  delete process.env.CPM_VAULT_PASSPHRASE;
+  assert.equal(readCredentials(), null);   // not configured → skipped
+});
+
+test('secret-service and pass write through stdin, never argv', (t) => {
+  setup(t, { env: { CPM_PASS_ENTRY: 'claude/credentials' } });
+  const calls = stubCommands(t, { 'secret-tool store': {}, 'pass insert': {} });
+  const json = credentialsJson('sk-ant-oat01-secret');
+
+  getCredentialBackend('secret-service').write(json);
+  getCredentialBackend('pass').write(json);
+  assert.deepEqual(calls.map(c => c.line), [
+    'secret-tool store --label Claude Code credentials service Claude Code-credentials',
+    'pass insert --multiline --force claude/credentials',
+  ]);
+  assert.ok(calls.every(c => c.options.input === json));
+  assert.ok(calls.every(c => !c.line.includes('sk-ant')));
+});
+
+test('third-party backends plug in by name', (t) => {
+  setup(t, { env: { CPM_CREDENTIAL_SOURCES: 'test-store' } });
+  registerCredentialBackend({ name: 'test-store', label: 'test store', read: () => credentialsJson('sk-ant-oat01-plugin') });
+
+  assert.equal(readCredentials().label, 'test store');
+  assert.throws(() => registerCredentialBackend({ name: 'broken' }), /needs a name and a read\(\) function/);
+});
+
+test('only renewable sources are renewed, and re-read afterwards', (t) => {
+  const home = setup(t, { env: { CPM_CREDENTIAL_SOURCES: 'file,pass', CPM_PASS_ENTRY: 'claude/token' } });
+  writeCredentials(home, { expiresInHours: 1 });
+  const calls = stubCommands(t, {
+    'claude --version': { stdout: '2.1.0 (Claude Code)' },
+    'claude -p hi': () => {
+      writeCredentials(home, { expiresInHours: 29 });
+      return { stdout: 'hi' };
+    },
+    'pass show claude/token': { stdout: credentialsJson('sk-ant-oat01-pass', 1) },
+  });
+
+  const { cred, renewal } = freshCredentials();
+  assert.equal(renewal, 'renewed');
+  assert.ok(cred.expiresAt > Date.now() + 28 * HOUR);
+
+  // pass can't be refreshed by cc: reported as is
+  process.env.CPM_CREDENTIAL_SOURCES = 'pass';
+  const fromPass = freshCredentials();
+  assert.deepEqual([fromPass.cred.accessToken, fromPass.renewal], ['sk-ant-oat01-pass', null]);
+  assert.equal(calls.filter(c => c.line.startsWith('claude -p')).length, 1);
+});
@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rmSync } from 'node:fs';
+import { probe } from '../lib/common.mjs';
+import { runModeDocker } from '../mode-docker.mjs';
+import { resultStatus } from '../lib/report.mjs';
+import { tempDir, writeCredentials } from './helpers.mjs';
+
+// Mode A end-to-end against the offline image (Dockerfile.fake) — built on first run
+const skip = !probe('docker info') && 'docker daemon not available';
+
+async function runFake(t, scenario, options = {}) {
+  const saved = { ...process.env };
+  process.env.CLAUDE_CODE_OAUTH_TOKEN = 'fake';
+  process.env.FAKE_CLAUDE_SCENARIO = scenario;
+  t.after(() => { process.env = saved; });
+
+  const result = await runModeDocker({ runtime: 'docker', image: 'cpm-runner:fake', store: false, ...options });
+  t.after(() => rmSync(result.workspace, { recursive: true, force: true }));
+  return result;
+}
+
+test('Mode A runs the fake claude in a container', { skip, timeout: 600_000 }, async (t) => {
+  const result = await runFake(t, 'hello');
+  assert.equal(result.exitCode, 0);
+  assert.deepEqual(result.files.added, ['hello.mjs']);
+  assert.equal(result.verification.passed, true);
+});
+
+test('Mode A surfaces an expired token as a failed run', { skip, timeout: 600_000 }, async (t) => {
+  const result = await runFake(t, 'token-expired', { verify: false });
+  assert.equal(result.exitCode, 1);
+  assert.equal(resultStatus(result), 'failed');
+});
+
+test('Mode A authenticates through the token sidecar without an env token', { skip, timeout: 600_000 }, async (t) => {
+  const home = tempDir(t);
+  writeCredentials(home, { expiresInHours: 20 });
+  const saved = { ...process.env };
+  process.env.HOME = home;
+  delete process.env.CLAUDE_CODE_OAUTH_TOKEN;
+  t.after(() => { process.env = saved; });
+
+  const result = await runModeDocker({ runtime: 'docker', image: 'cpm-runner:fake', store: false, tokenSidecar: true });
+  t.after(() => rmSync(result.workspace, { recursive: true, force: true }));
+  assert.equal(result.exitCode, 0);
+  assert.deepEqual(result.tokenSidecar, { renewals: 0, updates: 1, lastError: null });
+});
+
+test('Mode A runs behind the egress proxy on an internal network', { skip, timeout: 600_000 }, async (t) => {
+  const result = await runFake(t, 'hello', { egress: { allow: ['api.anthropic.com'] } });
+  assert.equal(result.exitCode, 0);
+  assert.deepEqual(result.egress.denied, []);
+  assert.equal(probe(`docker network inspect cpm-egress-${result.runId}`), false);
+});
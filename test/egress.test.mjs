@@ -0,0 +1,153 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer, request } from 'node:http';
+import { once } from 'node:events';
+import { existsSync, writeFileSync } from 'node:fs';
+import { join, dirname } from 'node:path';
+import { parseAllowList, isAllowed, createEgressProxy } from '../lib/egress-proxy.mjs';
+import {
+  parseEgressArgs, loadEgressPolicy, normalizeEgress, startEgressProxy, summarizeEgress, DEFAULT_EGRESS_ALLOW,
+} from '../lib/egress.mjs';
+import { stubCommands, tempDir } from './helpers.mjs';
+
+async function listen(t, server) {
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  t.after(() => server.close());
+  return server.address().port;
+}
+
+// → { status, body } for a request through the proxy (CONNECT: the tunnelled request)
+function viaProxy(proxyPort, { method = 'GET', target }) {
+  return new Promise((resolve, reject) => {
+    const req = request({ host: '127.0.0.1', port: proxyPort, method, path: target });
+    req.on('error', reject);
+    if (method === 'CONNECT') {
+      req.on('connect', (res, socket) => {
+        if (res.statusCode !== 200) return resolve({ status: res.statusCode });
+        const tunnelled = request({ createConnection: () => socket, path: '/through' }, (inner) => {
+          let body = '';
+          inner.on('data', chunk => { body += chunk; });
+          inner.on('end', () => resolve({ status: inner.statusCode, body }));
+        });
+        tunnelled.on('error', reject);
+        tunnelled.end();
+      });
+    } else {
+      req.on('response', (res) => {
+        let body = '';
+        res.on('data', chunk => { body += chunk; });
+        res.on('end', () => resolve({ status: res.statusCode, body }));
+      });
+    }
+    req.end();
+  });
+}
+
+test('allowlist entries match hosts, subdomains and ports', () => {
+  const allow = parseAllowList('api.anthropic.com, *.github.com,example.com:8443');
+  assert.deepEqual(allow[2], { host: 'example.com', port: 8443 });
+
+  assert.equal(isAllowed(allow, 'API.anthropic.com', 443), true);
+  assert.equal(isAllowed(allow, 'codeload.github.com', 443), true);
+  assert.equal(isAllowed(allow, 'github.com', 443), false);
+  assert.equal(isAllowed(allow, 'evilgithub.com', 443), false);
+  assert.equal(isAllowed(allow, 'example.com', 8443), true);
+  assert.equal(isAllowed(allow, 'example.com', 443), false);
+  assert.equal(isAllowed(parseAllowList('*'), 'anything.example', 80), true);
+});
+
+test('--egress loads a policy file, the host flags add to it or to the task\'s policy', (t) => {
+  const policy = join(tempDir(t), 'egress.yaml');
+  writeFileSync(policy, 'allow:\n  - api.anthropic.com\n  - "*.npmjs.org"\ndeny: [evil.npmjs.org]\n');
+
+  assert.deepEqual(parseEgressArgs(['--mode', 'docker']), { egress: null, rest: ['--mode', 'docker'] });
+  assert.deepEqual(parseEgressArgs(['--egress', policy, '--allow-host', 'pypi.org']).egress,
+    { allow: ['api.anthropic.com', '*.npmjs.org', 'pypi.org'], deny: ['evil.npmjs.org'] });
+  assert.deepEqual(parseEgressArgs(['--allow-host', 'pypi.org']).egress.allow, [...DEFAULT_EGRESS_ALLOW, 'pypi.org']);
+  assert.deepEqual(parseEgressArgs(['--deny-host', 'pastebin.com']).egress, { allow: ['*'], deny: ['pastebin.com'] });
+
+  // A task's egress: — a file relative to the task, "default" or inline lists
+  const task = normalizeEgress({ allow: ['api.anthropic.com'] });
+  assert.deepEqual(parseEgressArgs(['--allow-host', 'pypi.org'], task).egress, { allow: ['api.anthropic.com', 'pypi.org'], deny: [] });
+  assert.deepEqual(normalizeEgress('egress.yaml', dirname(policy)), loadEgressPolicy(policy));
+
+  writeFileSync(policy, 'hosts: [a.com]\n');
+  assert.throws(() => parseEgressArgs(['--egress', policy]), /needs an allow: and\/or deny: list/);
+  assert.throws(() => normalizeEgress({ deny: 'a.com' }), /Task egress: deny must be a list/);
+});
+
+test('the proxy tunnels and forwards to allowed hosts and refuses the rest', async (t) => {
+  const upstreamPort = await listen(t, createServer((req, res) => res.end(`upstream ${req.method} ${req.url}`)));
+  const log = [];
+  const proxyPort = await listen(t, createEgressProxy({
+    allow: parseAllowList('*'), deny: parseAllowList('localhost, 127.0.0.1:9'), log: e => log.push(e),
+  }));
+
+  assert.deepEqual(await viaProxy(proxyPort, { method: 'CONNECT', target: `127.0.0.1:${upstreamPort}` }),
+    { status: 200, body: 'upstream GET /through' });
+  assert.deepEqual(await viaProxy(proxyPort, { target: `http://127.0.0.1:${upstreamPort}/plain?x=1` }),
+    { status: 200, body: 'upstream GET /plain?x=1' });
+
+  // Denied by name or port, even though * allows everything: refused before connecting
+  assert.equal((await viaProxy(proxyPort, { method: 'CONNECT', target: `localhost:${upstreamPort}` })).status, 403);
+  const denied = await viaProxy(proxyPort, { target: 'http://127.0.0.1:9/' });
+  assert.equal(denied.status, 403);
+  assert.match(denied.body, /Blocked by cpm egress policy: 127\.0\.0\.1/);
+
+  assert.deepEqual(log.map(({ action, method, host, port }) => [action, method, host, port]), [
+    ['allow', 'CONNECT', '127.0.0.1', upstreamPort],
+    ['allow', 'GET', '127.0.0.1', upstreamPort],
+    ['deny', 'CONNECT', 'localhost', upstreamPort],
+    ['deny', 'GET', '127.0.0.1', 9],
+  ]);
+});
+
+test('startEgressProxy wires an internal network and a proxy container, and removes both', async (t) => {
+  let polls = 0;
+  const calls = stubCommands(t, {
+    'docker network create': {},
+    'docker run': {},
+    'docker network connect': {},
+    'docker logs': () => ({ stdout: ++polls < 2 ? '' : 'egress proxy listening on :3128 (2 allowed)\n' }),
+    'docker rm': {},
+    'docker network rm': {},
+  });
+
+  const egress = await startEgressProxy('docker', { runId: 'docker-1', image: 'cpm-runner:demo', allow: ['api.anthropic.com', 'github.com'], pollMs: 1 });
+  const run = calls.find(c => c.line.startsWith('docker run')).args;
+  assert.deepEqual(calls.map(c => c.args.slice(0, 2).join(' ')),
+    ['network create', 'run -d', 'network connect', 'logs cpm-proxy-docker-1', 'logs cpm-proxy-docker-1']);
+  assert.ok(run.includes('CPM_EGRESS_ALLOW=api.anthropic.com,github.com'));
+  assert.deepEqual(egress.runArgs.slice(0, 4), ['--network', 'cpm-egress-docker-1', '-e', 'HTTPS_PROXY=http://cpm-proxy-docker-1:3128']);
+
+  egress.stop();
+  assert.deepEqual(calls.slice(-2).map(c => c.line), ['docker rm -f cpm-proxy-docker-1', 'docker network rm cpm-egress-docker-1']);
+  assert.equal(existsSync(dirname(egress.logFile)), false);   // the log went into the run's artifacts before teardown
+});
+
+test('a proxy that fails to start leaves nothing behind', async (t) => {
+  const calls = stubCommands(t, {
+    'docker network create': {},
+    'docker run': { status: 125, stderr: 'driver failed programming external connectivity' },
+    'docker rm': {},
+    'docker network rm': {},
+  });
+
+  await assert.rejects(startEgressProxy('docker', { runId: 'docker-2', image: 'nope', allow: [] }), /docker run -d failed: driver failed/);
+  // run -d may have created the container before failing to start it
+  assert.deepEqual(calls.slice(-2).map(c => c.line), ['docker rm -f cpm-proxy-docker-2', 'docker network rm cpm-egress-docker-2']);
+});
+
+test('the decision log is summarized per denied host', (t) => {
+  const logFile = join(tempDir(t), 'egress.jsonl');
+  const entry = (action, host, port = 443) => JSON.stringify({ time: '2026-01-01T00:00:00.000Z', action, method: 'CONNECT', host, port });
+  writeFileSync(logFile, [entry('allow', 'api.anthropic.com'), entry('deny', 'pastebin.com'), entry('deny', 'evil.example', 80),
+    entry('deny', 'pastebin.com'), ''].join('\n'));
+
+  assert.deepEqual(summarizeEgress(logFile), {
+    allowed: 1,
+    denied: [{ host: 'pastebin.com', port: 443, count: 2 }, { host: 'evil.example', port: 80, count: 1 }],
+  });
+  assert.deepEqual(summarizeEgress(join(tempDir(t), 'missing.jsonl')), { allowed: 0, denied: [] });
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { existsSync, readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { createStreamParser, summarizeStream } from '../lib/common.mjs';
+import { FAKE_CLAUDE, tempDir, fakeEnv, writeCredentials } from './helpers.mjs';
+
+function claude(t, args, { cwd, ...envOptions } = {}) {
+  return spawnSync('node', [FAKE_CLAUDE, ...args], {
+    cwd: cwd ?? tempDir(t),
+    env: fakeEnv(t, envOptions),
+    encoding: 'utf-8',
+  });
+}
+
+test('--version reports the fake', (t) => {
+  const r = claude(t, ['--version']);
+  assert.equal(r.status, 0);
+  assert.match(r.stdout, /fake-claude/);
+});
+
+test('hello scenario writes and runs hello.mjs (text output)', (t) => {
+  const cwd = tempDir(t);
+  const r = claude(t, ['-p', '--dangerously-skip-permissions', 'Create hello.mjs'], { cwd, token: 'fake' });
+  assert.equal(r.status, 0, r.stderr);
+  assert.ok(existsSync(join(cwd, 'hello.mjs')));
+  assert.match(r.stdout, /Hello from Claude Code! 🐳/);
+});
+
+test('stream-json output parses into the event model', (t) => {
+  const r = claude(t, ['-p', '--output-format', 'stream-json', '--verbose', 'hi'], { token: 'fake' });
+  assert.equal(r.status, 0, r.stderr);
+
+  const parser = createStreamParser();
+  parser.push(r.stdout);
+  const summary = summarizeStream(parser.end());
+  assert.equal(summary.subtype, 'success');
+  assert.equal(summary.isError, false);
+  assert.equal(summary.turns, 4);
+  assert.deepEqual(summary.toolCalls, { Write: 1, Bash: 1 });
+  assert.match(summary.resultText, /Hello from Claude Code/);
+});
+
+test('token-expired scenario fails like an expired OAuth token', (t) => {
+  const r = claude(t, ['-p', 'hi'], { token: 'fake', scenario: 'token-expired' });
+  assert.equal(r.status, 1);
+  assert.match(r.stdout, /authentication_error/);
+});
+
+test('inline JSON scenarios choose output and exit code', (t) => {
+  const scenario = JSON.stringify({ steps: [{ text: 'custom' }], stderr: 'boom', exitCode: 7 });
+  const r = claude(t, ['-p', 'hi'], { token: 'fake', scenario });
+  assert.equal(r.status, 7);
+  assert.equal(r.stdout.trim(), 'custom');
+  assert.equal(r.stderr.trim(), 'boom');
+});
+
+test('without any token it asks for /login', (t) => {
+  const r = claude(t, ['-p', 'hi'], { home: tempDir(t) });
+  assert.equal(r.status, 1);
+  assert.match(r.stdout, /Please run \/login/);
+});
+
+test('refreshes ~/.claude/.credentials.json that is about to expire', (t) => {
+  const home = tempDir(t);
+  const before = writeCredentials(home, { expiresInHours: 1 });
+  const r = claude(t, ['-p', 'hi'], { home });
+  assert.equal(r.status, 0, r.stdout);
+
+  const after = JSON.parse(readFileSync(join(home, '.claude', '.credentials.json'), 'utf-8'));
+  assert.notEqual(after.claudeAiOauth.accessToken, before.claudeAiOauth.accessToken);
+  assert.ok(after.claudeAiOauth.expiresAt > before.claudeAiOauth.expiresAt);
+});
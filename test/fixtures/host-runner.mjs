@@ -0,0 +1,5 @@
+// test/fixtures/host-runner.mjs
+// The fake-claude host runner as a --runner module, for CLI tests (cpm enqueue/worker)
+import { hostRunner } from '../helpers.mjs';
+
+export default hostRunner;
@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFlyClient, resolveFlyToken, machineExitCode } from '../lib/fly-api.mjs';
+import { mockFlyApi, stubCommands, inProcess, MACHINE_ID } from './helpers.mjs';
+
+const APP = 'cpm-runner-demo';
+
+test('creates a machine, waits until it has stopped, reads its exit code and destroys it', async (t) => {
+  const api = await mockFlyApi(t, { exitCode: 3, stopAfterMs: 300 });
+  const client = createFlyClient({ app: APP, token: 'fo1_plain-token', ...api });
+
+  const machine = await client.createMachine({ region: 'arn', config: { image: 'registry.fly.io/cpm-runner-demo:demo' } });
+  assert.equal(machine.id, MACHINE_ID);
+  assert.equal(machineExitCode(await client.getMachine(machine.id)), null);   // still running
+
+  // timeoutS: 0 — every long poll comes back 408 at once until the machine has stopped
+  assert.equal(await client.waitForStop(machine.id, { timeoutS: 0 }), true);
+  assert.ok(api.requests.filter(r => r.path.endsWith('/wait')).length > 1);
+  assert.equal(machineExitCode(await client.getMachine(machine.id)), 3);
+
+  await client.destroyMachine(machine.id);
+  await client.destroyMachine(machine.id);   // already gone: fine
+  assert.deepEqual(api.requests.filter(r => r.method === 'DELETE').map(r => r.query), [{ force: 'true' }, { force: 'true' }]);
+  assert.ok(api.requests.every(r => r.authorization === 'Bearer fo1_plain-token'));
+
+  // Tokens from `fly tokens create` carry their own scheme
+  await createFlyClient({ app: APP, token: 'FlyV1 fm2_macaroon', ...api }).getMachine(machine.id).catch(() => {});
+  assert.equal(api.requests.at(-1).authorization, 'FlyV1 fm2_macaroon');
+});
+
+test('waitForStop gives up when its signal aborts', async (t) => {
+  const api = await mockFlyApi(t, { stopAfterMs: Infinity });
+  const client = createFlyClient({ app: APP, token: 'fo1_plain-token', ...api });
+  const { id } = await client.createMachine({ region: 'arn', config: {} });
+
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(), 200);
+  assert.equal(await client.waitForStop(id, { signal: controller.signal }), false);
+});
+
+test('follows one machine\'s logs page by page, until a page comes back empty', async (t) => {
+  const logs = ['cloning...', 'I\'ll create hello.mjs.', 'Hello from Claude Code!', 'done'];
+  const api = await mockFlyApi(t, { logs, logPageSize: 3 });
+  const client = createFlyClient({ app: APP, token: 'fo1_plain-token', ...api });
+  const { id } = await client.createMachine({ region: 'arn', config: {} });
+
+  const echoed = [];
+  const text = await client.followLogs(id, { onText: chunk => echoed.push(chunk), intervalMs: 10, settleMs: 10 }).done();
+
+  assert.equal(text, logs.map(line => `${line}\n`).join(''));
+  assert.equal(echoed.join(''), text);
+  const polls = api.requests.filter(r => r.path === `/api/v1/apps/${APP}/logs`);
+  assert.ok(polls.every(r => r.query.instance === MACHINE_ID));
+  assert.deepEqual(polls.slice(0, 3).map(r => r.query.next_token), [undefined, '3', '4']);
+});
+
+test('draining the logs stops when next_token stops moving, or after drainPages pages', async (t) => {
+  const api = await mockFlyApi(t, { logs: ['again', 'and again'], stuckLogs: true });
+  const client = createFlyClient({ app: APP, token: 'fo1_plain-token', ...api });
+  const { id } = await client.createMachine({ region: 'arn', config: {} });
+  const polls = () => api.requests.filter(r => r.path === `/api/v1/apps/${APP}/logs`).length;
+
+  await client.followLogs(id, { intervalMs: 60000, settleMs: 0 }).done();
+  assert.equal(polls(), 2);   // the first poll, then one that didn't move on
+
+  const endless = await mockFlyApi(t, { logs: Array.from({ length: 100 }, (_, i) => `line ${i}`), logPageSize: 1 });
+  const other = createFlyClient({ app: APP, token: 'fo1_plain-token', ...endless });
+  await other.createMachine({ region: 'arn', config: {} });
+  const text = await other.followLogs(id, { intervalMs: 60000, settleMs: 0, drainPages: 5 }).done();
+  assert.equal(text, 'line 0\nline 1\nline 2\nline 3\nline 4\nline 5\n');
+});
+
+test('destroying retries while the API fails', async (t) => {
+  const api = await mockFlyApi(t, { failDestroy: 2 });
+  const client = createFlyClient({ app: APP, token: 'fo1_plain-token', retryMs: 10, ...api });
+  const { id } = await client.createMachine({ region: 'arn', config: {} });
+
+  await client.destroyMachine(id);
+  assert.equal(api.requests.filter(r => r.method === 'DELETE').length, 3);
+  assert.equal(api.machine().destroyed, true);
+});
+
+test('API errors name the call and the reason', async (t) => {
+  const api = await mockFlyApi(t, { failCreate: 'invalid image reference' });
+  const client = createFlyClient({ app: APP, token: 'fo1_plain-token', ...api });
+
+  await assert.rejects(client.createMachine({ region: 'arn', config: {} }),
+    /Fly API POST \/apps\/cpm-runner-demo\/machines failed \(422\): invalid image reference/);
+  await assert.rejects(client.getMachine('nope'), (err) => err.status === 404);
+});
+
+test('the token comes from FLY_API_TOKEN, else fly auth token', (t) => {
+  inProcess(t, { env: { FLY_API_TOKEN: 'FlyV1 fm2_from-env' } });
+  const calls = stubCommands(t, { 'fly auth token': { stdout: 'fo1_from-cli\n' } });
+  assert.equal(resolveFlyToken(), 'FlyV1 fm2_from-env');
+  assert.deepEqual(calls, []);
+
+  delete process.env.FLY_API_TOKEN;
+  assert.equal(resolveFlyToken(), 'fo1_from-cli');
+});
+
+test('no token at all is an error', (t) => {
+  inProcess(t, { env: { FLY_API_TOKEN: undefined } });
+  stubCommands(t, { 'fly auth token': { status: 1, stderr: 'not logged in' } });
+  assert.throws(() => resolveFlyToken(), /No Fly\.io API token: set FLY_API_TOKEN or run fly auth login/);
+});
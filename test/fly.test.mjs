@@ -0,0 +1,134 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { flyRunner } from '../mode-fly.mjs';
+import { createFlyClient } from '../lib/fly-api.mjs';
+import { deliverMachineEnv } from '../lib/secret-delivery.mjs';
+import { mockFlyApi, inProcess, MACHINE_ID } from './helpers.mjs';
+
+const LOGS = ['I\'ll create hello.mjs.', 'Hello from Claude Code!'];
+
+// ctx as prepare() leaves it, with the client pointed at the mock API
+function flyContext(t, api, { source = {}, ...overrides } = {}) {
+  inProcess(t);
+  const echoed = [];
+  const ctx = {
+    fly: {
+      app: 'cpm-runner-demo', org: null, region: 'arn', image: 'registry.fly.io/cpm-runner-demo:demo', source,
+      client: createFlyClient({ app: 'cpm-runner-demo', token: 'fo1_fake-fly-api-token', retryMs: 10, ...api }),
+    },
+    auth: { method: 'oauth', env: { CLAUDE_CODE_OAUTH_TOKEN: 'sk-ant-REDACTED' } },
+    limits: { maxTurns: 20, memoryMb: 2048 },
+    prompt: 'say hi',
+    outputFormat: 'text',
+    onStdout: text => echoed.push(text),
+    echoed,
+    ...overrides,
+  };
+  ctx.delivery = deliverMachineEnv(ctx.auth.env);
+  return ctx;
+}
+
+const created = api => api.requests.find(r => r.method === 'POST').body;
+const uploaded = config => Buffer.from(config.files[0].raw_value, 'base64').toString('utf-8');
+
+test('run() creates the machine, streams its logs and returns its exit code', async (t) => {
+  const api = await mockFlyApi(t, { exitCode: 0, stopAfterMs: 200, logs: LOGS });
+  const ctx = flyContext(t, api);
+  const result = await flyRunner.run(ctx);
+  await flyRunner.teardown(ctx);
+
+  assert.equal(result.code, 0);
+  assert.equal(result.stdout, 'I\'ll create hello.mjs.\nHello from Claude Code!\n');
+  assert.equal(ctx.echoed.join(''), result.stdout);
+
+  const { region, config } = created(api);
+  assert.equal(region, 'arn');
+  assert.equal(config.image, 'registry.fly.io/cpm-runner-demo:demo');
+  assert.deepEqual(config.guest, { cpu_kind: 'shared', cpus: 1, memory_mb: 2048 });
+  assert.deepEqual(config.restart, { policy: 'no' });
+  assert.deepEqual(config.init.cmd.slice(2), ['cpm', '--max-turns', '20', '--output-format', 'text', 'say hi']);
+  assert.match(config.init.cmd[1], /^set -e\nset -a; \. \/run\/cpm\/auth\.env; set \+a\nexec claude -p/);
+
+  // The token travels in the file only — not in env, argv or the logs
+  assert.deepEqual(config.files.map(f => f.guest_path), ['/run/cpm/auth.env']);
+  assert.equal(uploaded(config), 'CLAUDE_CODE_OAUTH_TOKEN=sk-ant-REDACTED\n');
+  assert.ok(!JSON.stringify({ env: config.env, init: config.init }).includes('sk-ant-oat01'));
+
+  // Destroyed once, by run() — teardown doesn't ask again
+  assert.deepEqual(api.requests.filter(r => r.method === 'DELETE').map(r => r.path), [`/v1/apps/cpm-runner-demo/machines/${MACHINE_ID}`]);
+  assert.equal(api.machine().destroyed, true);
+});
+
+test('run() reports a failing cc with its real exit code', async (t) => {
+  const api = await mockFlyApi(t, { exitCode: 2, logs: ['Error: max turns reached'] });
+  const ctx = flyContext(t, api);
+  const result = await flyRunner.run(ctx);
+
+  assert.equal(result.code, 2);
+  assert.match(result.stdout, /max turns reached/);
+  assert.equal(api.machine().destroyed, true);
+});
+
+test('a failed destroy keeps the result; teardown tries again, then reports the machine left behind', async (t) => {
+  const api = await mockFlyApi(t, { exitCode: 0, logs: LOGS, failDestroy: 4 });   // run(): 3 tries, teardown: 1 more
+  const ctx = flyContext(t, api);
+  const result = await flyRunner.run(ctx);
+
+  assert.equal(result.code, 0);
+  assert.match(result.stdout, /Hello from Claude Code/);
+  assert.equal(api.machine().destroyed, false);
+
+  await flyRunner.teardown(ctx);
+  assert.equal(api.machine().destroyed, true);
+  assert.equal(api.requests.filter(r => r.method === 'DELETE').length, 5);
+
+  const stuck = await mockFlyApi(t, { exitCode: 0, failDestroy: Infinity });
+  const left = flyContext(t, stuck);
+  assert.equal((await flyRunner.run(left)).code, 0);
+  await assert.rejects(flyRunner.teardown(left),
+    new RegExp(`machine ${MACHINE_ID} was not destroyed \\(.+\\(503\\).+\\) and its config still holds the OAuth token — remove it with fly machine destroy --force ${MACHINE_ID}`));
+});
+
+test('run() passes an API key and its spend cap instead of the OAuth token', async (t) => {
+  const api = await mockFlyApi(t);
+  const auth = { method: 'api-key', env: { ANTHROPIC_API_KEY: 'sk-ant-api03-fake-fly-key' }, maxBudgetUsd: 2.5 };
+  const ctx = flyContext(t, api, { auth, source: { repo: 'https://github.com/example/app.git', ref: 'main' } });
+  await flyRunner.run(ctx);
+
+  const { config } = created(api);
+  assert.equal(uploaded(config), 'ANTHROPIC_API_KEY=sk-ant-api03-fake-fly-key\n');
+  assert.deepEqual(config.init.cmd.slice(2, 7), ['cpm', '--max-turns', '20', '--max-budget-usd', '2.5']);
+  assert.deepEqual(config.env, { CLAUDE_CODE_ENABLE_TASKS: '1', CPM_REPO: 'https://github.com/example/app.git', CPM_REF: 'main' });
+  assert.match(config.init.cmd[1], /git clone --quiet -- "\$CPM_REPO"/);
+});
+
+test('a ref git would read as an option is refused before any machine is created', async (t) => {
+  inProcess(t, { env: { FLY_APP: 'cpm-runner-demo' } });
+  const ctx = { options: { source: { repo: 'https://github.com/example/app.git', ref: '--orphan=x' } }, result: {} };
+  const aborted = await flyRunner.prepare(ctx);
+  assert.equal(aborted?.exitCode, 1);
+  assert.match(aborted.error, /Invalid git ref "--orphan=x"/);
+});
+
+test('limits size the guest, and a timeout destroys the machine', async (t) => {
+  const api = await mockFlyApi(t, { stopAfterMs: Infinity, logs: LOGS });   // never stops on its own
+  const controller = new AbortController();
+  const ctx = flyContext(t, api, { limits: { maxTurns: 5, timeoutMs: 2000, cpus: 1.5, memoryMb: 4096 }, signal: controller.signal });
+
+  setTimeout(() => controller.abort(), 300);
+  const result = await flyRunner.run(ctx);
+  await flyRunner.stop(ctx);
+  await flyRunner.teardown(ctx);
+
+  const { config } = created(api);
+  assert.deepEqual(config.guest, { cpu_kind: 'shared', cpus: 2, memory_mb: 4096 });
+  assert.deepEqual(config.init.cmd.slice(3, 5), ['--max-turns', '5']);
+  assert.equal(result.code, null);
+  assert.match(result.stdout, /Hello from Claude Code/);
+  assert.equal(api.requests.filter(r => r.method === 'DELETE').length, 1);
+  assert.equal(api.machine().destroyed, true);
+});
+
+test('stop() before the machine exists says where to look', async () => {
+  await assert.rejects(flyRunner.stop({ fly: { app: 'cpm-runner-demo' } }), /fly machine list --app cpm-runner-demo/);
+});
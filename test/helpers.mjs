@@ -0,0 +1,248 @@
+// test/helpers.mjs
+// Shared fixtures: the fake claude on PATH, temp dirs, a host runner, stubbed CLIs,
+// a mock Fly API
+
+import { mkdtempSync, mkdirSync, symlinkSync, rmSync, writeFileSync, readFileSync } from 'node:fs';
+import { join, dirname, delimiter } from 'node:path';
+import { tmpdir } from 'node:os';
+import { fileURLToPath } from 'node:url';
+import { EventEmitter, once } from 'node:events';
+import { createServer } from 'node:http';
+import { PassThrough } from 'node:stream';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { spawnAndStream, createWorkspace, spawnCapture, setCommandExecutor } from '../lib/common.mjs';
+
+export const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+export const FAKE_CLAUDE = join(ROOT, 'fake-claude', 'claude.mjs');
+
+// Recorded CLI output in test/fixtures/
+export function fixture(name) {
+  return readFileSync(join(ROOT, 'test', 'fixtures', name), 'utf-8');
+}
+
+export function tempDir(t, prefix = 'cpm-test-') {
+  const dir = mkdtempSync(join(tmpdir(), prefix));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// Directory with `claude` → fake-claude/claude.mjs, to prepend to PATH
+export function fakeClaudeBin(t) {
+  const bin = join(tempDir(t, 'cpm-bin-'), 'bin');
+  mkdirSync(bin);
+  symlinkSync(FAKE_CLAUDE, join(bin, 'claude'));
+  return bin;
+}
+
+// Environment for child processes: fake claude first on PATH, no real credentials
+export function fakeEnv(t, { home, scenario, token, extra = {} } = {}) {
+  const env = { ...process.env, PATH: `${fakeClaudeBin(t)}${delimiter}${process.env.PATH}`, ...extra };
+  delete env.ANTHROPIC_API_KEY;
+  delete env.CLAUDE_CODE_OAUTH_TOKEN;
+  if (home) env.HOME = home;
+  if (scenario) env.FAKE_CLAUDE_SCENARIO = scenario;
+  if (token) env.CLAUDE_CODE_OAUTH_TOKEN = token;
+  return env;
+}
+
+export function writeCredentials(home, { expiresInHours, refreshToken = 'sk-ant-ort01-fake' }) {
+  mkdirSync(join(home, '.claude'), { recursive: true });
+  const creds = {
+    claudeAiOauth: {
+      accessToken: 'sk-ant-oat01-fake-original',
+      refreshToken,
+      expiresAt: Date.now() + expiresInHours * 3600 * 1000,
+      subscriptionType: 'max',
+    },
+  };
+  writeFileSync(join(home, '.claude', '.credentials.json'), JSON.stringify(creds));
+  return creds;
+}
+
+// Runs the fake claude straight on the host — the lifecycle without any isolation
+export const hostRunner = {
+  name: 'host',
+  label: 'Host (fake claude)',
+  auto: false,
+
+  prepare(ctx) {
+    ctx.result.workspace = createWorkspace(ctx.options.source);
+    ctx.workdir = ctx.result.workspace;
+  },
+
+  run(ctx) {
+    return spawnAndStream('sh', ['-c', `cd "${ctx.workdir}" && exec node "${FAKE_CLAUDE}" "$@"`, 'claude',
+      '-p', '--dangerously-skip-permissions',
+      '--max-turns', String(ctx.limits.maxTurns),
+      ...(ctx.outputFormat === 'stream-json' ? ['--output-format', 'stream-json', '--verbose'] : []),
+      ctx.prompt,
+    ], { onStdout: ctx.onStdout, signal: ctx.signal });
+  },
+
+  exec(ctx, command, { timeout } = {}) {
+    return spawnCapture('sh', ['-c', `cd "${ctx.workdir}" && ${command}`], { timeout });
+  },
+};
+
+// ─────────────────────────────────────────────────────
+// Stubbed CLIs — replays recorded output through setCommandExecutor()
+// ─────────────────────────────────────────────────────
+
+// responses: command-line prefix ("docker sandbox ls") → { status, stdout, stderr }
+// or (args, options) => that. The longest matching prefix wins; anything else
+// "isn't installed" (status 127). Spawned processes may instead give
+// chunks: [{ stdout, delay }] and keepOpen: true (a process that never exits by itself).
+// Returns the calls made: [{ line, command, args, options }].
+export function stubCommands(t, responses) {
+  const calls = [];
+
+  const respond = (command, args, options = {}) => {
+    const line = [command, ...args].join(' ');
+    calls.push({ line, command, args, options });
+    const key = Object.keys(responses)
+      .filter(prefix => line === prefix || line.startsWith(`${prefix} `))
+      .sort((a, b) => b.length - a.length)[0];
+    const response = key === undefined
+      ? { status: 127, stderr: `${command}: command not found` }
+      : responses[key];
+    return { status: 0, stdout: '', stderr: '', ...(typeof response === 'function' ? response(args, options) : response) };
+  };
+
+  const restore = setCommandExecutor({
+    run: respond,
+    spawn: (command, args, options) => fakeProcess(respond(command, args, options)),
+  });
+  t.after(restore);
+  return calls;
+}
+
+// Minimal ChildProcess: stdout/stderr streams, 'close' with the status, kill()
+export function fakeProcess({ status, stdout, stderr, chunks, keepOpen = false }) {
+  const proc = new EventEmitter();
+  proc.stdout = new PassThrough();
+  proc.stderr = new PassThrough();
+  proc.kill = () => {
+    proc.killed = true;
+    proc.emit('close', null);
+  };
+
+  (async () => {
+    await sleep(0);   // let the caller attach listeners
+    for (const chunk of chunks ?? [{ stdout }]) {
+      if (chunk.delay) await sleep(chunk.delay);
+      if (proc.killed) return;
+      if (chunk.stdout) proc.stdout.write(chunk.stdout);
+    }
+    if (stderr) proc.stderr.write(stderr);
+    if (keepOpen) return;
+    await sleep(0);
+    proc.emit('close', status);
+  })();
+
+  return proc;
+}
+
+// For calling code that reads process.platform/env and exits on failure in this
+// process: overrides both for the test, turns process.exit(code) into a thrown
+// Error("exit <code>") and keeps console output quiet. Everything is restored after.
+export function inProcess(t, { platform = process.platform, env = {} } = {}) {
+  const original = Object.getOwnPropertyDescriptor(process, 'platform');
+  Object.defineProperty(process, 'platform', { ...original, value: platform });
+
+  const saved = Object.fromEntries(Object.keys(env).map(name => [name, process.env[name]]));
+  const apply = (vars) => {
+    for (const [name, value] of Object.entries(vars)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  };
+  apply(env);
+
+  t.after(() => {
+    Object.defineProperty(process, 'platform', original);
+    apply(saved);
+  });
+
+  t.mock.method(process, 'exit', (code) => { throw new Error(`exit ${code}`); });
+  for (const method of ['log', 'warn', 'error']) t.mock.method(console, method, () => {});
+}
+
+// ─────────────────────────────────────────────────────
+// Mock Fly API — the Machines and logs endpoints lib/fly-api.mjs uses
+// ─────────────────────────────────────────────────────
+
+export const MACHINE_ID = '1781973f5d6389';
+
+// One machine per app: created by POST, stopped stopAfterMs later (Infinity: never)
+// with exitCode; its log lines served logPageSize at a time (stuckLogs: the same
+// page and next_token every time). failCreate: an error message for POST /machines
+// (422); failDestroy: how many DELETEs fail (503) before one succeeds.
+// → { machinesUrl, apiUrl, requests, machine() }
+export async function mockFlyApi(t, {
+  exitCode = 0, stopAfterMs = 0, logs = [], logPageSize = 2, stuckLogs = false, failCreate = null, failDestroy = 0,
+} = {}) {
+  const requests = [];
+  const timers = new Set();
+  let machine = null;
+
+  const stopped = () => machine && Date.now() >= machine.createdAt + stopAfterMs;
+  const json = (res, status, body) => {
+    res.writeHead(status, { 'content-type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  const server = createServer(async (req, res) => {
+    let body = '';
+    for await (const chunk of req) body += chunk;
+    const url = new URL(req.url, 'http://mock');
+    requests.push({
+      method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams),
+      authorization: req.headers.authorization, body: body ? JSON.parse(body) : null,
+    });
+
+    const m = url.pathname.match(/^\/v1\/apps\/[^/]+\/machines(?:\/([^/]+))?(\/wait)?$/);
+    if (m && req.method === 'POST' && !m[1]) {
+      if (failCreate) return json(res, 422, { error: failCreate });
+      machine = { id: MACHINE_ID, state: 'started', region: JSON.parse(body).region, createdAt: Date.now(), destroyed: false };
+      return json(res, 200, { id: machine.id, state: machine.state, region: machine.region });
+    }
+    if (m && (!machine || m[1] !== machine.id || machine.destroyed)) return json(res, 404, { error: 'machine not found' });
+    if (m && m[2]) {
+      const wait = Math.min(machine.createdAt + stopAfterMs - Date.now(), Number(url.searchParams.get('timeout')) * 1000);
+      if (wait > 0) {
+        await new Promise(resolve => { const timer = setTimeout(resolve, wait); timers.add(timer); });
+      }
+      return stopped() ? json(res, 200, { ok: true }) : json(res, 408, { error: 'deadline_exceeded' });
+    }
+    if (m && req.method === 'GET') {
+      const events = [{ type: 'start', status: 'started', timestamp: machine.createdAt }];
+      if (stopped()) events.unshift({ type: 'exit', status: 'stopped', timestamp: machine.createdAt + stopAfterMs, request: { exit_event: { exit_code: exitCode } } });
+      return json(res, 200, { id: machine.id, state: stopped() ? 'stopped' : 'started', events });
+    }
+    if (m && req.method === 'DELETE') {
+      if (failDestroy-- > 0) return json(res, 503, { error: 'service unavailable' });
+      machine.destroyed = true;
+      return json(res, 200, { ok: true });
+    }
+
+    if (/^\/api\/v1\/apps\/[^/]+\/logs$/.test(url.pathname)) {
+      const from = Number(url.searchParams.get('next_token') || 0);
+      const page = machine?.id === url.searchParams.get('instance') ? logs.slice(from, from + logPageSize) : [];
+      return json(res, 200, {
+        data: page.map((message, i) => ({ id: String(from + i), attributes: { message, instance: machine.id } })),
+        meta: { next_token: String(stuckLogs ? from : from + page.length) },
+      });
+    }
+    json(res, 404, { error: `no route for ${req.method} ${url.pathname}` });
+  });
+
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  t.after(() => {
+    for (const timer of timers) clearTimeout(timer);
+    server.closeAllConnections();
+    server.close();
+  });
+  const url = `http://127.0.0.1:${server.address().port}`;
+  return { machinesUrl: `${url}/v1`, apiUrl: url, requests, machine: () => machine };
+}
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { incusRunner } from '../mode-incus.mjs';
+import { stubCommands, inProcess } from './helpers.mjs';
+
+const asRoot = process.getuid?.() === 0;
+
+test('a synced workspace is deleted from the container in teardown, a mounted one detached', async (t) => {
+  inProcess(t);
+  const calls = stubCommands(t, { 'incus exec': {}, 'incus config device remove': {} });
+
+  await incusRunner.teardown({ attached: { sync: true, workdir: '/home/agent/cpm-ws-abc' } });
+  assert.match(calls[0].line, /^incus exec cpm-demo-incus --user \d+ .*-- rm -rf -- \/home\/agent\/cpm-ws-abc$/);
+
+  await incusRunner.teardown({ attached: { sync: false, workdir: '/workspace' } });
+  assert.equal(calls[1].line, 'incus config device remove cpm-demo-incus cpm-workspace');
+  assert.equal(calls.length, 2);
+});
+
+test('a synced workspace that can\'t be deleted fails the teardown', (t) => {
+  inProcess(t);
+  stubCommands(t, { 'incus exec': { status: 1, stderr: 'Error: Instance is not running' } });
+  assert.throws(() => incusRunner.teardown({ attached: { sync: true, workdir: '/home/agent/cpm-ws-abc' } }),
+    /Failed to remove \/home\/agent\/cpm-ws-abc from cpm-demo-incus: Error: Instance is not running/);
+});
+
+test('as root, the run is refused before anything is created in the container', { skip: !asRoot && 'not running as root' }, async (t) => {
+  inProcess(t);
+  const calls = stubCommands(t, { 'incus version': { stdout: 'Client version: 6.0\n' } });
+
+  const aborted = await incusRunner.prepare({ options: {}, result: {}, limits: {} });
+  assert.equal(aborted.exitCode, 1);
+  assert.match(aborted.error, /as root that is root in the container/);
+  assert.deepEqual(calls.map(c => c.line), ['incus version']);
+});
+
+test('cc runs in its own session, and stop() kills only that process group', async (t) => {
+  inProcess(t);
+  const calls = stubCommands(t, { 'incus exec': { stdout: 'done\n' } });
+  const ctx = { runId: 'incus-1', attached: { workdir: '/workspace' }, limits: { maxTurns: 20 }, prompt: 'say hi', onStdout: () => {} };
+
+  await incusRunner.run(ctx);
+  assert.match(calls[0].line, / --cwd \/workspace -- setsid -w sh -c echo \$\$ > "\$0" && exec "\$@" \/tmp\/cpm-cc-incus-1\.pid claude -p /);
+
+  incusRunner.stop(ctx);
+  const stop = calls[1].args;
+  assert.deepEqual(stop.slice(0, 4), ['exec', 'cpm-demo-incus', '--user', String(process.getuid?.() ?? 1000)]);
+  assert.match(stop.at(-2), /kill -KILL -- "-\$\(cat "\$0"\)"/);
+  assert.equal(stop.at(-1), '/tmp/cpm-cc-incus-1.pid');
+  assert.ok(!calls.some(c => c.args.includes('pkill')));
+
+  await incusRunner.teardown(ctx);
+  assert.match(calls[2].line, /-- rm -f -- \/tmp\/cpm-cc-incus-1\.pid$/);
+});
+
+test('stop() before cc has started says so', (t) => {
+  inProcess(t);
+  stubCommands(t, { 'incus exec': { status: 1, stderr: 'cc has not recorded its pid yet\n' } });
+  assert.throws(() => incusRunner.stop({ pidFile: '/tmp/cpm-cc-incus-2.pid' }), /Failed to stop cc in cpm-demo-incus: cc has not recorded its pid yet$/);
+});
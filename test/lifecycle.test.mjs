@@ -0,0 +1,208 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import { existsSync, readFileSync, readdirSync, rmSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { TEST_PROMPT, createWorkspace } from '../lib/common.mjs';
+import { executeRunner, handleInterrupts, interrupted, parseRunnerArgs } from '../lib/runners.mjs';
+import { getRun } from '../lib/store.mjs';
+import { buildReport, renderJUnit, resultStatus } from '../lib/report.mjs';
+import { hostRunner, inProcess, stubCommands, tempDir } from './helpers.mjs';
+
+const saved = {};
+const ENV = ['CPM_HOME', 'CLAUDE_CODE_OAUTH_TOKEN', 'FAKE_CLAUDE_SCENARIO', 'ANTHROPIC_API_KEY'];
+
+beforeEach((t) => {
+  for (const name of ENV) saved[name] = process.env[name];
+  process.env.CPM_HOME = tempDir(t, 'cpm-home-');
+  process.env.CLAUDE_CODE_OAUTH_TOKEN = 'fake';
+  delete process.env.FAKE_CLAUDE_SCENARIO;
+  delete process.env.ANTHROPIC_API_KEY;
+});
+
+afterEach(() => {
+  for (const name of ENV) {
+    if (saved[name] === undefined) delete process.env[name];
+    else process.env[name] = saved[name];
+  }
+});
+
+async function run(t, options = {}) {
+  const result = await executeRunner(hostRunner, { prompt: TEST_PROMPT, ...options });
+  t.after(() => rmSync(result.workspace, { recursive: true, force: true }));
+  return result;
+}
+
+test('smoke test end-to-end: files, verification, store and report', async (t) => {
+  const result = await run(t);
+
+  assert.equal(result.exitCode, 0);
+  assert.deepEqual(result.files.added, ['hello.mjs']);
+  assert.equal(result.verification.passed, true);
+  assert.equal(resultStatus(result), 'passed');
+
+  const stored = getRun(result.runId);
+  assert.equal(stored.mode, 'host');
+  assert.ok(existsSync(join(stored.dir, 'stdout.log')));
+
+  const junit = renderJUnit(buildReport([result]));
+  assert.match(junit, /tests="1" failures="0" errors="0"/);
+});
+
+test('stream-json runs are summarized', async (t) => {
+  const result = await run(t, { outputFormat: 'stream-json' });
+  assert.equal(result.stream.subtype, 'success');
+  assert.deepEqual(result.stream.toolCalls, { Write: 1, Bash: 1 });
+  assert.notEqual(result.startupSeconds, null);
+  assert.equal(result.verification.passed, true);
+});
+
+test('exit 0 without doing the task fails verification', async (t) => {
+  process.env.FAKE_CLAUDE_SCENARIO = 'no-op';
+  const result = await run(t);
+
+  assert.equal(result.exitCode, 0);
+  assert.equal(resultStatus(result), 'failed');
+  const failed = result.verification.assertions.filter(a => a.status === 'failed').map(a => a.type);
+  assert.deepEqual(failed, ['file', 'command', 'output']);
+  assert.match(renderJUnit(buildReport([result])), /verification assertion\(s\) failed/);
+});
+
+test('a failing cc run keeps its partial output', async (t) => {
+  process.env.FAKE_CLAUDE_SCENARIO = 'fail';
+  const result = await run(t, { verify: false });
+
+  assert.equal(result.exitCode, 1);
+  assert.deepEqual(result.files.added, ['partial.txt']);
+  assert.equal(result.verification, undefined);
+  assert.equal(resultStatus(result), 'failed');
+});
+
+test('--workspace runs on a copy and captures git changes', async (t) => {
+  const project = tempDir(t, 'cpm-project-');
+  writeFileSync(join(project, 'README.md'), '# project\n');
+  const git = (...args) => execFileSync('git', ['-C', project, ...args], { stdio: 'pipe' });
+  git('init', '--quiet');
+  git('add', '.');
+  git('-c', 'user.name=t', '-c', 'user.email=t@t', 'commit', '--quiet', '-m', 'init');
+
+  const patchDir = tempDir(t, 'cpm-patches-');
+  const result = await run(t, { source: { path: project }, git: { patchDir } });
+
+  assert.deepEqual(readdirSync(project).sort(), ['.git', 'README.md']);
+  assert.ok(existsSync(join(result.workspace, 'README.md')));
+  assert.deepEqual(result.git.added, ['hello.mjs']);
+  assert.ok(existsSync(result.git.patch));
+});
+
+test('--repo and --ref can\'t pass for git options', (t) => {
+  inProcess(t);
+  const calls = stubCommands(t, { 'git clone': {}, 'git -C': {}, chmod: {} });
+  const upload = '--upload-pack=touch /tmp/owned';
+
+  assert.throws(() => createWorkspace({ repo: 'https://example.com/app.git', ref: upload }), /Invalid git ref "--upload-pack=touch \/tmp\/owned": refs can't start with "-"/);
+  assert.deepEqual(calls, []);
+
+  const workspace = createWorkspace({ repo: upload, ref: 'main' });
+  t.after(() => rmSync(workspace, { recursive: true, force: true }));
+  assert.deepEqual(calls[0].args, ['clone', '--quiet', '--', upload, workspace]);
+  assert.deepEqual(calls[1].args, ['-C', workspace, 'checkout', '--quiet', 'main']);
+});
+
+test('a --branch git would read as an option is refused', () => {
+  assert.throws(() => parseRunnerArgs(['--branch', '--orphan=x']), /Invalid git ref "--orphan=x": refs can't start with "-"/);
+  assert.deepEqual(parseRunnerArgs(['--branch', 'cpm/feature-x']).git, { commit: true, branch: 'cpm/feature-x' });
+});
+
+test('a run over its --timeout is stopped and reported as timeout', async (t) => {
+  process.env.FAKE_CLAUDE_SCENARIO = JSON.stringify({ steps: [{ sleep: 20000 }, { text: 'too late' }] });
+  const stopped = [];
+  const runner = { ...hostRunner, stop: ctx => stopped.push(ctx.runId) };
+  const started = Date.now();
+  const result = await executeRunner(runner, { prompt: TEST_PROMPT, limits: { timeoutMs: 500, cpus: 2 } });
+  t.after(() => rmSync(result.workspace, { recursive: true, force: true }));
+
+  assert.ok(Date.now() - started < 10000);
+  assert.equal(resultStatus(result), 'timeout');
+  assert.equal(result.error, 'Timed out after 0.5s');
+  assert.deepEqual(stopped, [result.runId]);
+  assert.equal(result.verification, undefined);   // not verified: the work is unfinished
+  assert.deepEqual(result.limits, { maxTurns: 20, timeoutMs: 500, ignored: ['cpus'] });   // host: no CPU limit
+
+  assert.equal(getRun(result.runId).status, 'timeout');
+  assert.match(renderJUnit(buildReport([result])), /failures="1" errors="0"[\s\S]*<failure message="Timed out after 0.5s" type="timeout"\/>/);
+});
+
+test('a failing teardown is reported without losing the run', async (t) => {
+  const runner = { ...hostRunner, teardown: () => { throw new Error('network rm failed'); } };
+  const result = await executeRunner(runner, { prompt: TEST_PROMPT });
+  t.after(() => rmSync(result.workspace, { recursive: true, force: true }));
+  const failed = await executeRunner({ ...runner, prepare: () => { throw new Error('image pull failed'); } }, { prompt: TEST_PROMPT })
+    .catch(err => err);
+
+  assert.equal(resultStatus(result), 'passed');
+  assert.equal(result.teardownError, 'network rm failed');
+  assert.equal(getRun(result.runId).teardownError, 'network rm failed');
+  assert.equal(failed.message, 'image pull failed');   // the run's own error, not teardown's
+});
+
+test('artifacts are copied into the run before teardown removes their temp dir', async (t) => {
+  const logDir = tempDir(t);
+  const runner = {
+    ...hostRunner,
+    collect: () => {
+      writeFileSync(join(logDir, 'egress.jsonl'), '{"action":"deny","host":"pastebin.com","port":443}\n');
+      return { egress: { allow: ['*'], deny: ['pastebin.com'], log: join(logDir, 'egress.jsonl') } };
+    },
+    teardown: () => rmSync(logDir, { recursive: true, force: true }),
+  };
+  const result = await executeRunner(runner, { prompt: TEST_PROMPT });
+  t.after(() => rmSync(result.workspace, { recursive: true, force: true }));
+
+  const stored = getRun(result.runId).egress.log;
+  assert.equal(stored, join(process.env.CPM_HOME, 'runs', result.runId, 'artifacts', 'egress.jsonl'));
+  assert.equal(result.egress.log, stored);
+  assert.match(readFileSync(stored, 'utf-8'), /pastebin\.com/);
+  assert.equal(existsSync(logDir), false);
+});
+
+// Ctrl-C half a second into a run that would take 20s
+async function interruptedRun(t, options = {}) {
+  process.env.FAKE_CLAUDE_SCENARIO = JSON.stringify({ steps: [{ sleep: 20000 }, { text: 'too late' }] });
+  const uninstall = handleInterrupts();
+  t.after(() => {
+    uninstall();
+    process.exitCode = 0;
+  });
+  const stopped = [];
+  const runner = { ...hostRunner, stop: ctx => stopped.push(ctx.runId) };
+  setTimeout(() => process.emit('SIGINT', 'SIGINT'), 500);
+  const result = await executeRunner(runner, { prompt: TEST_PROMPT, ...options });
+  t.after(() => rmSync(result.workspace, { recursive: true, force: true }));
+  return { result, runner, stopped };
+}
+
+test('Ctrl-C cancels the run in flight: cc stopped, workspace removed, saved as cancelled', async (t) => {
+  const { result, runner, stopped } = await interruptedRun(t);
+
+  assert.equal(resultStatus(result), 'cancelled');
+  assert.equal(result.error, 'Cancelled (SIGINT)');
+  assert.deepEqual(stopped, [result.runId]);
+  assert.equal(result.verification, undefined);
+  assert.equal(existsSync(result.workspace), false);
+  assert.equal(getRun(result.runId).status, 'cancelled');
+  assert.equal(process.exitCode, 130);
+  assert.match(renderJUnit(buildReport([result])), /<skipped message="Cancelled \(SIGINT\)"\/>/);
+
+  // Anything started after the interrupt is cancelled before it prepares
+  assert.equal(interrupted(), 'SIGINT');
+  const next = await executeRunner(runner, { prompt: TEST_PROMPT });
+  assert.deepEqual([resultStatus(next), next.workspace], ['cancelled', undefined]);
+});
+
+test('--keep-workspace keeps a cancelled run\'s workspace for inspection', async (t) => {
+  const { result } = await interruptedRun(t, { keepWorkspace: true });
+
+  assert.equal(resultStatus(result), 'cancelled');
+  assert.equal(existsSync(result.workspace), true);
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSize, normalizeLimits, parseLimitArgs, resolveLimits, describeLimits } from '../lib/limits.mjs';
+import { parseRunnerArgs } from '../lib/runners.mjs';
+import { dockerRunner } from '../mode-docker.mjs';
+import { stubCommands } from './helpers.mjs';
+
+test('sizes are MB, a bare number too', () => {
+  assert.equal(parseSize('4g'), 4096);
+  assert.equal(parseSize('512m'), 512);
+  assert.equal(parseSize('1.5GiB'), 1536);
+  assert.equal(parseSize(2048), 2048);
+  assert.throws(() => parseSize('lots'), /Invalid size "lots"/);
+});
+
+test('limit flags override the task\'s limits', () => {
+  assert.deepEqual(parseLimitArgs(['--mode', 'docker']), { limits: null, rest: ['--mode', 'docker'] });
+
+  const task = normalizeLimits({ maxTurns: 40, timeout: '30m', memory: '4g', pids: 512 });
+  assert.deepEqual(task, { maxTurns: 40, timeoutMs: 1800000, memoryMb: 4096, pids: 512 });
+  assert.deepEqual(parseLimitArgs(['--timeout', '90s', '--cpus', '1.5', '--disk', '10g'], task).limits,
+    { maxTurns: 40, timeoutMs: 90000, memoryMb: 4096, pids: 512, cpus: 1.5, diskMb: 10240 });
+
+  assert.throws(() => parseLimitArgs(['--max-turns', '2.5']), /--max-turns needs a positive whole number, got "2.5"/);
+  assert.throws(() => normalizeLimits({ cpus: 0 }, 'Task limits'), /Task limits\.cpus needs a positive number/);
+  assert.throws(() => normalizeLimits('fast'), /must be a mapping/);
+});
+
+test('runners keep the limits they enforce and report the rest as ignored', () => {
+  const limits = { timeoutMs: 60000, cpus: 2, memoryMb: 1024 };
+  assert.deepEqual(resolveLimits(limits, { name: 'plain' }),
+    { limits: { maxTurns: 20, timeoutMs: 60000 }, ignored: ['cpus', 'memoryMb'] });
+  assert.deepEqual(resolveLimits(null, { limits: ['maxTurns', 'timeoutMs', 'memoryMb'], defaultLimits: { memoryMb: 2048 } }),
+    { limits: { maxTurns: 20, memoryMb: 2048 }, ignored: [] });
+  assert.equal(describeLimits({ maxTurns: 20, timeoutMs: 1800000, cpus: 2, memoryMb: 4096 }),
+    '20 turns, 30m timeout, 2 CPUs, 4096 MB memory');
+});
+
+test('Mode A passes the limits to docker run and kills the named container on timeout', async (t) => {
+  const calls = stubCommands(t, { 'docker run': {}, 'docker kill': {} });
+  const { limits } = parseRunnerArgs(['--max-turns', '5', '--cpus', '2', '--memory', '1g', '--pids', '256', '--disk', '5g']);
+  const ctx = {
+    runId: 'docker-20260101-000000-abcd',
+    limits: resolveLimits(limits, dockerRunner).limits,
+    result: { runtime: 'docker', workspace: '/tmp/ws' },
+    delivery: { runArgs: [], commandArgs: [], input: null },
+    image: 'cpm-runner:demo',
+    prompt: 'say hi',
+    outputFormat: 'text',
+    onStdout: () => {},
+  };
+
+  await dockerRunner.run(ctx);
+  dockerRunner.stop(ctx);
+
+  const args = calls[0].args;
+  assert.deepEqual(args.slice(2, 12), [
+    '--name', 'cpm-docker-20260101-000000-abcd',
+    '--cpus', '2', '--memory', '1024m', '--pids-limit', '256', '--storage-opt', 'size=5120m',
+  ]);
+  assert.deepEqual(args.slice(args.indexOf('--max-turns'), args.indexOf('--max-turns') + 2), ['--max-turns', '5']);
+  assert.equal(calls[1].line, 'docker kill cpm-docker-20260101-000000-abcd');
+});
@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { readFileSync, readdirSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { buildRemoteScript, remoteCommand, pushToRemote } from '../push-token.mjs';
+import { inProcess, stubCommands, tempDir } from './helpers.mjs';
+
+// The generated script runs under a real bash against a temp dir standing in for the remote,
+// started through sh -c the way sshd hands ssh's joined command line to the login shell
+function runScript(token, remoteDir, { home = process.env.HOME, envDir = remoteDir } = {}) {
+  const r = spawnSync('sh', ['-c', remoteCommand(remoteDir).join(' ')], {
+    input: buildRemoteScript(token), env: { ...process.env, HOME: home }, encoding: 'utf-8',
+  });
+  assert.equal(r.status, 0, r.stderr);
+  return { action: r.stdout.trim(), env: readFileSync(join(envDir, '.env'), 'utf-8') };
+}
+
+test('creates .env when the remote has none', (t) => {
+  const dir = join(tempDir(t), 'cc-docker-demo');
+  assert.deepEqual(runScript('sk-ant-oat01-abc', dir), {
+    action: 'created',
+    env: 'CLAUDE_CODE_OAUTH_TOKEN=sk-ant-oat01-abc\n',
+  });
+});
+
+test('replaces the token line and keeps other variables', (t) => {
+  const dir = tempDir(t);
+  writeFileSync(join(dir, '.env'), 'FLY_APP=demo\nCLAUDE_CODE_OAUTH_TOKEN=sk-ant-oat01-old\nFLY_REGION=arn\n');
+  assert.deepEqual(runScript('sk-ant-oat01-new', dir), {
+    action: 'updated',
+    env: 'FLY_APP=demo\nCLAUDE_CODE_OAUTH_TOKEN=sk-ant-oat01-new\nFLY_REGION=arn\n',
+  });
+});
+
+test('appends the token to an .env without one', (t) => {
+  const dir = tempDir(t);
+  writeFileSync(join(dir, '.env'), 'FLY_APP=demo\n');
+  const { action, env } = runScript('sk-ant-oat01-abc', dir);
+  assert.equal(action, 'appended');
+  assert.match(env, /^FLY_APP=demo\n/);
+  assert.match(env, /\nCLAUDE_CODE_OAUTH_TOKEN=sk-ant-oat01-abc\n$/);
+});
+
+test('refuses tokens that could break out of the script', () => {
+  for (const token of ['abc"; rm -rf ~; "', 'abc|def', 'abc$(id)', 'abc\ndef']) {
+    assert.throws(() => buildRemoteScript(token), /unexpected characters/);
+  }
+});
+
+test('a directory with spaces or shell metacharacters is only ever a path', (t) => {
+  const root = tempDir(t);
+  const spaced = join(root, 'cc docker demo');
+  assert.equal(runScript('sk-ant-oat01-abc', spaced).action, 'created');
+
+  const hostile = join(root, "x; touch pwned; echo 'y'$(touch pwned2)");
+  assert.equal(runScript('sk-ant-oat01-abc', hostile).env, 'CLAUDE_CODE_OAUTH_TOKEN=sk-ant-oat01-abc\n');
+  assert.deepEqual(readdirSync(root).sort(), ['cc docker demo', "x; touch pwned; echo 'y'$(touch pwned2)"]);
+});
+
+test('a leading ~ or $HOME is the remote user\'s home', (t) => {
+  const home = tempDir(t);
+  assert.equal(runScript('sk-ant-oat01-abc', '$HOME/cc-docker-demo', { home, envDir: join(home, 'cc-docker-demo') }).action, 'created');
+  assert.equal(runScript('sk-ant-oat01-abc', '~/cc-docker-demo', { home, envDir: join(home, 'cc-docker-demo') }).action, 'updated');
+});
+
+test('pushToRemote sends the script over ssh and reports the action', (t) => {
+  inProcess(t);
+  const calls = stubCommands(t, { 'ssh ubuntu bash -s': { stdout: 'updated\n' } });
+
+  assert.equal(pushToRemote('ubuntu', 'sk-ant-oat01-abc', '20.5', '$HOME/cc-docker-demo'), 'updated');
+  assert.equal(calls.length, 1);
+  assert.deepEqual(calls[0].args, ['ubuntu', 'bash', '-s', '--', "'$HOME/cc-docker-demo'"]);
+  assert.equal(calls[0].options.input, buildRemoteScript('sk-ant-oat01-abc'));
+});
+
+test('pushToRemote exits when ssh fails', (t) => {
+  inProcess(t);
+  stubCommands(t, {
+    'ssh ubuntu bash -s': { status: 255, stderr: 'ssh: connect to host ubuntu port 22: Connection refused\n' },
+  });
+
+  assert.throws(() => pushToRemote('ubuntu', 'sk-ant-oat01-abc', '20.5'), /exit 1/);
+});
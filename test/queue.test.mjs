@@ -0,0 +1,197 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn, spawnSync } from 'node:child_process';
+import { writeFileSync, readFileSync, statSync, existsSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { hostname } from 'node:os';
+import { setTimeout as sleep } from 'node:timers/promises';
+import {
+  enqueueJob, listJobs, getJob, cancelJob, retryJob, removeJob, transition, interruptJob,
+  acquireWorkerLock, workerStatus, runWorker, queueDir,
+} from '../lib/queue.mjs';
+import { getRun } from '../lib/store.mjs';
+import { registerSecret } from '../lib/redact.mjs';
+import { ROOT, fakeEnv, hostRunner, inProcess, tempDir } from './helpers.mjs';
+
+const saved = {};
+const ENV = ['CPM_HOME', 'CLAUDE_CODE_OAUTH_TOKEN', 'FAKE_CLAUDE_SCENARIO', 'ANTHROPIC_API_KEY'];
+
+beforeEach((t) => {
+  for (const name of ENV) saved[name] = process.env[name];
+  process.env.CPM_HOME = tempDir(t, 'cpm-home-');
+  process.env.CLAUDE_CODE_OAUTH_TOKEN = 'fake';
+  delete process.env.FAKE_CLAUDE_SCENARIO;
+  delete process.env.ANTHROPIC_API_KEY;
+});
+
+afterEach(() => {
+  // hostRunner workspaces live in the system temp dir
+  for (const runId of listJobs().flatMap(j => j.runIds)) {
+    try {
+      rmSync(getRun(runId).workspace, { recursive: true, force: true });
+    } catch { /* interrupted attempts have no stored run */ }
+  }
+  for (const name of ENV) {
+    if (saved[name] === undefined) delete process.env[name];
+    else process.env[name] = saved[name];
+  }
+});
+
+const hostOnly = name => ({ host: hostRunner })[name];
+
+test('jobs are listed FIFO and found by any unique part of the id', () => {
+  const first = enqueueJob({ mode: 'docker', options: { prompt: 'one' } });
+  const second = enqueueJob({ mode: 'docker', options: { prompt: 'two' } });
+
+  assert.deepEqual(listJobs().map(j => j.id), [first.id, second.id]);
+  assert.equal(getJob(second.id.slice(-4)).options.prompt, 'two');
+  assert.deepEqual(first.history.map(h => h.state), ['queued']);
+});
+
+test('cancel, retry and rm only apply to the right states', () => {
+  const job = enqueueJob({ mode: 'docker' });
+
+  assert.equal(cancelJob(job.id).state, 'cancelled');
+  assert.throws(() => cancelJob(job.id), /only queued jobs/);
+  assert.equal(retryJob(job.id).state, 'queued');
+  assert.throws(() => retryJob(job.id), /only failed or cancelled/);
+
+  transition(getJob(job.id), 'running');
+  assert.throws(() => removeJob(job.id), /is running/);
+  transition(getJob(job.id), 'failed');
+  removeJob(job.id);
+  assert.deepEqual(listJobs(), []);
+});
+
+test('an interrupted job is retried until its attempts are used up', () => {
+  let job = enqueueJob({ mode: 'docker', maxAttempts: 2 });
+
+  job = interruptJob(transition(job, 'running', null, { attempts: 1 }), 'SIGTERM');
+  assert.equal(job.state, 'queued');
+  assert.match(job.history.at(-1).note, /interrupted \(SIGTERM\) — will retry \(1\/2/);
+
+  job = interruptJob(transition(job, 'running', null, { attempts: 2 }), 'SIGTERM');
+  assert.equal(job.state, 'failed');
+  assert.match(job.history.at(-1).note, /no attempts left/);
+});
+
+test('one worker at a time; a lock left by a dead process is taken over', () => {
+  const release = acquireWorkerLock();
+  assert.equal(workerStatus().pid, process.pid);
+  assert.throws(() => acquireWorkerLock(), /already running \(pid \d+/);
+  release();
+  assert.equal(workerStatus(), null);
+
+  const dead = spawnSync(process.execPath, ['-e', '']).pid;
+  writeFileSync(join(queueDir(), 'worker.pid'), JSON.stringify({ pid: dead, host: hostname(), startedAt: 'earlier' }));
+  assert.equal(workerStatus(), null);
+  acquireWorkerLock()();
+});
+
+test('the worker runs queued jobs and records every transition', async (t) => {
+  inProcess(t);
+  const ok = enqueueJob({ mode: 'host', task: 'smoke' });
+  const bad = enqueueJob({ mode: 'host', options: { prompt: 'make a file', verify: { files: ['missing.txt'], commands: [], output: [] } } });
+  const unknown = enqueueJob({ mode: 'nope' });
+
+  const finished = await runWorker({ once: true, resolveRunner: hostOnly, runnerOptions: { echo: false } });
+
+  assert.deepEqual(finished.map(j => [j.id, j.state]), [[ok.id, 'succeeded'], [bad.id, 'failed'], [unknown.id, 'failed']]);
+  const done = getJob(ok.id);
+  assert.deepEqual(done.history.map(h => h.state), ['queued', 'running', 'succeeded']);
+  assert.equal(done.attempts, 1);
+  assert.equal(getRun(done.runIds[0]).task, 'smoke');
+  assert.match(getJob(unknown.id).history.at(-1).note, /unknown mode "nope"/);
+  assert.equal(workerStatus(), null);
+});
+
+test('the worker runs the prompt as it was queued, secret-shaped text and all', async (t) => {
+  inProcess(t);
+  registerSecret('hunter2hunter2');
+  const prompt = 'Document that keys look like sk-ant-REDACTED';
+  const job = enqueueJob({ mode: 'host', options: { prompt } });
+  transition(job, 'queued', 'requeued after hunter2hunter2 leaked into an error');
+
+  const seen = [];
+  const recording = { ...hostRunner, run: ctx => { seen.push(ctx.prompt); return hostRunner.run(ctx); } };
+  const [done] = await runWorker({ once: true, resolveRunner: name => ({ host: recording })[name], runnerOptions: { echo: false } });
+
+  assert.equal(done.state, 'succeeded');
+  assert.deepEqual(seen, [prompt]);
+  const file = join(queueDir(), 'jobs', `${job.id}.json`);
+  const stored = JSON.parse(readFileSync(file, 'utf-8'));
+  assert.equal(stored.options.prompt, prompt);
+  assert.equal(stored.history[1].note, 'requeued after [REDACTED] leaked into an error');
+  assert.equal(statSync(file).mode & 0o777, 0o600);
+});
+
+test('a job left running by a dead worker is picked up again', async (t) => {
+  inProcess(t);
+  const job = enqueueJob({ mode: 'host' });
+  transition(job, 'running', 'attempt 1/3', { attempts: 1, runIds: ['lost-run'], worker: { pid: 999999 } });
+
+  const [done] = await runWorker({ once: true, resolveRunner: hostOnly, runnerOptions: { echo: false } });
+
+  assert.equal(done.state, 'succeeded');
+  assert.equal(done.attempts, 2);
+  assert.deepEqual(done.history.map(h => h.state), ['queued', 'running', 'queued', 'running', 'succeeded']);
+  assert.match(done.history[2].note, /worker 999999 stopped/);
+});
+
+test('SIGTERM cancels the worker\'s run, cleans it up and puts the job back', async (t) => {
+  inProcess(t);
+  t.after(() => { process.exitCode = 0; });
+  process.env.FAKE_CLAUDE_SCENARIO = '{"steps":[{"sleep":5000},{"text":"done"}]}';
+  const job = enqueueJob({ mode: 'host', options: { prompt: 'slow' } });
+
+  setTimeout(() => process.emit('SIGTERM', 'SIGTERM'), 500);
+  const finished = await runWorker({ once: true, resolveRunner: hostOnly, runnerOptions: { echo: false } });
+
+  assert.deepEqual(finished, []);
+  const requeued = getJob(job.id);
+  assert.equal(requeued.state, 'queued');
+  assert.equal(requeued.attempts, 1);
+  assert.match(requeued.history.at(-1).note, /interrupted \(SIGTERM, run .+ cancelled\) — will retry/);
+  const run = getRun(requeued.runIds[0]);
+  assert.equal(run.status, 'cancelled');
+  assert.equal(existsSync(run.workspace), false);
+  assert.equal(process.exitCode, 143);
+  assert.equal(workerStatus(), null);
+  assert.deepEqual(['SIGINT', 'SIGTERM', 'SIGHUP'].map(signal => process.listenerCount(signal)), [0, 0, 0]);
+});
+
+// cpm worker as a real process, killed without warning halfway through a run
+test('cpm worker survives being killed mid-run', async (t) => {
+  const env = fakeEnv(t, {
+    token: 'fake',
+    extra: {
+      CPM_HOME: process.env.CPM_HOME,
+      FAKE_CLAUDE_SCENARIO: '{"steps":[{"sleep":1500},{"text":"done"}]}',
+      TMPDIR: tempDir(t, 'cpm-tmp-'),   // the killed attempt's workspace is never cleaned up
+    },
+  });
+  const cpm = (...args) => [join(ROOT, 'cpm.mjs'), ...args, '--runner', join(ROOT, 'test', 'fixtures', 'host-runner.mjs')];
+  const cwd = tempDir(t);
+
+  const enqueued = spawnSync(process.execPath, cpm('enqueue', '--mode', 'host', '--prompt', 'slow', '--no-verify'), { env, cwd, encoding: 'utf-8' });
+  assert.equal(enqueued.status, 0, enqueued.stderr);
+
+  const worker = spawn(process.execPath, cpm('worker', '--once'), { env, cwd, stdio: 'ignore' });
+  t.after(() => worker.kill('SIGKILL'));
+  const deadline = Date.now() + 30000;
+  while (listJobs()[0]?.state !== 'running') {
+    assert.ok(Date.now() < deadline, 'worker never started the job');
+    await sleep(100);
+  }
+  worker.kill('SIGKILL');
+  await new Promise(resolve => worker.once('exit', resolve));
+
+  const again = spawnSync(process.execPath, cpm('worker', '--once'), { env, cwd, encoding: 'utf-8', timeout: 60000 });
+  assert.equal(again.status, 0, again.stderr);
+  assert.match(again.stdout, /interrupted \(worker \d+ stopped\) — will retry/);
+
+  const [job] = listJobs();
+  assert.equal(job.state, 'succeeded');
+  assert.equal(job.attempts, 2);
+  assert.equal(existsSync(join(queueDir(), 'worker.pid')), false);
+});
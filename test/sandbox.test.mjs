@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sandboxExists } from '../mode-sandbox.mjs';
+import { applySandboxRules, diffSandboxRules, resetSandboxRules, sandboxRecord } from '../lib/egress.mjs';
+import { fixture, stubCommands, inProcess, tempDir } from './helpers.mjs';
+
+test('finds the sandbox by name in `docker sandbox ls`', (t) => {
+  const calls = stubCommands(t, { 'docker sandbox ls': { stdout: fixture('docker-sandbox-ls.txt') } });
+
+  assert.equal(sandboxExists('cpm-demo-persistent'), true);
+  assert.equal(sandboxExists('scratch'), true);
+  assert.deepEqual(calls[0].args, ['sandbox', 'ls']);
+});
+
+test('a name that is only a prefix of another sandbox does not match', (t) => {
+  stubCommands(t, { 'docker sandbox ls': { stdout: fixture('docker-sandbox-ls-similar.txt') } });
+
+  assert.equal(sandboxExists('cpm-demo-persistent'), false);
+  assert.equal(sandboxExists('cpm-demo-persistent-old'), true);
+});
+
+test('a header-only listing means no sandbox', (t) => {
+  stubCommands(t, { 'docker sandbox ls': { stdout: fixture('docker-sandbox-ls-empty.txt') } });
+  assert.equal(sandboxExists('cpm-demo-persistent'), false);
+  // "NAME" is a column header, not a sandbox
+  assert.equal(sandboxExists('NAME'), false);
+});
+
+test('docker sandbox not installed', (t) => {
+  stubCommands(t, {
+    'docker sandbox ls': { status: 1, stderr: "docker: 'sandbox' is not a docker command.\n" },
+  });
+  assert.equal(sandboxExists('cpm-demo-persistent'), false);
+});
+
+test('network rules: the first run pushes the whole policy, later runs only the changes', (t) => {
+  inProcess(t, { env: { CPM_HOME: tempDir(t, 'cpm-home-') } });
+  const calls = stubCommands(t, { 'docker sandbox network proxy': {} });
+  const policy = { allow: ['api.anthropic.com', 'github.com'], deny: ['gist.github.com'] };
+
+  const first = applySandboxRules('cpm-demo-persistent', policy, { created: true });
+  assert.equal(calls[0].line, 'docker sandbox network proxy cpm-demo-persistent --policy deny ' +
+    '--allow-host api.anthropic.com --allow-host github.com --block-host gist.github.com');
+  assert.deepEqual(first.pushed, { policy: 'deny', allow: ['api.anthropic.com', 'github.com'], block: ['gist.github.com'] });
+
+  assert.equal(applySandboxRules('cpm-demo-persistent', policy).pushed, null);
+  assert.equal(calls.length, 1);
+
+  // github.com dropped from the allowlist → blocked; registry.npmjs.org added
+  const next = applySandboxRules('cpm-demo-persistent', { allow: ['api.anthropic.com', 'registry.npmjs.org'], deny: ['gist.github.com'] });
+  assert.equal(calls[1].line, 'docker sandbox network proxy cpm-demo-persistent --allow-host registry.npmjs.org --block-host github.com');
+  assert.deepEqual(next.stuck, []);
+});
+
+test('network rules: a blocked host that should be reachable again is reported as stuck', (t) => {
+  inProcess(t, { env: { CPM_HOME: tempDir(t, 'cpm-home-') } });
+  const calls = stubCommands(t, { 'docker sandbox network proxy': {} });
+
+  applySandboxRules('cpm-demo-persistent', { allow: ['*'], deny: ['pastebin.com', 'gist.github.com'] }, { created: true });
+  const result = applySandboxRules('cpm-demo-persistent', { allow: ['*'], deny: ['gist.github.com'] });
+  assert.deepEqual(result.stuck, ['pastebin.com']);
+  assert.equal(result.pushed, null);
+  assert.equal(calls[0].line, 'docker sandbox network proxy cpm-demo-persistent --policy allow --block-host pastebin.com --block-host gist.github.com');
+
+  // A recreated sandbox starts from scratch
+  assert.deepEqual(applySandboxRules('cpm-demo-persistent', { allow: ['*'], deny: ['gist.github.com'] }, { created: true }).stuck, []);
+  assert.deepEqual(diffSandboxRules({ policy: 'deny', allow: [], block: ['a.com'] }, { policy: 'deny', allow: ['a.com'], block: [] }),
+    { policy: null, allow: [], block: [], stuck: ['a.com'] });
+});
+
+test('network rules: a run without a policy resets the sandbox and reports what stays blocked', (t) => {
+  inProcess(t, { env: { CPM_HOME: tempDir(t, 'cpm-home-') } });
+  const calls = stubCommands(t, { 'docker sandbox network proxy': {} });
+
+  assert.equal(resetSandboxRules('cpm-demo-persistent'), null);   // cpm never touched it
+  assert.equal(calls.length, 0);
+
+  applySandboxRules('cpm-demo-persistent', { allow: ['api.anthropic.com'], deny: ['pastebin.com'] }, { created: true });
+  const reset = resetSandboxRules('cpm-demo-persistent');
+  assert.equal(calls[1].line, 'docker sandbox network proxy cpm-demo-persistent --policy allow');
+  assert.equal(reset.policy, 'allow');
+  assert.deepEqual(reset.stuck, ['pastebin.com']);
+  assert.deepEqual(sandboxRecord('cpm-demo-persistent').block, ['pastebin.com']);
+
+  // Still reported on the next run, without pushing anything
+  assert.deepEqual(resetSandboxRules('cpm-demo-persistent').stuck, ['pastebin.com']);
+  assert.equal(calls.length, 2);
+  assert.equal(resetSandboxRules('cpm-demo-persistent', { created: true }), null);
+});
+
+test('a failed push fails the run before cc starts', (t) => {
+  inProcess(t, { env: { CPM_HOME: tempDir(t, 'cpm-home-') } });
+  stubCommands(t, { 'docker sandbox network proxy': { status: 1, stderr: 'unknown flag: --block-host\n' } });
+  assert.throws(() => applySandboxRules('cpm-demo-persistent', { allow: ['*'], deny: ['a.com'] }), /network proxy failed: unknown flag/);
+});
@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { chmodSync, existsSync, readFileSync, statSync, writeFileSync } from 'node:fs';
+import { dirname, join, delimiter } from 'node:path';
+import { deliverContainerEnv } from '../lib/secret-delivery.mjs';
+import { runCommand, spawnCommand } from '../lib/common.mjs';
+import { registerSecret } from '../lib/redact.mjs';
+import { stubCommands, inProcess, tempDir } from './helpers.mjs';
+
+const ENV = { CLAUDE_CODE_OAUTH_TOKEN: 'sk-ant-REDACTED' };
+
+test('env-file: a 0600 file in a private dir, shredded on cleanup', (t) => {
+  const delivery = deliverContainerEnv('docker', ENV);
+  t.after(delivery.cleanup);
+  const file = delivery.runArgs[1];
+
+  assert.deepEqual([delivery.method, delivery.runArgs[0], delivery.input], ['env-file', '--env-file', null]);
+  assert.equal(statSync(file).mode & 0o777, 0o600);
+  assert.equal(statSync(dirname(file)).mode & 0o777, 0o700);
+  assert.equal(readFileSync(file, 'utf-8'), 'CLAUDE_CODE_OAUTH_TOKEN=sk-ant-REDACTED\n');
+
+  delivery.cleanup();
+  assert.equal(existsSync(dirname(file)), false);
+});
+
+test('podman secrets are created from stdin and removed again', (t) => {
+  const calls = stubCommands(t, { 'podman secret create': {}, 'podman secret rm': {} });
+
+  const delivery = deliverContainerEnv('podman', ENV, { runId: 'docker-20260101-000000-abcd' });
+  assert.equal(delivery.method, 'secret');
+  assert.deepEqual(delivery.runArgs, ['--secret', 'cpm-docker-20260101-000000-abcd-claude-code-oauth-token,type=env,target=CLAUDE_CODE_OAUTH_TOKEN']);
+  assert.equal(calls[0].options.input, ENV.CLAUDE_CODE_OAUTH_TOKEN);
+
+  delivery.cleanup();
+  assert.equal(calls[1].line, 'podman secret rm cpm-docker-20260101-000000-abcd-claude-code-oauth-token');
+  assert.throws(() => deliverContainerEnv('docker', ENV, { method: 'secret' }), /only has secrets for swarm services/);
+});
+
+test('stdin: the entrypoint exports the variables, then execs cc with its arguments', (t) => {
+  const bin = tempDir(t, 'cpm-bin-');
+  writeFileSync(join(bin, 'claude'), '#!/bin/sh\necho "token=$CLAUDE_CODE_OAUTH_TOKEN args=$*"\n');
+  chmodSync(join(bin, 'claude'), 0o755);
+
+  const delivery = deliverContainerEnv('docker', ENV, { method: 'stdin' });
+  assert.deepEqual(delivery.runArgs, ['-i', '--entrypoint', 'sh']);
+  assert.ok(!delivery.commandArgs.some(arg => arg.includes(ENV.CLAUDE_CODE_OAUTH_TOKEN)));
+
+  // What the container runs: sh <commandArgs> <cc args>, secret on stdin
+  const r = spawnSync('sh', [...delivery.commandArgs, '--max-turns', '20', 'say hi'], {
+    input: delivery.input, encoding: 'utf-8', env: { PATH: `${bin}${delimiter}${process.env.PATH}` },
+  });
+  assert.equal(r.stdout, 'token=sk-ant-REDACTED args=-p --dangerously-skip-permissions --max-turns 20 say hi\n');
+});
+
+test('a secret on a command line is refused before anything runs', (t) => {
+  inProcess(t, { env: { ANTHROPIC_API_KEY: 'sk-ant-REDACTED' } });
+  const calls = stubCommands(t, {});
+  registerSecret('a-registered-secret-value');
+
+  assert.throws(() => runCommand('docker', ['run', '-e', 'KEY=a-registered-secret-value', 'img']), /Refusing to run docker/);
+  assert.throws(() => spawnCommand('fly', ['machine', 'run', '--env', 'X=sk-ant-REDACTED']), /Refusing to run fly/);
+  assert.deepEqual(calls, []);
+
+  runCommand('pass', ['insert', 'claude/token'], { input: 'a-registered-secret-value' });
+  assert.equal(calls.length, 1);
+});
+
+test('a prompt that only looks like it holds a key still runs', (t) => {
+  const calls = stubCommands(t, {});
+  spawnCommand('docker', ['run', 'img', '-p', 'Why does sk-ant-REDACTED get a 401?']);
+  assert.equal(calls.length, 1);
+});
@@ -0,0 +1,153 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { readFileSync, writeFileSync, statSync, existsSync } from 'node:fs';
+import { join } from 'node:path';
+import { FAKE_CLAUDE, tempDir, fakeEnv, writeCredentials, stubCommands, inProcess } from './helpers.mjs';
+import { createTokenSidecar } from '../lib/token-sidecar.mjs';
+
+const HOUR = 3600 * 1000;
+
+// Host login in a temp HOME (file-based, as on Linux), a fake clock starting now,
+// and `claude -p hi` stubbed to rotate the host token the way cc does
+function setup(t, { renew = 'ok' } = {}) {
+  const home = tempDir(t);
+  inProcess(t, { platform: 'linux', env: { HOME: home, CLAUDE_CODE_OAUTH_TOKEN: undefined } });
+  const creds = writeCredentials(home, { expiresInHours: 29 });
+  const hostFile = join(home, '.claude', '.credentials.json');
+
+  const clock = { now: Date.now() };
+  let rotations = 0;
+  const calls = stubCommands(t, {
+    'claude --version': { stdout: '2.1.0 (Claude Code)' },
+    'claude -p hi': () => {
+      if (renew !== 'ok') return { status: 1, stderr: 'network unreachable' };
+      rotations++;
+      creds.claudeAiOauth = {
+        ...creds.claudeAiOauth,
+        accessToken: `sk-ant-oat01-fake-renewed-${rotations}`,
+        expiresAt: clock.now + 29 * HOUR,
+      };
+      writeFileSync(hostFile, JSON.stringify(creds));
+      return { stdout: 'hi' };
+    },
+  });
+
+  const lines = [];
+  const sidecar = createTokenSidecar({ clock: () => clock.now, log: line => lines.push(line) });
+  t.after(() => sidecar.remove());
+  return { home, creds, clock, calls, lines, sidecar };
+}
+
+const delivered = (sidecar) => JSON.parse(readFileSync(sidecar.file, 'utf-8')).claudeAiOauth;
+const renewals = (calls) => calls.filter(c => c.line.startsWith('claude -p')).length;
+
+test('the container copy has the access token but no refresh token', (t) => {
+  const { sidecar, creds } = setup(t);
+  sidecar.start();
+
+  const copy = delivered(sidecar);
+  assert.equal(copy.accessToken, creds.claudeAiOauth.accessToken);
+  assert.equal(copy.expiresAt, creds.claudeAiOauth.expiresAt);
+  assert.equal(copy.subscriptionType, 'max');
+  assert.equal('refreshToken' in copy, false);
+  // private to the host user: cc in the container runs as that user (runArgs)
+  assert.equal(statSync(sidecar.file).mode & 0o777, 0o600);
+  assert.equal(statSync(sidecar.dir).mode & 0o777, 0o700);
+});
+
+test('cc runs as the host user, with the directory as its config dir', (t) => {
+  const { sidecar } = setup(t);
+  sidecar.start();
+
+  assert.deepEqual(sidecar.runArgs('docker'), [
+    '--user', `${process.getuid()}:${process.getgid()}`,
+    '-v', `${sidecar.dir}:/home/agent/.claude`, '-e', 'CLAUDE_CONFIG_DIR=/home/agent/.claude', '-e', 'HOME=/home/agent',
+  ]);
+  assert.equal(sidecar.runArgs('podman')[0], '--userns=keep-id');
+  assert.deepEqual(JSON.parse(readFileSync(join(sidecar.dir, '.claude.json'), 'utf-8')), { hasCompletedOnboarding: true });
+});
+
+test('as root, the files go to the image\'s user and stay private', { skip: process.getuid?.() !== 0 && 'chown needs root' }, (t) => {
+  const { sidecar, clock } = setup(t);
+  sidecar.start().shareWith({ uid: 1001, gid: 1001 });
+
+  clock.now += 27.5 * HOUR;
+  assert.equal(sidecar.tick(), 'updated');   // the rewritten file too
+  for (const path of [sidecar.dir, sidecar.file, join(sidecar.dir, '.claude.json')]) {
+    const { uid, gid, mode } = statSync(path);
+    assert.deepEqual([uid, gid, mode & 0o077], [1001, 1001, 0], path);
+  }
+  assert.equal(sidecar.runArgs('docker')[0], '-v');   // the image's own USER
+});
+
+test('a token far from expiry is left alone', (t) => {
+  const { sidecar, clock, calls } = setup(t);
+  sidecar.start();
+
+  clock.now += 20 * HOUR;
+  assert.equal(sidecar.tick(), 'ok');
+  assert.equal(renewals(calls), 0);
+  assert.equal(sidecar.state.updates, 1);
+});
+
+test('within 2h of expiry the host renews and the container gets the new token', (t) => {
+  const { sidecar, clock, calls, lines } = setup(t);
+  sidecar.start();
+
+  // A three-day run: each token is replaced before it runs out
+  for (let renewed = 1; renewed <= 3; renewed++) {
+    clock.now += 27.5 * HOUR;
+    assert.equal(sidecar.tick(), 'updated');
+    assert.equal(delivered(sidecar).accessToken, `sk-ant-oat01-fake-renewed-${renewed}`);
+    assert.ok(delivered(sidecar).expiresAt > clock.now);
+  }
+  assert.equal(renewals(calls), 3);
+  assert.equal(sidecar.state.renewals, 3);
+  assert.match(lines.at(-1), /fresh credentials delivered \(29\.0h remaining\)/);
+});
+
+test('a failed renewal keeps the current token and is retried on the next check', (t) => {
+  const { sidecar, clock, lines, home, creds } = setup(t, { renew: 'fail' });
+  sidecar.start();
+  const original = delivered(sidecar).accessToken;
+
+  clock.now += 28 * HOUR;
+  assert.equal(sidecar.tick(), 'renew-failed');
+  assert.equal(delivered(sidecar).accessToken, original);
+  assert.equal(sidecar.state.lastError, 'claude -p failed');
+  assert.match(lines.at(-1), /renewal failed \(claude -p failed\), 1\.0h left/);
+
+  // Meanwhile the user ran claude on the host: the next check delivers that token
+  creds.claudeAiOauth = { ...creds.claudeAiOauth, accessToken: 'sk-ant-oat01-fake-manual', expiresAt: clock.now + 29 * HOUR };
+  writeFileSync(join(home, '.claude', '.credentials.json'), JSON.stringify(creds));
+  assert.equal(sidecar.tick(), 'updated');
+  assert.equal(delivered(sidecar).accessToken, 'sk-ant-oat01-fake-manual');
+  assert.equal(sidecar.state.lastError, null);
+});
+
+test('start() fails without a host login; remove() deletes the directory', (t) => {
+  const home = tempDir(t);
+  inProcess(t, { platform: 'linux', env: { HOME: home } });
+  stubCommands(t, {});
+
+  const sidecar = createTokenSidecar({ log: () => {} });
+  assert.throws(() => sidecar.start(), /no credentials to deliver/);
+  sidecar.remove();
+  assert.equal(existsSync(sidecar.dir), false);
+});
+
+test('the fake claude authenticates from the delivered directory alone', (t) => {
+  const { sidecar } = setup(t);
+  sidecar.start();
+
+  // What the container sees: the sidecar's directory as CLAUDE_CONFIG_DIR, no env token
+  const containerHome = tempDir(t);
+  const r = spawnSync('node', [FAKE_CLAUDE, '-p', 'say hi'], {
+    cwd: containerHome,
+    env: fakeEnv(t, { home: containerHome, scenario: 'no-op', extra: { CLAUDE_CONFIG_DIR: sidecar.dir } }),
+    encoding: 'utf-8',
+  });
+  assert.equal(r.status, 0, r.stdout + r.stderr);
+  assert.doesNotMatch(r.stdout, /Invalid API key/);
+});
@@ -0,0 +1,134 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveToken, resolveAuth, parseAuthArgs } from '../lib/credentials.mjs';
+import { inProcess, stubCommands, tempDir, writeCredentials } from './helpers.mjs';
+
+// resolveToken() in this process with the `security` and `claude` CLIs stubbed,
+// so the macOS Keychain path is covered on any platform
+
+const KEYCHAIN = 'security find-generic-password -s Claude Code-credentials -w';
+
+function keychainEntry(expiresInHours, accessToken = 'sk-ant-oat01-keychain') {
+  return {
+    stdout: JSON.stringify({
+      claudeAiOauth: { accessToken, expiresAt: Date.now() + expiresInHours * 3600 * 1000, subscriptionType: 'max' },
+    }) + '\n',
+  };
+}
+
+function setup(t, { platform = 'darwin', token, apiKey, fileHours } = {}) {
+  const home = tempDir(t);
+  inProcess(t, { platform, env: { HOME: home, CLAUDE_CODE_OAUTH_TOKEN: token, ANTHROPIC_API_KEY: apiKey, CPM_MAX_BUDGET_USD: undefined } });
+  return fileHours === undefined ? null : writeCredentials(home, { expiresInHours: fileHours });
+}
+
+test('env var beats Keychain and credentials file, without touching either', (t) => {
+  setup(t, { token: 'env-token', fileHours: 10 });
+  const calls = stubCommands(t, { [KEYCHAIN]: keychainEntry(10) });
+
+  assert.equal(resolveToken(), 'env-token');
+  assert.deepEqual(calls.map(c => c.line), []);
+});
+
+test('Keychain beats the credentials file on macOS', (t) => {
+  setup(t, { fileHours: 10 });
+  const calls = stubCommands(t, { [KEYCHAIN]: keychainEntry(10) });
+
+  assert.equal(resolveToken(), 'sk-ant-oat01-keychain');
+  assert.deepEqual(calls.map(c => c.line), [KEYCHAIN]);   // read once
+});
+
+test('credentials file is used when the Keychain has no entry', (t) => {
+  const creds = setup(t, { fileHours: 10 });
+  stubCommands(t, {
+    // what `security` prints for a missing item
+    [KEYCHAIN]: { status: 44, stderr: 'security: SecKeychainSearchCopyNext: The specified item could not be found in the keychain.\n' },
+  });
+
+  assert.equal(resolveToken(), creds.claudeAiOauth.accessToken);
+});
+
+test('the Keychain is never queried off macOS', (t) => {
+  const creds = setup(t, { platform: 'linux', fileHours: 10 });
+  const calls = stubCommands(t, { [KEYCHAIN]: keychainEntry(10) });
+
+  assert.equal(resolveToken(), creds.claudeAiOauth.accessToken);
+  assert.deepEqual(calls, []);
+});
+
+test('an expiring Keychain token is renewed through claude, then re-read', (t) => {
+  setup(t);
+  let renewed = false;
+  const calls = stubCommands(t, {
+    [KEYCHAIN]: () => renewed ? keychainEntry(8, 'sk-ant-oat01-renewed') : keychainEntry(1),
+    'claude --version': { stdout: '2.1.3 (Claude Code)\n' },
+    'claude -p hi': () => { renewed = true; return { stdout: 'Hi!\n' }; },
+  });
+
+  assert.equal(resolveToken(), 'sk-ant-oat01-renewed');
+  assert.ok(calls.some(c => c.line === 'claude -p hi --output-format text --max-turns 1'));
+});
+
+test('an expired token with no claude binary fails the run, without exiting', (t) => {
+  setup(t);
+  stubCommands(t, { [KEYCHAIN]: keychainEntry(-1) });
+
+  assert.throws(() => resolveToken(), /^Error: claude binary not found and token is expired/);
+});
+
+test('no token anywhere fails the run, without exiting', (t) => {
+  setup(t);
+  stubCommands(t, { [KEYCHAIN]: { status: 44 } });
+
+  assert.throws(() => resolveToken(), /^Error: No OAuth token found$/);
+});
+
+// ─────────────────────────────────────────────────────
+// resolveAuth() — ANTHROPIC_API_KEY when there is no usable login
+// ─────────────────────────────────────────────────────
+
+test('a valid login wins over ANTHROPIC_API_KEY', (t) => {
+  setup(t, { apiKey: 'sk-ant-api03-key' });
+  stubCommands(t, { [KEYCHAIN]: keychainEntry(10) });
+
+  const auth = resolveAuth();
+  assert.deepEqual([auth.method, auth.source, auth.env], ['oauth', 'macOS Keychain', { CLAUDE_CODE_OAUTH_TOKEN: 'sk-ant-oat01-keychain' }]);
+});
+
+test('no login or an expired one falls back to the API key', (t) => {
+  setup(t, { apiKey: 'sk-ant-api03-key' });
+  let entry = { status: 44 };
+  stubCommands(t, { [KEYCHAIN]: () => entry });
+
+  const missing = resolveAuth({ maxBudgetUsd: 5 });
+  assert.deepEqual(
+    [missing.method, missing.env, missing.maxBudgetUsd],
+    ['api-key', { ANTHROPIC_API_KEY: 'sk-ant-api03-key' }, 5],
+  );
+
+  entry = keychainEntry(-1);   // expired, no claude to renew it with
+  assert.equal(resolveAuth().method, 'api-key');
+  assert.throws(() => resolveAuth({ mode: 'oauth' }), /token is expired/);
+  assert.throws(() => resolveToken(), /token is expired/);
+});
+
+test('--auth api-key skips the login and needs the key', (t) => {
+  setup(t, { token: 'env-token' });
+  const calls = stubCommands(t, {});
+
+  assert.throws(() => resolveAuth({ mode: 'api-key' }), /--auth api-key: ANTHROPIC_API_KEY is not set/);
+  process.env.ANTHROPIC_API_KEY = 'sk-ant-api03-key';
+  assert.equal(resolveAuth({ mode: 'api-key' }).env.ANTHROPIC_API_KEY, 'sk-ant-api03-key');
+  assert.deepEqual(calls, []);
+});
+
+test('--auth and --max-budget-usd are parsed and checked', (t) => {
+  inProcess(t, { env: { CPM_MAX_BUDGET_USD: '3' } });
+
+  assert.deepEqual(parseAuthArgs(['--auth', 'api-key', 'x']), { auth: { mode: 'api-key', maxBudgetUsd: 3, delivery: null }, rest: ['x'] });
+  assert.equal(parseAuthArgs(['--secret-delivery', 'stdin']).auth.delivery, 'stdin');
+  assert.throws(() => parseAuthArgs(['--secret-delivery', 'argv']), /Unknown --secret-delivery "argv"/);
+  assert.equal(parseAuthArgs(['--max-budget-usd', '0.5']).auth.maxBudgetUsd, 0.5);
+  assert.throws(() => parseAuthArgs(['--auth', 'password']), /Unknown --auth "password"/);
+  assert.throws(() => parseAuthArgs(['--max-budget-usd', 'lots']), /positive amount/);
+});
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { ROOT, tempDir, fakeEnv, writeCredentials } from './helpers.mjs';
+
+// resolveToken() exits the process on failure, so it runs in a child — inside
+// HOME, since the renewal call (claude -p "hi") replays the scenario in its cwd
+function resolveToken(t, envOptions) {
+  const credentials = pathToFileURL(join(ROOT, 'lib', 'credentials.mjs')).href;
+  const r = spawnSync('node', ['--input-type=module', '-e',
+    `import { resolveToken } from '${credentials}'; console.log('TOKEN=' + resolveToken());`,
+  ], { cwd: envOptions.home, env: fakeEnv(t, envOptions), encoding: 'utf-8' });
+  return { ...r, token: r.stdout.match(/^TOKEN=(.*)$/m)?.[1] ?? null };
+}
+
+// The Keychain is consulted first on macOS — these cover the file-based path
+const skip = process.platform === 'darwin' && 'uses the macOS Keychain';
+
+test('CLAUDE_CODE_OAUTH_TOKEN wins and is never auto-renewed', { skip }, (t) => {
+  const home = tempDir(t);
+  writeCredentials(home, { expiresInHours: 1 });
+  const r = resolveToken(t, { home, token: 'env-token' });
+  assert.equal(r.status, 0, r.stderr);
+  assert.equal(r.token, 'env-token');
+  assert.doesNotMatch(r.stdout, /auto-renewing/);
+});
+
+test('a healthy credentials file is used as-is', { skip }, (t) => {
+  const home = tempDir(t);
+  const creds = writeCredentials(home, { expiresInHours: 20 });
+  const r = resolveToken(t, { home });
+  assert.equal(r.status, 0, r.stderr);
+  assert.equal(r.token, creds.claudeAiOauth.accessToken);
+  assert.doesNotMatch(r.stdout, /auto-renewing/);
+});
+
+test('a token expiring within 2h is auto-renewed through claude', { skip }, (t) => {
+  const home = tempDir(t);
+  const creds = writeCredentials(home, { expiresInHours: 1 });
+  const r = resolveToken(t, { home });
+  assert.equal(r.status, 0, r.stderr);
+  assert.match(r.stdout, /auto-renewing/);
+  assert.match(r.stdout, /Token renewed/);
+
+  const renewed = JSON.parse(readFileSync(join(home, '.claude', '.credentials.json'), 'utf-8'));
+  assert.notEqual(renewed.claudeAiOauth.accessToken, creds.claudeAiOauth.accessToken);
+  assert.equal(r.token, renewed.claudeAiOauth.accessToken);
+});
+
+test('an expired token that cannot be renewed stops the run', { skip }, (t) => {
+  const home = tempDir(t);
+  writeCredentials(home, { expiresInHours: -1 });
+  const r = resolveToken(t, { home, scenario: 'token-expired' });
+  assert.equal(r.status, 1);
+  assert.match(r.stderr, /Auto-renewal failed and token is expired/);
+});
+
+test('no token anywhere exits with instructions', { skip }, (t) => {
+  const r = resolveToken(t, { home: tempDir(t) });
+  assert.equal(r.status, 1);
+  assert.match(r.stderr, /No OAuth token found/);
+});
@@ -0,0 +1,152 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import {
+  createWatcher, loadWatchConfig, parseHostSpec, readWatchStatus, renderWatchStatus, fingerprint, watchDir,
+} from '../lib/watch.mjs';
+import { REMOTE_DIR } from '../push-token.mjs';
+import { tempDir, writeCredentials, stubCommands, inProcess } from './helpers.mjs';
+
+const HOUR = 3600 * 1000;
+const SSH = 'ssh -o BatchMode=yes -o ConnectTimeout=20';
+
+// A host login in a temp HOME, CPM_HOME for status.json, a fake clock, `claude -p hi`
+// rotating the host token, and ssh answering per host from `remotes` (mutable)
+function setup(t, remotes) {
+  const home = tempDir(t);
+  inProcess(t, { platform: 'linux', env: { HOME: home, CPM_HOME: tempDir(t, 'cpm-home-') } });
+  const creds = writeCredentials(home, { expiresInHours: 29 });
+
+  const clock = { now: Date.now() };
+  const responses = {
+    'claude --version': { stdout: '2.1.0 (Claude Code)' },
+    'claude -p hi': () => {
+      creds.claudeAiOauth = { ...creds.claudeAiOauth, accessToken: `sk-ant-oat01-fake-${clock.now}`, expiresAt: clock.now + 29 * HOUR };
+      writeFileSync(join(home, '.claude', '.credentials.json'), JSON.stringify(creds));
+      return { stdout: 'hi' };
+    },
+  };
+  for (const spec of Object.keys(remotes)) {
+    responses[`${SSH} ${parseHostSpec(spec).host} bash -s`] = () => remotes[spec];
+  }
+  const calls = stubCommands(t, responses);
+
+  const hosts = Object.keys(remotes).map(parseHostSpec);
+  const lines = [];
+  const watcher = createWatcher({ hosts, clock: () => clock.now, log: line => lines.push(line) });
+  return { creds, clock, calls, lines, watcher };
+}
+
+const pushes = (calls, host) => calls.filter(c => c.line.startsWith(`${SSH} ${host} bash -s -- `));
+
+test('host specs and watch.yaml give each host its own remote dir', (t) => {
+  inProcess(t, { env: { CPM_HOME: tempDir(t, 'cpm-home-') } });
+
+  assert.deepEqual(parseHostSpec('ubuntu'), { host: 'ubuntu', dir: REMOTE_DIR, label: 'ubuntu' });
+  assert.deepEqual(parseHostSpec('me@gpu:/srv/cc'), { host: 'me@gpu', dir: '/srv/cc', label: 'me@gpu:/srv/cc' });
+
+  assert.deepEqual(loadWatchConfig(), { intervalMs: 5 * 60 * 1000, hosts: [] });
+  const file = join(tempDir(t), 'watch.yaml');
+  writeFileSync(file, 'interval: 10m\nhosts:\n  - host: ubuntu\n  - host: gpu\n    dir: /srv/cc\n  - ci:/opt/cc\n');
+  const config = loadWatchConfig(file);
+  assert.equal(config.intervalMs, 10 * 60 * 1000);
+  assert.deepEqual(config.hosts.map(h => [h.host, h.dir]), [['ubuntu', REMOTE_DIR], ['gpu', '/srv/cc'], ['ci', '/opt/cc']]);
+
+  assert.throws(() => createWatcher({ hosts: [] }), /No hosts to watch/);
+});
+
+test('the token is pushed once per host and again after it is renewed', (t) => {
+  const { clock, calls, watcher, creds, lines } = setup(t, {
+    ubuntu: { stdout: 'updated\n' },
+    'gpu:/srv/cc': { stdout: 'created\n' },
+  });
+
+  watcher.tick();
+  assert.equal(pushes(calls, 'ubuntu').length, 1);
+  assert.equal(pushes(calls, 'gpu')[0].args.at(-1), "'/srv/cc'");   // host:dir split before ssh
+  assert.match(pushes(calls, 'ubuntu')[0].options.input, new RegExp(`CLAUDE_CODE_OAUTH_TOKEN=${creds.claudeAiOauth.accessToken}`));
+
+  // Nothing changed: nothing pushed
+  clock.now += 10 * HOUR;
+  watcher.tick();
+  assert.equal(calls.filter(c => c.command === 'ssh').length, 2);
+
+  // Within 2h of expiry: renewed locally, then pushed everywhere
+  clock.now += 17.5 * HOUR;
+  const state = watcher.tick();
+  assert.equal(state.local.renewals, 1);
+  assert.equal(calls.filter(c => c.command === 'ssh').length, 4);
+  assert.match(pushes(calls, 'ubuntu')[1].options.input, new RegExp(`=${creds.claudeAiOauth.accessToken}\\b`));
+  assert.equal(state.hosts.ubuntu.fingerprint, fingerprint(creds.claudeAiOauth.accessToken));
+  assert.ok(lines.some(l => /Local token changed/.test(l)));
+});
+
+test('a failing host backs off exponentially without holding up the others', (t) => {
+  const remotes = {
+    ubuntu: { status: 255, stderr: 'ssh: connect to host ubuntu port 22: Connection refused\n' },
+    gpu: { stdout: 'updated\n' },
+  };
+  const { clock, calls, watcher, lines } = setup(t, remotes);
+
+  watcher.tick();
+  assert.equal(pushes(calls, 'gpu').length, 1);
+  assert.equal(watcher.state.hosts.ubuntu.failures, 1);
+  assert.equal(watcher.state.hosts.ubuntu.lastError, 'ssh: connect to host ubuntu port 22: Connection refused');
+  assert.ok(lines.some(l => /^❌ ubuntu: .* — retrying in 30s \(failure 1\)$/.test(l)));
+
+  clock.now += 20 * 1000;   // inside the 30s backoff
+  watcher.tick();
+  assert.equal(pushes(calls, 'ubuntu').length, 1);
+
+  clock.now += 15 * 1000;
+  watcher.tick();
+  assert.equal(pushes(calls, 'ubuntu').length, 2);
+  assert.equal(watcher.state.hosts.ubuntu.nextAttemptAt, clock.now + 60 * 1000);
+
+  // Capped at 30 minutes
+  for (let i = 0; i < 8; i++) {
+    clock.now = watcher.state.hosts.ubuntu.nextAttemptAt;
+    watcher.tick();
+  }
+  assert.equal(watcher.state.hosts.ubuntu.nextAttemptAt - clock.now, 30 * 60 * 1000);
+
+  // Back online: pushed and reset
+  remotes.ubuntu = { stdout: 'updated\n' };
+  clock.now = watcher.state.hosts.ubuntu.nextAttemptAt;
+  watcher.tick();
+  assert.deepEqual(
+    [watcher.state.hosts.ubuntu.failures, watcher.state.hosts.ubuntu.lastError, watcher.state.hosts.ubuntu.action],
+    [0, null, 'updated'],
+  );
+  assert.equal(pushes(calls, 'gpu').length, 1);
+});
+
+test('status.json has fingerprints only and renders each host\'s token age', (t) => {
+  const { clock, watcher, creds } = setup(t, {
+    ubuntu: { stdout: 'updated\n' },
+    gpu: { status: 255, stderr: 'Permission denied (publickey).\n' },
+  });
+  watcher.tick();
+
+  const raw = readFileSync(join(watchDir(), 'status.json'), 'utf-8');
+  assert.doesNotMatch(raw, new RegExp(creds.claudeAiOauth.accessToken));
+
+  clock.now += 3 * HOUR;
+  const text = renderWatchStatus(readWatchStatus(), clock.now);
+  assert.match(text, /Watcher \d+ running/);
+  assert.match(text, /Local: [0-9a-f]{8}, expires in 26\.0h/);
+  assert.match(text, /^ubuntu\s+[0-9a-f]{8}\s+3\.0h ago\s+in 26\.0h\s+✅ current$/m);
+  assert.match(text, /^gpu\s+—\s+never\s+—\s+❌ 1 failure\(s\), next try at next check — Permission denied \(publickey\)\.$/m);
+});
+
+test('an expired local login is reported and never pushed', (t) => {
+  const { watcher, lines } = setup(t, { ubuntu: { stdout: 'updated\n' } });
+  const calls = stubCommands(t, { [`${SSH} ubuntu bash -s`]: { stdout: 'updated\n' } });   // no claude to renew with
+  writeCredentials(process.env.HOME, { expiresInHours: -1 });
+
+  const state = watcher.tick();
+  assert.equal(calls.filter(c => c.command === 'ssh').length, 0);
+  assert.match(state.local.lastError, /token expired/);
+  assert.match(lines.at(-1), /Local token expired/);
+});